@@ -12,6 +12,7 @@ var pkgApp = require('../src/package.json');
 
 var files = [
     'src/*.js',
+    'src/cli/**/*.js',
     'src/app/**/*.{js,jsx}'
 ];
 var deps = [
@@ -7,5 +7,5 @@ npm run pkgsync
 
 pushd src
 cp -af package.json ../output/
-babel -d ../output *.js desktop/**/*.js
+babel -d ../output *.js cli/**/*.js desktop/**/*.js
 popd
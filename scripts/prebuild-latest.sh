@@ -11,5 +11,5 @@ pushd src
 npm version ${npm_package_version}-latest-${abbrev_commit}
 mkdir -p ../dist/cnc/
 cp -af package.json ../dist/cnc/
-babel -d ../dist/cnc/ *.js desktop/**/*.js
+babel -d ../dist/cnc/ *.js cli/**/*.js desktop/**/*.js
 popd
@@ -8,5 +8,5 @@ npm run pkgsync
 pushd src
 mkdir -p ../dist/cnc/
 cp -af package.json ../dist/cnc/
-babel -d ../dist/cnc/ *.js desktop/**/*.js
+babel -d ../dist/cnc/ *.js cli/**/*.js desktop/**/*.js
 popd
@@ -0,0 +1,228 @@
+import find from 'lodash/find';
+import castArray from 'lodash/castArray';
+import isPlainObject from 'lodash/isPlainObject';
+import uuid from 'uuid';
+import settings from '../config/settings';
+import { isValidRole } from '../lib/access-control';
+import {
+    API_KEYS_CONFIG_KEY as CONFIG_KEY,
+    API_KEY_PREFIX,
+    generateApiKey,
+    getLastUsedTime,
+    hashApiKey,
+    revokeApiKey
+} from '../lib/api-key';
+import log from '../lib/log';
+import config from '../services/configstore';
+import { getPagingRange } from './paging';
+import {
+    ERR_BAD_REQUEST,
+    ERR_NOT_FOUND,
+    ERR_INTERNAL_SERVER_ERROR,
+    ROLE_VIEWER
+} from '../constants';
+
+const PREFIX = '[api.apikeys]';
+
+const getSanitizedRecords = () => {
+    const records = castArray(config.get(CONFIG_KEY, []));
+
+    let shouldUpdate = false;
+    for (let i = 0; i < records.length; ++i) {
+        if (!isPlainObject(records[i])) {
+            records[i] = {};
+        }
+
+        const record = records[i];
+
+        if (!record.id) {
+            record.id = uuid.v4();
+            shouldUpdate = true;
+        }
+
+        // Defaults to true
+        if (record.enabled === undefined) {
+            record.enabled = true;
+        }
+
+        // Defaults to read-only access
+        if (!isValidRole(record.scope)) {
+            record.scope = ROLE_VIEWER;
+            shouldUpdate = true;
+        }
+    }
+
+    if (shouldUpdate) {
+        log.debug(`${PREFIX} update sanitized records: ${JSON.stringify(records)}`);
+
+        // Pass `{ silent changes }` will suppress the change event
+        config.set(CONFIG_KEY, records, { silent: true });
+    }
+
+    return records;
+};
+
+// Note. Do not send the hash of the API key
+const toJSON = (record) => {
+    const { id, mtime, ctime, enabled, label, scope, hint } = { ...record };
+    return { id, mtime, ctime, atime: getLastUsedTime(record), enabled, label, scope, hint };
+};
+
+export const fetch = (req, res) => {
+    const records = getSanitizedRecords();
+    const { paging = true, page = 1, pageLength = 10 } = req.query;
+    const totalRecords = records.length;
+    const [begin, end] = getPagingRange({ page, pageLength, totalRecords });
+    const pagedRecords = paging ? records.slice(begin, end) : records;
+
+    res.send({
+        pagination: {
+            page: Number(page),
+            pageLength: Number(pageLength),
+            totalRecords: Number(totalRecords)
+        },
+        records: pagedRecords.map(toJSON)
+    });
+};
+
+export const create = (req, res) => {
+    const {
+        enabled = true,
+        label = '',
+        scope = ROLE_VIEWER
+    } = { ...req.body };
+
+    if (!label) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "label" parameter must not be empty'
+        });
+        return;
+    }
+
+    if (!isValidRole(scope)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "scope" parameter must be one of "admin", "operator" and "viewer"'
+        });
+        return;
+    }
+
+    try {
+        const records = getSanitizedRecords();
+        const key = generateApiKey();
+        const now = new Date().getTime();
+        const record = {
+            id: uuid.v4(),
+            mtime: now,
+            ctime: now,
+            atime: null,
+            enabled: !!enabled,
+            label: String(label),
+            scope: scope,
+            hint: key.slice(0, API_KEY_PREFIX.length + 4), // The beginning of the key to identify it
+            hash: hashApiKey(key)
+        };
+
+        records.push(record);
+        config.set(CONFIG_KEY, records);
+
+        // The API key will not be available after it is created
+        res.send({ id: record.id, mtime: record.mtime, key: key });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
+
+export const read = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    res.send(toJSON(record));
+};
+
+export const update = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    const {
+        enabled = record.enabled,
+        label = record.label,
+        scope = record.scope
+    } = { ...req.body };
+
+    // Skip validation for "enabled" and "label"
+
+    if (!isValidRole(scope)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "scope" parameter must be one of "admin", "operator" and "viewer"'
+        });
+        return;
+    }
+
+    try {
+        const revoked = (record.enabled && !enabled) || (record.scope !== scope);
+
+        record.mtime = new Date().getTime();
+        record.enabled = Boolean(enabled);
+        record.label = String(label || '');
+        record.scope = scope;
+
+        config.set(CONFIG_KEY, records);
+
+        if (revoked) {
+            // Close the connections that were authenticated with the previous settings
+            revokeApiKey(record.id);
+        }
+
+        res.send({ id: record.id, mtime: record.mtime });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
+
+// Revokes the API key
+export const __delete = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    try {
+        const filteredRecords = records.filter(record => {
+            return record.id !== id;
+        });
+        config.set(CONFIG_KEY, filteredRecords);
+        revokeApiKey(record.id);
+
+        res.send({ id: record.id });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
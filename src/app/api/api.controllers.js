@@ -1,4 +1,72 @@
+import _ from 'lodash';
+import { createController } from '../controllers';
+import { hasControl, isLockCommand } from '../lib/control-lock';
+import log from '../lib/log';
+import { WORKFLOW_STATE_RUNNING } from '../lib/workflow';
 import store from '../store';
+import {
+    ERR_BAD_REQUEST,
+    ERR_NOT_FOUND,
+    ERR_CONFLICT,
+    ERR_INTERNAL_SERVER_ERROR
+} from '../constants';
+
+const PREFIX = '[api.controllers]';
+
+// Commands that take a callback as the last argument, and the number of arguments before the callback
+const CALLBACK_COMMANDS = {
+    'gcode:load': 3, // name, gcode, context
+    'macro:run': 2, // id, context
+    'macro:load': 2, // id, context
+    'watchdir:load': 1, // file
+    'queue:add': 1 // job
+};
+
+// Commands that start or resume a program, which will not run if refused by the controller
+const START_COMMANDS = ['gcode:start', 'gcode:resume'];
+
+// Returns the controller of an open serial port, or sends an error response if not available.
+// Note. The port must be URL encoded, e.g. "/api/controllers/%2Fdev%2FttyUSB0/state"
+const getOpenController = (req, res) => {
+    const port = req.params.port;
+    const controller = store.get(`controllers["${port}"]`);
+
+    if (!controller || controller.isClose()) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: `Serial port "${port}" not accessible`
+        });
+        return null;
+    }
+
+    return controller;
+};
+
+// Returns true if the controller can be controlled by a request, or sends an error response if the control lock is taken.
+const checkControlLock = (req, res, controller) => {
+    if (!hasControl(controller, null)) {
+        const { owner } = controller.controlLock.toJSON();
+        res.status(ERR_CONFLICT).send({
+            msg: `Serial port "${controller.options.port}" is locked by ${owner.name || 'another connection'}`
+        });
+        return false;
+    }
+
+    return true;
+};
+
+// The callback data may contain the G-code program which is too large to send back
+const sanitizeResult = (data) => {
+    if (!_.isPlainObject(data)) {
+        return null;
+    }
+
+    const { gcode, ...result } = data;
+    if (typeof gcode === 'string') {
+        result.size = gcode.length;
+    }
+
+    return result;
+};
 
 export const getActiveControllers = (req, res) => {
     let list = [];
@@ -13,3 +81,224 @@ export const getActiveControllers = (req, res) => {
 
     res.send(list);
 };
+
+export const getState = (req, res) => {
+    const controller = getOpenController(req, res);
+    if (!controller) {
+        return;
+    }
+
+    res.send(controller.status);
+};
+
+export const open = (req, res) => {
+    const port = req.params.port;
+    const { controllerType = 'Grbl', baudrate } = { ...req.body };
+    let controller = store.get(`controllers["${port}"]`);
+
+    if (controller && controller.isOpen()) {
+        res.send(controller.status);
+        return;
+    }
+
+    if (!controller) {
+        try {
+            controller = createController(port, { controllerType, baudrate });
+        } catch (err) {
+            res.status(ERR_BAD_REQUEST).send({
+                msg: err.message
+            });
+            return;
+        }
+    }
+
+    log.debug(`${PREFIX} Open serial port "${port}": controllerType=${controllerType}, baudrate=${baudrate}`);
+
+    controller.open((err = null) => {
+        if (err) {
+            // Do not keep the controller that failed to open the serial port
+            if (store.get(`controllers["${port}"]`) === controller) {
+                store.unset(`controllers["${port}"]`);
+            }
+            controller.destroy();
+
+            res.status(ERR_INTERNAL_SERVER_ERROR).send({
+                msg: `Error opening serial port "${port}"`
+            });
+            return;
+        }
+
+        if (store.get(`controllers["${port}"]`)) {
+            log.error(`${PREFIX} Serial port "${port}" was not properly closed`);
+        }
+        store.set(`controllers["${port}"]`, controller);
+
+        res.send(controller.status);
+    });
+};
+
+export const close = (req, res) => {
+    const controller = getOpenController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const port = controller.options.port;
+    controller.close();
+
+    res.send({ port: port });
+};
+
+export const command = (req, res) => {
+    const controller = getOpenController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const { cmd = '', args = [] } = { ...req.body };
+
+    if (!cmd || typeof cmd !== 'string') {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "cmd" parameter must not be empty'
+        });
+        return;
+    }
+
+    if (!Array.isArray(args)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "args" parameter must be an array'
+        });
+        return;
+    }
+
+    // The control lock requires a socket connection
+    if (isLockCommand(cmd)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: `The "${cmd}" command is not supported`
+        });
+        return;
+    }
+
+    log.debug(`${PREFIX} command("${controller.options.port}", "${cmd}"): args=${JSON.stringify(args)}`);
+
+    const unknownCommand = () => {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: `Unknown command: ${cmd}`
+        });
+    };
+
+    if (!_.has(CALLBACK_COMMANDS, cmd)) {
+        if (controller.command(null, cmd, ...args) === false) {
+            unknownCommand();
+            return;
+        }
+
+        // The program will not start if the preflight check fails, for example
+        if (_.includes(START_COMMANDS, cmd) && _.get(controller, 'workflow.state') !== WORKFLOW_STATE_RUNNING) {
+            res.status(ERR_CONFLICT).send({
+                msg: 'The G-code program failed to start',
+                cmd: cmd,
+                status: controller.status
+            });
+            return;
+        }
+
+        res.send({ cmd: cmd, result: null, status: controller.status });
+        return;
+    }
+
+    // Pad or truncate the arguments so that the callback is always passed in the expected position
+    const callbackArgs = _.times(CALLBACK_COMMANDS[cmd], (index) => args[index]);
+    const ok = controller.command(null, cmd, ...callbackArgs, (err, data) => {
+        if (err) {
+            res.status(ERR_BAD_REQUEST).send({
+                msg: err.message || String(err)
+            });
+            return;
+        }
+
+        res.send({ cmd: cmd, result: sanitizeResult(data), status: controller.status });
+    });
+
+    if (ok === false) {
+        unknownCommand();
+    }
+};
+
+export const write = (req, res) => {
+    const controller = getOpenController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const { data = '' } = { ...req.body };
+    if (!data) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "data" parameter must not be empty'
+        });
+        return;
+    }
+
+    controller.write(null, String(data));
+    res.send({ status: controller.status });
+};
+
+export const writeln = (req, res) => {
+    const controller = getOpenController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const { data = '' } = { ...req.body };
+    if (!data) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "data" parameter must not be empty'
+        });
+        return;
+    }
+
+    controller.writeln(null, String(data));
+    res.send({ status: controller.status });
+};
+
+// Loads a G-code program, and starts it if "start" is true.
+export const loadGCode = (req, res) => {
+    const controller = getOpenController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const { name = 'noname.txt', gcode = '', context = {}, start = false } = { ...req.body };
+
+    if (!gcode) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "gcode" parameter must not be empty'
+        });
+        return;
+    }
+
+    controller.command(null, 'gcode:load', String(name), String(gcode), { ...context }, (err, data) => {
+        if (err) {
+            res.status(ERR_BAD_REQUEST).send({
+                msg: err.message || String(err)
+            });
+            return;
+        }
+
+        if (start) {
+            controller.command(null, 'gcode:start');
+
+            // The program will not start if the preflight check fails, for example
+            if (_.get(controller, 'workflow.state') !== WORKFLOW_STATE_RUNNING) {
+                res.status(ERR_CONFLICT).send({
+                    msg: 'The G-code program has been loaded, but failed to start',
+                    result: sanitizeResult(data),
+                    status: controller.status
+                });
+                return;
+            }
+        }
+
+        res.send({ result: sanitizeResult(data), status: controller.status });
+    });
+};
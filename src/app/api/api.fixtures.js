@@ -0,0 +1,165 @@
+import find from 'lodash/find';
+import castArray from 'lodash/castArray';
+import isPlainObject from 'lodash/isPlainObject';
+import mapValues from 'lodash/mapValues';
+import pick from 'lodash/pick';
+import pickBy from 'lodash/pickBy';
+import size from 'lodash/size';
+import uuid from 'uuid';
+import settings from '../config/settings';
+import log from '../lib/log';
+import config from '../services/configstore';
+import { getPagingRange } from './paging';
+import {
+    ERR_BAD_REQUEST,
+    ERR_NOT_FOUND,
+    ERR_INTERNAL_SERVER_ERROR
+} from '../constants';
+
+const PREFIX = '[api.fixtures]';
+const CONFIG_KEY = 'fixtures';
+
+// The work coordinate systems that can be saved in a fixture
+const WORK_COORDINATE_SYSTEMS = ['G54', 'G55', 'G56', 'G57', 'G58', 'G59'];
+const AXES = ['x', 'y', 'z', 'a', 'b', 'c'];
+
+const getSanitizedRecords = () => {
+    const records = castArray(config.get(CONFIG_KEY, []));
+
+    let shouldUpdate = false;
+    for (let i = 0; i < records.length; ++i) {
+        if (!isPlainObject(records[i])) {
+            records[i] = {};
+        }
+
+        const record = records[i];
+
+        if (!record.id) {
+            record.id = uuid.v4();
+            shouldUpdate = true;
+        }
+    }
+
+    if (shouldUpdate) {
+        log.debug(`${PREFIX} update sanitized records: ${JSON.stringify(records)}`);
+
+        // Pass `{ silent changes }` will suppress the change event
+        config.set(CONFIG_KEY, records, { silent: true });
+    }
+
+    return records;
+};
+
+// Keeps the numeric offsets of the work coordinate systems, e.g. { G54: { x: 10, y: 20, z: -5 } }
+const sanitizeOffsets = (offsets) => {
+    const result = {};
+
+    WORK_COORDINATE_SYSTEMS.forEach((wcs) => {
+        const offset = pickBy(pick({ ...offsets[wcs] }, AXES), (value) => Number.isFinite(Number(value)));
+        if (size(offset) > 0) {
+            result[wcs] = mapValues(offset, Number);
+        }
+    });
+
+    return result;
+};
+
+export const fetch = (req, res) => {
+    const records = getSanitizedRecords();
+    const { paging = true, page = 1, pageLength = 10 } = req.query;
+    const totalRecords = records.length;
+    const [begin, end] = getPagingRange({ page, pageLength, totalRecords });
+    const pagedRecords = paging ? records.slice(begin, end) : records;
+
+    res.send({
+        pagination: {
+            page: Number(page),
+            pageLength: Number(pageLength),
+            totalRecords: Number(totalRecords)
+        },
+        records: pagedRecords.map(record => {
+            const { id, mtime, name, units, offsets } = { ...record };
+            return { id, mtime, name, units, offsets };
+        })
+    });
+};
+
+export const create = (req, res) => {
+    const { name, units = 'mm', offsets } = { ...req.body };
+
+    if (!name) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "name" parameter must not be empty'
+        });
+        return;
+    }
+
+    if (!isPlainObject(offsets) || size(sanitizeOffsets(offsets)) === 0) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "offsets" parameter must contain the offsets of at least one work coordinate system'
+        });
+        return;
+    }
+
+    try {
+        const records = getSanitizedRecords();
+        const record = {
+            id: uuid.v4(),
+            mtime: new Date().getTime(),
+            name: name,
+            units: (units === 'in') ? 'in' : 'mm',
+            offsets: sanitizeOffsets(offsets)
+        };
+
+        records.push(record);
+        config.set(CONFIG_KEY, records);
+
+        res.send({ id: record.id, mtime: record.mtime });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
+
+export const read = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    const { mtime, name, units, offsets } = { ...record };
+    res.send({ id, mtime, name, units, offsets });
+};
+
+export const __delete = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    try {
+        const filteredRecords = records.filter(record => {
+            return record.id !== id;
+        });
+        config.set(CONFIG_KEY, filteredRecords);
+
+        res.send({ err: null });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
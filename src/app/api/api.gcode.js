@@ -26,7 +26,7 @@ export const set = (req, res) => {
 
     // Load G-code
     const { name = '', context = {} } = meta;
-    controller.command(null, 'gcode:load', name, gcode, context, (err) => {
+    controller.command(null, 'gcode:load', name, gcode, context, (err, data) => {
         if (err) {
             res.status(500).send({
                 err: 'Failed to load G-code: ' + err
@@ -34,6 +34,13 @@ export const set = (req, res) => {
             return;
         }
 
+        // Send back the loaded G-code if it was modified by the controller (e.g. with a height map applied)
+        const { gcode: loadedGCode = gcode } = { ...data };
+        if (loadedGCode !== gcode) {
+            res.send({ err: null, gcode: loadedGCode });
+            return;
+        }
+
         res.send({ err: null });
     });
 };
@@ -56,7 +63,14 @@ export const get = (req, res) => {
         return;
     }
 
+    // The sender is optional for controller plugins
     const { sender } = controller;
+    if (!sender) {
+        res.status(400).send({
+            err: 'The controller does not support G-code programs'
+        });
+        return;
+    }
 
     res.send({
         ...sender.toJSON(),
@@ -82,7 +96,14 @@ export const download = (req, res) => {
         return;
     }
 
+    // The sender is optional for controller plugins
     const { sender } = controller;
+    if (!sender) {
+        res.status(400).send({
+            err: 'The controller does not support G-code programs'
+        });
+        return;
+    }
     const filename = (function(req) {
         const headers = req.headers || {};
         const ua = headers['user-agent'] || '';
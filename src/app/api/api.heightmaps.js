@@ -0,0 +1,143 @@
+import find from 'lodash/find';
+import castArray from 'lodash/castArray';
+import isPlainObject from 'lodash/isPlainObject';
+import uuid from 'uuid';
+import settings from '../config/settings';
+import log from '../lib/log';
+import HeightMap from '../lib/height-map';
+import config from '../services/configstore';
+import { getPagingRange } from './paging';
+import {
+    ERR_BAD_REQUEST,
+    ERR_NOT_FOUND,
+    ERR_INTERNAL_SERVER_ERROR
+} from '../constants';
+
+const PREFIX = '[api.heightmaps]';
+const CONFIG_KEY = 'heightMaps';
+
+const getSanitizedRecords = () => {
+    const records = castArray(config.get(CONFIG_KEY, []));
+
+    let shouldUpdate = false;
+    for (let i = 0; i < records.length; ++i) {
+        if (!isPlainObject(records[i])) {
+            records[i] = {};
+        }
+
+        const record = records[i];
+
+        if (!record.id) {
+            record.id = uuid.v4();
+            shouldUpdate = true;
+        }
+    }
+
+    if (shouldUpdate) {
+        log.debug(`${PREFIX} update sanitized records: ${JSON.stringify(records)}`);
+
+        // Pass `{ silent changes }` will suppress the change event
+        config.set(CONFIG_KEY, records, { silent: true });
+    }
+
+    return records;
+};
+
+export const fetch = (req, res) => {
+    const records = getSanitizedRecords();
+    const { paging = true, page = 1, pageLength = 10 } = req.query;
+    const totalRecords = records.length;
+    const [begin, end] = getPagingRange({ page, pageLength, totalRecords });
+    const pagedRecords = paging ? records.slice(begin, end) : records;
+
+    res.send({
+        pagination: {
+            page: Number(page),
+            pageLength: Number(pageLength),
+            totalRecords: Number(totalRecords)
+        },
+        records: pagedRecords.map(record => {
+            const { id, mtime, name, heightMap } = { ...record };
+            return { id, mtime, name, heightMap };
+        })
+    });
+};
+
+export const create = (req, res) => {
+    const { name, heightMap } = { ...req.body };
+
+    if (!name) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "name" parameter must not be empty'
+        });
+        return;
+    }
+
+    if (!isPlainObject(heightMap)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "heightMap" parameter must be an object'
+        });
+        return;
+    }
+
+    try {
+        const records = getSanitizedRecords();
+        const record = {
+            id: uuid.v4(),
+            mtime: new Date().getTime(),
+            name: name,
+            heightMap: new HeightMap(heightMap).toJSON()
+        };
+
+        records.push(record);
+        config.set(CONFIG_KEY, records);
+
+        res.send({ id: record.id, mtime: record.mtime });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
+
+export const read = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    const { mtime, name, heightMap } = { ...record };
+    res.send({ id, mtime, name, heightMap });
+};
+
+export const __delete = (req, res) => {
+    const id = req.params.id;
+    const records = getSanitizedRecords();
+    const record = find(records, { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    try {
+        const filteredRecords = records.filter(record => {
+            return record.id !== id;
+        });
+        config.set(CONFIG_KEY, filteredRecords);
+
+        res.send({ err: null });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
@@ -0,0 +1,145 @@
+import find from 'lodash/find';
+import jobHistory from '../services/jobhistory';
+import { getPagingRange } from './paging';
+import {
+    ERR_NOT_FOUND,
+    ERR_INTERNAL_SERVER_ERROR
+} from '../constants';
+
+const toResponse = (record) => {
+    const {
+        id,
+        name,
+        hash,
+        controllerType,
+        port,
+        outcome,
+        startLine,
+        startTime,
+        finishTime,
+        elapsedTime,
+        total,
+        sent,
+        received,
+        errors = []
+    } = { ...record };
+
+    return {
+        id,
+        name,
+        hash,
+        controllerType,
+        port,
+        outcome,
+        startLine,
+        startTime,
+        finishTime,
+        elapsedTime,
+        total,
+        sent,
+        received,
+        errors
+    };
+};
+
+export const fetch = (req, res) => {
+    const {
+        paging = true,
+        page = 1,
+        pageLength = 10,
+        name = '',
+        outcome = '',
+        port = '',
+        controllerType = ''
+    } = req.query;
+    const keyword = String(name).toLowerCase();
+
+    // The most recent jobs come first
+    const records = jobHistory.getRecords()
+        .reverse()
+        .filter(record => {
+            if (keyword && String(record.name).toLowerCase().indexOf(keyword) < 0) {
+                return false;
+            }
+            if (outcome && record.outcome !== outcome) {
+                return false;
+            }
+            if (port && record.port !== port) {
+                return false;
+            }
+            if (controllerType && record.controllerType !== controllerType) {
+                return false;
+            }
+            return true;
+        });
+    const totalRecords = records.length;
+    const [begin, end] = getPagingRange({ page, pageLength, totalRecords });
+    const pagedRecords = paging ? records.slice(begin, end) : records;
+
+    res.send({
+        pagination: {
+            page: Number(page),
+            pageLength: Number(pageLength),
+            totalRecords: Number(totalRecords)
+        },
+        records: pagedRecords.map(toResponse)
+    });
+};
+
+export const read = (req, res) => {
+    const id = req.params.id;
+    const record = find(jobHistory.getRecords(), { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    res.send(toResponse(record));
+};
+
+export const readGCode = (req, res) => {
+    const id = req.params.id;
+    const record = find(jobHistory.getRecords(), { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    const gcode = jobHistory.readContent(record.hash);
+    if (gcode === null) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'The G-code program is no longer available'
+        });
+        return;
+    }
+
+    res.send({ id: record.id, name: record.name, gcode: gcode });
+};
+
+export const __delete = (req, res) => {
+    const id = req.params.id;
+    const record = find(jobHistory.getRecords(), { id: id });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    try {
+        jobHistory.remove(id);
+
+        res.send({ id: record.id });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to delete the job record'
+        });
+    }
+};
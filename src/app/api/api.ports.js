@@ -0,0 +1,95 @@
+import find from 'lodash/find';
+import settings from '../config/settings';
+import { getCustomPorts, setCustomPorts } from '../lib/custom-ports';
+import { parseAddress, TRANSPORT_SERIAL } from '../lib/transport';
+import {
+    ERR_BAD_REQUEST,
+    ERR_NOT_FOUND,
+    ERR_CONFLICT,
+    ERR_INTERNAL_SERVER_ERROR
+} from '../constants';
+
+// The custom ports are stored in the { comName, manufacturer } shape
+const getRecords = () => getCustomPorts();
+
+const toJSON = (record) => {
+    const { comName, manufacturer } = record;
+    return { port: comName, name: manufacturer, transport: parseAddress(comName).type };
+};
+
+export const fetch = (req, res) => {
+    const records = getRecords();
+
+    res.send({
+        records: records.map(toJSON)
+    });
+};
+
+export const create = (req, res) => {
+    const { port, name = '' } = { ...req.body };
+    const address = String(port || '').trim();
+
+    if (!address) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "port" parameter must not be empty'
+        });
+        return;
+    }
+
+    if (parseAddress(address).type === TRANSPORT_SERIAL) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "port" parameter must be a network address, e.g. "tcp://host:port", "telnet://host:port" or "unix:///path/to/socket"'
+        });
+        return;
+    }
+
+    const records = getRecords();
+    if (find(records, { comName: address })) {
+        res.status(ERR_CONFLICT).send({
+            msg: 'The port already exists: ' + JSON.stringify(address)
+        });
+        return;
+    }
+
+    try {
+        const record = {
+            comName: address,
+            manufacturer: String(name)
+        };
+
+        records.push(record);
+        setCustomPorts(records);
+
+        res.send(toJSON(record));
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
+
+export const __delete = (req, res) => {
+    const port = req.params.port;
+    const records = getRecords();
+    const record = find(records, { comName: port });
+
+    if (!record) {
+        res.status(ERR_NOT_FOUND).send({
+            msg: 'Not found'
+        });
+        return;
+    }
+
+    try {
+        const filteredRecords = records.filter(record => {
+            return record.comName !== port;
+        });
+        setCustomPorts(filteredRecords);
+
+        res.send({ err: null });
+    } catch (err) {
+        res.status(ERR_INTERNAL_SERVER_ERROR).send({
+            msg: 'Failed to save ' + JSON.stringify(settings.cncrc)
+        });
+    }
+};
@@ -0,0 +1,116 @@
+import { hasControl } from '../lib/control-lock';
+import store from '../store';
+import { ERR_CONFLICT } from '../constants';
+
+const getController = (req, res) => {
+    const port = req.query.port || req.body.port;
+
+    if (!port) {
+        res.status(400).send({
+            err: 'No port specified'
+        });
+        return null;
+    }
+
+    const controller = store.get('controllers["' + port + '"]');
+    if (!controller) {
+        res.status(400).send({
+            err: 'Controller not found'
+        });
+        return null;
+    }
+
+    // The job queue is optional for controller plugins
+    if (!controller.queue) {
+        res.status(400).send({
+            err: 'The controller does not support the job queue'
+        });
+        return null;
+    }
+
+    return controller;
+};
+
+// Returns true if the job queue can be changed by a request, or sends an error response if the control lock is taken.
+const checkControlLock = (req, res, controller) => {
+    if (!hasControl(controller, null)) {
+        const { owner } = controller.controlLock.toJSON();
+        res.status(ERR_CONFLICT).send({
+            err: `Serial port "${controller.options.port}" is locked by ${owner.name || 'another connection'}`
+        });
+        return false;
+    }
+
+    return true;
+};
+
+export const get = (req, res) => {
+    const controller = getController(req, res);
+    if (!controller) {
+        return;
+    }
+
+    const { queue, sender } = controller;
+
+    res.send({
+        ...queue.toJSON(),
+        sender: sender ? sender.toJSON() : null
+    });
+};
+
+export const add = (req, res) => {
+    const { name = '', gcode = '', file = '', context = {}, pause = false } = { ...req.body };
+
+    if (!gcode && !file) {
+        res.status(400).send({
+            err: 'Empty G-code'
+        });
+        return;
+    }
+
+    const controller = getController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const job = file ? { file, context, pause } : { name, gcode, context, pause };
+    controller.command(null, 'queue:add', job, (err, data) => {
+        if (err) {
+            res.status(500).send({
+                err: 'Failed to add the job to the queue: ' + err
+            });
+            return;
+        }
+
+        const { id } = { ...data };
+        res.send({ err: null, id: id });
+    });
+};
+
+export const remove = (req, res) => {
+    const controller = getController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    const ok = controller.queue.remove(req.params.id);
+    if (!ok) {
+        res.status(404).send({
+            err: 'Job not found'
+        });
+        return;
+    }
+
+    res.send({ err: null });
+};
+
+export const clear = (req, res) => {
+    const controller = getController(req, res);
+    if (!controller || !checkControlLock(req, res, controller)) {
+        return;
+    }
+
+    controller.queue.clear();
+
+    res.send({ err: null });
+};
@@ -7,15 +7,18 @@ import some from 'lodash/some';
 import uuid from 'uuid';
 import settings from '../config/settings';
 import log from '../lib/log';
+import { isValidRole } from '../lib/access-control';
 import config from '../services/configstore';
 import { getPagingRange } from './paging';
 import {
     ERR_BAD_REQUEST,
     ERR_UNAUTHORIZED,
+    ERR_FORBIDDEN,
     ERR_NOT_FOUND,
     ERR_CONFLICT,
     ERR_PRECONDITION_FAILED,
-    ERR_INTERNAL_SERVER_ERROR
+    ERR_INTERNAL_SERVER_ERROR,
+    ROLE_ADMIN
 } from '../constants';
 
 const PREFIX = '[api.users]';
@@ -52,6 +55,12 @@ const getSanitizedRecords = () => {
         if (record.enabled === undefined) {
             record.enabled = true;
         }
+
+        // Existing users were created before roles were introduced and have full access
+        if (!isValidRole(record.role)) {
+            record.role = ROLE_ADMIN;
+            shouldUpdate = true;
+        }
     }
 
     if (shouldUpdate) {
@@ -64,6 +73,12 @@ const getSanitizedRecords = () => {
     return records;
 };
 
+// Returns true if the user accounts can still be managed, that is, either all accounts are disabled, or at least one enabled account is an administrator.
+const hasEnabledAdmin = (records) => {
+    const enabledRecords = records.filter(record => record.enabled);
+    return (enabledRecords.length === 0) || some(enabledRecords, { role: ROLE_ADMIN });
+};
+
 export const signin = (req, res) => {
     const { token = '', name = '', password = '' } = { ...req.body };
     const users = getSanitizedRecords();
@@ -72,13 +87,14 @@ export const signin = (req, res) => {
     });
 
     if (enabledUsers.length === 0) {
-        const user = { id: '', name: '' };
+        const user = { id: '', name: '', role: ROLE_ADMIN };
         const payload = { ...user };
         const token = generateAccessToken(payload, settings.secret); // generate access token
         res.send({
             enabled: false, // session is disabled
             token: token,
-            name: user.name // empty name
+            name: user.name, // empty name
+            role: user.role
         });
         return;
     }
@@ -96,18 +112,20 @@ export const signin = (req, res) => {
 
         const payload = {
             id: user.id,
-            name: user.name
+            name: user.name,
+            role: user.role
         };
         const token = generateAccessToken(payload, settings.secret); // generate access token
         res.send({
             enabled: true, // session is enabled
             token: token, // new token
-            name: user.name
+            name: user.name,
+            role: user.role
         });
         return;
     }
 
-    jwt.verify(token, settings.secret, (err, user) => {
+    jwt.verify(token, settings.secret, (err, decoded) => {
         if (err) {
             res.status(ERR_INTERNAL_SERVER_ERROR).send({
                 msg: 'Internal server error'
@@ -115,11 +133,11 @@ export const signin = (req, res) => {
             return;
         }
 
-        const iat = new Date(user.iat * 1000).toISOString();
-        const exp = new Date(user.exp * 1000).toISOString();
-        log.debug(`${PREFIX} jwt.verify: id=${user.id}, name="${user.name}", iat=${iat}, exp=${exp}`);
+        const iat = new Date(decoded.iat * 1000).toISOString();
+        const exp = new Date(decoded.exp * 1000).toISOString();
+        log.debug(`${PREFIX} jwt.verify: id=${decoded.id}, name="${decoded.name}", role=${decoded.role}, iat=${iat}, exp=${exp}`);
 
-        user = find(enabledUsers, { id: user.id, name: user.name });
+        const user = find(enabledUsers, { id: decoded.id, name: decoded.name });
         if (!user) {
             res.status(ERR_UNAUTHORIZED).send({
                 msg: 'Authentication failed'
@@ -127,10 +145,22 @@ export const signin = (req, res) => {
             return;
         }
 
+        let newToken = token;
+        if (decoded.role !== user.role) {
+            // The role has been changed since the token was issued
+            const payload = {
+                id: user.id,
+                name: user.name,
+                role: user.role
+            };
+            newToken = generateAccessToken(payload, settings.secret); // generate access token
+        }
+
         res.send({
             enabled: true, // session is enabled
-            token: token, // old token
-            name: user.name
+            token: newToken, // old token, or a new token if the role has been changed
+            name: user.name,
+            role: user.role
         });
     });
 };
@@ -149,8 +179,8 @@ export const fetch = (req, res) => {
             totalRecords: Number(totalRecords)
         },
         records: pagedRecords.map(record => {
-            const { id, mtime, enabled, name } = { ...record };
-            return { id, mtime, enabled, name };
+            const { id, mtime, enabled, name, role } = { ...record };
+            return { id, mtime, enabled, name, role };
         })
     });
 };
@@ -159,7 +189,8 @@ export const create = (req, res) => {
     const {
         enabled = true,
         name = '',
-        password = ''
+        password = '',
+        role = ROLE_ADMIN
     } = { ...req.body };
 
     if (!name) {
@@ -176,6 +207,13 @@ export const create = (req, res) => {
         return;
     }
 
+    if (!isValidRole(role)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "role" parameter must be one of "admin", "operator" and "viewer"'
+        });
+        return;
+    }
+
     const records = getSanitizedRecords();
     if (find(records, { name: name })) {
         res.status(ERR_CONFLICT).send({
@@ -184,6 +222,13 @@ export const create = (req, res) => {
         return;
     }
 
+    if (!hasEnabledAdmin(records.concat({ enabled: Boolean(enabled), role: role }))) {
+        res.status(ERR_FORBIDDEN).send({
+            msg: 'At least one enabled user must be an administrator'
+        });
+        return;
+    }
+
     try {
         const salt = bcrypt.genSaltSync();
         const hash = bcrypt.hashSync(password.trim(), salt);
@@ -193,7 +238,8 @@ export const create = (req, res) => {
             mtime: new Date().getTime(),
             enabled: enabled,
             name: name,
-            password: hash
+            password: hash,
+            role: role
         };
 
         records.push(record);
@@ -219,8 +265,8 @@ export const read = (req, res) => {
         return;
     }
 
-    const { mtime, enabled, name } = { ...record };
-    res.send({ id, mtime, enabled, name });
+    const { mtime, enabled, name, role } = { ...record };
+    res.send({ id, mtime, enabled, name, role });
 };
 
 export const update = (req, res) => {
@@ -238,6 +284,7 @@ export const update = (req, res) => {
     const {
         enabled = record.enabled,
         name = record.name,
+        role = record.role,
         oldPassword = '',
         newPassword = ''
     } = { ...req.body };
@@ -245,6 +292,13 @@ export const update = (req, res) => {
 
     // Skip validation for "enabled" and "name"
 
+    if (!isValidRole(role)) {
+        res.status(ERR_BAD_REQUEST).send({
+            msg: 'The "role" parameter must be one of "admin", "operator" and "viewer"'
+        });
+        return;
+    }
+
     if (willChangePassword && !bcrypt.compareSync(oldPassword, record.password)) {
         res.status(ERR_PRECONDITION_FAILED).send({
             msg: 'Incorrect password'
@@ -262,10 +316,21 @@ export const update = (req, res) => {
         return;
     }
 
+    const updatedRecords = records.map(r => {
+        return (r.id === id) ? { ...r, enabled: Boolean(enabled), role: role } : r;
+    });
+    if (!hasEnabledAdmin(updatedRecords)) {
+        res.status(ERR_FORBIDDEN).send({
+            msg: 'At least one enabled user must be an administrator'
+        });
+        return;
+    }
+
     try {
         record.mtime = new Date().getTime();
         record.enabled = Boolean(enabled);
         record.name = String(name || '');
+        record.role = role;
 
         if (willChangePassword) {
             const salt = bcrypt.genSaltSync();
@@ -295,10 +360,17 @@ export const __delete = (req, res) => {
         return;
     }
 
-    try {
-        const filteredRecords = records.filter(record => {
-            return record.id !== id;
+    const filteredRecords = records.filter(record => {
+        return record.id !== id;
+    });
+    if (!hasEnabledAdmin(filteredRecords)) {
+        res.status(ERR_FORBIDDEN).send({
+            msg: 'At least one enabled user must be an administrator'
         });
+        return;
+    }
+
+    try {
         config.set(CONFIG_KEY, filteredRecords);
 
         res.send({ id: record.id });
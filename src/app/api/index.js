@@ -1,10 +1,16 @@
 export * as version from './api.version';
 export * as state from './api.state';
 export * as gcode from './api.gcode';
+export * as queue from './api.queue';
 export * as i18n from './api.i18n';
 export * as controllers from './api.controllers';
+export * as ports from './api.ports';
 export * as commands from './api.commands';
 export * as events from './api.events';
 export * as macros from './api.macros';
+export * as jobs from './api.jobs';
+export * as heightmaps from './api.heightmaps';
+export * as fixtures from './api.fixtures';
 export * as users from './api.users';
+export * as apikeys from './api.apikeys';
 export * as watch from './api.watch';
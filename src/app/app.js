@@ -35,11 +35,17 @@ import errclient from './lib/middleware/errclient';
 import errlog from './lib/middleware/errlog';
 import errnotfound from './lib/middleware/errnotfound';
 import errserver from './lib/middleware/errserver';
+import { hasRole } from './lib/access-control';
+import { getCurrentUser } from './lib/current-user';
+import { verifyApiKey } from './lib/api-key';
 import config from './services/configstore';
 import {
     IP_WHITELIST,
     ERR_UNAUTHORIZED,
-    ERR_FORBIDDEN
+    ERR_FORBIDDEN,
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
 } from './constants';
 
 const renderPage = (view = 'index', cb = _.noop) => (req, res, next) => {
@@ -61,6 +67,41 @@ const verifyToken = (token) => {
     return true;
 };
 
+// Restricts access to users with the specified role or a more privileged one
+const authorize = (role) => (req, res, next) => {
+    // The decoded payload is not available if the access token is provided in the query string
+    const token = req.query && req.query.token;
+    const payload = req.user || ((token && verifyToken(token)) ? jwt.decode(token) : null);
+
+    // The authentication is bypassed in development mode
+    if (!payload && process.env.NODE_ENV === 'development') {
+        next();
+        return;
+    }
+
+    // Look up the user account on each request, since the role in the access token might be outdated
+    const user = getCurrentUser(payload);
+    if (!user) {
+        const ipaddr = req.ip || req.connection.remoteAddress;
+        res.status(ERR_UNAUTHORIZED).send({
+            msg: 'The user account does not exist or has been disabled'
+        });
+        log.warn(`[app] ERR_UNAUTHORIZED: ipaddr=${ipaddr}, id=${_.get(payload, 'id')}, method=${req.method}, path="${req.path}"`);
+        return;
+    }
+
+    if (!hasRole(user, role)) {
+        const ipaddr = req.ip || req.connection.remoteAddress;
+        res.status(ERR_FORBIDDEN).send({
+            msg: 'Permission denied'
+        });
+        log.warn(`[app] ERR_FORBIDDEN: ipaddr=${ipaddr}, name="${_.get(user, 'name')}", role=${_.get(user, 'role')}, method=${req.method}, path="${req.path}"`);
+        return;
+    }
+
+    next();
+};
+
 const appMain = () => {
     const app = express();
 
@@ -213,6 +254,17 @@ const appMain = () => {
         }));
 
         app.use((err, req, res, next) => {
+            // Check whether a valid API key is provided in place of an access token
+            // e.g. "Authorization: Bearer <api-key>" or "?token=<api-key>"
+            const authorization = req.headers.authorization || '';
+            const apiKey = (authorization.indexOf('Bearer ') === 0) ? authorization.slice(7).trim() : (req.query && req.query.token);
+            const apiKeyPayload = (err && err.name === 'UnauthorizedError') ? verifyApiKey(apiKey) : null;
+            if (apiKeyPayload) {
+                req.user = apiKeyPayload;
+                next();
+                return;
+            }
+
             let bypass = false;
 
             // Check whether the app is running in development mode
@@ -250,59 +302,102 @@ const appMain = () => {
 
     { // Register API routes with authorized access
         // Version
-        app.get(urljoin(settings.route, 'api/version/latest'), api.version.getLatestVersion);
+        app.get(urljoin(settings.route, 'api/version/latest'), authorize(ROLE_VIEWER), api.version.getLatestVersion);
 
         // State
-        app.get(urljoin(settings.route, 'api/state'), api.state.get);
-        app.post(urljoin(settings.route, 'api/state'), api.state.set);
-        app.delete(urljoin(settings.route, 'api/state'), api.state.unset);
+        app.get(urljoin(settings.route, 'api/state'), authorize(ROLE_VIEWER), api.state.get);
+        app.post(urljoin(settings.route, 'api/state'), authorize(ROLE_ADMIN), api.state.set);
+        app.delete(urljoin(settings.route, 'api/state'), authorize(ROLE_ADMIN), api.state.unset);
 
         // G-code
-        app.get(urljoin(settings.route, 'api/gcode'), api.gcode.get);
-        app.post(urljoin(settings.route, 'api/gcode'), api.gcode.set);
-        app.get(urljoin(settings.route, 'api/gcode/download'), api.gcode.download);
+        app.get(urljoin(settings.route, 'api/gcode'), authorize(ROLE_VIEWER), api.gcode.get);
+        app.post(urljoin(settings.route, 'api/gcode'), authorize(ROLE_OPERATOR), api.gcode.set);
+        app.get(urljoin(settings.route, 'api/gcode/download'), authorize(ROLE_VIEWER), api.gcode.download);
+
+        // Job Queue
+        app.get(urljoin(settings.route, 'api/queue'), authorize(ROLE_VIEWER), api.queue.get);
+        app.post(urljoin(settings.route, 'api/queue'), authorize(ROLE_OPERATOR), api.queue.add);
+        app.delete(urljoin(settings.route, 'api/queue'), authorize(ROLE_OPERATOR), api.queue.clear);
+        app.delete(urljoin(settings.route, 'api/queue/:id'), authorize(ROLE_OPERATOR), api.queue.remove);
 
         // Controllers
-        app.get(urljoin(settings.route, 'api/controllers'), api.controllers.getActiveControllers);
+        app.get(urljoin(settings.route, 'api/controllers'), authorize(ROLE_VIEWER), api.controllers.getActiveControllers);
+        app.get(urljoin(settings.route, 'api/controllers/:port/state'), authorize(ROLE_VIEWER), api.controllers.getState);
+        app.post(urljoin(settings.route, 'api/controllers/:port/open'), authorize(ROLE_OPERATOR), api.controllers.open);
+        app.post(urljoin(settings.route, 'api/controllers/:port/close'), authorize(ROLE_OPERATOR), api.controllers.close);
+        app.post(urljoin(settings.route, 'api/controllers/:port/command'), authorize(ROLE_OPERATOR), api.controllers.command);
+        app.post(urljoin(settings.route, 'api/controllers/:port/write'), authorize(ROLE_OPERATOR), api.controllers.write);
+        app.post(urljoin(settings.route, 'api/controllers/:port/writeln'), authorize(ROLE_OPERATOR), api.controllers.writeln);
+        app.post(urljoin(settings.route, 'api/controllers/:port/gcode'), authorize(ROLE_OPERATOR), api.controllers.loadGCode);
+
+        // Network Ports
+        app.get(urljoin(settings.route, 'api/ports'), authorize(ROLE_VIEWER), api.ports.fetch);
+        app.post(urljoin(settings.route, 'api/ports'), authorize(ROLE_OPERATOR), api.ports.create);
+        app.delete(urljoin(settings.route, 'api/ports/:port'), authorize(ROLE_OPERATOR), api.ports.__delete);
 
         // Commands
-        app.get(urljoin(settings.route, 'api/commands'), api.commands.fetch);
-        app.post(urljoin(settings.route, 'api/commands'), api.commands.create);
-        app.get(urljoin(settings.route, 'api/commands/:id'), api.commands.read);
-        app.put(urljoin(settings.route, 'api/commands/:id'), api.commands.update);
-        app.delete(urljoin(settings.route, 'api/commands/:id'), api.commands.__delete);
-        app.post(urljoin(settings.route, 'api/commands/run/:id'), api.commands.run);
+        app.get(urljoin(settings.route, 'api/commands'), authorize(ROLE_VIEWER), api.commands.fetch);
+        app.post(urljoin(settings.route, 'api/commands'), authorize(ROLE_ADMIN), api.commands.create);
+        app.get(urljoin(settings.route, 'api/commands/:id'), authorize(ROLE_VIEWER), api.commands.read);
+        app.put(urljoin(settings.route, 'api/commands/:id'), authorize(ROLE_ADMIN), api.commands.update);
+        app.delete(urljoin(settings.route, 'api/commands/:id'), authorize(ROLE_ADMIN), api.commands.__delete);
+        app.post(urljoin(settings.route, 'api/commands/run/:id'), authorize(ROLE_OPERATOR), api.commands.run);
 
         // Events
-        app.get(urljoin(settings.route, 'api/events'), api.events.fetch);
-        app.post(urljoin(settings.route, 'api/events/'), api.events.create);
-        app.get(urljoin(settings.route, 'api/events/:id'), api.events.read);
-        app.put(urljoin(settings.route, 'api/events/:id'), api.events.update);
-        app.delete(urljoin(settings.route, 'api/events/:id'), api.events.__delete);
+        app.get(urljoin(settings.route, 'api/events'), authorize(ROLE_ADMIN), api.events.fetch);
+        app.post(urljoin(settings.route, 'api/events/'), authorize(ROLE_ADMIN), api.events.create);
+        app.get(urljoin(settings.route, 'api/events/:id'), authorize(ROLE_ADMIN), api.events.read);
+        app.put(urljoin(settings.route, 'api/events/:id'), authorize(ROLE_ADMIN), api.events.update);
+        app.delete(urljoin(settings.route, 'api/events/:id'), authorize(ROLE_ADMIN), api.events.__delete);
 
         // Macros
-        app.get(urljoin(settings.route, 'api/macros'), api.macros.fetch);
-        app.post(urljoin(settings.route, 'api/macros'), api.macros.create);
-        app.get(urljoin(settings.route, 'api/macros/:id'), api.macros.read);
-        app.put(urljoin(settings.route, 'api/macros/:id'), api.macros.update);
-        app.delete(urljoin(settings.route, 'api/macros/:id'), api.macros.__delete);
+        app.get(urljoin(settings.route, 'api/macros'), authorize(ROLE_VIEWER), api.macros.fetch);
+        app.post(urljoin(settings.route, 'api/macros'), authorize(ROLE_OPERATOR), api.macros.create);
+        app.get(urljoin(settings.route, 'api/macros/:id'), authorize(ROLE_VIEWER), api.macros.read);
+        app.put(urljoin(settings.route, 'api/macros/:id'), authorize(ROLE_OPERATOR), api.macros.update);
+        app.delete(urljoin(settings.route, 'api/macros/:id'), authorize(ROLE_OPERATOR), api.macros.__delete);
+
+        // Jobs
+        app.get(urljoin(settings.route, 'api/jobs'), authorize(ROLE_VIEWER), api.jobs.fetch);
+        app.get(urljoin(settings.route, 'api/jobs/:id'), authorize(ROLE_VIEWER), api.jobs.read);
+        app.get(urljoin(settings.route, 'api/jobs/:id/gcode'), authorize(ROLE_VIEWER), api.jobs.readGCode);
+        app.delete(urljoin(settings.route, 'api/jobs/:id'), authorize(ROLE_OPERATOR), api.jobs.__delete);
+
+        // Height Maps
+        app.get(urljoin(settings.route, 'api/heightmaps'), authorize(ROLE_VIEWER), api.heightmaps.fetch);
+        app.post(urljoin(settings.route, 'api/heightmaps'), authorize(ROLE_OPERATOR), api.heightmaps.create);
+        app.get(urljoin(settings.route, 'api/heightmaps/:id'), authorize(ROLE_VIEWER), api.heightmaps.read);
+        app.delete(urljoin(settings.route, 'api/heightmaps/:id'), authorize(ROLE_OPERATOR), api.heightmaps.__delete);
+
+        // Fixtures
+        app.get(urljoin(settings.route, 'api/fixtures'), authorize(ROLE_VIEWER), api.fixtures.fetch);
+        app.post(urljoin(settings.route, 'api/fixtures'), authorize(ROLE_OPERATOR), api.fixtures.create);
+        app.get(urljoin(settings.route, 'api/fixtures/:id'), authorize(ROLE_VIEWER), api.fixtures.read);
+        app.delete(urljoin(settings.route, 'api/fixtures/:id'), authorize(ROLE_OPERATOR), api.fixtures.__delete);
 
         // Users
-        app.get(urljoin(settings.route, 'api/users'), api.users.fetch);
-        app.post(urljoin(settings.route, 'api/users/'), api.users.create);
-        app.get(urljoin(settings.route, 'api/users/:id'), api.users.read);
-        app.put(urljoin(settings.route, 'api/users/:id'), api.users.update);
-        app.delete(urljoin(settings.route, 'api/users/:id'), api.users.__delete);
+        app.get(urljoin(settings.route, 'api/users'), authorize(ROLE_ADMIN), api.users.fetch);
+        app.post(urljoin(settings.route, 'api/users/'), authorize(ROLE_ADMIN), api.users.create);
+        app.get(urljoin(settings.route, 'api/users/:id'), authorize(ROLE_ADMIN), api.users.read);
+        app.put(urljoin(settings.route, 'api/users/:id'), authorize(ROLE_ADMIN), api.users.update);
+        app.delete(urljoin(settings.route, 'api/users/:id'), authorize(ROLE_ADMIN), api.users.__delete);
+
+        // API Keys
+        app.get(urljoin(settings.route, 'api/apikeys'), authorize(ROLE_ADMIN), api.apikeys.fetch);
+        app.post(urljoin(settings.route, 'api/apikeys/'), authorize(ROLE_ADMIN), api.apikeys.create);
+        app.get(urljoin(settings.route, 'api/apikeys/:id'), authorize(ROLE_ADMIN), api.apikeys.read);
+        app.put(urljoin(settings.route, 'api/apikeys/:id'), authorize(ROLE_ADMIN), api.apikeys.update);
+        app.delete(urljoin(settings.route, 'api/apikeys/:id'), authorize(ROLE_ADMIN), api.apikeys.__delete);
 
         // Watch
-        app.get(urljoin(settings.route, 'api/watch/files'), api.watch.getFiles);
-        app.post(urljoin(settings.route, 'api/watch/files'), api.watch.getFiles);
-        app.get(urljoin(settings.route, 'api/watch/file'), api.watch.readFile);
-        app.post(urljoin(settings.route, 'api/watch/file'), api.watch.readFile);
+        app.get(urljoin(settings.route, 'api/watch/files'), authorize(ROLE_VIEWER), api.watch.getFiles);
+        app.post(urljoin(settings.route, 'api/watch/files'), authorize(ROLE_VIEWER), api.watch.getFiles);
+        app.get(urljoin(settings.route, 'api/watch/file'), authorize(ROLE_VIEWER), api.watch.readFile);
+        app.post(urljoin(settings.route, 'api/watch/file'), authorize(ROLE_VIEWER), api.watch.readFile);
 
         // I18n
-        app.get(urljoin(settings.route, 'api/i18n/acceptedLng'), api.i18n.getAcceptedLanguage);
-        app.post(urljoin(settings.route, 'api/i18n/sendMissing/:__lng__/:__ns__'), api.i18n.saveMissing);
+        app.get(urljoin(settings.route, 'api/i18n/acceptedLng'), authorize(ROLE_VIEWER), api.i18n.getAcceptedLanguage);
+        app.post(urljoin(settings.route, 'api/i18n/sendMissing/:__lng__/:__ns__'), authorize(ROLE_VIEWER), api.i18n.saveMissing);
     }
 
     // page
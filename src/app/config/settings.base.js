@@ -24,6 +24,16 @@ export default {
     // Allow Remote Access
     allowRemoteAccess: false,
 
+    // Job History
+    // The job records are stored in ".cncjs-jobs.json" next to the config file
+    jobs: {
+        // The directory where the G-code programs of past jobs are stored
+        dir: path.resolve(getUserHome(), '.cncjs-jobs'),
+
+        // The maximum number of job records to keep
+        maxRecords: 500
+    },
+
     // Express view engine
     view: {
         // Set html (w/o dot) as the default extension
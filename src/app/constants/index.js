@@ -31,3 +31,8 @@ export const ERR_LENGTH_REQUIRED = 411;
 export const ERR_PRECONDITION_FAILED = 412;
 export const ERR_PAYLOAD_TOO_LARGE = 413;
 export const ERR_INTERNAL_SERVER_ERROR = 500;
+
+// User Roles
+export const ROLE_ADMIN = 'admin'; // Full access, including settings and user accounts
+export const ROLE_OPERATOR = 'operator'; // Operate the machine, but not change settings
+export const ROLE_VIEWER = 'viewer'; // Watch the machine without being able to control it
@@ -705,12 +705,12 @@ class Grbl extends events.EventEmitter {
         }
         if (type === GrblLineParserResultParameters) {
             const { name, value } = payload;
-            const { parameters } = this.state;
-            parameters[name] = value;
-
             const nextState = {
                 ...this.state,
-                parameters: parameters
+                parameters: {
+                    ...this.state.parameters,
+                    [name]: value
+                }
             };
             if (!_.isEqual(this.state.parameters, nextState.parameters)) {
                 this.state = nextState; // enforce state change
@@ -1,27 +1,70 @@
 import _ from 'lodash';
 import ExpressionEvaluator from 'expr-eval';
-import SerialPort from 'serialport';
+import ControlLock from '../../lib/control-lock';
 import ensureArray from '../../lib/ensure-array';
+import { parseEndpoint, renderPayload } from '../../lib/event-payload';
 import EventTrigger from '../../lib/event-trigger';
 import Feeder from '../../lib/feeder';
+import GCodeAnalyzer from '../../lib/gcode-analyzer';
+import HeightMap from '../../lib/height-map';
+import JobQueue from '../../lib/job-queue';
 import log from '../../lib/log';
+import checkMachineEnvelope, {
+    normalizeEnvelope,
+    ENVELOPE_CHECK_REFUSE,
+    ENVELOPE_CHECK_WARN,
+    ENVELOPE_CHECK_OFF
+} from '../../lib/machine-envelope';
+import ModalState from '../../lib/modal-state';
+import publishMqtt from '../../lib/mqtt-publisher';
+import Reconnector from '../../lib/reconnector';
 import Sender, { SP_TYPE_CHAR_COUNTING } from '../../lib/sender';
+import {
+    hasToolChange,
+    parseTool,
+    commentOutToolChange,
+    normalizeToolChangeOptions,
+    canProbeToolLength,
+    getToolChangeCommands,
+    getToolProbeCommands,
+    getToolLengthOffsetCommand,
+    TOOL_CHANGE_POLICY_IGNORE,
+    TOOL_CHANGE_POLICY_PAUSE,
+    TOOL_CHANGE_POLICY_PROBE,
+    TOOL_CHANGE_POLICY_MACRO,
+    TOOL_LENGTH_OFFSET_WCS,
+    TOOL_CHANGE_STATE_PENDING,
+    TOOL_CHANGE_STATE_PROBING_REFERENCE,
+    TOOL_CHANGE_STATE_WAITING,
+    TOOL_CHANGE_STATE_PROBING,
+    TOOL_CHANGE_STATE_RESUMING
+} from '../../lib/tool-change';
+import { createTransport } from '../../lib/transport';
+import postWebhook from '../../lib/webhook';
 import Workflow, {
     WORKFLOW_STATE_IDLE,
     WORKFLOW_STATE_RUNNING
 } from '../../lib/workflow';
 import config from '../../services/configstore';
+import jobHistory, {
+    JOB_OUTCOME_FINISHED,
+    JOB_OUTCOME_STOPPED,
+    JOB_OUTCOME_ALARM
+} from '../../services/jobhistory';
 import monitor from '../../services/monitor';
 import taskRunner from '../../services/taskrunner';
 import store from '../../store';
 import Grbl from './Grbl';
+import VirtualGrbl from './VirtualGrbl';
 import {
     GRBL,
+    GRBL_ACTIVE_STATE_IDLE,
     GRBL_ACTIVE_STATE_RUN,
     GRBL_REALTIME_COMMANDS,
     GRBL_ALARMS,
     GRBL_ERRORS,
-    GRBL_SETTINGS
+    GRBL_SETTINGS,
+    GRBL_VIRTUAL_PORT
 } from './constants';
 
 const noop = _.noop;
@@ -55,7 +98,7 @@ class GrblController {
                 log.warn(`[Grbl] Disconnected from serial port "${this.options.port}":`, err);
             }
 
-            this.close();
+            this.reconnect();
         },
         error: (err) => {
             this.ready = false;
@@ -76,6 +119,7 @@ class GrblController {
             reply: false // wait for an `ok` or `error` response
         },
         queryStatusReport: false,
+        querySettings: false, // wait for an `ok` or `error` response after querying the settings ($$)
 
         // Respond to user input
         replyParserState: false, // $G
@@ -98,6 +142,30 @@ class GrblController {
     // Workflow
     workflow = null;
 
+    // Reconnection
+    reconnector = null;
+    recovery = null; // The last acknowledged line of the program that was running when the serial port was disconnected
+
+    // Job History
+    job = null;
+
+    // Job Queue
+    queue = null;
+
+    // G-code Analysis
+    analysis = null;
+    analysisKinematics = null; // The rate and acceleration settings used for the analysis
+
+    // Height Map
+    heightMap = null;
+    heightMapProbe = null;
+    applyHeightMap = false;
+
+    // Tool Change
+    tool = null; // The tool selected by the last T word
+    toolChange = null;
+    toolLengthReference = null;
+
     translateWithContext = (gcode, context = {}) => {
         if (typeof gcode !== 'string') {
             log.error(`[Grbl] No valid G-code string: gcode=${gcode}`);
@@ -150,12 +218,22 @@ class GrblController {
         };
 
         // Event Trigger
-        this.event = new EventTrigger((event, trigger, commands) => {
+        this.event = new EventTrigger((event, trigger, commands, context) => {
             log.debug(`[Grbl] EventTrigger: event="${event}", trigger="${trigger}", commands="${commands}"`);
             if (trigger === 'system') {
                 taskRunner.run(commands);
+            } else if (trigger === 'webhook' || trigger === 'mqtt') {
+                const { url, template } = parseEndpoint(commands);
+                const payload = renderPayload(template, this.getEventContext(event, context));
+                const send = (trigger === 'webhook') ? postWebhook : publishMqtt;
+
+                send(url, payload, (err) => {
+                    if (err) {
+                        log.error(`[Grbl] Failed to send the "${event}" event with the ${trigger} trigger: ${err.message}`);
+                    }
+                });
             } else {
-                this.command(null, 'gcode', commands);
+                this.command(null, 'gcode', commands, this.getEventContext(event, context));
             }
         });
 
@@ -206,24 +284,102 @@ class GrblController {
             }
 
             gcode = ('' + gcode).trim();
+
+            // Tool Change
+            gcode = this.interceptToolChange(gcode);
+
             if (gcode.length > 0) {
                 this.serialport.write(gcode + '\n');
                 dbg(`[Grbl] > ${gcode}`);
             }
         });
 
+        this.sender.on('end', () => {
+            this.event.trigger('gcode:end');
+
+            this.finishJob(JOB_OUTCOME_FINISHED);
+
+            // Proceed to the next job in the queue
+            this.queue.finish();
+        });
+
         // Workflow
         this.workflow = new Workflow();
         this.workflow.on('start', () => {
             this.sender.rewind();
         });
         this.workflow.on('stop', () => {
+            this.finishJob(JOB_OUTCOME_STOPPED);
+            this.clearToolChange();
             this.sender.rewind();
         });
         this.workflow.on('resume', () => {
             this.sender.next();
         });
 
+        // Reconnection
+        this.reconnector = new Reconnector(config.get('reconnect'));
+        this.reconnector.on('attempt', ({ attempt, delay, remainingTime }) => {
+            const { port } = this.options;
+
+            log.debug(`[Grbl] Reconnect to serial port "${port}" in ${delay}ms: attempt=${attempt}`);
+
+            this.emitAll('serialport:reconnecting', {
+                port: port,
+                attempt: attempt,
+                delay: delay,
+                remainingTime: remainingTime
+            });
+        });
+        this.reconnector.on('reconnect', () => {
+            const { port, baudrate } = this.options;
+            const recovery = this.recovery;
+
+            this.recovery = null;
+
+            this.emitAll('serialport:open', {
+                port: port,
+                baudrate: baudrate,
+                controllerType: this.type,
+                inuse: true
+            });
+            this.emitAll('serialport:reconnected', {
+                port: port,
+                recovery: recovery
+            });
+
+            log.info(`[Grbl] Reconnected to serial port "${port}": recovery=${JSON.stringify(recovery)}`);
+
+            this.event.trigger('port:open', { baudrate: baudrate });
+
+            // Clear action values
+            this.clearActionValues();
+        });
+        this.reconnector.on('fail', () => {
+            log.error(`[Grbl] Cannot reconnect to serial port "${this.options.port}" within ${this.reconnector.gracePeriod}ms`);
+
+            this.recovery = null;
+            this.close();
+        });
+
+        // Control Lock
+        this.controlLock = new ControlLock();
+        this.controlLock.on('change', () => {
+            this.emitAll('controller:lock', this.controlLock.toJSON());
+        });
+
+        // Job Queue
+        this.queue = new JobQueue();
+        this.queue.on('change', () => {
+            this.emitAll('queue:status', this.queue.toJSON());
+        });
+        this.queue.on('job', (job) => {
+            // Wait until the sender has finished processing the previous program
+            setImmediate(() => {
+                this.runQueuedJob(job);
+            });
+        });
+
         // Grbl
         this.grbl = new Grbl();
 
@@ -252,6 +408,11 @@ class GrblController {
         });
 
         this.grbl.on('ok', (res) => {
+            if (this.actionMask.querySettings) {
+                this.actionMask.querySettings = false;
+                return;
+            }
+
             if (this.actionMask.queryParserState.reply) {
                 if (this.actionMask.replyParserState) {
                     this.actionMask.replyParserState = false;
@@ -278,6 +439,17 @@ class GrblController {
             const code = Number(res.message) || undefined;
             const error = _.find(GRBL_ERRORS, { code: code });
 
+            if (this.actionMask.querySettings) {
+                this.actionMask.querySettings = false;
+                log.warn(`[Grbl] Unable to query the settings: ${res.raw}`);
+                return;
+            }
+
+            this.event.trigger('error', {
+                code: code,
+                message: error ? error.message : res.message
+            });
+
             // Sender
             if (this.workflow.state === WORKFLOW_STATE_RUNNING) {
                 const { lines, received } = this.sender.state;
@@ -292,6 +464,13 @@ class GrblController {
                     this.emitAll('serialport:read', res.raw);
                 }
 
+                if (this.job) {
+                    jobHistory.addError(this.job, {
+                        line: received + 1,
+                        message: error ? `error:${code} (${error.message})` : res.raw
+                    });
+                }
+
                 this.sender.ack();
                 this.sender.next();
                 return;
@@ -313,6 +492,11 @@ class GrblController {
             const code = Number(res.message) || undefined;
             const alarm = _.find(GRBL_ALARMS, { code: code });
 
+            this.event.trigger('alarm', {
+                code: code,
+                message: alarm ? alarm.message : res.message
+            });
+
             if (alarm) {
                 // Grbl v1.1
                 this.emitAll('serialport:read', `ALARM:${code} (${alarm.message})`);
@@ -320,6 +504,12 @@ class GrblController {
                 // Grbl v0.9
                 this.emitAll('serialport:read', res.raw);
             }
+
+            // Job History
+            this.finishJob(JOB_OUTCOME_ALARM);
+
+            // Height Map
+            this.cancelHeightMapProbe();
         });
 
         this.grbl.on('parserstate', (res) => {
@@ -333,6 +523,41 @@ class GrblController {
 
         this.grbl.on('parameters', (res) => {
             this.emitAll('serialport:read', res.raw);
+
+            if (res.name === 'PRB') {
+                this.event.trigger('probe:done', _.mapValues(res.value, Number));
+            }
+
+            // Height Map
+            if (res.name === 'PRB' && this.heightMapProbe) {
+                // Positions are reported in inches if the report inches setting ($13) is enabled
+                const settings = _.get(this.grbl.state, 'settings', {});
+                const factor = (Number(settings.$13) === 1) ? 25.4 : 1;
+                const { result, z } = { ...res.value };
+
+                if (result === 1) {
+                    this.addHeightMapPoint(Number(z) * factor);
+                } else {
+                    this.cancelHeightMapProbe();
+                }
+            }
+
+            // Tool Change
+            if (res.name === 'PRB' && this.isProbingToolLength()) {
+                // Positions are reported in inches if the report inches setting ($13) is enabled
+                const settings = _.get(this.grbl.state, 'settings', {});
+                const factor = (Number(settings.$13) === 1) ? 25.4 : 1;
+                const { result, z } = { ...res.value };
+                const mpos = this.grbl.getMachinePosition();
+                const wpos = this.grbl.getWorkPosition();
+                const offsetZ = ((Number(mpos.z) || 0) - (Number(wpos.z) || 0)) * factor;
+
+                if (result === 1) {
+                    this.addToolLengthProbe(Number(z) * factor, offsetZ);
+                } else {
+                    this.cancelToolLengthProbe();
+                }
+            }
         });
 
         this.grbl.on('feedback', (res) => {
@@ -342,13 +567,21 @@ class GrblController {
         this.grbl.on('settings', (res) => {
             const setting = _.find(GRBL_SETTINGS, { setting: res.setting });
 
-            if (!res.message && setting) {
+            // The settings queried by the controller are not shown in the console
+            if (this.actionMask.querySettings) {
+                // Ignore
+            } else if (!res.message && setting) {
                 // Grbl v1.1
                 this.emitAll('serialport:read', `${res.setting}=${res.value} (${setting.message}, ${setting.units})`);
             } else {
                 // Grbl v0.9
                 this.emitAll('serialport:read', res.raw);
             }
+
+            // Analyze the loaded G-code again if the rate and acceleration settings have been changed
+            if (this.analysis && !_.isEqual(this.analysisKinematics, this.getKinematics())) {
+                this.analyzeGCode();
+            }
         });
 
         this.grbl.on('startup', (res) => {
@@ -357,10 +590,18 @@ class GrblController {
             // Set ready flag to true when a Grbl start up message has arrived
             this.ready = true;
 
+            this.event.trigger('startup', { version: res.version });
+
             // The start up message always prints upon startup, after a reset, or at program end.
             // Setting the initial state when Grbl has completed re-initializing all systems.
 
             this.clearActionValues();
+
+            // Query the settings for estimating the run time and for the machine envelope ($130-$132)
+            if (this.isOpen()) {
+                this.actionMask.querySettings = true;
+                this.serialport.write('$$\n');
+            }
         });
 
         this.grbl.on('others', (res) => {
@@ -437,10 +678,19 @@ class GrblController {
                 this.emitAll('sender:status', this.sender.toJSON());
             }
 
+            // Tool Change
+            this.processToolChange();
+
             // Grbl state
             if (this.state !== this.grbl.state) {
+                const prevActiveState = _.get(this.state, 'status.activeState', '');
                 this.state = this.grbl.state;
                 this.emitAll('Grbl:state', this.state);
+
+                const activeState = _.get(this.state, 'status.activeState', '');
+                if (prevActiveState && prevActiveState !== activeState && activeState === GRBL_ACTIVE_STATE_IDLE) {
+                    this.event.trigger('controller:idle');
+                }
             }
 
             // Wait for the bootloader to complete before sending commands
@@ -460,11 +710,414 @@ class GrblController {
         this.actionMask.queryParserState.state = false;
         this.actionMask.queryParserState.reply = false;
         this.actionMask.queryStatusReport = false;
+        this.actionMask.querySettings = false;
         this.actionMask.replyParserState = false;
         this.actionMask.replyStatusReport = false;
         this.actionTime.queryParserState = 0;
         this.actionTime.queryStatusReport = 0;
     }
+    // Loads and starts a job from the job queue.
+    runQueuedJob(job) {
+        const { id, name, gcode, context } = job;
+
+        if (this.isClose()) {
+            this.queue.stop();
+            return;
+        }
+
+        this.command(null, 'gcode:load', name, gcode, context, (err) => {
+            if (err) {
+                log.error(`[Grbl] Failed to load "${name}" from the job queue:`, err);
+                this.queue.stop();
+                return;
+            }
+
+            this.command(null, 'gcode:start');
+
+            if (this.workflow.state !== WORKFLOW_STATE_RUNNING) {
+                log.error(`[Grbl] Failed to start "${name}" from the job queue`);
+                this.queue.stop();
+                return;
+            }
+
+            this.emitAll('queue:job', { id, name });
+        });
+    }
+    // Returns the event details for rendering the payload of a webhook or MQTT trigger.
+    // @param {string} event The event name.
+    // @param {object} [context] The details specific to the event.
+    getEventContext(event, context = {}) {
+        const { name, size, total, sent, received, elapsedTime, remainingTime } = this.sender.toJSON();
+
+        return {
+            event: event,
+            port: this.options.port,
+            controller: this.type,
+            activeState: _.get(this.state, 'status.activeState', ''),
+            workflowState: this.workflow.state,
+            name: name,
+            size: size,
+            total: total,
+            sent: sent,
+            received: received,
+            progress: (total > 0) ? Math.floor(received / total * 100) : 0,
+            elapsedTime: elapsedTime,
+            remainingTime: remainingTime,
+            timestamp: new Date().toISOString(),
+            ...context
+        };
+    }
+    // Records the outcome of the running job to the job history.
+    finishJob(outcome) {
+        if (!this.job) {
+            return;
+        }
+
+        const { total, sent, received } = this.sender.state;
+        jobHistory.finish(this.job, { outcome, total, sent, received });
+        this.job = null;
+    }
+    // Returns the rate and acceleration settings reported by Grbl ($110-$122) and the junction deviation ($11),
+    // or null if the settings have not been reported yet.
+    getKinematics() {
+        const settings = _.get(this.grbl.state, 'settings', {});
+        const names = ['$110', '$111', '$112', '$120', '$121', '$122'];
+
+        if (names.some(name => settings[name] === undefined)) {
+            return null;
+        }
+
+        return {
+            maxRates: { x: settings.$110, y: settings.$111, z: settings.$112 },
+            accelerations: { x: settings.$120, y: settings.$121, z: settings.$122 },
+            junctionDeviation: settings.$11
+        };
+    }
+    // Analyzes the loaded G-code to estimate the run time with the rate and acceleration settings of Grbl.
+    // The run time will not be estimated until the settings have been reported by Grbl.
+    analyzeGCode() {
+        const kinematics = this.getKinematics();
+        const analyzer = new GCodeAnalyzer(kinematics);
+        const { lineTimes, ...analysis } = analyzer.analyze(this.sender.state.lines);
+
+        if (kinematics) {
+            this.sender.setTimeEstimate(lineTimes);
+        } else {
+            analysis.estimatedTime = null;
+        }
+
+        this.analysis = analysis;
+        this.analysisKinematics = kinematics;
+        this.emitAll('gcode:analysis', {
+            name: this.sender.state.name,
+            ...analysis
+        });
+
+        log.debug(`[Grbl] Analyze G-code: estimatedTime=${analysis.estimatedTime}ms, tools=${JSON.stringify(analysis.tools)}`);
+    }
+    // Returns the clearance height in work coordinates (mm) for resuming a program from an arbitrary line, or null if not specified.
+    // The clearance for the port takes precedence over the clearance for all machines.
+    getClearance() {
+        const { port } = this.options;
+        const clearance = config.get(['machines', port, 'clearance'], config.get('machine.clearance'));
+        return Number.isFinite(clearance) ? clearance : null;
+    }
+    // Returns the retract height in machine coordinates (mm), or null if unknown.
+    // The home position is at the top of the Z travel if homing ($22) is enabled.
+    getRetractHeight() {
+        const z = _.get(this.getMachineEnvelope(), 'max.z');
+        if (Number.isFinite(z)) {
+            return z;
+        }
+
+        const settings = _.get(this.grbl.state, 'settings', {});
+        return (Number(settings.$22) > 0) ? 0 : null;
+    }
+    // Returns the machine envelope in machine coordinates, or null if the envelope is unknown.
+    // The envelope in the configuration file takes precedence over the max travel settings ($130-$132) of Grbl.
+    getMachineEnvelope() {
+        const envelope = normalizeEnvelope(config.get('machine.envelope'));
+        if (envelope) {
+            return envelope;
+        }
+
+        const settings = _.get(this.grbl.state, 'settings', {});
+        if (settings.$130 === undefined || settings.$131 === undefined || settings.$132 === undefined) {
+            return null;
+        }
+
+        // The machine position is not meaningful unless the machine is homed
+        if (!(Number(settings.$22) > 0)) {
+            return null;
+        }
+
+        // Grbl uses a negative machine space with the home position at the origin
+        return normalizeEnvelope({
+            min: { x: -settings.$130, y: -settings.$131, z: -settings.$132 },
+            max: { x: 0, y: 0, z: 0 }
+        });
+    }
+    // Checks the toolpath of the loaded G-code against the machine envelope with the current work coordinate offset.
+    // @param {string} stage The stage of the check. One of "load" or "start".
+    // @return {object} The preflight report.
+    preflightCheck(stage) {
+        const action = config.get('machine.envelopeCheck', ENVELOPE_CHECK_WARN);
+        const envelope = (action !== ENVELOPE_CHECK_OFF) ? this.getMachineEnvelope() : null;
+        const report = {
+            name: this.sender.state.name,
+            stage: stage,
+            action: action,
+            envelope: envelope,
+            offset: null,
+            bbox: null,
+            violations: []
+        };
+
+        if (!envelope || !this.analysis) {
+            return report;
+        }
+
+        // Positions are reported in inches if the report inches setting ($13) is enabled
+        const settings = _.get(this.grbl.state, 'settings', {});
+        const factor = (Number(settings.$13) === 1) ? 25.4 : 1;
+        const mpos = this.grbl.getMachinePosition();
+        const wpos = this.grbl.getWorkPosition();
+        const offset = _.mapValues({ x: 0, y: 0, z: 0 }, (value, axis) => {
+            return ((Number(mpos[axis]) || 0) - (Number(wpos[axis]) || 0)) * factor;
+        });
+        const { bbox, violations } = checkMachineEnvelope(this.analysis.bbox, offset, envelope);
+
+        return {
+            ...report,
+            offset,
+            bbox,
+            violations
+        };
+    }
+    getHeightMapStatus() {
+        const probe = this.heightMapProbe;
+        const heightMap = probe ? probe.heightMap : this.heightMap;
+
+        return {
+            probing: !!probe,
+            probed: probe ? probe.index : 0,
+            total: probe ? probe.points.length : 0,
+            apply: this.applyHeightMap,
+            heightMap: heightMap ? heightMap.toJSON() : null
+        };
+    }
+    // Records the probed height of the next point of the height map.
+    // The heights are relative to the first probed point.
+    // @param {number} z The Z position of the probe in millimeters.
+    addHeightMapPoint(z) {
+        const probe = this.heightMapProbe;
+        const { col, row } = probe.points[probe.index];
+
+        if (probe.index === 0) {
+            probe.reference = z;
+        }
+        probe.heightMap.setHeight(col, row, z - probe.reference);
+        probe.index++;
+
+        if (probe.index >= probe.points.length) {
+            log.debug(`[Grbl] Height map probing completed: points=${probe.points.length}`);
+            this.heightMap = probe.heightMap;
+            this.heightMapProbe = null;
+        }
+
+        this.emitAll('heightmap:status', this.getHeightMapStatus());
+    }
+    cancelHeightMapProbe() {
+        if (!this.heightMapProbe) {
+            return;
+        }
+
+        const { index, points } = this.heightMapProbe;
+        log.warn(`[Grbl] Height map probing cancelled: probed=${index}, total=${points.length}`);
+        this.heightMapProbe = null;
+
+        this.emitAll('heightmap:status', this.getHeightMapStatus());
+    }
+    // Returns the tool change options. The options for the port take precedence over the options for all machines.
+    getToolChangeOptions() {
+        const { port } = this.options;
+        const options = config.get(['machines', port, 'toolChange'], config.get('machine.toolChange'));
+        return normalizeToolChangeOptions(options);
+    }
+    getToolChangeStatus() {
+        if (!this.toolChange) {
+            return null;
+        }
+
+        const { state, tool, options } = this.toolChange;
+
+        return {
+            state: state,
+            tool: tool,
+            policy: options.policy,
+            reference: !!this.toolLengthReference
+        };
+    }
+    setToolChangeState(state) {
+        this.toolChange.state = state;
+        this.emitAll('toolchange:status', this.getToolChangeStatus());
+    }
+    // Holds off sending the program if the line contains M6, and comments out M6 to prevent the controller from ignoring or rejecting it.
+    // @param {string} gcode The line to send.
+    // @return {string} The line to send.
+    interceptToolChange(gcode) {
+        const tool = parseTool(gcode);
+        if (tool !== null) {
+            this.tool = tool;
+        }
+
+        if (!hasToolChange(gcode)) {
+            return gcode;
+        }
+
+        const options = this.getToolChangeOptions();
+        if (options.policy === TOOL_CHANGE_POLICY_IGNORE) {
+            return gcode;
+        }
+
+        if (options.policy === TOOL_CHANGE_POLICY_PROBE && !canProbeToolLength(options)) {
+            log.error('[Grbl] The tool length sensor position is not specified, the tool length will not be probed');
+            options.policy = TOOL_CHANGE_POLICY_PAUSE;
+        }
+
+        log.debug(`[Grbl] Tool change: tool=${this.tool}, policy=${options.policy}`);
+
+        this.toolChange = {
+            state: TOOL_CHANGE_STATE_PENDING,
+            tool: this.tool,
+            options: options
+        };
+        this.sender.hold({ data: 'M6', tool: this.tool });
+        this.emitAll('toolchange:status', this.getToolChangeStatus());
+        this.event.trigger('toolchange', { tool: this.tool });
+
+        return commentOutToolChange(gcode);
+    }
+    // Proceeds with the tool change once the controller has processed the commands.
+    processToolChange() {
+        if (!this.toolChange) {
+            return;
+        }
+
+        const { state, options } = this.toolChange;
+
+        if (state === TOOL_CHANGE_STATE_PENDING) {
+            const { sent, received } = this.sender.state;
+
+            // Wait for the lines before M6 to be acknowledged
+            if (received < sent) {
+                return;
+            }
+
+            // Switch to the feeder for sending the tool change commands
+            this.workflow.pause();
+
+            if (options.policy === TOOL_CHANGE_POLICY_PROBE && !this.toolLengthReference) {
+                // Probe the current tool for a reference length before changing the tool
+                this.setToolChangeState(TOOL_CHANGE_STATE_PROBING_REFERENCE);
+                this.command(null, 'gcode', getToolProbeCommands(options, _.get(this.grbl.state, 'parserstate.modal')));
+                return;
+            }
+
+            this.moveToToolChangePosition();
+            return;
+        }
+
+        if (state === TOOL_CHANGE_STATE_RESUMING) {
+            // Wait for the tool change commands to be acknowledged
+            if (this.feeder.isPending() || this.feeder.size() > 0) {
+                return;
+            }
+
+            log.debug(`[Grbl] Tool change completed: tool=${this.toolChange.tool}`);
+
+            this.toolChange = null;
+            this.emitAll('toolchange:status', null);
+            this.sender.unhold();
+            this.workflow.resume();
+        }
+    }
+    moveToToolChangePosition() {
+        const { tool, options } = this.toolChange;
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_WAITING);
+        this.command(null, 'gcode', getToolChangeCommands(options, _.get(this.grbl.state, 'parserstate.modal')));
+
+        if (options.policy === TOOL_CHANGE_POLICY_MACRO) {
+            this.command(null, 'macro:run', options.macro, { tool: tool });
+        }
+    }
+    // Continues the program after the user has changed the tool.
+    resumeToolChange() {
+        if (!this.toolChange || this.toolChange.state !== TOOL_CHANGE_STATE_WAITING) {
+            log.error('[Grbl] Cannot resume the tool change: No tool change is waiting for confirmation');
+            return;
+        }
+
+        const { options } = this.toolChange;
+
+        if (options.policy === TOOL_CHANGE_POLICY_PROBE) {
+            this.setToolChangeState(TOOL_CHANGE_STATE_PROBING);
+            this.command(null, 'gcode', getToolProbeCommands(options, _.get(this.grbl.state, 'parserstate.modal')));
+            return;
+        }
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+    }
+    // Records the probed tool length, and compensates for the length difference from the reference tool.
+    // @param {number} z The Z position of the probe in millimeters.
+    // @param {number} offsetZ The current Z offset of the work coordinate system in millimeters.
+    addToolLengthProbe(z, offsetZ) {
+        const { state, options } = this.toolChange;
+
+        if (state === TOOL_CHANGE_STATE_PROBING_REFERENCE || !this.toolLengthReference) {
+            log.debug(`[Grbl] Tool length reference: z=${z}`);
+            this.toolLengthReference = { z: z };
+
+            if (state === TOOL_CHANGE_STATE_PROBING_REFERENCE) {
+                this.moveToToolChangePosition();
+            } else {
+                this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+            }
+            return;
+        }
+
+        const command = getToolLengthOffsetCommand(options, _.get(this.grbl.state, 'parserstate.modal'), this.toolLengthReference, { z, offsetZ });
+        log.debug(`[Grbl] Tool length offset: z=${z}, reference=${this.toolLengthReference.z}, command="${command}"`);
+
+        if (options.offset === TOOL_LENGTH_OFFSET_WCS) {
+            // The work coordinate offset is adjusted for the new tool, which becomes the reference for the next tool change
+            this.toolLengthReference = { z: z };
+        }
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+        this.command(null, 'gcode', command);
+    }
+    isProbingToolLength() {
+        if (!this.toolChange) {
+            return false;
+        }
+
+        const { state } = this.toolChange;
+        return (state === TOOL_CHANGE_STATE_PROBING_REFERENCE) || (state === TOOL_CHANGE_STATE_PROBING);
+    }
+    cancelToolLengthProbe() {
+        log.error('[Grbl] Failed to probe the tool length');
+        this.setToolChangeState(TOOL_CHANGE_STATE_WAITING);
+    }
+    clearToolChange() {
+        if (!this.toolChange) {
+            return;
+        }
+
+        this.toolChange = null;
+        this.emitAll('toolchange:status', null);
+    }
     destroy() {
         this.connections = {};
 
@@ -488,6 +1141,23 @@ class GrblController {
             this.workflow = null;
         }
 
+        if (this.queue) {
+            this.queue.removeAllListeners();
+            this.queue = null;
+        }
+
+        if (this.reconnector) {
+            this.reconnector.removeAllListeners();
+            this.reconnector.stop();
+            this.reconnector = null;
+        }
+
+        if (this.controlLock) {
+            this.controlLock.removeAllListeners();
+            this.controlLock.destroy();
+            this.controlLock = null;
+        }
+
         if (this.queryTimer) {
             clearInterval(this.queryTimer);
             this.queryTimer = null;
@@ -508,9 +1178,16 @@ class GrblController {
                 type: this.type,
                 state: this.state
             },
+            activeState: _.get(this.state, 'status.activeState', ''),
+            machinePosition: this.grbl.getMachinePosition(),
+            workPosition: this.grbl.getWorkPosition(),
             workflowState: this.workflow.state,
             feeder: this.feeder.toJSON(),
-            sender: this.sender.toJSON()
+            sender: this.sender.toJSON(),
+            queue: this.queue.toJSON(),
+            toolChange: this.getToolChangeStatus(),
+            lock: this.controlLock.toJSON(),
+            reconnect: this.reconnector.toJSON()
         };
     }
     open(callback = noop) {
@@ -522,14 +1199,7 @@ class GrblController {
             return;
         }
 
-        this.serialport = new SerialPort(this.options.port, {
-            autoOpen: false,
-            baudRate: this.options.baudrate,
-            parser: SerialPort.parsers.readline('\n')
-        });
-        this.serialport.on('data', this.serialportListener.data);
-        this.serialport.on('disconnect', this.serialportListener.disconnect);
-        this.serialport.on('error', this.serialportListener.error);
+        this.createSerialPort();
         this.serialport.open((err) => {
             if (err) {
                 log.error(`[Grbl] Error opening serial port "${port}":`, err);
@@ -549,6 +1219,8 @@ class GrblController {
 
             log.debug(`[Grbl] Connected to serial port "${port}"`);
 
+            this.event.trigger('port:open', { baudrate: baudrate });
+
             this.workflow.stop();
 
             // Clear action values
@@ -560,15 +1232,87 @@ class GrblController {
             }
         });
     }
+    // Creates the serial port, or the network connection, and listens to it.
+    createSerialPort() {
+        const { port, baudrate } = this.options;
+
+        if (port === GRBL_VIRTUAL_PORT) {
+            // Use a simulated Grbl device for development and testing without hardware
+            this.serialport = new VirtualGrbl(port, {
+                baudRate: baudrate
+            });
+        } else {
+            this.serialport = createTransport(port, {
+                baudrate: baudrate
+            });
+        }
+        this.serialport.on('data', this.serialportListener.data);
+        this.serialport.on('disconnect', this.serialportListener.disconnect);
+        this.serialport.on('error', this.serialportListener.error);
+    }
+    // Stops listening to the serial port, and closes it if it is still open.
+    releaseSerialPort() {
+        const { port } = this.options;
+        const serialport = this.serialport;
+
+        if (!serialport) {
+            return;
+        }
+
+        this.serialport = null;
+        serialport.removeListener('data', this.serialportListener.data);
+        serialport.removeListener('disconnect', this.serialportListener.disconnect);
+        serialport.removeListener('error', this.serialportListener.error);
+        if (serialport.isOpen()) {
+            serialport.close((err) => {
+                if (err) {
+                    log.error(`[Grbl] Error closing serial port "${port}":`, err);
+                }
+            });
+        }
+    }
+    // Keeps the controller, along with the loaded G-code, after the serial port is disconnected unexpectedly,
+    // and tries to reopen the serial port until the grace period expires.
+    reconnect() {
+        const { port } = this.options;
+
+        if (!this.reconnector.isEnabled()) {
+            this.close();
+            return;
+        }
+
+        // Remember the last acknowledged line before the workflow stops and rewinds the program
+        const { name, total, received } = this.sender.state;
+        this.recovery = (this.workflow.state !== WORKFLOW_STATE_IDLE && total > 0) ? { name, total, line: received } : null;
+
+        this.releaseSerialPort();
+        this.feeder.clear();
+        this.workflow.stop();
+
+        log.warn(`[Grbl] Lost connection to serial port "${port}": recovery=${JSON.stringify(this.recovery)}`);
+
+        this.reconnector.start((callback) => {
+            this.createSerialPort();
+            this.serialport.open((err) => {
+                if (err) {
+                    this.releaseSerialPort();
+                }
+                callback(err);
+            });
+        });
+    }
     close() {
         const { port } = this.options;
 
         // Assertion check
-        if (!this.serialport) {
+        if (!this.serialport && !(this.reconnector && this.reconnector.isActive())) {
             log.error(`[Grbl] Serial port "${port}" is not available`);
             return;
         }
 
+        // Stop reconnecting
+        this.reconnector.stop();
+
         // Stop status query
         this.ready = false;
 
@@ -576,6 +1320,7 @@ class GrblController {
             port: port,
             inuse: false
         });
+        this.event.trigger('port:close');
         store.unset('controllers["' + port + '"]');
 
         if (this.isOpen()) {
@@ -589,6 +1334,8 @@ class GrblController {
             });
         }
 
+        this.finishJob(JOB_OUTCOME_STOPPED);
+
         this.destroy();
     }
     isOpen() {
@@ -615,6 +1362,26 @@ class GrblController {
             // Send sender status to a newly connected client
             socket.emit('sender:status', this.sender.toJSON());
         }
+
+        if (this.analysis) {
+            // Send the analysis of the loaded G-code to a newly connected client
+            socket.emit('gcode:analysis', {
+                name: this.sender.state.name,
+                ...this.analysis
+            });
+        }
+
+        // Send height map status to a newly connected client
+        socket.emit('heightmap:status', this.getHeightMapStatus());
+
+        // Send job queue status to a newly connected client
+        socket.emit('queue:status', this.queue.toJSON());
+
+        // Send tool change status to a newly connected client
+        socket.emit('toolchange:status', this.getToolChangeStatus());
+
+        // Send control lock status to a newly connected client
+        socket.emit('controller:lock', this.controlLock.toJSON());
     }
     removeConnection(socket) {
         if (!socket) {
@@ -625,6 +1392,9 @@ class GrblController {
         log.debug(`[Grbl] Remove socket connection: id=${socket.id}`);
         this.connections[socket.id] = undefined;
         delete this.connections[socket.id];
+
+        // Keep the lock until the timeout expires if the lock holder has disconnected
+        this.controlLock.disconnect(socket);
     }
     emitAll(eventName, ...args) {
         Object.keys(this.connections).forEach(id => {
@@ -632,6 +1402,7 @@ class GrblController {
             socket.emit.apply(socket, [eventName].concat(args));
         });
     }
+    // Returns false if the command is unknown, true otherwise.
     command(socket, cmd, ...args) {
         const handler = {
             'gcode:load': () => {
@@ -648,6 +1419,12 @@ class GrblController {
                     gcode = this.translateWithContext(gcode, context);
                 }
 
+                if (this.heightMap && this.applyHeightMap) {
+                    // Compensate the Z positions for the surface height of the workpiece
+                    gcode = this.heightMap.compensate(gcode.split('\n')).join('\n');
+                    log.debug(`[Grbl] Apply height map: name="${name}"`);
+                }
+
                 const ok = this.sender.load(name, gcode, context);
                 if (!ok) {
                     callback(new Error(`Invalid G-code: name=${name}`));
@@ -658,6 +1435,10 @@ class GrblController {
 
                 log.debug(`[Grbl] Load G-code: name="${this.sender.state.name}", size=${this.sender.state.gcode.length}, total=${this.sender.state.total}`);
 
+                this.analyzeGCode();
+
+                this.emitAll('gcode:preflight', this.preflightCheck('load'));
+
                 this.workflow.stop();
 
                 callback(null, { name, gcode, context });
@@ -668,6 +1449,9 @@ class GrblController {
                 // Sender
                 this.sender.unload();
 
+                this.analysis = null;
+                this.analysisKinematics = null;
+
                 this.event.trigger('gcode:unload');
             },
             'start': () => {
@@ -675,14 +1459,79 @@ class GrblController {
                 this.command(socket, 'gcode:start');
             },
             'gcode:start': () => {
+                const [options] = args;
+                const { startFromLine = 1 } = { ...options };
+                const { name, lines, total } = this.sender.state;
+
+                if (startFromLine > 1 && startFromLine > total) {
+                    log.error(`[Grbl] Cannot start from line ${startFromLine}: total=${total}`);
+                    this.emitAll('gcode:start', { name, startLine: startFromLine, err: `The program has only ${total} lines` });
+                    return;
+                }
+
+                // Replay the preceding lines to restore the modal state before resuming the program
+                let preamble = [];
+                if (startFromLine > 1) {
+                    const modalState = new ModalState();
+                    lines.slice(0, startFromLine - 1).forEach(line => {
+                        modalState.update(line);
+                    });
+
+                    try {
+                        // Retract to the upper Z limit of the machine envelope, or to the home position if homing is enabled.
+                        // Otherwise, retract to the clearance height in work coordinates.
+                        preamble = modalState.toGCode({
+                            clearance: this.getClearance(),
+                            machineZ: this.getRetractHeight()
+                        });
+                    } catch (err) {
+                        log.error(`[Grbl] Cannot start from line ${startFromLine}: ${err.message}`);
+                        this.emitAll('serialport:read', `Cannot start from line ${startFromLine}: ${err.message}`);
+                        this.emitAll('gcode:start', { name, startLine: startFromLine, err: err.message });
+                        return;
+                    }
+                }
+
+                // Check the toolpath against the machine envelope
+                const report = this.preflightCheck('start');
+                const refused = (report.violations.length > 0) && (report.action === ENVELOPE_CHECK_REFUSE);
+                report.violations.forEach(({ axis, min, max, limit }) => {
+                    const range = `min=${min.toFixed(3)}, max=${max.toFixed(3)}`;
+                    log.warn(`[Grbl] Out of bounds: axis=${axis.toUpperCase()}, ${range}, limit=${JSON.stringify(limit)}`);
+                });
+                this.emitAll('gcode:preflight', { ...report, refused });
+
+                if (refused) {
+                    log.error(`[Grbl] Refused to start "${report.name}": The toolpath exceeds the machine envelope`);
+                    this.emitAll('gcode:start', { name, startLine: startFromLine, err: 'The toolpath exceeds the machine envelope' });
+                    return;
+                }
+
                 this.event.trigger('gcode:start');
 
                 this.workflow.start();
+                this.emitAll('gcode:start', { name, startLine: startFromLine, err: null });
 
                 // Feeder
                 this.feeder.clear();
 
                 // Sender
+                if (startFromLine > 1) {
+                    log.debug(`[Grbl] Start from line ${startFromLine}: preamble=${JSON.stringify(preamble)}`);
+
+                    this.sender.seek(startFromLine - 1, preamble);
+                }
+
+                // Job History
+                this.finishJob(JOB_OUTCOME_STOPPED);
+                this.job = jobHistory.start({
+                    controllerType: this.type,
+                    port: this.options.port,
+                    name: this.sender.state.name,
+                    gcode: this.sender.state.gcode,
+                    startLine: startFromLine
+                });
+
                 this.sender.next();
             },
             'stop': () => {
@@ -692,6 +1541,11 @@ class GrblController {
             'gcode:stop': () => {
                 this.event.trigger('gcode:stop');
 
+                // Stopping a running job will also stop the job queue
+                if (this.queue.isRunning()) {
+                    this.queue.stop();
+                }
+
                 this.workflow.stop();
 
                 const activeState = _.get(this.state, 'status.activeState', '');
@@ -724,7 +1578,10 @@ class GrblController {
 
                 this.write(socket, '~');
 
-                this.workflow.resume();
+                // The program will be resumed after the tool change
+                if (!this.toolChange) {
+                    this.workflow.resume();
+                }
             },
             'feedhold': () => {
                 this.event.trigger('feedhold');
@@ -738,7 +1595,10 @@ class GrblController {
 
                 this.write(socket, '~');
 
-                this.workflow.resume();
+                // The program will be resumed after the tool change
+                if (!this.toolChange) {
+                    this.workflow.resume();
+                }
             },
             'statusreport': () => {
                 this.write(socket, '?');
@@ -825,6 +1685,54 @@ class GrblController {
                 ];
                 this.command(socket, 'gcode', commands);
             },
+            'heightmap:probe': () => {
+                const [options] = args;
+                const { xmin, xmax, ymin, ymax, spacing, clearance, depth, feedrate } = { ...options };
+
+                if (this.heightMapProbe) {
+                    log.error('[Grbl] Height map probing is already in progress');
+                    return;
+                }
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[Grbl] Cannot probe the height map while running G-code: workflow=${this.workflow.state}`);
+                    return;
+                }
+
+                const heightMap = HeightMap.fromArea({ xmin, xmax, ymin, ymax, spacing });
+
+                this.heightMapProbe = {
+                    heightMap: heightMap,
+                    points: heightMap.getProbePoints(),
+                    index: 0,
+                    reference: 0
+                };
+                log.debug(`[Grbl] Height map probing started: cols=${heightMap.cols}, rows=${heightMap.rows}`);
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+                this.command(socket, 'gcode', heightMap.getProbeCommands({ clearance, depth, feedrate }));
+            },
+            'heightmap:load': () => {
+                const [options] = args;
+
+                this.cancelHeightMapProbe();
+                this.heightMap = new HeightMap(options);
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'heightmap:unload': () => {
+                this.cancelHeightMapProbe();
+                this.heightMap = null;
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'heightmap:apply': () => {
+                const [apply = true] = args;
+
+                // The height map will be applied to the G-code loaded afterwards
+                this.applyHeightMap = !!apply;
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
             'gcode': () => {
                 const [commands, context] = args;
                 const data = ensureArray(commands)
@@ -856,6 +1764,7 @@ class GrblController {
 
                 if (!macro) {
                     log.error(`[Grbl] Cannot find the macro: id=${id}`);
+                    callback(new Error(`Cannot find the macro: id=${id}`));
                     return;
                 }
 
@@ -876,6 +1785,7 @@ class GrblController {
 
                 if (!macro) {
                     log.error(`[Grbl] Cannot find the macro: id=${id}`);
+                    callback(new Error(`Cannot find the macro: id=${id}`));
                     return;
                 }
 
@@ -895,15 +1805,96 @@ class GrblController {
 
                     this.command(socket, 'gcode:load', file, data, context, callback);
                 });
+            },
+            'queue:add': () => {
+                const [job, callback = noop] = args;
+                const { file, ...options } = { ...job };
+
+                if (file) {
+                    // Add a file from the watch directory
+                    monitor.readFile(file, (err, data) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        const id = this.queue.add({ ...options, name: file, gcode: data });
+                        callback(null, { id });
+                    });
+                    return;
+                }
+
+                if (!options.gcode) {
+                    callback(new Error('Empty G-code'));
+                    return;
+                }
+
+                const id = this.queue.add(options);
+                callback(null, { id });
+            },
+            'queue:remove': () => {
+                const [id] = args;
+                this.queue.remove(id);
+            },
+            'queue:clear': () => {
+                this.queue.clear();
+            },
+            'queue:start': () => {
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[Grbl] Cannot start the job queue: workflowState=${this.workflow.state}`);
+                    return;
+                }
+
+                this.queue.start();
+            },
+            'queue:resume': () => {
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[Grbl] Cannot resume the job queue: workflowState=${this.workflow.state}`);
+                    return;
+                }
+
+                this.queue.resume();
+            },
+            'queue:stop': () => {
+                this.queue.stop();
+            },
+            'toolchange:resume': () => {
+                this.resumeToolChange();
+            },
+            'toolchange:reset': () => {
+                // Probe the reference tool length again at the next tool change
+                this.toolLengthReference = null;
+            },
+            'lock:acquire': () => {
+                if (!socket) {
+                    return;
+                }
+                if (!this.controlLock.acquire(socket)) {
+                    log.warn(`[Grbl] The control lock is held by another connection: id=${socket.id}`);
+                }
+            },
+            'lock:release': () => {
+                socket && this.controlLock.release(socket);
+            },
+            'lock:request': () => {
+                socket && this.controlLock.requestControl(socket);
+            },
+            'lock:grant': () => {
+                socket && this.controlLock.grant(socket);
+            },
+            'lock:deny': () => {
+                socket && this.controlLock.deny(socket);
             }
         }[cmd];
 
         if (!handler) {
             log.error(`[Grbl] Unknown command: ${cmd}`);
-            return;
+            return false;
         }
 
         handler();
+
+        return true;
     }
     write(socket, data) {
         // Assertion check
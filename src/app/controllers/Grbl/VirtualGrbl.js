@@ -0,0 +1,1181 @@
+/* eslint no-bitwise: ["error", { "allow": ["&"] }] */
+/* eslint no-continue: 0 */
+import _ from 'lodash';
+import events from 'events';
+import { parseLine } from 'gcode-parser';
+
+// A simulated Grbl v1.1 device which can be used in place of a serial port.
+// It implements the subset of the SerialPort interface used by the controllers,
+// and emits one line per 'data' event as the readline parser does.
+// https://github.com/gnea/grbl/blob/edge/doc/markdown/interface.md
+
+const GRBL_VERSION = '1.1f';
+const GRBL_BUILD_DATE = '20170801';
+
+const RX_BUFFER_SIZE = 128;
+const PLANNER_BUFFER_SIZE = 15;
+const LINE_BUFFER_SIZE = 80;
+const TICK_INTERVAL = 20; // 20ms
+
+const DEFAULT_SETTINGS = {
+    '$0': 10,
+    '$1': 25,
+    '$2': 0,
+    '$3': 0,
+    '$4': 0,
+    '$5': 0,
+    '$6': 0,
+    '$10': 1,
+    '$11': 0.010,
+    '$12': 0.002,
+    '$13': 0,
+    '$20': 0,
+    '$21': 0,
+    '$22': 0,
+    '$23': 0,
+    '$24': 25.000,
+    '$25': 500.000,
+    '$26': 250,
+    '$27': 1.000,
+    '$30': 1000,
+    '$31': 0,
+    '$32': 0,
+    '$100': 250.000,
+    '$101': 250.000,
+    '$102': 250.000,
+    '$110': 500.000,
+    '$111': 500.000,
+    '$112': 500.000,
+    '$120': 10.000,
+    '$121': 10.000,
+    '$122': 10.000,
+    '$130': 200.000,
+    '$131': 200.000,
+    '$132': 200.000
+};
+
+const DEFAULT_MODAL = {
+    motion: 'G0',
+    wcs: 'G54',
+    plane: 'G17',
+    units: 'G21',
+    distance: 'G90',
+    feedrate: 'G94',
+    spindle: 'M5',
+    coolant: 'M9'
+};
+
+const AXES = ['x', 'y', 'z'];
+
+const WCS = ['G54', 'G55', 'G56', 'G57', 'G58', 'G59'];
+
+// The axes of each plane: [first axis, second axis, linear axis], and the corresponding arc offset words
+const PLANES = {
+    'G17': { axes: ['x', 'y', 'z'], offsets: ['I', 'J'] },
+    'G18': { axes: ['z', 'x', 'y'], offsets: ['K', 'I'] },
+    'G19': { axes: ['y', 'z', 'x'], offsets: ['J', 'K'] }
+};
+
+const SUPPORTED_GCODES = [
+    0, 1, 2, 3, 4, 10, 17, 18, 19, 20, 21, 28, 28.1, 30, 30.1,
+    38.2, 38.3, 38.4, 38.5, 43.1, 49, 53, 54, 55, 56, 57, 58, 59,
+    80, 90, 91, 91.1, 92, 92.1, 93, 94
+];
+
+const SUPPORTED_MCODES = [0, 1, 2, 3, 4, 5, 7, 8, 9, 30];
+
+const SUPPORTED_WORDS = ['F', 'I', 'J', 'K', 'L', 'N', 'P', 'R', 'S', 'T', 'X', 'Y', 'Z'];
+
+const noop = () => {};
+
+const fixed = (value, digits = 3) => Number(value).toFixed(digits);
+
+const zero = () => ({ x: 0, y: 0, z: 0 });
+
+const distanceBetween = (p1, p2) => {
+    return Math.sqrt(AXES.reduce((sum, axis) => {
+        const d = p2[axis] - p1[axis];
+        return sum + d * d;
+    }, 0));
+};
+
+// Removes whitespace and comments, and converts letters to uppercase.
+const normalizeLine = (() => {
+    const re1 = new RegExp(/\s*\([^\)]*\)/g); // Remove anything inside the parentheses
+    const re2 = new RegExp(/\s*;.*/g); // Strip everything after a semicolon
+    const re3 = new RegExp(/\s+/g);
+    return line => line.replace(re1, '').replace(re2, '').replace(re3, '').toUpperCase();
+})();
+
+class VirtualGrbl extends events.EventEmitter {
+    path = '';
+    options = {
+        baudRate: 115200,
+        // Returns the Z position of the probe surface in machine coordinates
+        probeSurface: (x, y) => -5
+    };
+    opened = false;
+    timer = null;
+    lastTickTime = 0;
+
+    // Serial RX buffer
+    rx = '';
+    rxOverflow = 0; // The number of bytes dropped due to an RX buffer overflow
+
+    // Pending output lines
+    output = [];
+    flushing = false;
+
+    // Planner
+    planner = [];
+    block = null; // The block being executed
+
+    settings = { ...DEFAULT_SETTINGS };
+    activeState = 'Idle';
+    subState = 0;
+    checkMode = false;
+    reportCount = 0;
+
+    // G-code parser state
+    modal = { ...DEFAULT_MODAL };
+    tool = 0;
+    feedrate = 0; // mm/min (or 1/min in inverse time mode)
+    spindleSpeed = 0;
+    position = zero(); // The parser position in machine coordinates
+
+    // The position of the tool in machine coordinates
+    machinePosition = zero();
+
+    parameters = {
+        'G54': zero(),
+        'G55': zero(),
+        'G56': zero(),
+        'G57': zero(),
+        'G58': zero(),
+        'G59': zero(),
+        'G28': zero(),
+        'G30': zero(),
+        'G92': zero(),
+        'TLO': 0,
+        'PRB': { ...zero(), result: 0 }
+    };
+
+    overrides = {
+        feed: 100,
+        rapid: 100,
+        spindle: 100
+    };
+
+    // @param {string} path The name of the pseudo port.
+    // @param {object} [options] The options object.
+    // @param {number} [options.baudRate] The baud rate.
+    // @param {function} [options.probeSurface] A function that returns the Z position of the probe surface, in machine coordinates, at the given XY position.
+    constructor(path, options) {
+        super();
+
+        this.path = path;
+        this.options = {
+            ...this.options,
+            ..._.pick(options, ['baudRate', 'probeSurface'])
+        };
+    }
+    open(callback = noop) {
+        if (this.opened) {
+            callback(new Error('Port is already open'));
+            return;
+        }
+
+        this.opened = true;
+        this.lastTickTime = Date.now();
+        this.timer = setInterval(() => {
+            this.tick();
+        }, TICK_INTERVAL);
+
+        setImmediate(() => {
+            callback(null);
+            this.emit('open');
+            this.reset();
+        });
+    }
+    close(callback = noop) {
+        if (!this.opened) {
+            callback(new Error('Port is not open'));
+            return;
+        }
+
+        this.opened = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        setImmediate(() => {
+            callback(null);
+            this.emit('close');
+        });
+    }
+    isOpen() {
+        return this.opened;
+    }
+    write(data, callback = noop) {
+        if (!this.opened) {
+            callback(new Error('Port is not open'));
+            return false;
+        }
+
+        String(data).split('').forEach(c => {
+            this.receive(c);
+        });
+        this.processLines();
+
+        callback(null);
+        return true;
+    }
+    // Receives a single character from the serial port.
+    receive(c) {
+        const code = c.charCodeAt(0);
+
+        // Real-time commands are picked off directly from the incoming serial stream
+        if (c === '?') {
+            this.reportStatus();
+            return;
+        }
+        if (c === '!') {
+            this.feedHold();
+            return;
+        }
+        if (c === '~') {
+            this.cycleStart();
+            return;
+        }
+        if (c === '\x18') {
+            this.reset();
+            return;
+        }
+        if (code >= 0x80) {
+            this.executeExtendedCommand(code);
+            return;
+        }
+
+        // The incoming data will be dropped if the RX buffer is full
+        if (this.rx.length >= RX_BUFFER_SIZE) {
+            this.rxOverflow++;
+            return;
+        }
+
+        this.rx += c;
+    }
+    send(line) {
+        this.output.push(line);
+
+        if (this.flushing) {
+            return;
+        }
+
+        this.flushing = true;
+        setImmediate(() => {
+            this.flushing = false;
+
+            const output = this.output;
+            this.output = [];
+            output.forEach(line => {
+                this.emit('data', line);
+            });
+        });
+    }
+    reply(status) {
+        if (status === 0) {
+            this.send('ok');
+        } else if (status > 0) {
+            this.send(`error:${status}`);
+        }
+    }
+    alarm(code) {
+        this.planner = [];
+        this.block = null;
+        this.activeState = 'Alarm';
+        this.subState = 0;
+        this.position = { ...this.machinePosition };
+        this.send(`ALARM:${code}`);
+    }
+    reset() {
+        const isMoving = !!this.block && _.includes(['Run', 'Jog', 'Home'], this.activeState);
+        const isAlarm = isMoving || (this.activeState === 'Alarm') || (this.settings.$22 === 1);
+
+        if (isMoving) {
+            this.send('ALARM:3');
+        }
+
+        this.rx = '';
+        this.planner = [];
+        this.block = null;
+        this.checkMode = false;
+        this.modal = { ...DEFAULT_MODAL };
+        this.tool = 0;
+        this.feedrate = 0;
+        this.spindleSpeed = 0;
+        this.parameters.G92 = zero();
+        this.parameters.TLO = 0;
+        this.overrides = { feed: 100, rapid: 100, spindle: 100 };
+        this.position = { ...this.machinePosition };
+        this.activeState = isAlarm ? 'Alarm' : 'Idle';
+        this.subState = 0;
+
+        this.send('');
+        this.send(`Grbl ${GRBL_VERSION} ['$' for help]`);
+        if (isAlarm) {
+            this.send('[MSG:\'$H\'|\'$X\' to unlock]');
+        }
+    }
+    feedHold() {
+        if (this.activeState === 'Run') {
+            this.activeState = 'Hold';
+            this.subState = 0;
+        } else if (this.activeState === 'Jog') {
+            this.cancelJog();
+        }
+    }
+    cycleStart() {
+        if (this.activeState === 'Hold') {
+            this.activeState = (this.block || this.planner.length > 0) ? 'Run' : 'Idle';
+            this.subState = 0;
+        }
+    }
+    cancelJog() {
+        if (this.activeState !== 'Jog') {
+            return;
+        }
+
+        this.planner = [];
+        this.block = null;
+        this.position = { ...this.machinePosition };
+        this.activeState = 'Idle';
+    }
+    executeExtendedCommand(code) {
+        const clamp = (value) => Math.min(Math.max(value, 10), 200);
+
+        if (code === 0x85) { // Jog Cancel
+            this.cancelJog();
+        } else if (code === 0x90) { // Feed Override: Set 100% of programmed rate
+            this.overrides.feed = 100;
+        } else if (code === 0x91) { // Feed Override: Increase 10%
+            this.overrides.feed = clamp(this.overrides.feed + 10);
+        } else if (code === 0x92) { // Feed Override: Decrease 10%
+            this.overrides.feed = clamp(this.overrides.feed - 10);
+        } else if (code === 0x93) { // Feed Override: Increase 1%
+            this.overrides.feed = clamp(this.overrides.feed + 1);
+        } else if (code === 0x94) { // Feed Override: Decrease 1%
+            this.overrides.feed = clamp(this.overrides.feed - 1);
+        } else if (code === 0x95) { // Rapid Override: Set to 100% (full) rapid rate
+            this.overrides.rapid = 100;
+        } else if (code === 0x96) { // Rapid Override: Set to 50% of rapid rate
+            this.overrides.rapid = 50;
+        } else if (code === 0x97) { // Rapid Override: Set to 25% of rapid rate
+            this.overrides.rapid = 25;
+        } else if (code === 0x99) { // Spindle Speed Override: Set 100% of programmed spindle speed
+            this.overrides.spindle = 100;
+        } else if (code === 0x9a) { // Spindle Speed Override: Increase 10%
+            this.overrides.spindle = clamp(this.overrides.spindle + 10);
+        } else if (code === 0x9b) { // Spindle Speed Override: Decrease 10%
+            this.overrides.spindle = clamp(this.overrides.spindle - 10);
+        } else if (code === 0x9c) { // Spindle Speed Override: Increase 1%
+            this.overrides.spindle = clamp(this.overrides.spindle + 1);
+        } else if (code === 0x9d) { // Spindle Speed Override: Decrease 1%
+            this.overrides.spindle = clamp(this.overrides.spindle - 1);
+        }
+    }
+    getWorkCoordinateOffset() {
+        const offset = this.parameters[this.modal.wcs];
+        const g92 = this.parameters.G92;
+
+        return {
+            x: offset.x + g92.x,
+            y: offset.y + g92.y,
+            z: offset.z + g92.z + this.parameters.TLO
+        };
+    }
+    getWorkPosition() {
+        const wco = this.getWorkCoordinateOffset();
+
+        return {
+            x: this.machinePosition.x - wco.x,
+            y: this.machinePosition.y - wco.y,
+            z: this.machinePosition.z - wco.z
+        };
+    }
+    reportStatus() {
+        const toReportUnits = (value) => ((this.settings.$13 === 1) ? (value / 25.4) : value);
+        const format = (pos) => AXES.map(axis => fixed(toReportUnits(pos[axis]), (this.settings.$13 === 1) ? 4 : 3)).join(',');
+        const state = (this.activeState === 'Hold') ? `Hold:${this.subState}` : this.activeState;
+        const fields = [state];
+
+        if (this.settings.$10 & 1) {
+            fields.push('MPos:' + format(this.machinePosition));
+        } else {
+            fields.push('WPos:' + format(this.getWorkPosition()));
+        }
+
+        if (this.settings.$10 & 2) {
+            fields.push(`Bf:${PLANNER_BUFFER_SIZE - this.planner.length},${RX_BUFFER_SIZE - this.rx.length}`);
+        }
+
+        const isMoving = !!this.block && _.includes(['Run', 'Jog', 'Home'], this.activeState);
+        const feedrate = isMoving ? toReportUnits(this.block.feedrate || 0) : 0;
+        const spindleSpeed = (this.modal.spindle === 'M5') ? 0 : (this.spindleSpeed * this.overrides.spindle / 100);
+        fields.push(`FS:${Math.round(feedrate)},${Math.round(spindleSpeed)}`);
+
+        // The work coordinate offset and the override values are refreshed periodically
+        if (this.reportCount % 10 === 0) {
+            fields.push('WCO:' + format(this.getWorkCoordinateOffset()));
+        } else if (this.reportCount % 10 === 1) {
+            fields.push(`Ov:${this.overrides.feed},${this.overrides.rapid},${this.overrides.spindle}`);
+        }
+        this.reportCount++;
+
+        this.send(`<${fields.join('|')}>`);
+    }
+    reportParserState() {
+        const { motion, wcs, plane, units, distance, feedrate, spindle, coolant } = this.modal;
+        const toParserUnits = (value) => ((units === 'G20') ? (value / 25.4) : value);
+        const words = [motion, wcs, plane, units, distance, feedrate, spindle, coolant];
+
+        words.push('T' + this.tool);
+        words.push('F' + _.round((feedrate === 'G93') ? this.feedrate : toParserUnits(this.feedrate), 4));
+        words.push('S' + _.round(this.spindleSpeed, 4));
+
+        this.send(`[GC:${words.join(' ')}]`);
+    }
+    reportParameters() {
+        const format = (pos) => AXES.map(axis => fixed(pos[axis])).join(',');
+
+        WCS.concat(['G28', 'G30', 'G92']).forEach(name => {
+            this.send(`[${name}:${format(this.parameters[name])}]`);
+        });
+        this.send(`[TLO:${fixed(this.parameters.TLO)}]`);
+        this.reportProbe();
+    }
+    reportProbe() {
+        const prb = this.parameters.PRB;
+        this.send(`[PRB:${fixed(prb.x)},${fixed(prb.y)},${fixed(prb.z)}:${prb.result}]`);
+    }
+    reportSettings() {
+        Object.keys(this.settings).forEach(key => {
+            this.send(`${key}=${this.settings[key]}`);
+        });
+    }
+    // Executes lines in the RX buffer until the planner buffer is full or a synchronous block is in progress.
+    processLines() {
+        while (this.opened) {
+            const index = this.rx.search(/[\r\n]/);
+            if (index < 0) {
+                break;
+            }
+            if (this.planner.length >= PLANNER_BUFFER_SIZE) {
+                break;
+            }
+            if (_.some(this.planner.concat(this.block || []), { sync: true })) {
+                break;
+            }
+            if (this.activeState === 'Sleep') {
+                break;
+            }
+
+            const line = normalizeLine(this.rx.slice(0, index));
+            this.rx = this.rx.slice(index + 1);
+
+            // Empty lines (e.g. the line feed of a CR/LF pair) are ignored
+            if (line.length === 0) {
+                continue;
+            }
+
+            if (line.length >= LINE_BUFFER_SIZE) {
+                this.reply(11);
+                continue;
+            }
+
+            // The status may be deferred until a synchronous block is completed
+            const status = (line[0] === '$') ? this.executeSystemCommand(line) : this.executeLine(line);
+            this.reply(status);
+        }
+    }
+    // @return {number} The status code, or null if the reply is deferred.
+    executeSystemCommand(line) {
+        const isIdle = _.includes(['Idle', 'Alarm'], this.activeState);
+
+        if (line === '$') {
+            this.send('[HLP:$$ $# $G $I $N $x=val $Nx=line $J=line $SLP $C $X $H ~ ! ? ctrl-x]');
+            return 0;
+        }
+        if (line.indexOf('$J=') === 0) {
+            if (!_.includes(['Idle', 'Jog'], this.activeState)) {
+                return 8;
+            }
+            return this.executeLine(line.slice(3), { jog: true });
+        }
+        if (line === '$$') {
+            if (_.includes(['Run', 'Hold'], this.activeState)) {
+                return 8;
+            }
+            this.reportSettings();
+            return 0;
+        }
+        if (line === '$G') {
+            this.reportParserState();
+            return 0;
+        }
+        if (line === '$C') {
+            if (this.checkMode) {
+                this.send('[MSG:Disabled]');
+                this.reply(0);
+                this.reset();
+                return null;
+            }
+            if (this.activeState !== 'Idle') {
+                return 8;
+            }
+            this.checkMode = true;
+            this.activeState = 'Check';
+            this.send('[MSG:Enabled]');
+            return 0;
+        }
+        if (line === '$X') {
+            if (this.activeState === 'Alarm') {
+                this.activeState = 'Idle';
+                this.send('[MSG:Caution: Unlocked]');
+            }
+            return 0;
+        }
+
+        // The following commands can only be used in the Idle or Alarm state
+        if (!isIdle) {
+            return 8;
+        }
+
+        if (line === '$#') {
+            this.reportParameters();
+            return 0;
+        }
+        if (line === '$I') {
+            this.send(`[VER:${GRBL_VERSION}.${GRBL_BUILD_DATE}:]`);
+            this.send(`[OPT:V,${PLANNER_BUFFER_SIZE},${RX_BUFFER_SIZE}]`);
+            return 0;
+        }
+        if (line === '$N') {
+            this.send('$N0=');
+            this.send('$N1=');
+            return 0;
+        }
+        if (/^\$N\d=/.test(line)) {
+            return 0;
+        }
+        if (line === '$H') {
+            if (this.settings.$22 !== 1) {
+                return 5;
+            }
+            this.activeState = 'Home';
+            this.planner.push(this.createLinearBlock(this.machinePosition, zero(), this.settings.$25, {
+                sync: true,
+                onComplete: () => {
+                    this.position = zero();
+                    this.activeState = 'Idle';
+                    this.reply(0);
+                }
+            }));
+            return null;
+        }
+        if (line === '$SLP') {
+            this.reply(0);
+            this.activeState = 'Sleep';
+            this.send('[MSG:Sleeping]');
+            return null;
+        }
+        if (/^\$RST=[$#*]$/.test(line)) {
+            const target = line[5];
+            if (target === '$' || target === '*') {
+                this.settings = { ...DEFAULT_SETTINGS };
+            }
+            if (target === '#' || target === '*') {
+                WCS.concat(['G28', 'G30']).forEach(name => {
+                    this.parameters[name] = zero();
+                });
+            }
+            return 0;
+        }
+
+        const r = line.match(/^\$(\d+)=(.*)$/);
+        if (!r) {
+            return 3;
+        }
+
+        const key = '$' + r[1];
+        const value = Number(r[2]);
+        if (!_.has(this.settings, key)) {
+            return 3;
+        }
+        if (r[2] === '' || Number.isNaN(value)) {
+            return 2;
+        }
+        if (value < 0) {
+            return 4;
+        }
+        if (key === '$20' && value === 1 && this.settings.$22 !== 1) {
+            return 10;
+        }
+
+        this.settings[key] = value;
+        return 0;
+    }
+    // Executes a line of G-code.
+    // @param {string} line The normalized line.
+    // @param {object} [options] The options object.
+    // @param {boolean} [options.jog] True to execute the line as a jog motion.
+    // @return {number} The status code, or null if the reply is deferred.
+    executeLine(line, options) {
+        const { jog = false } = { ...options };
+
+        if (this.activeState === 'Alarm' || (!jog && this.activeState === 'Jog')) {
+            return 9;
+        }
+
+        const { words = [] } = parseLine(line);
+        const gcodes = [];
+        const mcodes = [];
+        const params = {};
+
+        for (let [letter, value] of words) {
+            if (Number.isNaN(value)) {
+                return 2;
+            }
+            if (letter === 'G') {
+                if (!_.includes(SUPPORTED_GCODES, value)) {
+                    return 20;
+                }
+                gcodes.push(value);
+                continue;
+            }
+            if (letter === 'M') {
+                if (!_.includes(SUPPORTED_MCODES, value)) {
+                    return 20;
+                }
+                mcodes.push(value);
+                continue;
+            }
+            if (!_.includes(SUPPORTED_WORDS, letter)) {
+                return 20;
+            }
+            if (_.has(params, letter)) {
+                return 25;
+            }
+            params[letter] = value;
+        }
+
+        // Jog commands do not alter the parser state
+        const modal = jog ? { ...this.modal, motion: 'G1', distance: 'G90' } : this.modal;
+        let nonModal = null;
+
+        if (jog) {
+            const allowed = [20, 21, 53, 90, 91];
+            if (_.difference(gcodes, allowed).length > 0 || mcodes.length > 0) {
+                return 20;
+            }
+        }
+
+        // Modal group changes
+        gcodes.forEach(code => {
+            if (_.includes([0, 1, 2, 3, 38.2, 38.3, 38.4, 38.5, 80], code)) {
+                modal.motion = 'G' + code;
+            } else if (_.includes([17, 18, 19], code)) {
+                modal.plane = 'G' + code;
+            } else if (_.includes([20, 21], code)) {
+                modal.units = 'G' + code;
+            } else if (_.includes([54, 55, 56, 57, 58, 59], code)) {
+                modal.wcs = 'G' + code;
+            } else if (_.includes([90, 91], code)) {
+                modal.distance = 'G' + code;
+            } else if (_.includes([93, 94], code)) {
+                modal.feedrate = 'G' + code;
+            } else if (_.includes([4, 10, 28, 28.1, 30, 30.1, 53, 92, 92.1], code)) {
+                nonModal = code;
+            } else if (code === 43.1) {
+                this.parameters.TLO = this.toMillimeters(params.Z || 0, modal);
+                delete params.Z;
+            } else if (code === 49) {
+                this.parameters.TLO = 0;
+            }
+        });
+
+        // Feed rate
+        let feedrate = this.feedrate;
+        if (_.has(params, 'F')) {
+            if (params.F < 0) {
+                return 4;
+            }
+            feedrate = (modal.feedrate === 'G93') ? params.F : this.toMillimeters(params.F, modal);
+            if (!jog) {
+                this.feedrate = feedrate;
+            }
+        } else if (jog || modal.feedrate === 'G93') {
+            feedrate = 0;
+        }
+
+        if (_.has(params, 'S')) {
+            this.spindleSpeed = params.S;
+        }
+        if (_.has(params, 'T')) {
+            this.tool = params.T;
+        }
+
+        // Spindle and coolant
+        mcodes.forEach(code => {
+            if (_.includes([3, 4, 5], code)) {
+                modal.spindle = 'M' + code;
+            } else if (_.includes([7, 8, 9], code)) {
+                modal.coolant = 'M' + code;
+            }
+        });
+
+        const hasAxisWords = _.some(['X', 'Y', 'Z'], letter => _.has(params, letter));
+        const target = this.getTarget(params, modal, nonModal === 53);
+        let status = 0;
+
+        if (nonModal === 4) {
+            const dwell = Number(params.P) || 0;
+            if (dwell < 0) {
+                return 4;
+            }
+            status = this.queueSyncBlock(dwell * 1000);
+        } else if (nonModal === 10) {
+            status = this.setCoordinateData(params, modal);
+        } else if (nonModal === 28 || nonModal === 30) {
+            const name = 'G' + nonModal;
+            if (hasAxisWords) {
+                this.queueMotion(this.position, target, Infinity);
+            }
+            this.queueMotion(target, { ...this.parameters[name] }, Infinity);
+        } else if (nonModal === 28.1 || nonModal === 30.1) {
+            this.parameters['G' + Math.floor(nonModal)] = { ...this.position };
+        } else if (nonModal === 92) {
+            const offset = this.parameters[modal.wcs];
+            AXES.forEach(axis => {
+                const letter = axis.toUpperCase();
+                if (_.has(params, letter)) {
+                    const tlo = (axis === 'z') ? this.parameters.TLO : 0;
+                    this.parameters.G92[axis] = this.position[axis] - offset[axis] - tlo - this.toMillimeters(params[letter], modal);
+                }
+            });
+        } else if (nonModal === 92.1) {
+            this.parameters.G92 = zero();
+        } else if (hasAxisWords || _.includes(['G2', 'G3'], modal.motion) && (gcodes.length > 0)) {
+            status = this.executeMotion(modal.motion, params, target, feedrate, modal, jog);
+        }
+
+        if (status === 0 && mcodes.length > 0) {
+            status = this.executeProgramFlow(mcodes);
+        }
+
+        return status;
+    }
+    toMillimeters(value, modal = this.modal) {
+        return (modal.units === 'G20') ? (value * 25.4) : value;
+    }
+    // Returns the target position in machine coordinates.
+    getTarget(params, modal, absoluteOverride = false) {
+        const wco = this.getWorkCoordinateOffset();
+        const target = { ...this.position };
+
+        AXES.forEach(axis => {
+            const letter = axis.toUpperCase();
+            if (!_.has(params, letter)) {
+                return;
+            }
+
+            const value = this.toMillimeters(params[letter], modal);
+            if (absoluteOverride) {
+                target[axis] = value;
+            } else if (modal.distance === 'G91') {
+                target[axis] = this.position[axis] + value;
+            } else {
+                target[axis] = value + wco[axis];
+            }
+        });
+
+        return target;
+    }
+    setCoordinateData(params, modal) {
+        const L = params.L;
+        const P = Math.floor(params.P || 0);
+
+        if (L !== 2 && L !== 20) {
+            return 20;
+        }
+        if (P < 0 || P > 6) {
+            return 29;
+        }
+
+        const name = (P === 0) ? modal.wcs : WCS[P - 1];
+        const offset = this.parameters[name];
+
+        AXES.forEach(axis => {
+            const letter = axis.toUpperCase();
+            if (!_.has(params, letter)) {
+                return;
+            }
+
+            const value = this.toMillimeters(params[letter], modal);
+            if (L === 2) {
+                offset[axis] = value;
+            } else {
+                const tlo = (axis === 'z') ? this.parameters.TLO : 0;
+                offset[axis] = this.position[axis] - this.parameters.G92[axis] - tlo - value;
+            }
+        });
+
+        return 0;
+    }
+    executeMotion(motion, params, target, feedrate, modal, jog = false) {
+        if (motion === 'G80') {
+            return 31;
+        }
+
+        const isRapid = (motion === 'G0');
+        if (!isRapid && !(feedrate > 0)) {
+            return 22;
+        }
+
+        if (this.isOutOfBounds(target)) {
+            if (jog) {
+                return 15;
+            }
+            this.alarm(2);
+            this.send('[MSG:Reset to continue]');
+            return null;
+        }
+
+        // Inverse time mode: the motion should be completed in one divided by the F number of minutes
+        const rate = isRapid ? Infinity : feedrate;
+        const inverseTime = !isRapid && (modal.feedrate === 'G93');
+
+        if (motion === 'G0' || motion === 'G1') {
+            this.queueMotion(this.position, target, rate, { jog, inverseTime });
+            return 0;
+        }
+
+        if (motion === 'G2' || motion === 'G3') {
+            return this.queueArc(motion, params, target, rate, modal, { inverseTime });
+        }
+
+        // G38.2: probe toward workpiece, stop on contact, signal error if failure
+        // G38.3: probe toward workpiece, stop on contact
+        // G38.4: probe away from workpiece, stop on loss of contact, signal error if failure
+        // G38.5: probe away from workpiece, stop on loss of contact
+        if (_.includes(['G38.2', 'G38.3', 'G38.4', 'G38.5'], motion)) {
+            const towardWorkpiece = _.includes(['G38.2', 'G38.3'], motion);
+            const signalError = _.includes(['G38.2', 'G38.4'], motion);
+
+            if (this.isProbeTriggered(this.position) !== !towardWorkpiece) {
+                this.alarm(4);
+                return null;
+            }
+
+            this.planner.push(this.createLinearBlock(this.position, target, rate, {
+                sync: true,
+                probe: towardWorkpiece ? 'contact' : 'release',
+                onComplete: (block) => {
+                    const result = block.triggered ? 1 : 0;
+                    this.parameters.PRB = { ...this.machinePosition, result: result };
+                    this.position = { ...this.machinePosition };
+                    this.reportProbe();
+
+                    if (!result && signalError) {
+                        this.alarm(5);
+                        return;
+                    }
+                    this.reply(0);
+                }
+            }));
+            this.position = target;
+            return null;
+        }
+
+        return 20;
+    }
+    executeProgramFlow(mcodes) {
+        // M2, M30: Program End
+        if (_.includes(mcodes, 2) || _.includes(mcodes, 30)) {
+            return this.queueSyncBlock(0, () => {
+                this.modal = { ...DEFAULT_MODAL, motion: 'G1' };
+            });
+        }
+
+        // M0, M1: Program Pause
+        if (_.includes(mcodes, 0) || _.includes(mcodes, 1)) {
+            return this.queueSyncBlock(0, () => {
+                this.activeState = 'Hold';
+                this.subState = 0;
+            });
+        }
+
+        // M3, M4, M5, M7, M8, M9: Spindle and coolant changes are synchronized with the planner
+        return this.queueSyncBlock(0);
+    }
+    isOutOfBounds(target) {
+        if (this.settings.$20 !== 1) {
+            return false;
+        }
+
+        // The machine space is negative if homing is enabled
+        return _.some(AXES, (axis, i) => {
+            const maxTravel = this.settings['$' + (130 + i)];
+            return (target[axis] > 0) || (target[axis] < -maxTravel);
+        });
+    }
+    isProbeTriggered(pos) {
+        const surface = this.options.probeSurface(pos.x, pos.y);
+        return (pos.z <= surface);
+    }
+    // Returns the feed rate limited by the maximum rate of each axis.
+    limitRate(from, to, rate) {
+        const distance = distanceBetween(from, to);
+
+        return AXES.reduce((rate, axis, i) => {
+            const delta = Math.abs(to[axis] - from[axis]);
+            if (delta === 0) {
+                return rate;
+            }
+            const maxRate = this.settings['$' + (110 + i)];
+            return Math.min(rate, maxRate * distance / delta);
+        }, rate);
+    }
+    createLinearBlock(from, to, rate, options) {
+        const distance = distanceBetween(from, to);
+        const feedrate = this.limitRate(from, to, rate);
+        const duration = (distance > 0 && feedrate > 0) ? (distance / feedrate * 60 * 1000) : 0;
+
+        return {
+            type: 'linear',
+            rapid: (rate === Infinity),
+            from: { ...from },
+            to: { ...to },
+            feedrate,
+            duration,
+            elapsed: 0,
+            ...options
+        };
+    }
+    queueMotion(from, to, rate, options) {
+        const { jog = false, inverseTime = false } = { ...options };
+        const block = this.createLinearBlock(from, to, rate, { jog });
+
+        if (inverseTime) {
+            block.duration = 60 * 1000 / rate;
+            block.feedrate = (block.duration > 0) ? (distanceBetween(from, to) / block.duration * 60 * 1000) : 0;
+        }
+
+        this.position = { ...to };
+
+        // Zero-length blocks are ignored
+        if (block.duration <= 0) {
+            return;
+        }
+
+        this.planner.push(block);
+        if (jog) {
+            this.activeState = 'Jog';
+        }
+    }
+    queueArc(motion, params, target, rate, modal, options) {
+        const { inverseTime = false } = { ...options };
+        const { axes, offsets } = PLANES[modal.plane];
+        const [axis0, axis1, axisLinear] = axes;
+        const from = { ...this.position };
+        const center = {};
+
+        if (_.has(params, 'R')) {
+            // Radius format arc
+            const r = this.toMillimeters(params.R, modal);
+            const x = target[axis0] - from[axis0];
+            const y = target[axis1] - from[axis1];
+            let h = 4 * r * r - x * x - y * y;
+            if (h < 0) {
+                return 33;
+            }
+            h = -Math.sqrt(h) / Math.sqrt(x * x + y * y);
+            if (motion === 'G3') {
+                h = -h;
+            }
+            if (r < 0) {
+                h = -h;
+            }
+            center[axis0] = from[axis0] + 0.5 * (x - (y * h));
+            center[axis1] = from[axis1] + 0.5 * (y + (x * h));
+        } else {
+            // Center format arc
+            if (!_.has(params, offsets[0]) && !_.has(params, offsets[1])) {
+                return 35;
+            }
+            center[axis0] = from[axis0] + this.toMillimeters(params[offsets[0]] || 0, modal);
+            center[axis1] = from[axis1] + this.toMillimeters(params[offsets[1]] || 0, modal);
+        }
+
+        const r0 = [from[axis0] - center[axis0], from[axis1] - center[axis1]];
+        const r1 = [target[axis0] - center[axis0], target[axis1] - center[axis1]];
+        const radius = Math.sqrt(r0[0] * r0[0] + r0[1] * r0[1]);
+        let angle = Math.atan2(r0[0] * r1[1] - r0[1] * r1[0], r0[0] * r1[0] + r0[1] * r1[1]);
+        if (motion === 'G2' && angle >= -1e-6) {
+            angle -= 2 * Math.PI;
+        } else if (motion === 'G3' && angle <= 1e-6) {
+            angle += 2 * Math.PI;
+        }
+
+        const linearTravel = target[axisLinear] - from[axisLinear];
+        const length = Math.sqrt(Math.pow(angle * radius, 2) + Math.pow(linearTravel, 2));
+        const feedrate = Math.min(rate, this.settings.$110, this.settings.$111, this.settings.$112);
+        const duration = inverseTime ? (60 * 1000 / rate) : (length / feedrate * 60 * 1000);
+
+        this.position = { ...target };
+
+        if (!(duration > 0)) {
+            return 0;
+        }
+
+        this.planner.push({
+            type: 'arc',
+            from,
+            to: { ...target },
+            axes,
+            center,
+            angle,
+            feedrate: length / duration * 60 * 1000,
+            duration,
+            elapsed: 0
+        });
+
+        return 0;
+    }
+    // Queues a block that will be executed when all the preceding blocks are completed.
+    queueSyncBlock(duration = 0, action = noop) {
+        this.planner.push({
+            type: 'sync',
+            sync: true,
+            duration,
+            elapsed: 0,
+            onComplete: () => {
+                action();
+                this.reply(0);
+            }
+        });
+        return null;
+    }
+    interpolate(block, t) {
+        if (block.type === 'linear') {
+            return {
+                x: block.from.x + (block.to.x - block.from.x) * t,
+                y: block.from.y + (block.to.y - block.from.y) * t,
+                z: block.from.z + (block.to.z - block.from.z) * t
+            };
+        }
+
+        if (block.type === 'arc') {
+            if (t >= 1) {
+                return { ...block.to };
+            }
+
+            const [axis0, axis1, axisLinear] = block.axes;
+            const { from, to, center } = block;
+            const theta = block.angle * t;
+            const r0 = [from[axis0] - center[axis0], from[axis1] - center[axis1]];
+            const pos = {};
+            pos[axis0] = center[axis0] + r0[0] * Math.cos(theta) - r0[1] * Math.sin(theta);
+            pos[axis1] = center[axis1] + r0[0] * Math.sin(theta) + r0[1] * Math.cos(theta);
+            pos[axisLinear] = from[axisLinear] + (to[axisLinear] - from[axisLinear]) * t;
+            return pos;
+        }
+
+        return { ...this.machinePosition };
+    }
+    // Advances the simulation by the elapsed time since the last tick.
+    tick() {
+        const now = Date.now();
+        let remaining = now - this.lastTickTime;
+        this.lastTickTime = now;
+
+        if (!_.includes(['Idle', 'Run', 'Jog', 'Home'], this.activeState)) {
+            return;
+        }
+
+        while (remaining > 0 && (this.block || this.planner.length > 0)) {
+            if (!this.block) {
+                this.block = this.planner.shift();
+                if (this.activeState === 'Idle') {
+                    this.activeState = 'Run';
+                }
+            }
+
+            const block = this.block;
+            let override = block.rapid ? this.overrides.rapid : this.overrides.feed;
+            if (block.type === 'sync' || block.jog || this.activeState === 'Home') {
+                override = 100; // Overrides do not apply to dwells, jogging, and homing
+            }
+            const factor = override / 100;
+            const used = Math.min(remaining, (block.duration - block.elapsed) / factor);
+            remaining -= used;
+            block.elapsed = Math.min(block.elapsed + used * factor, block.duration);
+
+            if (block.type !== 'sync') {
+                const t = (block.duration > 0) ? (block.elapsed / block.duration) : 1;
+                const pos = this.interpolate(block, t);
+
+                if (block.probe && this.checkProbe(block, pos)) {
+                    block.elapsed = block.duration;
+                } else {
+                    this.machinePosition = pos;
+                }
+            }
+
+            if (block.elapsed < block.duration) {
+                break;
+            }
+
+            this.block = null;
+            if (typeof block.onComplete === 'function') {
+                block.onComplete(block);
+            }
+
+            if (!this.block && this.planner.length === 0 && _.includes(['Run', 'Jog'], this.activeState)) {
+                this.activeState = 'Idle';
+            }
+
+            // Continue to process lines that are waiting for the planner buffer
+            this.processLines();
+        }
+    }
+    // Checks whether the probe state has changed while moving from the current position to the given position.
+    // The position where the probe is triggered is approximated by bisection.
+    checkProbe(block, pos) {
+        const expected = (block.probe === 'contact');
+        if (this.isProbeTriggered(pos) !== expected) {
+            return false;
+        }
+
+        let lo = { ...this.machinePosition };
+        let hi = { ...pos };
+        for (let i = 0; i < 16; ++i) {
+            const mid = {
+                x: (lo.x + hi.x) / 2,
+                y: (lo.y + hi.y) / 2,
+                z: (lo.z + hi.z) / 2
+            };
+            if (this.isProbeTriggered(mid) === expected) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+        }
+
+        this.machinePosition = hi;
+        block.triggered = true;
+        return true;
+    }
+}
+
+export default VirtualGrbl;
@@ -2,6 +2,9 @@
 // Grbl
 export const GRBL = 'Grbl';
 
+// The pseudo port name of the simulated Grbl device
+export const GRBL_VIRTUAL_PORT = 'virtual-grbl';
+
 // Active State
 export const GRBL_ACTIVE_STATE_IDLE = 'Idle';
 export const GRBL_ACTIVE_STATE_RUN = 'Run';
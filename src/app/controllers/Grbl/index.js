@@ -0,0 +1,15 @@
+import GrblController from './GrblController';
+import { GRBL } from './constants';
+
+export default {
+    type: GRBL,
+    baudrates: [115200, 57600, 38400, 19200, 9600, 4800, 2400],
+    capabilities: {
+        overrides: true, // Real-time feed, spindle and rapid overrides
+        laserMode: true, // $32=1
+        probing: true,
+        fourthAxis: false,
+        workOffsets: true // $#
+    },
+    factory: (port, options) => new GrblController(port, options)
+};
@@ -0,0 +1,585 @@
+/* eslint no-bitwise: ["error", { "allow": ["^=", "&"] }] */
+import _ from 'lodash';
+import events from 'events';
+import { parseLine } from 'gcode-parser';
+import {
+    MARLIN_ACTIVE_STATE_ALARM,
+    MARLIN_ACTIVE_STATE_IDLE,
+    MARLIN_MODAL_GROUPS
+} from './constants';
+
+// Computes the checksum of a line, which is the XOR of all the characters before the asterisk.
+// @param {string} line The line without the checksum.
+// @return {number} The checksum in the range of 0 to 255.
+export const computeChecksum = (line) => {
+    let checksum = 0;
+    line = String(line);
+    for (let i = 0; i < line.length; ++i) {
+        checksum ^= line.charCodeAt(i);
+    }
+    return checksum & 0xff;
+};
+
+// Prepends the line number and appends the checksum to a line.
+// Example: "G0 X10" -> "N1 G0 X10*81"
+// @param {number} lineNumber The line number.
+// @param {string} line The line without the line number and the checksum.
+export const numberLine = (lineNumber, line) => {
+    const data = `N${lineNumber} ${line}`;
+    return `${data}*${computeChecksum(data)}`;
+};
+
+// T:20.00 /0.00 B:20.00 /0.00 @:0 B@:0
+// Returns null if the line does not contain a temperature report.
+const parseTemperature = (line) => {
+    const re = /(?:^|\s)(T|B):\s*(-?\d+(?:\.\d+)?)(?:\s*\/\s*(-?\d+(?:\.\d+)?))?/g;
+    const heater = {};
+    let r;
+
+    while ((r = re.exec(line)) !== null) {
+        const name = (r[1] === 'T') ? 'extruder' : 'heatedBed';
+        heater[name] = {
+            deg: Number(r[2])
+        };
+        if (r[3] !== undefined) {
+            heater[name].degTarget = Number(r[3]);
+        }
+    }
+
+    if (_.isEmpty(heater)) {
+        return null;
+    }
+
+    // The heater power is in the range of 0 to 127
+    const power = line.match(/(?:^|\s)@:\s*(\d+)/);
+    if (power && heater.extruder) {
+        heater.extruder.power = Number(power[1]);
+    }
+    const bedPower = line.match(/B@:\s*(\d+)/);
+    if (bedPower && heater.heatedBed) {
+        heater.heatedBed.power = Number(bedPower[1]);
+    }
+
+    return heater;
+};
+
+class MarlinLineParser {
+    parse(line) {
+        const parsers = [
+            // start
+            MarlinLineParserResultStart,
+
+            // FIRMWARE_NAME:Marlin 1.1.9 (Github) SOURCE_CODE_URL:... PROTOCOL_VERSION:1.0 MACHINE_TYPE:RepRap EXTRUDER_COUNT:1 UUID:...
+            MarlinLineParserResultFirmware,
+
+            // ok
+            // ok T:20.00 /0.00 B:20.00 /0.00 @:0 B@:0
+            MarlinLineParserResultOk,
+
+            // X:0.00 Y:0.00 Z:0.00 E:0.00 Count X:0 Y:0 Z:0
+            MarlinLineParserResultPosition,
+
+            // T:20.00 /0.00 B:20.00 /0.00 @:0 B@:0
+            MarlinLineParserResultTemperature,
+
+            // Error:Line Number is not Last Line Number+1, Last Line: 5
+            MarlinLineParserResultError,
+
+            // Resend: 6
+            MarlinLineParserResultResend,
+
+            // echo:busy: processing
+            MarlinLineParserResultEcho
+        ];
+
+        for (let parser of parsers) {
+            const result = parser.parse(line);
+            if (result) {
+                _.set(result, 'payload.raw', line);
+                return result;
+            }
+        }
+
+        return {
+            type: null,
+            payload: {
+                raw: line
+            }
+        };
+    }
+}
+
+class MarlinLineParserResultStart {
+    // start
+    static parse(line) {
+        const r = line.match(/^start$/);
+        if (!r) {
+            return null;
+        }
+
+        const payload = {};
+
+        return {
+            type: MarlinLineParserResultStart,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultFirmware {
+    // FIRMWARE_NAME:Marlin 1.1.9 (Github) SOURCE_CODE_URL:https://github.com/MarlinFirmware/Marlin PROTOCOL_VERSION:1.0 MACHINE_TYPE:3D Printer EXTRUDER_COUNT:1 UUID:cede2a2f-41a2-4748-9b12-c55c62f367ff
+    static parse(line) {
+        const r = line.match(/^FIRMWARE_NAME:/);
+        if (!r) {
+            return null;
+        }
+
+        const payload = {};
+        const fields = {};
+        line.split(/\s+(?=[A-Z_]+:)/).forEach(field => {
+            const nv = field.match(/^([A-Z_]+):\s*(.*)$/);
+            if (nv) {
+                fields[nv[1]] = nv[2].trim();
+            }
+        });
+
+        // Marlin 1.1.9 (Github)
+        const [name = '', version = ''] = (fields.FIRMWARE_NAME || '').split(/\s+/);
+        payload.name = name;
+        payload.version = version;
+
+        if (fields.PROTOCOL_VERSION !== undefined) {
+            payload.protocolVersion = fields.PROTOCOL_VERSION;
+        }
+        if (fields.MACHINE_TYPE !== undefined) {
+            payload.machineType = fields.MACHINE_TYPE;
+        }
+        if (fields.EXTRUDER_COUNT !== undefined) {
+            payload.extruderCount = Number(fields.EXTRUDER_COUNT);
+        }
+        if (fields.UUID !== undefined) {
+            payload.uuid = fields.UUID;
+        }
+
+        return {
+            type: MarlinLineParserResultFirmware,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultOk {
+    // ok
+    // ok T:20.00 /0.00 B:20.00 /0.00 @:0 B@:0
+    static parse(line) {
+        const r = line.match(/^ok\b\s*(.*)$/);
+        if (!r) {
+            return null;
+        }
+
+        const payload = {};
+
+        // The response of M105
+        const heater = parseTemperature(r[1]);
+        if (heater) {
+            payload.heater = heater;
+        }
+
+        return {
+            type: MarlinLineParserResultOk,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultPosition {
+    // X:0.00 Y:0.00 Z:0.00 E:0.00 Count X:0 Y:0 Z:0
+    // X:0.00Y:0.00Z:0.00E:0.00 Count X: 0.00Y:0.00Z:0.00
+    static parse(line) {
+        const r = line.match(/^X:\s*-?\d+(?:\.\d+)?/);
+        if (!r) {
+            return null;
+        }
+
+        // The stepper counts after "Count" are not positions
+        const re = /([XYZABC]):\s*(-?\d+(?:\.\d+)?)/g;
+        const str = line.split('Count')[0];
+        const payload = {
+            pos: {}
+        };
+        let nv;
+
+        while ((nv = re.exec(str)) !== null) {
+            payload.pos[nv[1].toLowerCase()] = nv[2];
+        }
+
+        return {
+            type: MarlinLineParserResultPosition,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultTemperature {
+    // T:20.00 /0.00 B:20.00 /0.00 @:0 B@:0
+    // T:150.32 E:0 W:?
+    static parse(line) {
+        const r = line.match(/^(T|B):/);
+        if (!r) {
+            return null;
+        }
+
+        const heater = parseTemperature(line);
+        if (!heater) {
+            return null;
+        }
+
+        const payload = {
+            heater: heater
+        };
+
+        return {
+            type: MarlinLineParserResultTemperature,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultError {
+    // Error:checksum mismatch, Last Line: 5
+    // Error:Printer halted. kill() called!
+    static parse(line) {
+        const r = line.match(/^Error:\s*(.*)$/i);
+        if (!r) {
+            return null;
+        }
+
+        const payload = {
+            message: r[1]
+        };
+
+        return {
+            type: MarlinLineParserResultError,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultResend {
+    // Resend: 6
+    // rs 6
+    static parse(line) {
+        const r = line.match(/^(?:Resend:|rs)\s*N?(\d+)$/i);
+        if (!r) {
+            return null;
+        }
+
+        const payload = {
+            line: Number(r[1])
+        };
+
+        return {
+            type: MarlinLineParserResultResend,
+            payload: payload
+        };
+    }
+}
+
+class MarlinLineParserResultEcho {
+    // echo:busy: processing
+    // echo:Unknown command: "G99"
+    static parse(line) {
+        const r = line.match(/^echo:\s*(.*)$/);
+        if (!r) {
+            return null;
+        }
+
+        const payload = {
+            message: r[1]
+        };
+
+        // The host keepalive message while processing a long command
+        const busy = r[1].match(/^busy:\s*(.*)$/);
+        if (busy) {
+            payload.busy = busy[1];
+        }
+
+        return {
+            type: MarlinLineParserResultEcho,
+            payload: payload
+        };
+    }
+}
+
+class Marlin extends events.EventEmitter {
+    state = {
+        firmware: {
+            name: '',
+            version: ''
+        },
+        status: {
+            activeState: '',
+            mpos: {
+                x: '0.00',
+                y: '0.00',
+                z: '0.00'
+            },
+            wpos: {
+                x: '0.00',
+                y: '0.00',
+                z: '0.00'
+            },
+            ovF: 100
+        },
+        heater: {
+            extruder: {
+                deg: 0,
+                degTarget: 0,
+                power: 0
+            },
+            heatedBed: {
+                deg: 0,
+                degTarget: 0,
+                power: 0
+            }
+        },
+        fan: {
+            speed: 0 // 0-255
+        },
+        parserstate: {
+            modal: {
+                motion: 'G0', // G0, G1, G2, G3, G38.2, G38.3
+                coordinate: 'G54', // G54, G55, G56, G57, G58, G59
+                plane: 'G17', // G17: xy-plane, G18: xz-plane, G19: yz-plane
+                units: 'G21', // G20: Inches, G21: Millimeters
+                distance: 'G90', // G90: Absolute, G91: Relative
+                spindle: 'M5', // M3, M4, M5
+                coolant: { // M7, M8, M9
+                    mist: false, // M7
+                    flood: false // M8
+                }
+            },
+            tool: '',
+            feedrate: '',
+            spindle: ''
+        }
+    };
+    parser = new MarlinLineParser();
+
+    parse(data) {
+        data = ('' + data).replace(/\s+$/, '').replace(/^\s+/, '');
+        if (!data) {
+            return;
+        }
+
+        this.emit('raw', { raw: data });
+
+        const result = this.parser.parse(data) || {};
+        const { type, payload } = result;
+
+        if (type === MarlinLineParserResultStart) {
+            // The firmware has been reset
+            this.setActiveState(MARLIN_ACTIVE_STATE_IDLE);
+            this.emit('start', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultFirmware) {
+            const nextState = {
+                ...this.state,
+                firmware: _.omit(payload, 'raw')
+            };
+            if (!_.isEqual(this.state.firmware, nextState.firmware)) {
+                this.state = nextState; // enforce state change
+            }
+            this.emit('firmware', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultOk) {
+            if (payload.heater) {
+                this.updateHeater(payload.heater);
+            }
+            this.emit('ok', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultPosition) {
+            // Marlin reports the position in the current work coordinate system
+            const nextState = {
+                ...this.state,
+                status: {
+                    ...this.state.status,
+                    mpos: {
+                        ...this.state.status.mpos,
+                        ...payload.pos
+                    },
+                    wpos: {
+                        ...this.state.status.wpos,
+                        ...payload.pos
+                    }
+                }
+            };
+            if (!_.isEqual(this.state.status, nextState.status)) {
+                this.state = nextState; // enforce state change
+            }
+            this.emit('pos', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultTemperature) {
+            this.updateHeater(payload.heater);
+            this.emit('temperature', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultError) {
+            // The firmware stops processing commands until it is restarted with M999 or reset
+            if (payload.message.match(/halted|kill\(\)|stopped/i)) {
+                this.setActiveState(MARLIN_ACTIVE_STATE_ALARM);
+            }
+
+            // https://nodejs.org/api/events.html#events_error_events
+            // As a best practice, listeners should always be added for the 'error' events.
+            this.emit('error', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultResend) {
+            this.emit('resend', payload);
+            return;
+        }
+        if (type === MarlinLineParserResultEcho) {
+            this.emit('echo', payload);
+            return;
+        }
+        if (data.length > 0) {
+            this.emit('others', payload);
+            return;
+        }
+    }
+    updateHeater(heater) {
+        const nextState = {
+            ...this.state,
+            heater: _.merge({}, this.state.heater, heater)
+        };
+        if (!_.isEqual(this.state.heater, nextState.heater)) {
+            this.state = nextState; // enforce state change
+        }
+    }
+    setActiveState(activeState) {
+        if (this.state.status.activeState === activeState) {
+            return;
+        }
+
+        this.state = { // enforce state change
+            ...this.state,
+            status: {
+                ...this.state.status,
+                activeState: activeState
+            }
+        };
+    }
+    // Marlin does not report the modal state and the fan speed, which are updated from the commands sent to the controller.
+    // @param {string} line The command sent to the controller.
+    updateFromCommand(line) {
+        const { words = [] } = parseLine(String(line));
+        const parserstate = _.cloneDeep(this.state.parserstate);
+        const status = { ...this.state.status };
+        const fan = { ...this.state.fan };
+        const params = {};
+
+        words.forEach(([letter, value]) => {
+            params[letter] = value;
+        });
+
+        words.forEach(([letter, value]) => {
+            // Gx, Mx
+            if (letter === 'G' || letter === 'M') {
+                const word = letter + value;
+
+                // M106: Set Fan Speed, M107: Fan Off
+                if (word === 'M106' && !params.P) {
+                    fan.speed = (params.S !== undefined) ? Number(params.S) : 255;
+                    return;
+                }
+                if (word === 'M107' && !params.P) {
+                    fan.speed = 0;
+                    return;
+                }
+
+                // M220: Set Feedrate Percentage
+                if (word === 'M220' && params.S !== undefined) {
+                    status.ovF = Number(params.S);
+                    return;
+                }
+
+                const r = _.find(MARLIN_MODAL_GROUPS, (group) => {
+                    return _.includes(group.modes, word);
+                });
+
+                if (!r) {
+                    return;
+                }
+
+                if (r.group === 'coolant') {
+                    if (word === 'M7') {
+                        parserstate.modal.coolant.mist = true;
+                    } else if (word === 'M8') {
+                        parserstate.modal.coolant.flood = true;
+                    } else { // M9
+                        parserstate.modal.coolant.mist = false;
+                        parserstate.modal.coolant.flood = false;
+                    }
+                } else {
+                    parserstate.modal[r.group] = word;
+                }
+
+                if (r.group === 'spindle' && word !== 'M5' && params.S !== undefined) {
+                    parserstate.spindle = String(params.S);
+                }
+
+                return;
+            }
+
+            // T: tool number
+            if (letter === 'T') {
+                parserstate.tool = String(value);
+                return;
+            }
+
+            // F: feed rate
+            if (letter === 'F') {
+                parserstate.feedrate = String(value);
+                return;
+            }
+        });
+
+        const nextState = {
+            ...this.state,
+            status: status,
+            fan: fan,
+            parserstate: parserstate
+        };
+        if (!_.isEqual(this.state, nextState)) {
+            this.state = nextState; // enforce state change
+        }
+    }
+    getMachinePosition() {
+        return _.get(this.state, 'status.mpos', {});
+    }
+    getWorkPosition() {
+        return _.get(this.state, 'status.wpos', {});
+    }
+    isAlarm() {
+        const activeState = _.get(this.state, 'status.activeState');
+        return activeState === MARLIN_ACTIVE_STATE_ALARM;
+    }
+}
+
+export {
+    MarlinLineParser,
+    MarlinLineParserResultStart,
+    MarlinLineParserResultFirmware,
+    MarlinLineParserResultOk,
+    MarlinLineParserResultPosition,
+    MarlinLineParserResultTemperature,
+    MarlinLineParserResultError,
+    MarlinLineParserResultResend,
+    MarlinLineParserResultEcho
+};
+export default Marlin;
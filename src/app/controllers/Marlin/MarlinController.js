@@ -0,0 +1,1652 @@
+import _ from 'lodash';
+import ExpressionEvaluator from 'expr-eval';
+import ControlLock from '../../lib/control-lock';
+import ensureArray from '../../lib/ensure-array';
+import { parseEndpoint, renderPayload } from '../../lib/event-payload';
+import EventTrigger from '../../lib/event-trigger';
+import Feeder from '../../lib/feeder';
+import GCodeAnalyzer from '../../lib/gcode-analyzer';
+import HeightMap from '../../lib/height-map';
+import JobQueue from '../../lib/job-queue';
+import log from '../../lib/log';
+import checkMachineEnvelope, {
+    normalizeEnvelope,
+    ENVELOPE_CHECK_REFUSE,
+    ENVELOPE_CHECK_WARN,
+    ENVELOPE_CHECK_OFF
+} from '../../lib/machine-envelope';
+import ModalState from '../../lib/modal-state';
+import publishMqtt from '../../lib/mqtt-publisher';
+import Reconnector from '../../lib/reconnector';
+import Sender, { SP_TYPE_SEND_RESPONSE } from '../../lib/sender';
+import {
+    hasToolChange,
+    parseTool,
+    commentOutToolChange,
+    normalizeToolChangeOptions,
+    getToolChangeCommands,
+    TOOL_CHANGE_POLICY_IGNORE,
+    TOOL_CHANGE_POLICY_PAUSE,
+    TOOL_CHANGE_POLICY_PROBE,
+    TOOL_CHANGE_POLICY_MACRO,
+    TOOL_CHANGE_STATE_PENDING,
+    TOOL_CHANGE_STATE_WAITING,
+    TOOL_CHANGE_STATE_RESUMING
+} from '../../lib/tool-change';
+import { createTransport } from '../../lib/transport';
+import postWebhook from '../../lib/webhook';
+import Workflow, {
+    WORKFLOW_STATE_IDLE,
+    WORKFLOW_STATE_PAUSED,
+    WORKFLOW_STATE_RUNNING
+} from '../../lib/workflow';
+import config from '../../services/configstore';
+import jobHistory, {
+    JOB_OUTCOME_FINISHED,
+    JOB_OUTCOME_STOPPED,
+    JOB_OUTCOME_ALARM
+} from '../../services/jobhistory';
+import monitor from '../../services/monitor';
+import taskRunner from '../../services/taskrunner';
+import store from '../../store';
+import Marlin, { numberLine } from './Marlin';
+import {
+    MARLIN,
+    MARLIN_ACTIVE_STATE_HOLD,
+    MARLIN_ACTIVE_STATE_IDLE,
+    MARLIN_ACTIVE_STATE_RUN,
+    MARLIN_RESEND_HISTORY_SIZE
+} from './constants';
+
+const noop = _.noop;
+
+const dbg = (...args) => {
+    log.raw.apply(log, ['silly'].concat(args));
+};
+
+const reExpressionContext = new RegExp(/\[[^\]]+\]/g);
+
+// The tool change is commented out with parentheses, which are not supported by Marlin
+const stripParenthesesComments = (line) => String(line).replace(/\s*\([^\)]*\)/g, '').trim();
+
+// Marlin sends one "ok" for every command it receives.
+// The sources of the commands are queued in the order they were sent to dispatch the responses.
+const SOURCE_SENDER = 'sender';
+const SOURCE_FEEDER = 'feeder';
+const SOURCE_QUERY = 'query';
+const SOURCE_WRITE = 'write';
+
+// Errors caused by a corrupted line, which will be followed by a resend request
+const reTransmissionError = /checksum|line number|last line/i;
+
+class MarlinController {
+    type = MARLIN;
+
+    // Connections
+    connections = {};
+
+    // SerialPort
+    options = {
+        port: '',
+        baudrate: 115200
+    };
+    serialport = null;
+    serialportListener = {
+        data: (data) => {
+            this.marlin.parse('' + data);
+            dbg(`[Marlin] < ${data}`);
+        },
+        disconnect: (err) => {
+            this.ready = false;
+            if (err) {
+                log.warn(`[Marlin] Disconnected from serial port "${this.options.port}":`, err);
+            }
+
+            this.reconnect();
+        },
+        error: (err) => {
+            this.ready = false;
+            if (err) {
+                log.error(`[Marlin] Unexpected error while reading/writing serial port "${this.options.port}":`, err);
+            }
+        }
+    };
+
+    // Marlin
+    marlin = null;
+    ready = false;
+    state = {};
+    queryTimer = null;
+    actionTime = {
+        queryPosition: 0,
+        queryTemperature: 0
+    };
+
+    // The sources of the commands waiting for a response
+    responseQueue = [];
+
+    // Line numbers and checksums
+    lineNumber = 0;
+    lineHistory = {}; // The numbered lines for resending
+    resendLineNumber = null;
+
+    // Event Trigger
+    event = null;
+
+    // Feeder
+    feeder = null;
+
+    // Sender
+    sender = null;
+
+    // Workflow
+    workflow = null;
+
+    // Reconnection
+    reconnector = null;
+    recovery = null; // The last acknowledged line of the program that was running when the serial port was disconnected
+
+    // Job History
+    job = null;
+
+    // Job Queue
+    queue = null;
+
+    // G-code Analysis
+    analysis = null;
+
+    // Height Map
+    heightMap = null;
+    applyHeightMap = false;
+
+    // Tool Change
+    tool = null; // The tool selected by the last T word
+    toolChange = null;
+
+    translateWithContext = (gcode, context = {}) => {
+        if (typeof gcode !== 'string') {
+            log.error(`[Marlin] No valid G-code string: gcode=${gcode}`);
+            return '';
+        }
+
+        const { Parser } = ExpressionEvaluator;
+
+        // Work position
+        const { x: posx, y: posy, z: posz, a: posa, b: posb, c: posc } = this.marlin.getWorkPosition();
+
+        // Context
+        context = {
+            xmin: 0,
+            xmax: 0,
+            ymin: 0,
+            ymax: 0,
+            zmin: 0,
+            zmax: 0,
+            ...context,
+
+            // Work position cannot be overridden by context
+            posx,
+            posy,
+            posz,
+            posa,
+            posb,
+            posc
+        };
+
+        try {
+            gcode = gcode.replace(reExpressionContext, (match) => {
+                const expr = match.slice(1, -1);
+                return Parser.evaluate(expr, context);
+            });
+        } catch (e) {
+            log.error('[Marlin] translateWithContext:', e);
+        }
+
+        return gcode;
+    };
+
+    constructor(port, options) {
+        const { baudrate } = { ...options };
+
+        this.options = {
+            ...this.options,
+            port: port,
+            baudrate: baudrate
+        };
+
+        // Event Trigger
+        this.event = new EventTrigger((event, trigger, commands, context) => {
+            log.debug(`[Marlin] EventTrigger: event="${event}", trigger="${trigger}", commands="${commands}"`);
+            if (trigger === 'system') {
+                taskRunner.run(commands);
+            } else if (trigger === 'webhook' || trigger === 'mqtt') {
+                const { url, template } = parseEndpoint(commands);
+                const payload = renderPayload(template, this.getEventContext(event, context));
+                const send = (trigger === 'webhook') ? postWebhook : publishMqtt;
+
+                send(url, payload, (err) => {
+                    if (err) {
+                        log.error(`[Marlin] Failed to send the "${event}" event with the ${trigger} trigger: ${err.message}`);
+                    }
+                });
+            } else {
+                this.command(null, 'gcode', commands, this.getEventContext(event, context));
+            }
+        });
+
+        // Feeder
+        this.feeder = new Feeder();
+        this.feeder.on('data', (command = '', context = {}) => {
+            if (this.isClose()) {
+                log.error(`[Marlin] Serial port "${this.options.port}" is not accessible`);
+                return;
+            }
+
+            if (this.marlin.isAlarm()) {
+                // Feeder
+                this.feeder.clear();
+                log.warn('[Marlin] Stopped sending G-code commands in Alarm mode');
+                return;
+            }
+
+            let line = String(command).trim();
+            if (line.length === 0) {
+                return;
+            }
+
+            // Example
+            // "G0 X[posx - 8] Y[ymax]" -> "G0 X2 Y50"
+            line = this.translateWithContext(line, context);
+
+            this.emitAll('serialport:write', line);
+
+            this.marlin.updateFromCommand(line);
+            this.writeLine(line, SOURCE_FEEDER);
+        });
+
+        // Sender
+        this.sender = new Sender(SP_TYPE_SEND_RESPONSE);
+        this.sender.on('data', (gcode = '', context = {}) => {
+            if (this.isClose()) {
+                log.error(`[Marlin] Serial port "${this.options.port}" is not accessible`);
+                return;
+            }
+
+            if (this.workflow.state !== WORKFLOW_STATE_RUNNING) {
+                log.error(`[Marlin] Unexpected workflow state: ${this.workflow.state}`);
+                return;
+            }
+
+            gcode = ('' + gcode).trim();
+
+            // Tool Change
+            gcode = stripParenthesesComments(this.interceptToolChange(gcode));
+
+            if (gcode.length === 0) {
+                // The line only contained the tool change
+                this.sender.ack();
+                return;
+            }
+
+            this.marlin.updateFromCommand(gcode);
+
+            // Numbered lines with checksums will be resent if corrupted
+            this.lineNumber++;
+            const line = numberLine(this.lineNumber, gcode);
+            this.lineHistory[this.lineNumber] = line;
+            delete this.lineHistory[this.lineNumber - MARLIN_RESEND_HISTORY_SIZE];
+
+            this.writeLine(line, SOURCE_SENDER);
+        });
+
+        this.sender.on('end', () => {
+            this.event.trigger('gcode:end');
+
+            this.finishJob(JOB_OUTCOME_FINISHED);
+
+            // Proceed to the next job in the queue
+            this.queue.finish();
+        });
+
+        // Workflow
+        this.workflow = new Workflow();
+        this.workflow.on('start', () => {
+            this.sender.rewind();
+        });
+        this.workflow.on('stop', () => {
+            this.finishJob(JOB_OUTCOME_STOPPED);
+            this.clearToolChange();
+            this.sender.rewind();
+        });
+        this.workflow.on('resume', () => {
+            this.sender.next();
+        });
+
+        // Reconnection
+        this.reconnector = new Reconnector(config.get('reconnect'));
+        this.reconnector.on('attempt', ({ attempt, delay, remainingTime }) => {
+            const { port } = this.options;
+
+            log.debug(`[Marlin] Reconnect to serial port "${port}" in ${delay}ms: attempt=${attempt}`);
+
+            this.emitAll('serialport:reconnecting', {
+                port: port,
+                attempt: attempt,
+                delay: delay,
+                remainingTime: remainingTime
+            });
+        });
+        this.reconnector.on('reconnect', () => {
+            const { port, baudrate } = this.options;
+            const recovery = this.recovery;
+
+            this.recovery = null;
+
+            this.emitAll('serialport:open', {
+                port: port,
+                baudrate: baudrate,
+                controllerType: this.type,
+                inuse: true
+            });
+            this.emitAll('serialport:reconnected', {
+                port: port,
+                recovery: recovery
+            });
+
+            log.info(`[Marlin] Reconnected to serial port "${port}": recovery=${JSON.stringify(recovery)}`);
+
+            this.event.trigger('port:open', { baudrate: baudrate });
+
+            // Clear action values
+            this.clearActionValues();
+
+            // Initialize controller
+            this.initController();
+        });
+        this.reconnector.on('fail', () => {
+            log.error(`[Marlin] Cannot reconnect to serial port "${this.options.port}" within ${this.reconnector.gracePeriod}ms`);
+
+            this.recovery = null;
+            this.close();
+        });
+
+        // Control Lock
+        this.controlLock = new ControlLock();
+        this.controlLock.on('change', () => {
+            this.emitAll('controller:lock', this.controlLock.toJSON());
+        });
+
+        // Job Queue
+        this.queue = new JobQueue();
+        this.queue.on('change', () => {
+            this.emitAll('queue:status', this.queue.toJSON());
+        });
+        this.queue.on('job', (job) => {
+            // Wait until the sender has finished processing the previous program
+            setImmediate(() => {
+                this.runQueuedJob(job);
+            });
+        });
+
+        // Marlin
+        this.marlin = new Marlin();
+
+        this.marlin.on('raw', noop);
+
+        this.marlin.on('start', (res) => {
+            // The firmware has been reset, and will not respond to the commands sent before
+            this.responseQueue = [];
+            this.resendLineNumber = null;
+            this.workflow.stop();
+            this.feeder.clear();
+
+            this.emitAll('serialport:read', res.raw);
+        });
+
+        this.marlin.on('firmware', (res) => {
+            this.emitAll('serialport:read', res.raw);
+        });
+
+        this.marlin.on('ok', (res) => {
+            const source = this.responseQueue.shift();
+
+            if (source === SOURCE_QUERY) {
+                return;
+            }
+
+            // Sender
+            if (source === SOURCE_SENDER) {
+                if (this.resendLineNumber !== null) {
+                    this.resendLine();
+                    return;
+                }
+
+                if (this.workflow.state === WORKFLOW_STATE_RUNNING) {
+                    this.sender.ack();
+                    this.sender.next();
+                    return;
+                }
+
+                if (this.workflow.state === WORKFLOW_STATE_PAUSED) {
+                    // Acknowledge the line sent before pausing, and resume sending lines when the workflow is resumed
+                    this.sender.ack();
+                }
+                return;
+            }
+
+            this.emitAll('serialport:read', res.raw);
+
+            // Feeder
+            if (source === SOURCE_FEEDER) {
+                this.feeder.next();
+            }
+        });
+
+        this.marlin.on('pos', (res) => {
+            if (this.responseQueue[0] !== SOURCE_QUERY) {
+                this.emitAll('serialport:read', res.raw);
+            }
+        });
+
+        this.marlin.on('temperature', noop);
+
+        this.marlin.on('error', (res) => {
+            this.emitAll('serialport:read', res.raw);
+
+            // A resend request will follow
+            if (res.message.match(reTransmissionError)) {
+                return;
+            }
+
+            if (this.marlin.isAlarm()) {
+                // The firmware will not respond to the pending commands
+                this.responseQueue = [];
+                this.resendLineNumber = null;
+                this.feeder.clear();
+
+                this.event.trigger('alarm', { message: res.message });
+
+                // Job History
+                this.finishJob(JOB_OUTCOME_ALARM);
+                return;
+            }
+
+            this.event.trigger('error', { message: res.message });
+
+            // Sender
+            if (this.responseQueue[0] === SOURCE_SENDER) {
+                const { lines, received } = this.sender.state;
+                const line = lines[received] || '';
+
+                this.emitAll('serialport:read', `> ${line.trim()} (line=${received + 1})`);
+
+                if (this.job) {
+                    jobHistory.addError(this.job, {
+                        line: received + 1,
+                        message: res.raw
+                    });
+                }
+            }
+        });
+
+        this.marlin.on('resend', (res) => {
+            log.warn(`[Marlin] Resend line ${res.line}`);
+            this.emitAll('serialport:read', res.raw);
+
+            // The line will be resent when the "ok" is received
+            this.resendLineNumber = res.line;
+        });
+
+        this.marlin.on('echo', (res) => {
+            // Do not show the keepalive messages
+            if (res.busy !== undefined) {
+                return;
+            }
+
+            this.emitAll('serialport:read', res.raw);
+        });
+
+        this.marlin.on('others', (res) => {
+            this.emitAll('serialport:read', res.raw);
+        });
+
+        const queryPosition = _.throttle(() => {
+            // Wait for the pending commands to avoid delaying the program
+            if (this.responseQueue.length > 0) {
+                return;
+            }
+
+            if (this.isOpen()) {
+                this.actionTime.queryPosition = new Date().getTime();
+                this.writeLine('M114', SOURCE_QUERY);
+            }
+        }, 500);
+
+        const queryTemperature = _.throttle(() => {
+            if (this.responseQueue.length > 0) {
+                return;
+            }
+
+            if (this.isOpen()) {
+                this.actionTime.queryTemperature = new Date().getTime();
+                this.writeLine('M105', SOURCE_QUERY);
+            }
+        }, 2000);
+
+        this.queryTimer = setInterval(() => {
+            if (this.isClose()) {
+                // Serial port is closed
+                return;
+            }
+
+            // Feeder
+            if (this.feeder.peek()) {
+                this.emitAll('feeder:status', this.feeder.toJSON());
+            }
+
+            // Sender
+            if (this.sender.peek()) {
+                this.emitAll('sender:status', this.sender.toJSON());
+            }
+
+            // Tool Change
+            this.processToolChange();
+
+            // Marlin does not report the machine state
+            this.updateActiveState();
+
+            // Marlin state
+            if (this.state !== this.marlin.state) {
+                const prevActiveState = _.get(this.state, 'status.activeState', '');
+                this.state = this.marlin.state;
+                this.emitAll('Marlin:state', this.state);
+
+                const activeState = _.get(this.state, 'status.activeState', '');
+                if (prevActiveState && prevActiveState !== activeState && activeState === MARLIN_ACTIVE_STATE_IDLE) {
+                    this.event.trigger('controller:idle');
+                }
+            }
+
+            // Wait for the bootloader to complete before sending commands
+            if (!(this.ready)) {
+                // Not ready yet
+                return;
+            }
+
+            // M114 - Get Current Position
+            queryPosition();
+
+            // M105 - Report Temperatures
+            queryTemperature();
+        }, 250);
+    }
+    clearActionValues() {
+        this.actionTime.queryPosition = 0;
+        this.actionTime.queryTemperature = 0;
+        this.responseQueue = [];
+        this.lineNumber = 0;
+        this.lineHistory = {};
+        this.resendLineNumber = null;
+    }
+    // Writes a line to the serial port, and queues the source of the line to dispatch the response.
+    // @param {string} line The line without the newline character.
+    // @param {string} source The source of the line.
+    writeLine(line, source) {
+        this.responseQueue.push(source);
+        this.serialport.write(line + '\n');
+        dbg(`[Marlin] > ${line}`);
+    }
+    // Resends the line requested by the controller.
+    resendLine() {
+        const lineNumber = this.resendLineNumber;
+        const line = this.lineHistory[lineNumber];
+
+        this.resendLineNumber = null;
+
+        if (!line) {
+            log.error(`[Marlin] Cannot resend line ${lineNumber}: The line is no longer available`);
+            this.emitAll('serialport:read', `Cannot resend line ${lineNumber}`);
+            this.command(null, 'gcode:stop');
+            return;
+        }
+
+        this.writeLine(line, SOURCE_SENDER);
+    }
+    updateActiveState() {
+        if (this.marlin.isAlarm()) {
+            return;
+        }
+
+        const { received, total } = this.sender.state;
+        const busy = _.some(this.responseQueue, source => source !== SOURCE_QUERY) ||
+            (this.workflow.state === WORKFLOW_STATE_RUNNING && received < total);
+
+        if (this.workflow.state === WORKFLOW_STATE_PAUSED) {
+            this.marlin.setActiveState(MARLIN_ACTIVE_STATE_HOLD);
+        } else if (busy) {
+            this.marlin.setActiveState(MARLIN_ACTIVE_STATE_RUN);
+        } else {
+            this.marlin.setActiveState(MARLIN_ACTIVE_STATE_IDLE);
+        }
+    }
+    // Loads and starts a job from the job queue.
+    runQueuedJob(job) {
+        const { id, name, gcode, context } = job;
+
+        if (this.isClose()) {
+            this.queue.stop();
+            return;
+        }
+
+        this.command(null, 'gcode:load', name, gcode, context, (err) => {
+            if (err) {
+                log.error(`[Marlin] Failed to load "${name}" from the job queue:`, err);
+                this.queue.stop();
+                return;
+            }
+
+            this.command(null, 'gcode:start');
+
+            if (this.workflow.state !== WORKFLOW_STATE_RUNNING) {
+                log.error(`[Marlin] Failed to start "${name}" from the job queue`);
+                this.queue.stop();
+                return;
+            }
+
+            this.emitAll('queue:job', { id, name });
+        });
+    }
+    // Returns the event details for rendering the payload of a webhook or MQTT trigger.
+    // @param {string} event The event name.
+    // @param {object} [context] The details specific to the event.
+    getEventContext(event, context = {}) {
+        const { name, size, total, sent, received, elapsedTime, remainingTime } = this.sender.toJSON();
+
+        return {
+            event: event,
+            port: this.options.port,
+            controller: this.type,
+            activeState: _.get(this.state, 'status.activeState', ''),
+            workflowState: this.workflow.state,
+            name: name,
+            size: size,
+            total: total,
+            sent: sent,
+            received: received,
+            progress: (total > 0) ? Math.floor(received / total * 100) : 0,
+            elapsedTime: elapsedTime,
+            remainingTime: remainingTime,
+            timestamp: new Date().toISOString(),
+            ...context
+        };
+    }
+    // Records the outcome of the running job to the job history.
+    finishJob(outcome) {
+        if (!this.job) {
+            return;
+        }
+
+        const { total, sent, received } = this.sender.state;
+        jobHistory.finish(this.job, { outcome, total, sent, received });
+        this.job = null;
+    }
+    // Analyzes the loaded G-code to estimate the run time.
+    // The run time will not be estimated unless the rate and acceleration settings are specified in the configuration file,
+    // and the settings for the port take precedence over the settings for all machines.
+    analyzeGCode() {
+        const { port } = this.options;
+        const kinematics = config.get(['machines', port, 'kinematics'], config.get('machine.kinematics'));
+        const analyzer = new GCodeAnalyzer(kinematics);
+        const { lineTimes, ...analysis } = analyzer.analyze(this.sender.state.lines);
+
+        if (kinematics) {
+            this.sender.setTimeEstimate(lineTimes);
+        } else {
+            analysis.estimatedTime = null;
+        }
+
+        this.analysis = analysis;
+        this.emitAll('gcode:analysis', {
+            name: this.sender.state.name,
+            ...analysis
+        });
+
+        log.debug(`[Marlin] Analyze G-code: estimatedTime=${analysis.estimatedTime}ms, tools=${JSON.stringify(analysis.tools)}`);
+    }
+    // Returns the clearance height in work coordinates (mm) for resuming a program from an arbitrary line, or null if not specified.
+    // The clearance for the port takes precedence over the clearance for all machines.
+    getClearance() {
+        const { port } = this.options;
+        const clearance = config.get(['machines', port, 'clearance'], config.get('machine.clearance'));
+        return Number.isFinite(clearance) ? clearance : null;
+    }
+    // Returns the machine envelope in machine coordinates, or null if the envelope is not specified in the configuration file.
+    getMachineEnvelope() {
+        return normalizeEnvelope(config.get('machine.envelope'));
+    }
+    // Checks the toolpath of the loaded G-code against the machine envelope with the current work coordinate offset.
+    // @param {string} stage The stage of the check. One of "load" or "start".
+    // @return {object} The preflight report.
+    preflightCheck(stage) {
+        const action = config.get('machine.envelopeCheck', ENVELOPE_CHECK_WARN);
+        const envelope = (action !== ENVELOPE_CHECK_OFF) ? this.getMachineEnvelope() : null;
+        const report = {
+            name: this.sender.state.name,
+            stage: stage,
+            action: action,
+            envelope: envelope,
+            offset: null,
+            bbox: null,
+            violations: []
+        };
+
+        if (!envelope || !this.analysis) {
+            return report;
+        }
+
+        // Marlin reports the position in the current work coordinate system, the offset is always zero
+        const offset = { x: 0, y: 0, z: 0 };
+        const { bbox, violations } = checkMachineEnvelope(this.analysis.bbox, offset, envelope);
+
+        return {
+            ...report,
+            offset,
+            bbox,
+            violations
+        };
+    }
+    // Height map probing is not supported, but a height map can be loaded and applied.
+    getHeightMapStatus() {
+        const heightMap = this.heightMap;
+
+        return {
+            probing: false,
+            probed: 0,
+            total: 0,
+            apply: this.applyHeightMap,
+            heightMap: heightMap ? heightMap.toJSON() : null
+        };
+    }
+    // Returns the tool change options. The options for the port take precedence over the options for all machines.
+    getToolChangeOptions() {
+        const { port } = this.options;
+        const options = config.get(['machines', port, 'toolChange'], config.get('machine.toolChange'));
+        return normalizeToolChangeOptions(options);
+    }
+    getToolChangeStatus() {
+        if (!this.toolChange) {
+            return null;
+        }
+
+        const { state, tool, options } = this.toolChange;
+
+        return {
+            state: state,
+            tool: tool,
+            policy: options.policy,
+            reference: false
+        };
+    }
+    setToolChangeState(state) {
+        this.toolChange.state = state;
+        this.emitAll('toolchange:status', this.getToolChangeStatus());
+    }
+    // Holds off sending the program if the line contains M6, and comments out M6 to prevent the controller from ignoring or rejecting it.
+    // @param {string} gcode The line to send.
+    // @return {string} The line to send.
+    interceptToolChange(gcode) {
+        const tool = parseTool(gcode);
+        if (tool !== null) {
+            this.tool = tool;
+        }
+
+        if (!hasToolChange(gcode)) {
+            return gcode;
+        }
+
+        const options = this.getToolChangeOptions();
+        if (options.policy === TOOL_CHANGE_POLICY_IGNORE) {
+            return gcode;
+        }
+
+        if (options.policy === TOOL_CHANGE_POLICY_PROBE) {
+            log.error('[Marlin] Probing the tool length is not supported, the tool length will not be probed');
+            options.policy = TOOL_CHANGE_POLICY_PAUSE;
+        }
+
+        log.debug(`[Marlin] Tool change: tool=${this.tool}, policy=${options.policy}`);
+
+        this.toolChange = {
+            state: TOOL_CHANGE_STATE_PENDING,
+            tool: this.tool,
+            options: options
+        };
+        this.sender.hold({ data: 'M6', tool: this.tool });
+        this.emitAll('toolchange:status', this.getToolChangeStatus());
+        this.event.trigger('toolchange', { tool: this.tool });
+
+        return commentOutToolChange(gcode);
+    }
+    // Proceeds with the tool change once the controller has processed the commands.
+    processToolChange() {
+        if (!this.toolChange) {
+            return;
+        }
+
+        const { state, tool, options } = this.toolChange;
+
+        if (state === TOOL_CHANGE_STATE_PENDING) {
+            const { sent, received } = this.sender.state;
+
+            // Wait for the lines before M6 to be acknowledged
+            if (received < sent) {
+                return;
+            }
+
+            // Switch to the feeder for sending the tool change commands
+            this.workflow.pause();
+
+            this.setToolChangeState(TOOL_CHANGE_STATE_WAITING);
+            this.command(null, 'gcode', getToolChangeCommands(options, _.get(this.marlin.state, 'parserstate.modal')));
+
+            if (options.policy === TOOL_CHANGE_POLICY_MACRO) {
+                this.command(null, 'macro:run', options.macro, { tool: tool });
+            }
+            return;
+        }
+
+        if (state === TOOL_CHANGE_STATE_RESUMING) {
+            // Wait for the tool change commands to be acknowledged
+            if (this.feeder.isPending() || this.feeder.size() > 0) {
+                return;
+            }
+
+            log.debug(`[Marlin] Tool change completed: tool=${this.toolChange.tool}`);
+
+            this.toolChange = null;
+            this.emitAll('toolchange:status', null);
+            this.sender.unhold();
+            this.workflow.resume();
+        }
+    }
+    // Continues the program after the user has changed the tool.
+    resumeToolChange() {
+        if (!this.toolChange || this.toolChange.state !== TOOL_CHANGE_STATE_WAITING) {
+            log.error('[Marlin] Cannot resume the tool change: No tool change is waiting for confirmation');
+            return;
+        }
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+    }
+    clearToolChange() {
+        if (!this.toolChange) {
+            return;
+        }
+
+        this.toolChange = null;
+        this.emitAll('toolchange:status', null);
+    }
+    destroy() {
+        this.connections = {};
+
+        if (this.serialport) {
+            this.serialport = null;
+        }
+
+        if (this.event) {
+            this.event = null;
+        }
+
+        if (this.feeder) {
+            this.feeder = null;
+        }
+
+        if (this.sender) {
+            this.sender = null;
+        }
+
+        if (this.workflow) {
+            this.workflow = null;
+        }
+
+        if (this.queue) {
+            this.queue.removeAllListeners();
+            this.queue = null;
+        }
+
+        if (this.reconnector) {
+            this.reconnector.removeAllListeners();
+            this.reconnector.stop();
+            this.reconnector = null;
+        }
+
+        if (this.controlLock) {
+            this.controlLock.removeAllListeners();
+            this.controlLock.destroy();
+            this.controlLock = null;
+        }
+
+        if (this.queryTimer) {
+            clearInterval(this.queryTimer);
+            this.queryTimer = null;
+        }
+
+        if (this.marlin) {
+            this.marlin.removeAllListeners();
+            this.marlin = null;
+        }
+    }
+    initController() {
+        const cmds = [
+            // Wait for the bootloader to complete before sending commands
+            { pauseAfter: 1000 },
+
+            // Get the firmware information
+            { cmd: 'M115', pauseAfter: 50 }
+        ];
+
+        const sendInitCommands = (i = 0) => {
+            if (i >= cmds.length) {
+                // Set ready flag to true after sending initialization commands
+                this.ready = true;
+                this.event.trigger('startup');
+                return;
+            }
+            const { cmd = '', pauseAfter = 0 } = { ...cmds[i] };
+            if (cmd) {
+                this.writeLine(cmd, SOURCE_QUERY);
+            }
+            setTimeout(() => {
+                sendInitCommands(i + 1);
+            }, pauseAfter);
+        };
+        sendInitCommands();
+    }
+    get status() {
+        return {
+            port: this.options.port,
+            baudrate: this.options.baudrate,
+            connections: Object.keys(this.connections),
+            ready: this.ready,
+            controller: {
+                type: this.type,
+                state: this.state
+            },
+            activeState: _.get(this.state, 'status.activeState', ''),
+            machinePosition: this.marlin.getMachinePosition(),
+            workPosition: this.marlin.getWorkPosition(),
+            workflowState: this.workflow.state,
+            feeder: this.feeder.toJSON(),
+            sender: this.sender.toJSON(),
+            queue: this.queue.toJSON(),
+            toolChange: this.getToolChangeStatus(),
+            lock: this.controlLock.toJSON(),
+            reconnect: this.reconnector.toJSON()
+        };
+    }
+    open(callback = noop) {
+        const { port, baudrate } = this.options;
+
+        // Assertion check
+        if (this.isOpen()) {
+            log.error(`[Marlin] Cannot open serial port "${port}"`);
+            return;
+        }
+
+        this.createSerialPort();
+        this.serialport.open((err) => {
+            if (err) {
+                log.error(`[Marlin] Error opening serial port "${port}":`, err);
+                this.emitAll('serialport:error', { port: port });
+                callback(err); // notify error
+                return;
+            }
+
+            this.emitAll('serialport:open', {
+                port: port,
+                baudrate: baudrate,
+                controllerType: this.type,
+                inuse: true
+            });
+
+            callback(); // register controller
+
+            log.debug(`[Marlin] Connected to serial port "${port}"`);
+
+            this.event.trigger('port:open', { baudrate: baudrate });
+
+            this.workflow.stop();
+
+            // Clear action values
+            this.clearActionValues();
+
+            if (this.sender.state.gcode) {
+                // Unload G-code
+                this.command(null, 'unload');
+            }
+
+            // Initialize controller
+            this.initController();
+        });
+    }
+    // Creates the serial port, or the network connection, and listens to it.
+    createSerialPort() {
+        const { port, baudrate } = this.options;
+
+        this.serialport = createTransport(port, {
+            baudrate: baudrate
+        });
+        this.serialport.on('data', this.serialportListener.data);
+        this.serialport.on('disconnect', this.serialportListener.disconnect);
+        this.serialport.on('error', this.serialportListener.error);
+    }
+    // Stops listening to the serial port, and closes it if it is still open.
+    releaseSerialPort() {
+        const { port } = this.options;
+        const serialport = this.serialport;
+
+        if (!serialport) {
+            return;
+        }
+
+        this.serialport = null;
+        serialport.removeListener('data', this.serialportListener.data);
+        serialport.removeListener('disconnect', this.serialportListener.disconnect);
+        serialport.removeListener('error', this.serialportListener.error);
+        if (serialport.isOpen()) {
+            serialport.close((err) => {
+                if (err) {
+                    log.error(`[Marlin] Error closing serial port "${port}":`, err);
+                }
+            });
+        }
+    }
+    // Keeps the controller, along with the loaded G-code, after the serial port is disconnected unexpectedly,
+    // and tries to reopen the serial port until the grace period expires.
+    reconnect() {
+        const { port } = this.options;
+
+        if (!this.reconnector.isEnabled()) {
+            this.close();
+            return;
+        }
+
+        // Remember the last acknowledged line before the workflow stops and rewinds the program
+        const { name, total, received } = this.sender.state;
+        this.recovery = (this.workflow.state !== WORKFLOW_STATE_IDLE && total > 0) ? { name, total, line: received } : null;
+
+        this.releaseSerialPort();
+        this.feeder.clear();
+        this.workflow.stop();
+
+        log.warn(`[Marlin] Lost connection to serial port "${port}": recovery=${JSON.stringify(this.recovery)}`);
+
+        this.reconnector.start((callback) => {
+            this.createSerialPort();
+            this.serialport.open((err) => {
+                if (err) {
+                    this.releaseSerialPort();
+                }
+                callback(err);
+            });
+        });
+    }
+    close() {
+        const { port } = this.options;
+
+        // Assertion check
+        if (!this.serialport && !(this.reconnector && this.reconnector.isActive())) {
+            log.error(`[Marlin] Serial port "${port}" is not available`);
+            return;
+        }
+
+        // Stop reconnecting
+        this.reconnector.stop();
+
+        // Stop status query
+        this.ready = false;
+
+        this.emitAll('serialport:close', {
+            port: port,
+            inuse: false
+        });
+        this.event.trigger('port:close');
+        store.unset('controllers["' + port + '"]');
+
+        if (this.isOpen()) {
+            this.serialport.removeListener('data', this.serialportListener.data);
+            this.serialport.removeListener('disconnect', this.serialportListener.disconnect);
+            this.serialport.removeListener('error', this.serialportListener.error);
+            this.serialport.close((err) => {
+                if (err) {
+                    log.error(`[Marlin] Error closing serial port "${port}":`, err);
+                }
+            });
+        }
+
+        this.finishJob(JOB_OUTCOME_STOPPED);
+
+        this.destroy();
+    }
+    isOpen() {
+        return this.serialport && this.serialport.isOpen();
+    }
+    isClose() {
+        return !(this.isOpen());
+    }
+    addConnection(socket) {
+        if (!socket) {
+            log.error('[Marlin] The socket parameter is not specified');
+            return;
+        }
+
+        log.debug(`[Marlin] Add socket connection: id=${socket.id}`);
+        this.connections[socket.id] = socket;
+
+        if (!_.isEmpty(this.state)) {
+            // Send controller state to a newly connected client
+            socket.emit('Marlin:state', this.state);
+        }
+
+        if (this.sender) {
+            // Send sender status to a newly connected client
+            socket.emit('sender:status', this.sender.toJSON());
+        }
+
+        if (this.analysis) {
+            // Send the analysis of the loaded G-code to a newly connected client
+            socket.emit('gcode:analysis', {
+                name: this.sender.state.name,
+                ...this.analysis
+            });
+        }
+
+        // Send height map status to a newly connected client
+        socket.emit('heightmap:status', this.getHeightMapStatus());
+
+        // Send job queue status to a newly connected client
+        socket.emit('queue:status', this.queue.toJSON());
+
+        // Send tool change status to a newly connected client
+        socket.emit('toolchange:status', this.getToolChangeStatus());
+
+        // Send control lock status to a newly connected client
+        socket.emit('controller:lock', this.controlLock.toJSON());
+    }
+    removeConnection(socket) {
+        if (!socket) {
+            log.error('[Marlin] The socket parameter is not specified');
+            return;
+        }
+
+        log.debug(`[Marlin] Remove socket connection: id=${socket.id}`);
+        this.connections[socket.id] = undefined;
+        delete this.connections[socket.id];
+
+        // Keep the lock until the timeout expires if the lock holder has disconnected
+        this.controlLock.disconnect(socket);
+    }
+    emitAll(eventName, ...args) {
+        Object.keys(this.connections).forEach(id => {
+            const socket = this.connections[id];
+            socket.emit.apply(socket, [eventName].concat(args));
+        });
+    }
+    // Returns false if the command is unknown, true otherwise.
+    command(socket, cmd, ...args) {
+        const handler = {
+            'gcode:load': () => {
+                let [name, gcode, context = {}, callback = noop] = args;
+                if (typeof context === 'function') {
+                    callback = context;
+                    context = {};
+                }
+
+                // TODO: This will move to sender in a future release
+                if (Object.keys(context).length > 0) {
+                    // Example
+                    // "G0 X[posx - 8] Y[ymax]" -> "G0 X2 Y50"
+                    gcode = this.translateWithContext(gcode, context);
+                }
+
+                if (this.heightMap && this.applyHeightMap) {
+                    // Compensate the Z positions for the surface height of the workpiece
+                    gcode = this.heightMap.compensate(gcode.split('\n')).join('\n');
+                    log.debug(`[Marlin] Apply height map: name="${name}"`);
+                }
+
+                const ok = this.sender.load(name, gcode, context);
+                if (!ok) {
+                    callback(new Error(`Invalid G-code: name=${name}`));
+                    return;
+                }
+
+                this.event.trigger('gcode:load');
+
+                log.debug(`[Marlin] Load G-code: name="${this.sender.state.name}", size=${this.sender.state.gcode.length}, total=${this.sender.state.total}`);
+
+                this.analyzeGCode();
+
+                this.emitAll('gcode:preflight', this.preflightCheck('load'));
+
+                this.workflow.stop();
+
+                callback(null, { name, gcode, context });
+            },
+            'gcode:unload': () => {
+                this.workflow.stop();
+
+                // Sender
+                this.sender.unload();
+
+                this.analysis = null;
+
+                this.event.trigger('gcode:unload');
+            },
+            'start': () => {
+                log.warn(`[Marlin] Warning: The "${cmd}" command is deprecated and will be removed in a future release.`);
+                this.command(socket, 'gcode:start');
+            },
+            'gcode:start': () => {
+                const [options] = args;
+                const { startFromLine = 1 } = { ...options };
+                const { name, lines, total } = this.sender.state;
+
+                if (startFromLine > 1 && startFromLine > total) {
+                    log.error(`[Marlin] Cannot start from line ${startFromLine}: total=${total}`);
+                    this.emitAll('gcode:start', { name, startLine: startFromLine, err: `The program has only ${total} lines` });
+                    return;
+                }
+
+                // Replay the preceding lines to restore the modal state before resuming the program
+                let preamble = [];
+                if (startFromLine > 1) {
+                    const modalState = new ModalState();
+                    lines.slice(0, startFromLine - 1).forEach(line => {
+                        modalState.update(line);
+                    });
+
+                    try {
+                        // Retract to the upper Z limit of the machine envelope in machine coordinates,
+                        // or to the clearance height in work coordinates if the envelope is not known
+                        preamble = modalState.toGCode({
+                            clearance: this.getClearance(),
+                            machineZ: _.get(this.getMachineEnvelope(), 'max.z')
+                        });
+                    } catch (err) {
+                        log.error(`[Marlin] Cannot start from line ${startFromLine}: ${err.message}`);
+                        this.emitAll('serialport:read', `Cannot start from line ${startFromLine}: ${err.message}`);
+                        this.emitAll('gcode:start', { name, startLine: startFromLine, err: err.message });
+                        return;
+                    }
+                }
+
+                // Check the toolpath against the machine envelope
+                const report = this.preflightCheck('start');
+                const refused = (report.violations.length > 0) && (report.action === ENVELOPE_CHECK_REFUSE);
+                report.violations.forEach(({ axis, min, max, limit }) => {
+                    const range = `min=${min.toFixed(3)}, max=${max.toFixed(3)}`;
+                    log.warn(`[Marlin] Out of bounds: axis=${axis.toUpperCase()}, ${range}, limit=${JSON.stringify(limit)}`);
+                });
+                this.emitAll('gcode:preflight', { ...report, refused });
+
+                if (refused) {
+                    log.error(`[Marlin] Refused to start "${report.name}": The toolpath exceeds the machine envelope`);
+                    this.emitAll('gcode:start', { name, startLine: startFromLine, err: 'The toolpath exceeds the machine envelope' });
+                    return;
+                }
+
+                this.event.trigger('gcode:start');
+
+                this.workflow.start();
+                this.emitAll('gcode:start', { name, startLine: startFromLine, err: null });
+
+                // Feeder
+                this.feeder.clear();
+
+                // Sender
+                if (startFromLine > 1) {
+                    log.debug(`[Marlin] Start from line ${startFromLine}: preamble=${JSON.stringify(preamble)}`);
+
+                    this.sender.seek(startFromLine - 1, preamble);
+                }
+
+                // Job History
+                this.finishJob(JOB_OUTCOME_STOPPED);
+                this.job = jobHistory.start({
+                    controllerType: this.type,
+                    port: this.options.port,
+                    name: this.sender.state.name,
+                    gcode: this.sender.state.gcode,
+                    startLine: startFromLine
+                });
+
+                // M110: Set the current line number, the program will be sent from line 1
+                this.lineNumber = 0;
+                this.lineHistory = {};
+                this.resendLineNumber = null;
+                this.writeLine('M110 N0', SOURCE_QUERY);
+
+                this.sender.next();
+            },
+            'stop': () => {
+                log.warn(`[Marlin] Warning: The "${cmd}" command is deprecated and will be removed in a future release.`);
+                this.command(socket, 'gcode:stop');
+            },
+            'gcode:stop': () => {
+                this.event.trigger('gcode:stop');
+
+                // Stopping a running job will also stop the job queue
+                if (this.queue.isRunning()) {
+                    this.queue.stop();
+                }
+
+                // The moves in the planner buffer will be completed
+                this.workflow.stop();
+            },
+            'pause': () => {
+                log.warn(`[Marlin] Warning: The "${cmd}" command is deprecated and will be removed in a future release.`);
+                this.command(socket, 'gcode:pause');
+            },
+            'gcode:pause': () => {
+                this.event.trigger('gcode:pause');
+
+                // Marlin does not support feed hold, the program will be paused after the moves in the planner buffer
+                this.workflow.pause();
+            },
+            'resume': () => {
+                log.warn(`[Marlin] Warning: The "${cmd}" command is deprecated and will be removed in a future release.`);
+                this.command(socket, 'gcode:resume');
+            },
+            'gcode:resume': () => {
+                this.event.trigger('gcode:resume');
+
+                // The program will be resumed after the tool change
+                if (!this.toolChange) {
+                    this.workflow.resume();
+                }
+            },
+            'feedhold': () => {
+                this.event.trigger('feedhold');
+
+                this.workflow.pause();
+            },
+            'cyclestart': () => {
+                this.event.trigger('cyclestart');
+
+                // The program will be resumed after the tool change
+                if (!this.toolChange) {
+                    this.workflow.resume();
+                }
+            },
+            'statusreport': () => {
+                this.writeln(socket, 'M114');
+            },
+            'homing': () => {
+                this.event.trigger('homing');
+
+                this.writeln(socket, 'G28');
+            },
+            'sleep': () => {
+                this.event.trigger('sleep');
+
+                // Not supported
+            },
+            'unlock': () => {
+                // M999: Restart after being stopped by error
+                this.marlin.setActiveState(MARLIN_ACTIVE_STATE_IDLE);
+                this.writeln(socket, 'M999');
+            },
+            'reset': () => {
+                this.workflow.stop();
+
+                // Feeder
+                this.feeder.clear();
+
+                // M410: Quickstop
+                this.writeln(socket, 'M410');
+            },
+            'feedOverride': () => {
+                const [value] = args;
+                let feedOverride = this.marlin.state.status.ovF;
+
+                if (value === 0) {
+                    feedOverride = 100;
+                } else if ((feedOverride + value) > 200) {
+                    feedOverride = 200;
+                } else if ((feedOverride + value) < 10) {
+                    feedOverride = 10;
+                } else {
+                    feedOverride += value;
+                }
+
+                // M220: Set Feedrate Percentage
+                this.command(socket, 'gcode', 'M220 S' + feedOverride);
+            },
+            'spindleOverride': () => {
+                // Not supported
+            },
+            'rapidOverride': () => {
+                // Not supported
+            },
+            'fan:speed': () => {
+                const [speed = 0] = args;
+
+                // M106: Set Fan Speed (0-255), M107: Fan Off
+                if (speed > 0) {
+                    this.command(socket, 'gcode', 'M106 S' + Math.min(Math.round(speed), 255));
+                } else {
+                    this.command(socket, 'gcode', 'M107');
+                }
+            },
+            'heightmap:probe': () => {
+                log.error('[Marlin] Height map probing is not supported');
+            },
+            'heightmap:load': () => {
+                const [options] = args;
+
+                this.heightMap = new HeightMap(options);
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'heightmap:unload': () => {
+                this.heightMap = null;
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'heightmap:apply': () => {
+                const [apply = true] = args;
+
+                // The height map will be applied to the G-code loaded afterwards
+                this.applyHeightMap = !!apply;
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'gcode': () => {
+                const [commands, context] = args;
+                const data = ensureArray(commands)
+                    .join('\n')
+                    .split('\n')
+                    .filter(line => {
+                        if (typeof line !== 'string') {
+                            return false;
+                        }
+
+                        return line.trim().length > 0;
+                    });
+
+                this.feeder.feed(data, context);
+
+                if (!this.feeder.isPending()) {
+                    this.feeder.next();
+                }
+            },
+            'macro:run': () => {
+                let [id, context = {}, callback = noop] = args;
+                if (typeof context === 'function') {
+                    callback = context;
+                    context = {};
+                }
+
+                const macros = config.get('macros');
+                const macro = _.find(macros, { id: id });
+
+                if (!macro) {
+                    log.error(`[Marlin] Cannot find the macro: id=${id}`);
+                    callback(new Error(`Cannot find the macro: id=${id}`));
+                    return;
+                }
+
+                this.event.trigger('macro:run');
+
+                this.command(socket, 'gcode', macro.content, context);
+                callback(null);
+            },
+            'macro:load': () => {
+                let [id, context = {}, callback = noop] = args;
+                if (typeof context === 'function') {
+                    callback = context;
+                    context = {};
+                }
+
+                const macros = config.get('macros');
+                const macro = _.find(macros, { id: id });
+
+                if (!macro) {
+                    log.error(`[Marlin] Cannot find the macro: id=${id}`);
+                    callback(new Error(`Cannot find the macro: id=${id}`));
+                    return;
+                }
+
+                this.event.trigger('macro:load');
+
+                this.command(socket, 'gcode:load', macro.name, macro.content, context, callback);
+            },
+            'watchdir:load': () => {
+                const [file, callback = noop] = args;
+                const context = {}; // empty context
+
+                monitor.readFile(file, (err, data) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    this.command(socket, 'gcode:load', file, data, context, callback);
+                });
+            },
+            'queue:add': () => {
+                const [job, callback = noop] = args;
+                const { file, ...options } = { ...job };
+
+                if (file) {
+                    // Add a file from the watch directory
+                    monitor.readFile(file, (err, data) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        const id = this.queue.add({ ...options, name: file, gcode: data });
+                        callback(null, { id });
+                    });
+                    return;
+                }
+
+                if (!options.gcode) {
+                    callback(new Error('Empty G-code'));
+                    return;
+                }
+
+                const id = this.queue.add(options);
+                callback(null, { id });
+            },
+            'queue:remove': () => {
+                const [id] = args;
+                this.queue.remove(id);
+            },
+            'queue:clear': () => {
+                this.queue.clear();
+            },
+            'queue:start': () => {
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[Marlin] Cannot start the job queue: workflowState=${this.workflow.state}`);
+                    return;
+                }
+
+                this.queue.start();
+            },
+            'queue:resume': () => {
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[Marlin] Cannot resume the job queue: workflowState=${this.workflow.state}`);
+                    return;
+                }
+
+                this.queue.resume();
+            },
+            'queue:stop': () => {
+                this.queue.stop();
+            },
+            'toolchange:resume': () => {
+                this.resumeToolChange();
+            },
+            'toolchange:reset': () => {
+                // The tool length is not probed
+            },
+            'lock:acquire': () => {
+                if (!socket) {
+                    return;
+                }
+                if (!this.controlLock.acquire(socket)) {
+                    log.warn(`[Marlin] The control lock is held by another connection: id=${socket.id}`);
+                }
+            },
+            'lock:release': () => {
+                socket && this.controlLock.release(socket);
+            },
+            'lock:request': () => {
+                socket && this.controlLock.requestControl(socket);
+            },
+            'lock:grant': () => {
+                socket && this.controlLock.grant(socket);
+            },
+            'lock:deny': () => {
+                socket && this.controlLock.deny(socket);
+            }
+        }[cmd];
+
+        if (!handler) {
+            log.error(`[Marlin] Unknown command: ${cmd}`);
+            return false;
+        }
+
+        handler();
+
+        return true;
+    }
+    write(socket, data) {
+        // Assertion check
+        if (this.isClose()) {
+            log.error(`[Marlin] Serial port "${this.options.port}" is not accessible`);
+            return;
+        }
+
+        // Each line will be acknowledged with an "ok"
+        const lines = String(data).split('\n');
+        lines.slice(0, -1).forEach(line => {
+            if (line.trim().length > 0) {
+                this.marlin.updateFromCommand(line);
+                this.responseQueue.push(SOURCE_WRITE);
+            }
+        });
+
+        this.emitAll('serialport:write', data);
+        this.serialport.write(data);
+        dbg(`[Marlin] > ${data}`);
+    }
+    writeln(socket, data) {
+        this.write(socket, data + '\n');
+    }
+}
+
+export default MarlinController;
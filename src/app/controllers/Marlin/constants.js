@@ -0,0 +1,47 @@
+// Marlin
+export const MARLIN = 'Marlin';
+
+// Active State
+// Marlin does not report the machine state, the active state is determined by the controller from the commands in progress.
+export const MARLIN_ACTIVE_STATE_IDLE = 'Idle';
+export const MARLIN_ACTIVE_STATE_RUN = 'Run';
+export const MARLIN_ACTIVE_STATE_HOLD = 'Hold';
+export const MARLIN_ACTIVE_STATE_ALARM = 'Alarm';
+
+// The maximum fan speed of M106
+export const MARLIN_FAN_SPEED_MAX = 255;
+
+// The number of numbered lines to keep for resending
+export const MARLIN_RESEND_HISTORY_SIZE = 100;
+
+// http://linuxcnc.org/docs/html/gcode/overview.html#cap:modal-groups
+export const MARLIN_MODAL_GROUPS = [
+    { // Motion Mode (Defaults to G0)
+        group: 'motion',
+        modes: ['G0', 'G1', 'G2', 'G3', 'G38.2', 'G38.3']
+    },
+    { // Coordinate System Select (Defaults to G54)
+        group: 'coordinate',
+        modes: ['G53', 'G54', 'G55', 'G56', 'G57', 'G58', 'G59']
+    },
+    { // Plane Select (Defaults to G17)
+        group: 'plane',
+        modes: ['G17', 'G18', 'G19']
+    },
+    { // Units Mode (Defaults to G21)
+        group: 'units',
+        modes: ['G20', 'G21']
+    },
+    { // Distance Mode (Defaults to G90)
+        group: 'distance',
+        modes: ['G90', 'G91']
+    },
+    { // Spindle State (Defaults to M5)
+        group: 'spindle',
+        modes: ['M3', 'M4', 'M5']
+    },
+    { // Coolant State (Defaults to M9)
+        group: 'coolant',
+        modes: ['M7', 'M8', 'M9']
+    }
+];
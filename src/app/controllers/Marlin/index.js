@@ -0,0 +1,15 @@
+import MarlinController from './MarlinController';
+import { MARLIN } from './constants';
+
+export default {
+    type: MARLIN,
+    baudrates: [250000, 115200, 57600, 38400, 19200, 9600],
+    capabilities: {
+        overrides: true, // M220 feed rate percentage
+        laserMode: false,
+        probing: false,
+        fourthAxis: false,
+        workOffsets: false
+    },
+    factory: (port, options) => new MarlinController(port, options)
+};
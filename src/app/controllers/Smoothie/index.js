@@ -0,0 +1,15 @@
+import SmoothieController from './SmoothieController';
+import { SMOOTHIE } from './constants';
+
+export default {
+    type: SMOOTHIE,
+    baudrates: [115200, 57600, 38400, 19200, 9600, 4800, 2400],
+    capabilities: {
+        overrides: true, // M220 and M221
+        laserMode: true,
+        probing: true,
+        fourthAxis: true,
+        workOffsets: true // $#
+    },
+    factory: (port, options) => new SmoothieController(port, options)
+};
@@ -3,6 +3,7 @@ import events from 'events';
 
 import {
     TINYG_MACHINE_STATE_ALARM,
+    TINYG_OFFSET_NAMES,
 
     // G-code Motion Mode
     TINYG_GCODE_MOTION_G0,
@@ -158,6 +159,10 @@ class TinyG extends events.EventEmitter {
                 distance: '', // G90: Absolute, G91: Relative
                 feedrate: '' // G93: Inverse Time Mode, G94: Units Per Minutes
             }
+        },
+        // Coordinate System Offsets
+        parameters: {
+            // G54: { x: '0.000', y: '0.000', z: '0.000', a: '0.000', b: '0.000', c: '0.000' }
         }
     };
     // Identification Parameters
@@ -347,6 +352,21 @@ class TinyG extends events.EventEmitter {
                     }
                 }
 
+                // Coordinate System Offsets
+                // {"r":{"g54":{"x":0,"y":0,"z":0,"a":0,"b":0,"c":0}},"f":[1,0,9]}
+                const parameters = { ...this.state.parameters };
+                for (let name of TINYG_OFFSET_NAMES) {
+                    if (_.isPlainObject(payload.r[name])) {
+                        parameters[name.toUpperCase()] = _.mapValues(payload.r[name], String);
+                    }
+                }
+                if (!_.isEqual(this.state.parameters, parameters)) {
+                    this.state = { // enforce state change
+                        ...this.state,
+                        parameters: parameters
+                    };
+                }
+
                 this.emit('r', payload.r);
             }
 
@@ -1,22 +1,66 @@
 import _ from 'lodash';
 import ExpressionEvaluator from 'expr-eval';
-import SerialPort from 'serialport';
+import ControlLock from '../../lib/control-lock';
 import ensureArray from '../../lib/ensure-array';
+import { parseEndpoint, renderPayload } from '../../lib/event-payload';
 import EventTrigger from '../../lib/event-trigger';
 import Feeder from '../../lib/feeder';
+import GCodeAnalyzer from '../../lib/gcode-analyzer';
+import HeightMap from '../../lib/height-map';
+import JobQueue from '../../lib/job-queue';
 import log from '../../lib/log';
+import checkMachineEnvelope, {
+    normalizeEnvelope,
+    ENVELOPE_CHECK_REFUSE,
+    ENVELOPE_CHECK_WARN,
+    ENVELOPE_CHECK_OFF
+} from '../../lib/machine-envelope';
+import ModalState from '../../lib/modal-state';
+import publishMqtt from '../../lib/mqtt-publisher';
+import Reconnector from '../../lib/reconnector';
 import Sender, { SP_TYPE_SEND_RESPONSE } from '../../lib/sender';
+import {
+    hasToolChange,
+    parseTool,
+    commentOutToolChange,
+    normalizeToolChangeOptions,
+    canProbeToolLength,
+    getToolChangeCommands,
+    getToolProbeCommands,
+    getToolLengthOffsetCommand,
+    TOOL_CHANGE_POLICY_IGNORE,
+    TOOL_CHANGE_POLICY_PAUSE,
+    TOOL_CHANGE_POLICY_PROBE,
+    TOOL_CHANGE_POLICY_MACRO,
+    TOOL_LENGTH_OFFSET_WCS,
+    TOOL_CHANGE_STATE_PENDING,
+    TOOL_CHANGE_STATE_PROBING_REFERENCE,
+    TOOL_CHANGE_STATE_WAITING,
+    TOOL_CHANGE_STATE_PROBING,
+    TOOL_CHANGE_STATE_RESUMING
+} from '../../lib/tool-change';
+import { createTransport } from '../../lib/transport';
+import postWebhook from '../../lib/webhook';
 import Workflow, {
     WORKFLOW_STATE_RUNNING,
     WORKFLOW_STATE_IDLE
 } from '../../lib/workflow';
 import config from '../../services/configstore';
+import jobHistory, {
+    JOB_OUTCOME_FINISHED,
+    JOB_OUTCOME_STOPPED,
+    JOB_OUTCOME_ALARM
+} from '../../services/jobhistory';
 import monitor from '../../services/monitor';
 import taskRunner from '../../services/taskrunner';
 import store from '../../store';
 import TinyG from './TinyG';
 import {
     TINYG,
+    TINYG_MACHINE_STATE_READY,
+    TINYG_MACHINE_STATE_ALARM,
+    TINYG_MACHINE_STATE_STOP,
+    TINYG_MACHINE_STATE_END,
     TINYG_SERIAL_BUFFER_LIMIT,
     TINYG_PLANNER_BUFFER_LOW_WATER_MARK,
     TINYG_PLANNER_BUFFER_HIGH_WATER_MARK,
@@ -59,7 +103,7 @@ class TinyGController {
                 log.warn(`[TinyG] Disconnected from serial port "${this.options.port}":`, err);
             }
 
-            this.close();
+            this.reconnect();
         },
         error: (err) => {
             this.ready = false;
@@ -90,6 +134,29 @@ class TinyGController {
     // Workflow
     workflow = null;
 
+    // Reconnection
+    reconnector = null;
+    recovery = null; // The last acknowledged line of the program that was running when the serial port was disconnected
+
+    // Job History
+    job = null;
+
+    // Job Queue
+    queue = null;
+
+    // G-code Analysis
+    analysis = null;
+
+    // Height Map
+    heightMap = null;
+    heightMapProbe = null;
+    applyHeightMap = false;
+
+    // Tool Change
+    tool = null; // The tool selected by the last T word
+    toolChange = null;
+    toolLengthReference = null;
+
     translateWithContext = (gcode, context = {}) => {
         if (typeof gcode !== 'string') {
             log.error(`[TinyG] No valid G-code string: gcode=${gcode}`);
@@ -142,12 +209,22 @@ class TinyGController {
         };
 
         // Event Trigger
-        this.event = new EventTrigger((event, trigger, commands) => {
+        this.event = new EventTrigger((event, trigger, commands, context) => {
             log.debug(`[TinyG] EventTrigger: event="${event}", trigger="${trigger}", commands="${commands}"`);
             if (trigger === 'system') {
                 taskRunner.run(commands);
+            } else if (trigger === 'webhook' || trigger === 'mqtt') {
+                const { url, template } = parseEndpoint(commands);
+                const payload = renderPayload(template, this.getEventContext(event, context));
+                const send = (trigger === 'webhook') ? postWebhook : publishMqtt;
+
+                send(url, payload, (err) => {
+                    if (err) {
+                        log.error(`[TinyG] Failed to send the "${event}" event with the ${trigger} trigger: ${err.message}`);
+                    }
+                });
             } else {
-                this.command(null, 'gcode', commands);
+                this.command(null, 'gcode', commands, this.getEventContext(event, context));
             }
         });
 
@@ -194,6 +271,9 @@ class TinyGController {
                 return;
             }
 
+            // Tool Change
+            gcode = this.interceptToolChange(gcode);
+
             // Replace line numbers with the number of lines sent
             const n = this.sender.state.sent;
             gcode = ('' + gcode).replace(/^N[0-9]*/, '');
@@ -206,6 +286,15 @@ class TinyGController {
             dbg(`[TinyG] > SEND: n=${n}, gcode="${gcode}"`);
         });
 
+        this.sender.on('end', () => {
+            this.event.trigger('gcode:end');
+
+            this.finishJob(JOB_OUTCOME_FINISHED);
+
+            // Proceed to the next job in the queue
+            this.queue.finish();
+        });
+
         // Workflow
         this.workflow = new Workflow();
         this.workflow.on('start', () => {
@@ -214,11 +303,76 @@ class TinyGController {
             this.sender.rewind();
         });
         this.workflow.on('stop', () => {
+            this.finishJob(JOB_OUTCOME_STOPPED);
+            this.clearToolChange();
             this.blocked = false;
             this.sendResponseState = SEND_RESPONSE_STATE_NONE;
             this.sender.rewind();
         });
 
+        // Reconnection
+        this.reconnector = new Reconnector(config.get('reconnect'));
+        this.reconnector.on('attempt', ({ attempt, delay, remainingTime }) => {
+            const { port } = this.options;
+
+            log.debug(`[TinyG] Reconnect to serial port "${port}" in ${delay}ms: attempt=${attempt}`);
+
+            this.emitAll('serialport:reconnecting', {
+                port: port,
+                attempt: attempt,
+                delay: delay,
+                remainingTime: remainingTime
+            });
+        });
+        this.reconnector.on('reconnect', () => {
+            const { port, baudrate } = this.options;
+            const recovery = this.recovery;
+
+            this.recovery = null;
+
+            this.emitAll('serialport:open', {
+                port: port,
+                baudrate: baudrate,
+                controllerType: this.type,
+                inuse: true
+            });
+            this.emitAll('serialport:reconnected', {
+                port: port,
+                recovery: recovery
+            });
+
+            log.info(`[TinyG] Reconnected to serial port "${port}": recovery=${JSON.stringify(recovery)}`);
+
+            this.event.trigger('port:open', { baudrate: baudrate });
+
+            // Initialize controller
+            this.initController();
+        });
+        this.reconnector.on('fail', () => {
+            log.error(`[TinyG] Cannot reconnect to serial port "${this.options.port}" within ${this.reconnector.gracePeriod}ms`);
+
+            this.recovery = null;
+            this.close();
+        });
+
+        // Control Lock
+        this.controlLock = new ControlLock();
+        this.controlLock.on('change', () => {
+            this.emitAll('controller:lock', this.controlLock.toJSON());
+        });
+
+        // Job Queue
+        this.queue = new JobQueue();
+        this.queue.on('change', () => {
+            this.emitAll('queue:status', this.queue.toJSON());
+        });
+        this.queue.on('job', (job) => {
+            // Wait until the sender has finished processing the previous program
+            setImmediate(() => {
+                this.runQueuedJob(job);
+            });
+        });
+
         // TinyG
         this.tinyg = new TinyG();
 
@@ -230,6 +384,46 @@ class TinyGController {
 
         // https://github.com/synthetos/g2/wiki/g2core-Communications
         this.tinyg.on('r', (r) => {
+            // Height Map
+            if (_.has(r, 'prb') && this.heightMapProbe) {
+                // Probe positions are reported in millimeters
+                const { e, z } = { ...r.prb };
+
+                if (Number(e) === 1) {
+                    this.addHeightMapPoint(Number(z));
+                } else {
+                    this.cancelHeightMapProbe();
+                }
+            }
+
+            if (_.has(r, 'prb')) {
+                const { e, x, y, z } = { ...r.prb };
+                this.event.trigger('probe:done', _.mapValues({ result: e, x, y, z }, Number));
+            }
+
+            // Tool Change
+            if (_.has(r, 'prb') && this.isProbingToolLength()) {
+                // Probe positions and machine positions are reported in millimeters, and work positions are reported in current units
+                const { e, z } = { ...r.prb };
+                const units = _.get(this.tinyg.state, 'sr.modal.units');
+                const factor = (units === 'G20') ? 25.4 : 1;
+                const mpos = this.tinyg.getMachinePosition();
+                const wpos = this.tinyg.getWorkPosition();
+                const offsetZ = (Number(mpos.z) || 0) - ((Number(wpos.z) || 0) * factor);
+
+                if (Number(e) === 1) {
+                    this.addToolLengthProbe(Number(z), offsetZ);
+                } else {
+                    this.cancelToolLengthProbe();
+                }
+            }
+
+            // Send the tool change commands with the feeder
+            if (this.toolChange && this.toolChange.state !== TOOL_CHANGE_STATE_PENDING) {
+                this.feeder.next();
+                return;
+            }
+
             if (this.workflow.state === WORKFLOW_STATE_IDLE) {
                 this.feeder.next();
                 return;
@@ -282,6 +476,11 @@ class TinyGController {
         });
 
         this.tinyg.on('sr', (sr) => {
+            // Job History
+            if (this.tinyg.isAlarm()) {
+                this.finishJob(JOB_OUTCOME_ALARM);
+                this.cancelHeightMapProbe();
+            }
         });
 
         this.tinyg.on('fb', (fb) => {
@@ -298,6 +497,11 @@ class TinyGController {
                 const code = Number(statusCode);
                 const err = _.find(TINYG_STATUS_CODES, { code: code }) || {};
 
+                this.event.trigger('error', {
+                    code: code,
+                    message: err.msg
+                });
+
                 if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
                     const { lines, received } = this.sender.state;
                     const line = lines[received] || '';
@@ -311,6 +515,13 @@ class TinyGController {
                             data: line.trim()
                         }
                     }));
+
+                    if (this.job) {
+                        jobHistory.addError(this.job, {
+                            line: received + 1,
+                            message: err.msg || `Status code ${code}`
+                        });
+                    }
                 } else {
                     this.emitAll('serialport:read', JSON.stringify({
                         err: {
@@ -343,10 +554,25 @@ class TinyGController {
                 this.emitAll('sender:status', this.sender.toJSON());
             }
 
+            // Tool Change
+            this.processToolChange();
+
             // TinyG state
             if (this.state !== this.tinyg.state) {
+                const prevMachineState = _.get(this.state, 'sr.machineState');
                 this.state = this.tinyg.state;
                 this.emitAll('TinyG:state', this.state);
+
+                const machineState = _.get(this.state, 'sr.machineState');
+                const idleStates = [TINYG_MACHINE_STATE_READY, TINYG_MACHINE_STATE_STOP, TINYG_MACHINE_STATE_END];
+                if (prevMachineState !== undefined && prevMachineState !== machineState) {
+                    if (machineState === TINYG_MACHINE_STATE_ALARM) {
+                        this.event.trigger('alarm');
+                    }
+                    if (_.includes(idleStates, machineState) && !_.includes(idleStates, prevMachineState)) {
+                        this.event.trigger('controller:idle');
+                    }
+                }
             }
         }, 250);
     }
@@ -426,6 +652,7 @@ class TinyGController {
             if (i >= cmds.length) {
                 // Set ready flag to true after sending initialization commands
                 this.ready = true;
+                this.event.trigger('startup');
                 return;
             }
             const { cmd = '', pauseAfter = 0 } = { ...cmds[i] };
@@ -445,6 +672,363 @@ class TinyGController {
         };
         sendInitCommands();
     }
+    // Loads and starts a job from the job queue.
+    runQueuedJob(job) {
+        const { id, name, gcode, context } = job;
+
+        if (this.isClose()) {
+            this.queue.stop();
+            return;
+        }
+
+        this.command(null, 'gcode:load', name, gcode, context, (err) => {
+            if (err) {
+                log.error(`[TinyG] Failed to load "${name}" from the job queue:`, err);
+                this.queue.stop();
+                return;
+            }
+
+            this.command(null, 'gcode:start');
+
+            if (this.workflow.state !== WORKFLOW_STATE_RUNNING) {
+                log.error(`[TinyG] Failed to start "${name}" from the job queue`);
+                this.queue.stop();
+                return;
+            }
+
+            this.emitAll('queue:job', { id, name });
+        });
+    }
+    // Returns the event details for rendering the payload of a webhook or MQTT trigger.
+    // @param {string} event The event name.
+    // @param {object} [context] The details specific to the event.
+    getEventContext(event, context = {}) {
+        const { name, size, total, sent, received, elapsedTime, remainingTime } = this.sender.toJSON();
+
+        return {
+            event: event,
+            port: this.options.port,
+            controller: this.type,
+            activeState: _.get(this.state, 'sr.machineState'),
+            workflowState: this.workflow.state,
+            name: name,
+            size: size,
+            total: total,
+            sent: sent,
+            received: received,
+            progress: (total > 0) ? Math.floor(received / total * 100) : 0,
+            elapsedTime: elapsedTime,
+            remainingTime: remainingTime,
+            timestamp: new Date().toISOString(),
+            ...context
+        };
+    }
+    // Records the outcome of the running job to the job history.
+    finishJob(outcome) {
+        if (!this.job) {
+            return;
+        }
+
+        const { total, sent, received } = this.sender.state;
+        jobHistory.finish(this.job, { outcome, total, sent, received });
+        this.job = null;
+    }
+    // Analyzes the loaded G-code to estimate the run time.
+    // The run time will not be estimated unless the rate and acceleration settings are specified in the configuration file,
+    // and the settings for the port take precedence over the settings for all machines.
+    analyzeGCode() {
+        const { port } = this.options;
+        const kinematics = config.get(['machines', port, 'kinematics'], config.get('machine.kinematics'));
+        const analyzer = new GCodeAnalyzer(kinematics);
+        const { lineTimes, ...analysis } = analyzer.analyze(this.sender.state.lines);
+
+        if (kinematics) {
+            this.sender.setTimeEstimate(lineTimes);
+        } else {
+            analysis.estimatedTime = null;
+        }
+
+        this.analysis = analysis;
+        this.emitAll('gcode:analysis', {
+            name: this.sender.state.name,
+            ...analysis
+        });
+
+        log.debug(`[TinyG] Analyze G-code: estimatedTime=${analysis.estimatedTime}ms, tools=${JSON.stringify(analysis.tools)}`);
+    }
+    // Returns the clearance height in work coordinates (mm) for resuming a program from an arbitrary line, or null if not specified.
+    // The clearance for the port takes precedence over the clearance for all machines.
+    getClearance() {
+        const { port } = this.options;
+        const clearance = config.get(['machines', port, 'clearance'], config.get('machine.clearance'));
+        return Number.isFinite(clearance) ? clearance : null;
+    }
+    // Returns the machine envelope in machine coordinates, or null if the envelope is not specified in the configuration file.
+    getMachineEnvelope() {
+        return normalizeEnvelope(config.get('machine.envelope'));
+    }
+    // Checks the toolpath of the loaded G-code against the machine envelope with the current work coordinate offset.
+    // @param {string} stage The stage of the check. One of "load" or "start".
+    // @return {object} The preflight report.
+    preflightCheck(stage) {
+        const action = config.get('machine.envelopeCheck', ENVELOPE_CHECK_WARN);
+        const envelope = (action !== ENVELOPE_CHECK_OFF) ? this.getMachineEnvelope() : null;
+        const report = {
+            name: this.sender.state.name,
+            stage: stage,
+            action: action,
+            envelope: envelope,
+            offset: null,
+            bbox: null,
+            violations: []
+        };
+
+        if (!envelope || !this.analysis) {
+            return report;
+        }
+
+        // Machine positions are reported in millimeters, and work positions are reported in current units
+        const units = _.get(this.tinyg.state, 'sr.modal.units');
+        const factor = (units === 'G20') ? 25.4 : 1;
+        const mpos = this.tinyg.getMachinePosition();
+        const wpos = this.tinyg.getWorkPosition();
+        const offset = _.mapValues({ x: 0, y: 0, z: 0 }, (value, axis) => {
+            return (Number(mpos[axis]) || 0) - ((Number(wpos[axis]) || 0) * factor);
+        });
+        const { bbox, violations } = checkMachineEnvelope(this.analysis.bbox, offset, envelope);
+
+        return {
+            ...report,
+            offset,
+            bbox,
+            violations
+        };
+    }
+    getHeightMapStatus() {
+        const probe = this.heightMapProbe;
+        const heightMap = probe ? probe.heightMap : this.heightMap;
+
+        return {
+            probing: !!probe,
+            probed: probe ? probe.index : 0,
+            total: probe ? probe.points.length : 0,
+            apply: this.applyHeightMap,
+            heightMap: heightMap ? heightMap.toJSON() : null
+        };
+    }
+    // Records the probed height of the next point of the height map.
+    // The heights are relative to the first probed point.
+    // @param {number} z The Z position of the probe in millimeters.
+    addHeightMapPoint(z) {
+        const probe = this.heightMapProbe;
+        const { col, row } = probe.points[probe.index];
+
+        if (probe.index === 0) {
+            probe.reference = z;
+        }
+        probe.heightMap.setHeight(col, row, z - probe.reference);
+        probe.index++;
+
+        if (probe.index >= probe.points.length) {
+            log.debug(`[TinyG] Height map probing completed: points=${probe.points.length}`);
+            this.heightMap = probe.heightMap;
+            this.heightMapProbe = null;
+        }
+
+        this.emitAll('heightmap:status', this.getHeightMapStatus());
+    }
+    cancelHeightMapProbe() {
+        if (!this.heightMapProbe) {
+            return;
+        }
+
+        const { index, points } = this.heightMapProbe;
+        log.warn(`[TinyG] Height map probing cancelled: probed=${index}, total=${points.length}`);
+        this.heightMapProbe = null;
+
+        this.emitAll('heightmap:status', this.getHeightMapStatus());
+    }
+    // Returns the tool change options. The options for the port take precedence over the options for all machines.
+    getToolChangeOptions() {
+        const { port } = this.options;
+        const options = config.get(['machines', port, 'toolChange'], config.get('machine.toolChange'));
+        return normalizeToolChangeOptions(options);
+    }
+    getToolChangeStatus() {
+        if (!this.toolChange) {
+            return null;
+        }
+
+        const { state, tool, options } = this.toolChange;
+
+        return {
+            state: state,
+            tool: tool,
+            policy: options.policy,
+            reference: !!this.toolLengthReference
+        };
+    }
+    setToolChangeState(state) {
+        this.toolChange.state = state;
+        this.emitAll('toolchange:status', this.getToolChangeStatus());
+    }
+    // Holds off sending the program if the line contains M6, and comments out M6 to prevent the controller from ignoring or rejecting it.
+    // @param {string} gcode The line to send.
+    // @return {string} The line to send.
+    interceptToolChange(gcode) {
+        const tool = parseTool(gcode);
+        if (tool !== null) {
+            this.tool = tool;
+        }
+
+        if (!hasToolChange(gcode)) {
+            return gcode;
+        }
+
+        const options = this.getToolChangeOptions();
+        if (options.policy === TOOL_CHANGE_POLICY_IGNORE) {
+            return gcode;
+        }
+
+        if (options.policy === TOOL_CHANGE_POLICY_PROBE && !canProbeToolLength(options)) {
+            log.error('[TinyG] The tool length sensor position is not specified, the tool length will not be probed');
+            options.policy = TOOL_CHANGE_POLICY_PAUSE;
+        }
+
+        log.debug(`[TinyG] Tool change: tool=${this.tool}, policy=${options.policy}`);
+
+        this.toolChange = {
+            state: TOOL_CHANGE_STATE_PENDING,
+            tool: this.tool,
+            options: options
+        };
+        this.sender.hold({ data: 'M6', tool: this.tool });
+        this.emitAll('toolchange:status', this.getToolChangeStatus());
+        this.event.trigger('toolchange', { tool: this.tool });
+
+        return commentOutToolChange(gcode);
+    }
+    // Proceeds with the tool change once the controller has processed the commands.
+    processToolChange() {
+        if (!this.toolChange) {
+            return;
+        }
+
+        const { state, options } = this.toolChange;
+
+        if (state === TOOL_CHANGE_STATE_PENDING) {
+            const { sent, received } = this.sender.state;
+
+            // Wait for the lines before M6 to be acknowledged
+            if (received < sent) {
+                return;
+            }
+
+            // Switch to the feeder for sending the tool change commands
+            this.workflow.pause();
+
+            if (options.policy === TOOL_CHANGE_POLICY_PROBE && !this.toolLengthReference) {
+                // Probe the current tool for a reference length before changing the tool
+                this.setToolChangeState(TOOL_CHANGE_STATE_PROBING_REFERENCE);
+                this.command(null, 'gcode', getToolProbeCommands(options, _.get(this.tinyg.state, 'sr.modal')));
+                return;
+            }
+
+            this.moveToToolChangePosition();
+            return;
+        }
+
+        if (state === TOOL_CHANGE_STATE_RESUMING) {
+            // Wait for the tool change commands to be acknowledged
+            if (this.feeder.isPending() || this.feeder.size() > 0) {
+                return;
+            }
+
+            log.debug(`[TinyG] Tool change completed: tool=${this.toolChange.tool}`);
+
+            this.toolChange = null;
+            this.emitAll('toolchange:status', null);
+            this.sender.unhold();
+            this.workflow.resume();
+            this.sender.next();
+        }
+    }
+    moveToToolChangePosition() {
+        const { tool, options } = this.toolChange;
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_WAITING);
+        this.command(null, 'gcode', getToolChangeCommands(options, _.get(this.tinyg.state, 'sr.modal')));
+
+        if (options.policy === TOOL_CHANGE_POLICY_MACRO) {
+            this.command(null, 'macro:run', options.macro, { tool: tool });
+        }
+    }
+    // Continues the program after the user has changed the tool.
+    resumeToolChange() {
+        if (!this.toolChange || this.toolChange.state !== TOOL_CHANGE_STATE_WAITING) {
+            log.error('[TinyG] Cannot resume the tool change: No tool change is waiting for confirmation');
+            return;
+        }
+
+        const { options } = this.toolChange;
+
+        if (options.policy === TOOL_CHANGE_POLICY_PROBE) {
+            this.setToolChangeState(TOOL_CHANGE_STATE_PROBING);
+            this.command(null, 'gcode', getToolProbeCommands(options, _.get(this.tinyg.state, 'sr.modal')));
+            return;
+        }
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+    }
+    // Records the probed tool length, and compensates for the length difference from the reference tool.
+    // @param {number} z The Z position of the probe in millimeters.
+    // @param {number} offsetZ The current Z offset of the work coordinate system in millimeters.
+    addToolLengthProbe(z, offsetZ) {
+        const { state, options } = this.toolChange;
+
+        if (state === TOOL_CHANGE_STATE_PROBING_REFERENCE || !this.toolLengthReference) {
+            log.debug(`[TinyG] Tool length reference: z=${z}`);
+            this.toolLengthReference = { z: z };
+
+            if (state === TOOL_CHANGE_STATE_PROBING_REFERENCE) {
+                this.moveToToolChangePosition();
+            } else {
+                this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+            }
+            return;
+        }
+
+        const command = getToolLengthOffsetCommand(options, _.get(this.tinyg.state, 'sr.modal'), this.toolLengthReference, { z, offsetZ });
+        log.debug(`[TinyG] Tool length offset: z=${z}, reference=${this.toolLengthReference.z}, command="${command}"`);
+
+        if (options.offset === TOOL_LENGTH_OFFSET_WCS) {
+            // The work coordinate offset is adjusted for the new tool, which becomes the reference for the next tool change
+            this.toolLengthReference = { z: z };
+        }
+
+        this.setToolChangeState(TOOL_CHANGE_STATE_RESUMING);
+        this.command(null, 'gcode', command);
+    }
+    isProbingToolLength() {
+        if (!this.toolChange) {
+            return false;
+        }
+
+        const { state } = this.toolChange;
+        return (state === TOOL_CHANGE_STATE_PROBING_REFERENCE) || (state === TOOL_CHANGE_STATE_PROBING);
+    }
+    cancelToolLengthProbe() {
+        log.error('[TinyG] Failed to probe the tool length');
+        this.setToolChangeState(TOOL_CHANGE_STATE_WAITING);
+    }
+    clearToolChange() {
+        if (!this.toolChange) {
+            return;
+        }
+
+        this.toolChange = null;
+        this.emitAll('toolchange:status', null);
+    }
     destroy() {
         this.connections = {};
 
@@ -468,6 +1052,23 @@ class TinyGController {
             this.workflow = null;
         }
 
+        if (this.queue) {
+            this.queue.removeAllListeners();
+            this.queue = null;
+        }
+
+        if (this.reconnector) {
+            this.reconnector.removeAllListeners();
+            this.reconnector.stop();
+            this.reconnector = null;
+        }
+
+        if (this.controlLock) {
+            this.controlLock.removeAllListeners();
+            this.controlLock.destroy();
+            this.controlLock = null;
+        }
+
         if (this.queryTimer) {
             clearInterval(this.queryTimer);
             this.queryTimer = null;
@@ -490,9 +1091,16 @@ class TinyGController {
                 ident: this.tinyg.ident,
                 footer: this.tinyg.footer
             },
+            activeState: _.get(this.state, 'sr.machineState'),
+            machinePosition: this.tinyg.getMachinePosition(),
+            workPosition: this.tinyg.getWorkPosition(),
             workflowState: this.workflow.state,
             feeder: this.feeder.toJSON(),
-            sender: this.sender.toJSON()
+            sender: this.sender.toJSON(),
+            queue: this.queue.toJSON(),
+            toolChange: this.getToolChangeStatus(),
+            lock: this.controlLock.toJSON(),
+            reconnect: this.reconnector.toJSON()
         };
     }
     open(callback = noop) {
@@ -504,14 +1112,7 @@ class TinyGController {
             return;
         }
 
-        this.serialport = new SerialPort(this.options.port, {
-            autoOpen: false,
-            baudRate: this.options.baudrate,
-            parser: SerialPort.parsers.readline('\n')
-        });
-        this.serialport.on('data', this.serialportListener.data);
-        this.serialport.on('disconnect', this.serialportListener.disconnect);
-        this.serialport.on('error', this.serialportListener.error);
+        this.createSerialPort();
         this.serialport.open((err) => {
             if (err) {
                 log.error(`[TinyG] Error opening serial port "${port}":`, err);
@@ -531,6 +1132,8 @@ class TinyGController {
 
             log.debug(`[TinyG] Connected to serial port "${port}"`);
 
+            this.event.trigger('port:open', { baudrate: baudrate });
+
             this.workflow.stop();
 
             if (this.sender.state.gcode) {
@@ -542,15 +1145,80 @@ class TinyGController {
             this.initController();
         });
     }
+    // Creates the serial port, or the network connection, and listens to it.
+    createSerialPort() {
+        const { port, baudrate } = this.options;
+
+        this.serialport = createTransport(port, {
+            baudrate: baudrate
+        });
+        this.serialport.on('data', this.serialportListener.data);
+        this.serialport.on('disconnect', this.serialportListener.disconnect);
+        this.serialport.on('error', this.serialportListener.error);
+    }
+    // Stops listening to the serial port, and closes it if it is still open.
+    releaseSerialPort() {
+        const { port } = this.options;
+        const serialport = this.serialport;
+
+        if (!serialport) {
+            return;
+        }
+
+        this.serialport = null;
+        serialport.removeListener('data', this.serialportListener.data);
+        serialport.removeListener('disconnect', this.serialportListener.disconnect);
+        serialport.removeListener('error', this.serialportListener.error);
+        if (serialport.isOpen()) {
+            serialport.close((err) => {
+                if (err) {
+                    log.error(`[TinyG] Error closing serial port "${port}":`, err);
+                }
+            });
+        }
+    }
+    // Keeps the controller, along with the loaded G-code, after the serial port is disconnected unexpectedly,
+    // and tries to reopen the serial port until the grace period expires.
+    reconnect() {
+        const { port } = this.options;
+
+        if (!this.reconnector.isEnabled()) {
+            this.close();
+            return;
+        }
+
+        // Remember the last acknowledged line before the workflow stops and rewinds the program
+        const { name, total, received } = this.sender.state;
+        this.recovery = (this.workflow.state !== WORKFLOW_STATE_IDLE && total > 0) ? { name, total, line: received } : null;
+
+        this.releaseSerialPort();
+        this.feeder.clear();
+        this.workflow.stop();
+
+        log.warn(`[TinyG] Lost connection to serial port "${port}": recovery=${JSON.stringify(this.recovery)}`);
+
+        this.reconnector.start((callback) => {
+            this.createSerialPort();
+            this.serialport.open((err) => {
+                if (err) {
+                    this.releaseSerialPort();
+                }
+                callback(err);
+            });
+        });
+    }
     close() {
         const { port } = this.options;
 
         // Assertion check
-        if (!this.serialport) {
+        if (!this.serialport && !(this.reconnector && this.reconnector.isActive())) {
             log.error(`[TinyG] Serial port "${port}" is not available`);
             return;
         }
 
+        // Stop reconnecting
+        this.reconnector.stop();
+
         // Stop status query
         this.ready = false;
 
@@ -558,6 +1226,7 @@ class TinyGController {
             port: port,
             inuse: false
         });
+        this.event.trigger('port:close');
         store.unset('controllers["' + port + '"]');
 
         if (this.isOpen()) {
@@ -571,6 +1240,8 @@ class TinyGController {
             });
         }
 
+        this.finishJob(JOB_OUTCOME_STOPPED);
+
         this.destroy();
     }
     isOpen() {
@@ -597,6 +1268,26 @@ class TinyGController {
             // Send sender status to a newly connected client
             socket.emit('sender:status', this.sender.toJSON());
         }
+
+        if (this.analysis) {
+            // Send the analysis of the loaded G-code to a newly connected client
+            socket.emit('gcode:analysis', {
+                name: this.sender.state.name,
+                ...this.analysis
+            });
+        }
+
+        // Send height map status to a newly connected client
+        socket.emit('heightmap:status', this.getHeightMapStatus());
+
+        // Send job queue status to a newly connected client
+        socket.emit('queue:status', this.queue.toJSON());
+
+        // Send tool change status to a newly connected client
+        socket.emit('toolchange:status', this.getToolChangeStatus());
+
+        // Send control lock status to a newly connected client
+        socket.emit('controller:lock', this.controlLock.toJSON());
     }
     removeConnection(socket) {
         if (!socket) {
@@ -607,6 +1298,9 @@ class TinyGController {
         log.debug(`[TinyG] Remove socket connection: id=${socket.id}`);
         this.connections[socket.id] = undefined;
         delete this.connections[socket.id];
+
+        // Keep the lock until the timeout expires if the lock holder has disconnected
+        this.controlLock.disconnect(socket);
     }
     emitAll(eventName, ...args) {
         Object.keys(this.connections).forEach(id => {
@@ -621,6 +1315,8 @@ class TinyGController {
     // %            Queue Flush     Flush remaining moves during feedhold. Ignored if not in feedhold
     // ^d           Kill Job        Trigger ALARM to kill current job. Send {clear:n}, M2 or M30 to end ALARM state
     // ^x           Reset Board     Perform hardware reset to restart the board
+    //
+    // Returns false if the command is unknown, true otherwise.
     command(socket, cmd, ...args) {
         const handler = {
             'gcode:load': () => {
@@ -637,6 +1333,12 @@ class TinyGController {
                     gcode = this.translateWithContext(gcode, context);
                 }
 
+                if (this.heightMap && this.applyHeightMap) {
+                    // Compensate the Z positions for the surface height of the workpiece
+                    gcode = this.heightMap.compensate(gcode.split('\n')).join('\n');
+                    log.debug(`[TinyG] Apply height map: name="${name}"`);
+                }
+
                 const ok = this.sender.load(name, gcode, context);
                 if (!ok) {
                     callback(new Error(`Invalid G-code: name=${name}`));
@@ -647,6 +1349,10 @@ class TinyGController {
 
                 log.debug(`[TinyG] Load G-code: name="${this.sender.state.name}", size=${this.sender.state.gcode.length}, total=${this.sender.state.total}`);
 
+                this.analyzeGCode();
+
+                this.emitAll('gcode:preflight', this.preflightCheck('load'));
+
                 this.workflow.stop();
 
                 callback(null, { name, gcode, context });
@@ -657,6 +1363,8 @@ class TinyGController {
                 // Sender
                 this.sender.unload();
 
+                this.analysis = null;
+
                 this.event.trigger('gcode:unload');
             },
             'start': () => {
@@ -664,14 +1372,79 @@ class TinyGController {
                 this.command(socket, 'gcode:start');
             },
             'gcode:start': () => {
+                const [options] = args;
+                const { startFromLine = 1 } = { ...options };
+                const { name, lines, total } = this.sender.state;
+
+                if (startFromLine > 1 && startFromLine > total) {
+                    log.error(`[TinyG] Cannot start from line ${startFromLine}: total=${total}`);
+                    this.emitAll('gcode:start', { name, startLine: startFromLine, err: `The program has only ${total} lines` });
+                    return;
+                }
+
+                // Replay the preceding lines to restore the modal state before resuming the program
+                let preamble = [];
+                if (startFromLine > 1) {
+                    const modalState = new ModalState();
+                    lines.slice(0, startFromLine - 1).forEach(line => {
+                        modalState.update(line);
+                    });
+
+                    try {
+                        // Retract to the upper Z limit of the machine envelope in machine coordinates,
+                        // or to the clearance height in work coordinates if the envelope is not known
+                        preamble = modalState.toGCode({
+                            clearance: this.getClearance(),
+                            machineZ: _.get(this.getMachineEnvelope(), 'max.z')
+                        });
+                    } catch (err) {
+                        log.error(`[TinyG] Cannot start from line ${startFromLine}: ${err.message}`);
+                        this.emitAll('serialport:read', `Cannot start from line ${startFromLine}: ${err.message}`);
+                        this.emitAll('gcode:start', { name, startLine: startFromLine, err: err.message });
+                        return;
+                    }
+                }
+
+                // Check the toolpath against the machine envelope
+                const report = this.preflightCheck('start');
+                const refused = (report.violations.length > 0) && (report.action === ENVELOPE_CHECK_REFUSE);
+                report.violations.forEach(({ axis, min, max, limit }) => {
+                    const range = `min=${min.toFixed(3)}, max=${max.toFixed(3)}`;
+                    log.warn(`[TinyG] Out of bounds: axis=${axis.toUpperCase()}, ${range}, limit=${JSON.stringify(limit)}`);
+                });
+                this.emitAll('gcode:preflight', { ...report, refused });
+
+                if (refused) {
+                    log.error(`[TinyG] Refused to start "${report.name}": The toolpath exceeds the machine envelope`);
+                    this.emitAll('gcode:start', { name, startLine: startFromLine, err: 'The toolpath exceeds the machine envelope' });
+                    return;
+                }
+
                 this.event.trigger('gcode:start');
 
                 this.workflow.start();
+                this.emitAll('gcode:start', { name, startLine: startFromLine, err: null });
 
                 // Feeder
                 this.feeder.clear();
 
                 // Sender
+                if (startFromLine > 1) {
+                    log.debug(`[TinyG] Start from line ${startFromLine}: preamble=${JSON.stringify(preamble)}`);
+
+                    this.sender.seek(startFromLine - 1, preamble);
+                }
+
+                // Job History
+                this.finishJob(JOB_OUTCOME_STOPPED);
+                this.job = jobHistory.start({
+                    controllerType: this.type,
+                    port: this.options.port,
+                    name: this.sender.state.name,
+                    gcode: this.sender.state.gcode,
+                    startLine: startFromLine
+                });
+
                 this.sender.next();
             },
             'stop': () => {
@@ -681,6 +1454,11 @@ class TinyGController {
             'gcode:stop': () => {
                 this.event.trigger('gcode:stop');
 
+                // Stopping a running job will also stop the job queue
+                if (this.queue.isRunning()) {
+                    this.queue.stop();
+                }
+
                 this.workflow.stop();
 
                 this.writeln(socket, '!%'); // feedhold and queue flush
@@ -710,7 +1488,11 @@ class TinyGController {
 
                 this.writeln(socket, '~'); // cycle start
                 this.writeln(socket, '{"qr":""}'); // queue report
-                this.workflow.resume();
+
+                // The program will be resumed after the tool change
+                if (!this.toolChange) {
+                    this.workflow.resume();
+                }
             },
             'feedhold': () => {
                 this.event.trigger('feedhold');
@@ -724,7 +1506,11 @@ class TinyGController {
 
                 this.writeln(socket, '~'); // cycle start
                 this.writeln(socket, '{"qr":""}'); // queue report
-                this.workflow.resume();
+
+                // The program will be resumed after the tool change
+                if (!this.toolChange) {
+                    this.workflow.resume();
+                }
             },
             'statusreport': () => {
                 this.writeln(socket, '{"sr":null}');
@@ -776,6 +1562,54 @@ class TinyGController {
                 ];
                 this.command(socket, 'gcode', commands);
             },
+            'heightmap:probe': () => {
+                const [options] = args;
+                const { xmin, xmax, ymin, ymax, spacing, clearance, depth, feedrate } = { ...options };
+
+                if (this.heightMapProbe) {
+                    log.error('[TinyG] Height map probing is already in progress');
+                    return;
+                }
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[TinyG] Cannot probe the height map while running G-code: workflow=${this.workflow.state}`);
+                    return;
+                }
+
+                const heightMap = HeightMap.fromArea({ xmin, xmax, ymin, ymax, spacing });
+
+                this.heightMapProbe = {
+                    heightMap: heightMap,
+                    points: heightMap.getProbePoints(),
+                    index: 0,
+                    reference: 0
+                };
+                log.debug(`[TinyG] Height map probing started: cols=${heightMap.cols}, rows=${heightMap.rows}`);
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+                this.command(socket, 'gcode', heightMap.getProbeCommands({ clearance, depth, feedrate }));
+            },
+            'heightmap:load': () => {
+                const [options] = args;
+
+                this.cancelHeightMapProbe();
+                this.heightMap = new HeightMap(options);
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'heightmap:unload': () => {
+                this.cancelHeightMapProbe();
+                this.heightMap = null;
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
+            'heightmap:apply': () => {
+                const [apply = true] = args;
+
+                // The height map will be applied to the G-code loaded afterwards
+                this.applyHeightMap = !!apply;
+
+                this.emitAll('heightmap:status', this.getHeightMapStatus());
+            },
             'gcode': () => {
                 const [commands, context] = args;
                 const data = ensureArray(commands)
@@ -807,6 +1641,7 @@ class TinyGController {
 
                 if (!macro) {
                     log.error(`[TinyG] Cannot find the macro: id=${id}`);
+                    callback(new Error(`Cannot find the macro: id=${id}`));
                     return;
                 }
 
@@ -827,6 +1662,7 @@ class TinyGController {
 
                 if (!macro) {
                     log.error(`[TinyG] Cannot find the macro: id=${id}`);
+                    callback(new Error(`Cannot find the macro: id=${id}`));
                     return;
                 }
 
@@ -846,15 +1682,96 @@ class TinyGController {
 
                     this.command(socket, 'gcode:load', file, data, context, callback);
                 });
+            },
+            'queue:add': () => {
+                const [job, callback = noop] = args;
+                const { file, ...options } = { ...job };
+
+                if (file) {
+                    // Add a file from the watch directory
+                    monitor.readFile(file, (err, data) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+
+                        const id = this.queue.add({ ...options, name: file, gcode: data });
+                        callback(null, { id });
+                    });
+                    return;
+                }
+
+                if (!options.gcode) {
+                    callback(new Error('Empty G-code'));
+                    return;
+                }
+
+                const id = this.queue.add(options);
+                callback(null, { id });
+            },
+            'queue:remove': () => {
+                const [id] = args;
+                this.queue.remove(id);
+            },
+            'queue:clear': () => {
+                this.queue.clear();
+            },
+            'queue:start': () => {
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[TinyG] Cannot start the job queue: workflowState=${this.workflow.state}`);
+                    return;
+                }
+
+                this.queue.start();
+            },
+            'queue:resume': () => {
+                if (this.workflow.state !== WORKFLOW_STATE_IDLE) {
+                    log.error(`[TinyG] Cannot resume the job queue: workflowState=${this.workflow.state}`);
+                    return;
+                }
+
+                this.queue.resume();
+            },
+            'queue:stop': () => {
+                this.queue.stop();
+            },
+            'toolchange:resume': () => {
+                this.resumeToolChange();
+            },
+            'toolchange:reset': () => {
+                // Probe the reference tool length again at the next tool change
+                this.toolLengthReference = null;
+            },
+            'lock:acquire': () => {
+                if (!socket) {
+                    return;
+                }
+                if (!this.controlLock.acquire(socket)) {
+                    log.warn(`[TinyG] The control lock is held by another connection: id=${socket.id}`);
+                }
+            },
+            'lock:release': () => {
+                socket && this.controlLock.release(socket);
+            },
+            'lock:request': () => {
+                socket && this.controlLock.requestControl(socket);
+            },
+            'lock:grant': () => {
+                socket && this.controlLock.grant(socket);
+            },
+            'lock:deny': () => {
+                socket && this.controlLock.deny(socket);
             }
         }[cmd];
 
         if (!handler) {
             log.error(`[TinyG] Unknown command: ${cmd}`);
-            return;
+            return false;
         }
 
         handler();
+
+        return true;
     }
     write(socket, data) {
         // Assertion check
@@ -9,6 +9,10 @@ export const TINYG_PLANNER_BUFFER_HIGH_WATER_MARK = 7;
 // TinyG has a 254 byte serial buffer that receives raw ASCII commands.
 export const TINYG_SERIAL_BUFFER_LIMIT = 254;
 
+// Coordinate System Offsets
+// The offsets can be queried with {"g54":n}, {"g92":n}, etc.
+export const TINYG_OFFSET_NAMES = ['g54', 'g55', 'g56', 'g57', 'g58', 'g59', 'g28', 'g30', 'g92'];
+
 // Machine State
 // https://github.com/synthetos/g2/wiki/Status-Reports#stat-values
 export const TINYG_MACHINE_STATE_INITIALIZING = 0; // Machine is initializing
@@ -0,0 +1,16 @@
+import TinyGController from './TinyGController';
+import { TINYG } from './constants';
+
+export default {
+    type: TINYG,
+    aliases: ['TinyG2'], // g2core
+    baudrates: [115200, 57600, 38400, 19200, 9600, 4800, 2400],
+    capabilities: {
+        overrides: false,
+        laserMode: true,
+        probing: true,
+        fourthAxis: true,
+        workOffsets: true // {"g54":n}
+    },
+    factory: (port, options) => new TinyGController(port, options)
+};
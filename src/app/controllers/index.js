@@ -1,3 +1,146 @@
-export GrblController from './Grbl/GrblController';
-export SmoothieController from './Smoothie/SmoothieController';
-export TinyGController from './TinyG/TinyGController';
+import _ from 'lodash';
+import log from '../lib/log';
+import Grbl from './Grbl';
+import Marlin from './Marlin';
+import Smoothie from './Smoothie';
+import TinyG from './TinyG';
+import GrblController from './Grbl/GrblController';
+import MarlinController from './Marlin/MarlinController';
+import SmoothieController from './Smoothie/SmoothieController';
+import TinyGController from './TinyG/TinyGController';
+import { GRBL, GRBL_VIRTUAL_PORT } from './Grbl/constants';
+
+const DEFAULT_BAUDRATES = [115200, 57600, 38400, 19200, 9600, 4800, 2400];
+
+// The capabilities a controller can declare. Undeclared capabilities are not supported.
+export const CAPABILITIES = ['overrides', 'laserMode', 'probing', 'fourthAxis', 'workOffsets'];
+
+// The methods a controller must implement. See "Controller plugins" in README.md for the interface.
+export const CONTROLLER_METHODS = [
+    'open',
+    'close',
+    'isOpen',
+    'isClose',
+    'addConnection',
+    'removeConnection',
+    'command',
+    'write',
+    'writeln',
+    'destroy'
+];
+
+// The controller definitions by type name, including aliases.
+const registry = {};
+
+const ensureStrings = (values) => _.filter([].concat(values), (value) => value && typeof value === 'string');
+
+// Removes a controller type and its aliases.
+// @param {string} type The type name.
+export const unregisterController = (type) => {
+    const definition = registry[type];
+    if (!definition) {
+        return;
+    }
+
+    Object.keys(registry).forEach((name) => {
+        if (registry[name] === definition) {
+            delete registry[name];
+        }
+    });
+};
+
+// Registers a controller type. A registered type will replace the type with the same name.
+// @param {object} definition The controller definition.
+// @param {string} definition.type The type name, e.g. "Grbl".
+// @param {array} [definition.aliases] Other type names for opening the serial port.
+// @param {array} [definition.baudrates] The supported baud rates.
+// @param {object} [definition.capabilities] The supported features. See CAPABILITIES.
+// @param {function} definition.factory The function that creates a controller with (port, options).
+// @return {object} Returns the normalized definition.
+export const registerController = (definition) => {
+    const { type, aliases = [], baudrates = DEFAULT_BAUDRATES, capabilities = {}, factory } = { ...definition };
+
+    if (!type || typeof type !== 'string') {
+        throw new Error(`Invalid controller type: ${JSON.stringify(type)}`);
+    }
+    if (typeof factory !== 'function') {
+        throw new Error(`The controller factory is not a function: type=${type}`);
+    }
+
+    const normalized = {
+        type: type,
+        aliases: ensureStrings(aliases),
+        baudrates: _.filter(_.map(baudrates, Number), (baudrate) => baudrate > 0),
+        capabilities: _.mapValues(_.pick({ ...capabilities }, CAPABILITIES), Boolean),
+        factory: factory
+    };
+
+    if (registry[type]) {
+        log.warn(`[controllers] Replace the controller type: type=${type}`);
+        unregisterController(type);
+    }
+
+    [type].concat(normalized.aliases).forEach((name) => {
+        registry[name] = normalized;
+    });
+
+    return normalized;
+};
+
+// Returns the controller definition by type name or alias, or null if the type is not registered.
+export const getControllerDefinition = (type) => {
+    return registry[type] || null;
+};
+
+// Returns the registered controller types with the baud rates and the capabilities, without the factories.
+// @return {array} Returns an array of controller types in the order of registration.
+export const getControllerTypes = () => {
+    return _.uniq(_.values(registry)).map(({ type, aliases, baudrates, capabilities }) => ({
+        type,
+        aliases,
+        baudrates,
+        capabilities
+    }));
+};
+
+// Creates a controller for the serial port.
+// @param {string} port The serial port.
+// @param {object} options The options object.
+// @param {string} [options.controllerType] A registered type name or alias. Defaults to "Grbl".
+// @param {number} [options.baudrate] The baud rate.
+// @return {object} Returns the controller instance. An error will be thrown if the controller does not implement the interface.
+export const createController = (port, options) => {
+    const { controllerType = GRBL, baudrate } = { ...options };
+    const definition = getControllerDefinition(controllerType);
+
+    if (!definition) {
+        throw new Error('Not supported controller: ' + controllerType);
+    }
+    if (port === GRBL_VIRTUAL_PORT && definition.type !== GRBL) {
+        throw new Error(`The virtual Grbl device cannot be opened with the ${definition.type} controller`);
+    }
+
+    const controller = definition.factory(port, { baudrate });
+    const missingMethods = CONTROLLER_METHODS.filter((name) => typeof _.get(controller, name) !== 'function');
+
+    if (missingMethods.length > 0 || !_.isObject(_.get(controller, 'options'))) {
+        if (controller && typeof controller.destroy === 'function') {
+            controller.destroy();
+        }
+
+        const missing = missingMethods.length > 0 ? missingMethods.join(', ') : 'options';
+        throw new Error(`The ${definition.type} controller does not implement the controller interface: missing=${missing}`);
+    }
+
+    return controller;
+};
+
+// Built-in controllers
+[Grbl, Marlin, Smoothie, TinyG].forEach(registerController);
+
+export {
+    GrblController,
+    MarlinController,
+    SmoothieController,
+    TinyGController
+};
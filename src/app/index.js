@@ -8,6 +8,7 @@ import bcrypt from 'bcrypt-nodejs';
 import chalk from 'chalk';
 import webappengine from 'webappengine';
 import app from './app';
+import loadControllerPlugins from './lib/controller-plugins';
 import cncengine from './services/cncengine';
 import monitor from './services/monitor';
 import config from './services/configstore';
@@ -68,6 +69,19 @@ const createServer = (options, callback) => {
         }
     }
 
+    { // pluginDirectory
+        const pluginDirectory = config.get('pluginDirectory');
+
+        if (pluginDirectory) {
+            if (fs.existsSync(pluginDirectory)) {
+                const types = loadControllerPlugins(pluginDirectory);
+                log.info(`Loaded ${types.length} controller plugin(s) from ${chalk.yellow(JSON.stringify(pluginDirectory))}.`);
+            } else {
+                log.error(`The directory ${chalk.yellow(JSON.stringify(pluginDirectory))} does not exist.`);
+            }
+        }
+    }
+
     { // accessTokenLifetime
         const accessTokenLifetime = options.accessTokenLifetime || config.get('accessTokenLifetime');
 
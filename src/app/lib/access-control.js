@@ -0,0 +1,30 @@
+import includes from 'lodash/includes';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
+} from '../constants';
+
+// In ascending order of privilege
+const ROLES = [
+    ROLE_VIEWER,
+    ROLE_OPERATOR,
+    ROLE_ADMIN
+];
+
+// Returns true if the role is one of "admin", "operator" and "viewer".
+export const isValidRole = (role) => includes(ROLES, role);
+
+// Returns the role of the user. Users without a valid role are viewers.
+// @param {object} user The user object.
+export const getRole = (user) => {
+    const role = user && user.role;
+    return isValidRole(role) ? role : ROLE_VIEWER;
+};
+
+// Returns true if the user has the specified role or a more privileged one.
+// @param {object} user The user object.
+// @param {string} role The minimum required role.
+export const hasRole = (user, role) => {
+    return ROLES.indexOf(getRole(user)) >= ROLES.indexOf(role);
+};
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import events from 'events';
+import castArray from 'lodash/castArray';
+import find from 'lodash/find';
+import config from '../services/configstore';
+import { ROLE_VIEWER } from '../constants';
+import { isValidRole } from './access-control';
+
+export const API_KEYS_CONFIG_KEY = 'apiKeys';
+
+// API keys are prefixed to be distinguished from access tokens
+export const API_KEY_PREFIX = 'cncjs_';
+
+// The number of milliseconds to wait before saving the last used times to the configuration file
+const LAST_USED_SAVE_DELAY = 60 * 1000;
+
+// The last used times by key id. They are kept in memory, and saved to the configuration file in the background.
+const lastUsedTimes = {};
+let saveTimer = null;
+
+// A "revoke" event with the key id will be emitted when an API key is deleted, disabled, or its scope is changed
+export const apiKeyEvents = new events.EventEmitter();
+
+const saveLastUsedTimes = () => {
+    saveTimer = null;
+
+    const records = castArray(config.get(API_KEYS_CONFIG_KEY, []));
+    let shouldUpdate = false;
+    records.forEach(record => {
+        const atime = record && lastUsedTimes[record.id];
+        if (atime && atime !== record.atime) {
+            record.atime = atime;
+            shouldUpdate = true;
+        }
+    });
+
+    if (shouldUpdate) {
+        config.set(API_KEYS_CONFIG_KEY, records);
+    }
+};
+
+// Returns true if the token looks like an API key.
+// @param {string} token An API key or an access token.
+export const isApiKey = (token) => {
+    return (typeof token === 'string') && (token.indexOf(API_KEY_PREFIX) === 0);
+};
+
+// Generates a new API key. Only the hash of the key will be stored in the configuration file.
+export const generateApiKey = () => {
+    return API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+};
+
+// @param {string} key The API key.
+export const hashApiKey = (key) => {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Returns the access token payload for the API key, or null if the key is invalid, disabled or revoked.
+// @param {string} key The API key.
+export const verifyApiKey = (key) => {
+    if (!isApiKey(key)) {
+        return null;
+    }
+
+    const records = castArray(config.get(API_KEYS_CONFIG_KEY, []));
+    const record = find(records, { hash: hashApiKey(key) });
+    if (!record || record.enabled === false) {
+        return null;
+    }
+
+    lastUsedTimes[record.id] = new Date().getTime();
+    if (!saveTimer) {
+        saveTimer = setTimeout(saveLastUsedTimes, LAST_USED_SAVE_DELAY);
+        saveTimer.unref(); // Do not keep the process running
+    }
+
+    return {
+        id: record.id,
+        name: record.label,
+        role: isValidRole(record.scope) ? record.scope : ROLE_VIEWER,
+        apiKey: true
+    };
+};
+
+// Returns the last used time of the API key, including the time that has not been saved yet, or null if the key has never been used.
+// @param {object} record The API key record.
+export const getLastUsedTime = (record) => {
+    const { id, atime } = { ...record };
+    return Math.max(Number(atime) || 0, lastUsedTimes[id] || 0) || null;
+};
+
+// Notifies that the API key is no longer valid, or its scope has been changed, so that the connections using it can be closed.
+// @param {string} id The key id.
+export const revokeApiKey = (id) => {
+    delete lastUsedTimes[id];
+    apiKeyEvents.emit('revoke', id);
+};
@@ -0,0 +1,179 @@
+import events from 'events';
+
+// The number of milliseconds to keep the lock after the holder disconnects
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+// Returns true if the command manages the control lock, and can be sent without holding the lock.
+// @param {string} cmd The controller command.
+export const isLockCommand = (cmd) => String(cmd).indexOf('lock:') === 0;
+
+// Returns true if the socket connection is allowed to control the machine.
+// Controllers without a control lock can be controlled by any connection.
+// @param {object} controller The controller instance.
+// @param {object} socket The socket connection, or null for a request that is not made over a socket connection.
+export const hasControl = (controller, socket) => {
+    const controlLock = controller && controller.controlLock;
+    return !controlLock || controlLock.canControl(socket);
+};
+
+const getUser = (socket) => {
+    const { id = '', name = '' } = { ...socket.decoded_token };
+    return { id: String(id), name: String(name) };
+};
+
+// Grants exclusive control of a controller to a single socket connection.
+// The lock is optional: any connection can control the machine while the lock is not taken.
+// A "change" event will be emitted whenever the lock changes.
+class ControlLock extends events.EventEmitter {
+    owner = null; // { id, user, connected }
+    request = null; // { id, user }
+    timer = null;
+    timeout = DEFAULT_TIMEOUT;
+
+    // @param {object} [options] The options object.
+    // @param {number} [options.timeout] The number of milliseconds to keep the lock after the holder disconnects.
+    constructor(options) {
+        super();
+
+        const { timeout } = { ...options };
+        if (timeout !== undefined && timeout >= 0) {
+            this.timeout = Number(timeout);
+        }
+    }
+    // Returns true if the socket connection is allowed to control the machine.
+    // @param {object} socket The socket connection.
+    canControl(socket) {
+        return !this.owner || (!!socket && this.owner.id === socket.id);
+    }
+    // Takes control if the lock is not held by another connection.
+    // The same signed-in user can reclaim the lock from another connection until the timeout expires after the holder disconnects.
+    // @param {object} socket The socket connection.
+    // @return {boolean} Returns true on success, false otherwise.
+    acquire(socket) {
+        if (this.owner && this.owner.id === socket.id) {
+            return true;
+        }
+
+        const user = getUser(socket);
+        const reclaim = this.owner && !this.owner.connected && !!user.id && (this.owner.user.id === user.id);
+        if (this.owner && !reclaim) {
+            return false;
+        }
+
+        this.setOwner(socket.id, user);
+
+        return true;
+    }
+    // Releases the lock held by the socket connection, or cancels the pending hand-over request.
+    // @param {object} socket The socket connection.
+    release(socket) {
+        if (this.request && this.request.id === socket.id) {
+            this.request = null;
+            this.emit('change');
+            return;
+        }
+
+        if (this.owner && this.owner.id === socket.id) {
+            this.clearTimer();
+            this.owner = null;
+            this.request = null;
+            this.emit('change');
+        }
+    }
+    // Requests the lock holder to hand over control. Takes control immediately if the lock is free.
+    // @param {object} socket The socket connection.
+    requestControl(socket) {
+        if (this.acquire(socket)) {
+            return;
+        }
+
+        this.request = {
+            id: socket.id,
+            user: getUser(socket)
+        };
+        this.emit('change');
+    }
+    // Hands over control to the connection that requested it.
+    // @param {object} socket The socket connection of the lock holder.
+    grant(socket) {
+        if (!this.request || !this.owner || this.owner.id !== socket.id) {
+            return;
+        }
+
+        const { id, user } = this.request;
+        this.setOwner(id, user);
+    }
+    // Denies the pending hand-over request.
+    // @param {object} socket The socket connection of the lock holder.
+    deny(socket) {
+        if (!this.request || !this.owner || this.owner.id !== socket.id) {
+            return;
+        }
+
+        this.request = null;
+        this.emit('change');
+    }
+    // Should be called when a socket connection is removed from the controller.
+    // The lock will be released, or handed over to the pending request, when the timeout expires.
+    // @param {object} socket The socket connection.
+    disconnect(socket) {
+        if (this.request && this.request.id === socket.id) {
+            this.request = null;
+            this.emit('change');
+        }
+
+        if (!this.owner || this.owner.id !== socket.id) {
+            return;
+        }
+
+        this.owner.connected = false;
+        this.clearTimer();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+
+            if (this.request) {
+                const { id, user } = this.request;
+                this.setOwner(id, user);
+                return;
+            }
+
+            this.owner = null;
+            this.emit('change');
+        }, this.timeout);
+        this.emit('change');
+    }
+    setOwner(id, user) {
+        this.clearTimer();
+        this.owner = {
+            id: id,
+            user: user,
+            connected: true
+        };
+        this.request = null;
+        this.emit('change');
+    }
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+    // Clears the lock and the timer.
+    destroy() {
+        this.clearTimer();
+        this.owner = null;
+        this.request = null;
+    }
+    toJSON() {
+        const { owner, request } = this;
+
+        return {
+            locked: !!owner,
+            owner: owner ? { id: owner.id, name: owner.user.name, connected: owner.connected } : null,
+            request: request ? { id: request.id, name: request.user.name } : null,
+            timeout: this.timeout
+        };
+    }
+}
+
+export default ControlLock;
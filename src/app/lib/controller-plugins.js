@@ -0,0 +1,61 @@
+/* eslint camelcase: 0 */
+/* global __non_webpack_require__ */
+import fs from 'fs';
+import path from 'path';
+import { registerController } from '../controllers';
+import ensureArray from './ensure-array';
+import log from './log';
+
+// The server is bundled with webpack, whose require() cannot load modules outside the bundle
+const requireModule = (typeof __non_webpack_require__ === 'function') ? __non_webpack_require__ : (id) => module.require(id);
+
+// Returns true if the directory entry can be loaded as a plugin, i.e. a .js file or a directory with an index.js or a package.json.
+const isPlugin = (directory, name) => {
+    if (name.charAt(0) === '.') {
+        return false;
+    }
+
+    const stat = fs.statSync(path.join(directory, name));
+    if (stat.isDirectory()) {
+        return fs.existsSync(path.join(directory, name, 'index.js')) || fs.existsSync(path.join(directory, name, 'package.json'));
+    }
+
+    return stat.isFile() && path.extname(name) === '.js';
+};
+
+// Loads the controller plugins from a directory. Each plugin exports one or more controller definitions.
+// A plugin that cannot be loaded is skipped without affecting the other plugins.
+// @param {string} directory The plugin directory.
+// @return {array} Returns the type names of the registered controllers.
+const loadControllerPlugins = (directory) => {
+    const types = [];
+    let names = [];
+
+    try {
+        names = fs.readdirSync(directory).filter(name => isPlugin(directory, name)).sort();
+    } catch (err) {
+        log.error(`[controller-plugins] Cannot read the plugin directory "${directory}": ${err.message}`);
+        return types;
+    }
+
+    names.forEach((name) => {
+        const file = path.resolve(directory, name);
+
+        try {
+            const plugin = requireModule(file);
+            const definitions = ensureArray((plugin && plugin.default) || plugin);
+
+            definitions.forEach((definition) => {
+                const { type } = registerController(definition);
+                log.debug(`[controller-plugins] Register the controller type "${type}" from ${file}`);
+                types.push(type);
+            });
+        } catch (err) {
+            log.error(`[controller-plugins] Cannot load the plugin ${file}: ${err.message}`);
+        }
+    });
+
+    return types;
+};
+
+export default loadControllerPlugins;
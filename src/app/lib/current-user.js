@@ -0,0 +1,40 @@
+import castArray from 'lodash/castArray';
+import find from 'lodash/find';
+import isPlainObject from 'lodash/isPlainObject';
+import config from '../services/configstore';
+import { ROLE_ADMIN } from '../constants';
+import { getRole } from './access-control';
+
+const USERS_CONFIG_KEY = 'users';
+
+// Returns the user of an access token with the current role of the user account, or null if the user account
+// no longer exists or has been disabled since the token was issued. The role in the access token is not trusted.
+// All users have full access while the user accounts are disabled.
+// @param {object} payload The decoded access token payload, or the payload of an API key.
+// @return {object} The user object with the id, the name, and the role.
+export const getCurrentUser = (payload) => {
+    // The API key has been looked up by the verifyApiKey() function
+    if (payload && payload.apiKey) {
+        return payload;
+    }
+
+    const users = castArray(config.get(USERS_CONFIG_KEY, []))
+        .filter(user => isPlainObject(user) && user.enabled !== false);
+    const { id = '' } = { ...payload };
+
+    if (users.length === 0) {
+        return { ...payload, role: ROLE_ADMIN };
+    }
+
+    const user = id ? find(users, { id: id }) : null;
+    if (!user) {
+        return null;
+    }
+
+    return {
+        ...payload,
+        id: user.id,
+        name: user.name,
+        role: getRole(user)
+    };
+};
@@ -0,0 +1,40 @@
+import _ from 'lodash';
+import config from '../services/configstore';
+import ensureArray from './ensure-array';
+
+// The ports that are not listed by the serial port driver, such as network ports and virtual serial ports,
+// e.g. [{ comName: 'telnet://192.168.0.10:23', manufacturer: 'Smoothieboard' }]
+export const CUSTOM_PORTS_CONFIG_KEY = 'cnc.ports';
+
+// The custom ports were stored in the "ports" setting in earlier versions
+const LEGACY_CONFIG_KEY = 'ports';
+
+// Accepts the { port, name } shape as well as the { comName, manufacturer } shape.
+const normalize = (record) => {
+    if (!_.isPlainObject(record)) {
+        return null;
+    }
+
+    const comName = String(record.comName || record.port || '').trim();
+    const manufacturer = String(record.manufacturer || record.name || '');
+
+    return comName ? { comName, manufacturer } : null;
+};
+
+// Returns the custom ports in the { comName, manufacturer } shape, including the ports in the legacy "ports" setting.
+export const getCustomPorts = () => {
+    const records = ensureArray(config.get(CUSTOM_PORTS_CONFIG_KEY, []))
+        .concat(ensureArray(config.get(LEGACY_CONFIG_KEY, [])));
+
+    return _.uniqBy(_.compact(records.map(normalize)), 'comName');
+};
+
+// Saves the custom ports, and moves the ports in the legacy "ports" setting to the "cnc.ports" setting.
+// @param {array} records The custom ports in the { comName, manufacturer } shape.
+export const setCustomPorts = (records) => {
+    if (config.has(LEGACY_CONFIG_KEY)) {
+        config.unset(LEGACY_CONFIG_KEY);
+    }
+
+    config.set(CUSTOM_PORTS_CONFIG_KEY, _.compact(ensureArray(records).map(normalize)));
+};
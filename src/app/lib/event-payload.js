@@ -0,0 +1,30 @@
+import _ from 'lodash';
+
+// Parses the commands of a webhook or MQTT trigger, which consist of the URL on the first line and an optional payload template on the following lines.
+// @param {string} commands The commands of the event trigger.
+// @return {object} Returns an object containing the URL and the payload template.
+export const parseEndpoint = (commands) => {
+    const lines = String(commands || '').trim().split('\n');
+    const url = lines.shift().trim();
+    const template = lines.join('\n').trim();
+
+    return { url, template };
+};
+
+// Replaces {{name}} placeholders with the values in the context. The values are escaped for use within JSON strings.
+// @param {string} template The payload template.
+// @param {object} context The values for the placeholders.
+export const renderTemplate = (template, context = {}) => {
+    return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = _.get(context, key);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return JSON.stringify(String(value)).slice(1, -1);
+    });
+};
+
+// Renders the payload template, or the context in JSON if no template is specified.
+export const renderPayload = (template, context = {}) => {
+    return template ? renderTemplate(template, context) : JSON.stringify(context);
+};
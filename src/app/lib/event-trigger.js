@@ -7,7 +7,9 @@ class EventTrigger {
     constructor(callback = noop) {
         this.callback = callback || noop;
     }
-    trigger(eventKey, callback = null) {
+    // @param {string} eventKey The event name.
+    // @param {object} [context] The event details, which will be passed to the callback.
+    trigger(eventKey, context = {}) {
         if (!eventKey) {
             log.error('The event is undefined');
             return;
@@ -30,7 +32,7 @@ class EventTrigger {
                 }
 
                 if (typeof this.callback === 'function') {
-                    this.callback(event, trigger, commands);
+                    this.callback(event, trigger, commands, context);
                 }
             });
     }
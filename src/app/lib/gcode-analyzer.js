@@ -0,0 +1,365 @@
+/* eslint no-continue: 0 */
+import _ from 'lodash';
+import { parseLine } from 'gcode-parser';
+
+// from in to mm
+const in2mm = (val = 0) => val * 25.4;
+
+const AXES = ['x', 'y', 'z'];
+
+// The axes of each plane: [first axis, second axis, linear axis], and the corresponding arc offset words
+const PLANES = {
+    'G17': { axes: ['x', 'y', 'z'], offsets: ['I', 'J'] },
+    'G18': { axes: ['z', 'x', 'y'], offsets: ['K', 'I'] },
+    'G19': { axes: ['y', 'z', 'x'], offsets: ['J', 'K'] }
+};
+
+// Arcs are divided into segments of at most 10 degrees
+const ARC_SEGMENT_ANGLE = Math.PI / 18;
+
+// Computes the time, in seconds, to travel a distance with a trapezoidal velocity profile.
+// @param {number} length The distance in millimeters.
+// @param {number} entrySpeed The entry speed in mm/sec.
+// @param {number} exitSpeed The exit speed in mm/sec.
+// @param {number} speed The nominal speed in mm/sec.
+// @param {number} accel The acceleration in mm/sec^2.
+const getTravelTime = (length, entrySpeed, exitSpeed, speed, accel) => {
+    if (!(accel > 0) || accel === Infinity) {
+        return length / speed;
+    }
+
+    const accelDistance = (speed * speed - entrySpeed * entrySpeed) / (2 * accel);
+    const decelDistance = (speed * speed - exitSpeed * exitSpeed) / (2 * accel);
+
+    if (accelDistance + decelDistance <= length) {
+        return (speed - entrySpeed) / accel + (speed - exitSpeed) / accel + (length - accelDistance - decelDistance) / speed;
+    }
+
+    // The nominal speed cannot be reached
+    const peakSpeed = Math.sqrt((2 * accel * length + entrySpeed * entrySpeed + exitSpeed * exitSpeed) / 2);
+    return Math.max(peakSpeed - entrySpeed, 0) / accel + Math.max(peakSpeed - exitSpeed, 0) / accel;
+};
+
+// Walks through the toolpath of a G-code program to estimate the run time, the bounding box, the tools used,
+// and the rapid and cutting distances. The motion is planned in the same way as Grbl does, with acceleration
+// and junction deviation, so that the estimated time is close to the actual run time.
+class GCodeAnalyzer {
+    options = {
+        // The maximum rate of each axis in mm/min
+        maxRates: { x: 500, y: 500, z: 500 },
+        // The acceleration of each axis in mm/sec^2
+        accelerations: { x: 10, y: 10, z: 10 },
+        // The junction deviation in millimeters
+        junctionDeviation: 0.01
+    };
+
+    // @param {object} [options] The options object.
+    // @param {object} [options.maxRates] The maximum rate of each axis in mm/min.
+    // @param {object} [options.accelerations] The acceleration of each axis in mm/sec^2.
+    // @param {number} [options.junctionDeviation] The junction deviation in millimeters.
+    constructor(options) {
+        const { maxRates, accelerations, junctionDeviation } = { ...options };
+        const toNumbers = (values, defaultValues) => _.mapValues(defaultValues, (value, axis) => {
+            const n = Number(_.get(values, axis));
+            return (n > 0) ? n : value;
+        });
+
+        this.options = {
+            maxRates: toNumbers(maxRates, this.options.maxRates),
+            accelerations: toNumbers(accelerations, this.options.accelerations),
+            junctionDeviation: (Number(junctionDeviation) >= 0) ? Number(junctionDeviation) : this.options.junctionDeviation
+        };
+    }
+    // Analyzes a G-code program.
+    // @param {array} lines The lines of the G-code program.
+    // @return {object} An object containing the analysis result:
+    //   estimatedTime: The estimated run time in milliseconds.
+    //   lineTimes: The cumulative time, in milliseconds, at the end of each line.
+    //   bbox: The bounding box of the toolpath in millimeters.
+    //   tools: The tool numbers, in the order they appear.
+    //   distance: The rapid and cutting distances in millimeters.
+    analyze(lines) {
+        const state = {
+            motion: 'G0',
+            plane: 'G17',
+            units: 'G21',
+            distance: 'G90',
+            feedmode: 'G94',
+            feedrate: 0 // in mm/min, or the inverse time in G93 mode
+        };
+        const position = { x: 0, y: 0, z: 0 };
+        const bbox = {
+            min: { x: 0, y: 0, z: 0 },
+            max: { x: 0, y: 0, z: 0 }
+        };
+        const tools = [];
+        const distance = { rapid: 0, cutting: 0 };
+        const blocks = [];
+        let hasMotion = false;
+
+        const updateBoundingBox = (pos) => {
+            AXES.forEach(axis => {
+                if (!hasMotion) {
+                    bbox.min[axis] = pos[axis];
+                    bbox.max[axis] = pos[axis];
+                } else {
+                    bbox.min[axis] = Math.min(bbox.min[axis], pos[axis]);
+                    bbox.max[axis] = Math.max(bbox.max[axis], pos[axis]);
+                }
+            });
+        };
+
+        const addMotion = (index, from, to, options) => {
+            const { rapid = false, duration = 0 } = { ...options };
+            const delta = AXES.map(axis => to[axis] - from[axis]);
+            const length = Math.sqrt(delta[0] * delta[0] + delta[1] * delta[1] + delta[2] * delta[2]);
+
+            if (length <= 0) {
+                return;
+            }
+
+            if (!hasMotion) {
+                updateBoundingBox(from);
+                hasMotion = true;
+            }
+            updateBoundingBox(to);
+
+            if (rapid) {
+                distance.rapid += length;
+            } else {
+                distance.cutting += length;
+            }
+
+            const unit = delta.map(d => d / length);
+            const limit = (values) => AXES.reduce((value, axis, i) => {
+                return (unit[i] === 0) ? value : Math.min(value, values[axis] / Math.abs(unit[i]));
+            }, Infinity);
+            const maxSpeed = limit(this.options.maxRates) / 60; // mm/sec
+            const accel = limit(this.options.accelerations);
+            let speed = maxSpeed;
+            if (!rapid) {
+                speed = (duration > 0) ? (length / duration) : (state.feedrate / 60);
+                speed = Math.min(speed, maxSpeed);
+            }
+
+            blocks.push({ index, length, unit, speed, accel });
+        };
+
+        const addArc = (index, from, to, params, options) => {
+            const { axes, offsets } = PLANES[state.plane];
+            const [axis0, axis1, axisLinear] = axes;
+            const toMillimeters = (val) => ((state.units === 'G20') ? in2mm(val) : val);
+            const center = {};
+
+            if (params.R !== undefined) {
+                // Radius format arc
+                const r = toMillimeters(params.R);
+                const x = to[axis0] - from[axis0];
+                const y = to[axis1] - from[axis1];
+                const d = Math.sqrt(x * x + y * y);
+                if (d === 0) {
+                    return;
+                }
+                let h = Math.sqrt(Math.max(4 * r * r - x * x - y * y, 0)) / d;
+                if ((state.motion === 'G2') === (r > 0)) {
+                    h = -h;
+                }
+                center[axis0] = from[axis0] + 0.5 * (x - (y * h));
+                center[axis1] = from[axis1] + 0.5 * (y + (x * h));
+            } else {
+                // Center format arc
+                center[axis0] = from[axis0] + toMillimeters(Number(params[offsets[0]]) || 0);
+                center[axis1] = from[axis1] + toMillimeters(Number(params[offsets[1]]) || 0);
+            }
+
+            const r0 = [from[axis0] - center[axis0], from[axis1] - center[axis1]];
+            const r1 = [to[axis0] - center[axis0], to[axis1] - center[axis1]];
+            let angle = Math.atan2(r0[0] * r1[1] - r0[1] * r1[0], r0[0] * r1[0] + r0[1] * r1[1]);
+            if (state.motion === 'G2' && angle >= -1e-6) {
+                angle -= 2 * Math.PI;
+            } else if (state.motion === 'G3' && angle <= 1e-6) {
+                angle += 2 * Math.PI;
+            }
+
+            const segments = Math.max(Math.ceil(Math.abs(angle) / ARC_SEGMENT_ANGLE), 1);
+            const { duration = 0 } = { ...options };
+            let prev = { ...from };
+
+            for (let i = 1; i <= segments; ++i) {
+                const theta = angle * i / segments;
+                const next = { ...to };
+                if (i < segments) {
+                    next[axis0] = center[axis0] + r0[0] * Math.cos(theta) - r0[1] * Math.sin(theta);
+                    next[axis1] = center[axis1] + r0[0] * Math.sin(theta) + r0[1] * Math.cos(theta);
+                    next[axisLinear] = from[axisLinear] + (to[axisLinear] - from[axisLinear]) * i / segments;
+                }
+                addMotion(index, prev, next, { duration: duration / segments });
+                prev = next;
+            }
+        };
+
+        lines.forEach((line, index) => {
+            const { words = [] } = parseLine(String(line));
+            const params = {};
+            let nonModal = '';
+
+            words.forEach(([letter, value]) => {
+                if (letter === 'G') {
+                    const cmd = 'G' + value;
+                    if (_.includes(['G0', 'G1', 'G2', 'G3', 'G38.2', 'G38.3', 'G38.4', 'G38.5', 'G80'], cmd)) {
+                        state.motion = cmd;
+                    } else if (_.includes(['G17', 'G18', 'G19'], cmd)) {
+                        state.plane = cmd;
+                    } else if (_.includes(['G20', 'G21'], cmd)) {
+                        state.units = cmd;
+                    } else if (_.includes(['G90', 'G91'], cmd)) {
+                        state.distance = cmd;
+                    } else if (_.includes(['G93', 'G94'], cmd)) {
+                        state.feedmode = cmd;
+                    } else if (_.includes(['G4', 'G10', 'G28', 'G30', 'G53', 'G92'], cmd)) {
+                        nonModal = cmd;
+                    }
+                    return;
+                }
+
+                if (letter === 'T') {
+                    if (!_.includes(tools, value)) {
+                        tools.push(value);
+                    }
+                    return;
+                }
+
+                params[letter] = value;
+            });
+
+            if (params.F !== undefined) {
+                // The feed rate is always converted to mm/min in units per minute mode
+                state.feedrate = (state.feedmode === 'G93' || state.units !== 'G20') ? params.F : in2mm(params.F);
+            }
+
+            // G4: Dwell
+            if (nonModal === 'G4') {
+                const seconds = Number(params.P) || 0;
+                blocks.push({ index, dwell: Math.max(seconds, 0) });
+                return;
+            }
+
+            // The axis words in other non-modal commands do not describe a toolpath
+            if (nonModal && nonModal !== 'G53') {
+                return;
+            }
+
+            const hasAxisWords = _.some(AXES, axis => params[axis.toUpperCase()] !== undefined);
+            if (!hasAxisWords || state.motion === 'G80') {
+                return;
+            }
+
+            const target = { ...position };
+            AXES.forEach(axis => {
+                const value = params[axis.toUpperCase()];
+                if (typeof value !== 'number' || Number.isNaN(value)) {
+                    return;
+                }
+
+                const mm = (state.units === 'G20') ? in2mm(value) : value;
+                target[axis] = (state.distance === 'G91' && nonModal !== 'G53') ? (position[axis] + mm) : mm;
+            });
+
+            // In inverse time mode, the motion should be completed in one divided by the F number of minutes
+            const duration = (state.feedmode === 'G93' && state.feedrate > 0) ? (60 / state.feedrate) : 0;
+
+            if (state.motion === 'G0') {
+                addMotion(index, position, target, { rapid: true });
+            } else if (state.motion === 'G2' || state.motion === 'G3') {
+                addArc(index, position, target, params, { duration });
+            } else if (state.feedrate > 0) {
+                addMotion(index, position, target, { duration });
+            }
+
+            Object.assign(position, target);
+        });
+
+        const lineTimes = this.plan(blocks, lines.length);
+
+        return {
+            estimatedTime: (lineTimes.length > 0) ? lineTimes[lineTimes.length - 1] : 0,
+            lineTimes,
+            bbox,
+            tools,
+            distance
+        };
+    }
+    // Computes the entry speed of each block, and returns the cumulative time at the end of each line.
+    plan(blocks, totalLines) {
+        const { junctionDeviation } = this.options;
+        const lineTimes = new Array(totalLines).fill(0);
+        const entrySpeeds = new Array(blocks.length).fill(0);
+
+        // The maximum entry speed allowed by the junction deviation
+        for (let i = 1; i < blocks.length; ++i) {
+            const prev = blocks[i - 1];
+            const block = blocks[i];
+            if (prev.dwell !== undefined || block.dwell !== undefined) {
+                continue;
+            }
+
+            const cosTheta = -(prev.unit[0] * block.unit[0] + prev.unit[1] * block.unit[1] + prev.unit[2] * block.unit[2]);
+            let speed = Math.min(prev.speed, block.speed);
+            if (cosTheta > 0.999999) {
+                // The junction is a reversal
+                speed = 0;
+            } else if (cosTheta > -0.999999) {
+                const sinThetaHalf = Math.sqrt(0.5 * (1 - cosTheta));
+                const accel = Math.min(prev.accel, block.accel);
+                speed = Math.min(speed, Math.sqrt(accel * junctionDeviation * sinThetaHalf / (1 - sinThetaHalf)));
+            }
+            entrySpeeds[i] = speed;
+        }
+
+        // Backward pass: each block must be able to decelerate to the entry speed of the next block
+        let nextEntrySpeed = 0;
+        for (let i = blocks.length - 1; i >= 0; --i) {
+            const block = blocks[i];
+            if (block.dwell !== undefined) {
+                nextEntrySpeed = 0;
+                continue;
+            }
+            entrySpeeds[i] = Math.min(entrySpeeds[i], Math.sqrt(nextEntrySpeed * nextEntrySpeed + 2 * block.accel * block.length));
+            nextEntrySpeed = entrySpeeds[i];
+        }
+
+        // Forward pass: each block must be able to accelerate to the entry speed of the next block
+        for (let i = 0; i < blocks.length - 1; ++i) {
+            const block = blocks[i];
+            if (block.dwell !== undefined) {
+                continue;
+            }
+            const entrySpeed = entrySpeeds[i];
+            entrySpeeds[i + 1] = Math.min(entrySpeeds[i + 1], Math.sqrt(entrySpeed * entrySpeed + 2 * block.accel * block.length));
+        }
+
+        let elapsed = 0; // in seconds
+        let index = 0;
+        for (let i = 0; i < blocks.length; ++i) {
+            const block = blocks[i];
+            for (; index < block.index; ++index) {
+                lineTimes[index] = Math.round(elapsed * 1000);
+            }
+
+            if (block.dwell !== undefined) {
+                elapsed += block.dwell;
+                continue;
+            }
+
+            const exitSpeed = (i + 1 < blocks.length && blocks[i + 1].dwell === undefined) ? entrySpeeds[i + 1] : 0;
+            elapsed += getTravelTime(block.length, entrySpeeds[i], exitSpeed, block.speed, block.accel);
+        }
+        for (; index < totalLines; ++index) {
+            lineTimes[index] = Math.round(elapsed * 1000);
+        }
+
+        return lineTimes;
+    }
+}
+
+export default GCodeAnalyzer;
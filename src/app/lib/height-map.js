@@ -0,0 +1,395 @@
+import _ from 'lodash';
+import { parseLine } from 'gcode-parser';
+
+// from in to mm
+const in2mm = (val = 0) => val * 25.4;
+
+// from mm to in
+const mm2in = (val = 0) => val / 25.4;
+
+const AXES = ['x', 'y', 'z'];
+
+// The axes of each plane: [first axis, second axis, linear axis], and the corresponding arc offset words
+const PLANES = {
+    'G17': { axes: ['x', 'y', 'z'], offsets: ['I', 'J'] },
+    'G18': { axes: ['z', 'x', 'y'], offsets: ['K', 'I'] },
+    'G19': { axes: ['y', 'z', 'x'], offsets: ['J', 'K'] }
+};
+
+// Arcs are divided into segments of at most 10 degrees
+const ARC_SEGMENT_ANGLE = Math.PI / 18;
+
+// Non-modal commands that use axis words for other purposes than moving the tool
+const NON_MOTION_COMMANDS = ['G4', 'G10', 'G28', 'G30', 'G53', 'G92'];
+
+// Work coordinate systems
+const WCS_COMMANDS = ['G54', 'G55', 'G56', 'G57', 'G58', 'G59', 'G59.1', 'G59.2', 'G59.3'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// A height map of the workpiece surface, which is measured by probing on a grid of points.
+// The heights are relative to the first probed point, and all dimensions are in millimeters.
+class HeightMap {
+    // Creates an empty height map covering the specified area.
+    // @param {object} options The options object.
+    // @param {number} options.xmin The minimum X position.
+    // @param {number} options.xmax The maximum X position.
+    // @param {number} options.ymin The minimum Y position.
+    // @param {number} options.ymax The maximum Y position.
+    // @param {number} options.spacing The maximum distance between two adjacent points.
+    // @return {HeightMap} The height map.
+    static fromArea(options) {
+        const { xmin = 0, xmax = 0, ymin = 0, ymax = 0, spacing = 10 } = { ...options };
+        const step = Math.max(Number(spacing) || 0, 1);
+        const cols = Math.max(Math.ceil(Math.abs(xmax - xmin) / step), 1) + 1;
+        const rows = Math.max(Math.ceil(Math.abs(ymax - ymin) / step), 1) + 1;
+
+        return new HeightMap({
+            xmin: Math.min(xmin, xmax),
+            xmax: Math.max(xmin, xmax),
+            ymin: Math.min(ymin, ymax),
+            ymax: Math.max(ymin, ymax),
+            cols: cols,
+            rows: rows
+        });
+    }
+
+    // @param {object} options The options object.
+    // @param {number} options.xmin The minimum X position.
+    // @param {number} options.xmax The maximum X position.
+    // @param {number} options.ymin The minimum Y position.
+    // @param {number} options.ymax The maximum Y position.
+    // @param {number} options.cols The number of points along the X axis.
+    // @param {number} options.rows The number of points along the Y axis.
+    // @param {array} [options.z] The heights of each row of points, or null for points that have not been probed.
+    constructor(options) {
+        const { xmin = 0, xmax = 0, ymin = 0, ymax = 0, cols = 2, rows = 2, z } = { ...options };
+
+        this.xmin = Number(xmin) || 0;
+        this.xmax = Number(xmax) || 0;
+        this.ymin = Number(ymin) || 0;
+        this.ymax = Number(ymax) || 0;
+        this.cols = Math.max(Math.floor(cols) || 0, 2);
+        this.rows = Math.max(Math.floor(rows) || 0, 2);
+        this.z = _.times(this.rows, (row) => _.times(this.cols, (col) => {
+            const value = _.get(z, [row, col]);
+            return (typeof value === 'number' && Number.isFinite(value)) ? value : null;
+        }));
+    }
+    // Returns the position of a point on the grid.
+    getPosition(col, row) {
+        return {
+            x: this.xmin + (this.xmax - this.xmin) * col / (this.cols - 1),
+            y: this.ymin + (this.ymax - this.ymin) * row / (this.rows - 1)
+        };
+    }
+    // Returns the points to probe, in a zigzag order to minimize travel.
+    // @return {array} An array of { col, row, x, y } objects.
+    getProbePoints() {
+        const points = [];
+
+        for (let row = 0; row < this.rows; ++row) {
+            for (let i = 0; i < this.cols; ++i) {
+                const col = (row % 2 === 0) ? i : (this.cols - 1 - i);
+                points.push({ col, row, ...this.getPosition(col, row) });
+            }
+        }
+
+        return points;
+    }
+    // Returns the G-code commands to probe all points.
+    // @param {object} options The options object.
+    // @param {number} options.clearance The Z position to move between points.
+    // @param {number} options.depth The Z position to probe toward.
+    // @param {number} options.feedrate The probe feed rate.
+    // @return {array} An array of G-code commands.
+    getProbeCommands(options) {
+        const { clearance = 2, depth = -1, feedrate = 20 } = { ...options };
+        const commands = [
+            'G21 G90',
+            `G0 Z${clearance}`
+        ];
+
+        this.getProbePoints().forEach(({ x, y }) => {
+            commands.push(
+                `G0 X${x.toFixed(3)} Y${y.toFixed(3)}`,
+                `G38.2 Z${depth} F${feedrate}`,
+                `G0 Z${clearance}`
+            );
+        });
+
+        return commands;
+    }
+    // Sets the height of a point.
+    setHeight(col, row, z) {
+        this.z[row][col] = z;
+    }
+    // Returns true if all points have been probed.
+    isComplete() {
+        return _.every(this.z, (values) => _.every(values, (value) => value !== null));
+    }
+    // Returns the height at the specified position using bilinear interpolation.
+    // Positions outside the grid are clamped to the edges of the grid.
+    // @param {number} x The X position.
+    // @param {number} y The Y position.
+    // @return {number} The height.
+    getHeight(x, y) {
+        const fx = (this.xmax > this.xmin) ? (x - this.xmin) / (this.xmax - this.xmin) * (this.cols - 1) : 0;
+        const fy = (this.ymax > this.ymin) ? (y - this.ymin) / (this.ymax - this.ymin) * (this.rows - 1) : 0;
+        const col = clamp(Math.floor(fx), 0, this.cols - 2);
+        const row = clamp(Math.floor(fy), 0, this.rows - 2);
+        const tx = clamp(fx - col, 0, 1);
+        const ty = clamp(fy - row, 0, 1);
+        const z = (c, r) => this.z[r][c] || 0;
+        const z0 = z(col, row) * (1 - tx) + z(col + 1, row) * tx;
+        const z1 = z(col, row + 1) * (1 - tx) + z(col + 1, row + 1) * tx;
+
+        return z0 * (1 - ty) + z1 * ty;
+    }
+    // Compensates the Z positions of a G-code program for the surface height.
+    // Linear moves are divided into segments, and arcs are converted to linear moves.
+    // Moves are passed through unchanged until the positions of all axes are known, and the positions are lost
+    // after going to a predefined position (G28/G30), moving in machine coordinates (G53), probing, or changing the coordinate system.
+    // @param {array} lines The lines of the G-code program.
+    // @param {object} [options] The options object.
+    // @param {number} [options.segmentLength] The maximum length of a segment in millimeters.
+    // @return {array} The lines of the compensated G-code program.
+    compensate(lines, options) {
+        const { segmentLength = 5 } = { ...options };
+        const state = {
+            motion: 'G0',
+            wcs: 'G54',
+            plane: 'G17',
+            units: 'G21',
+            distance: 'G90'
+        };
+        // The programmed position in millimeters. An axis is null until its position is known.
+        const position = { x: null, y: null, z: null };
+        const isKnown = (point) => _.every(AXES, axis => point[axis] !== null);
+        const result = [];
+
+        const format = (value) => {
+            const digits = (state.units === 'G20') ? 4 : 3;
+            const num = Number(((state.units === 'G20') ? mm2in(value) : value).toFixed(digits));
+            return String(num === 0 ? 0 : num); // Avoid negative zero
+        };
+        const toMillimeters = (value) => ((state.units === 'G20') ? in2mm(value) : value);
+
+        // Outputs the moves through the specified points, with the Z positions offset by the surface height.
+        const addMoves = (cmd, words, points) => {
+            let prev = { ...position, z: position.z + this.getHeight(position.x, position.y) };
+
+            points.forEach((point, index) => {
+                const next = { ...point, z: point.z + this.getHeight(point.x, point.y) };
+                const axisWords = AXES.map(axis => {
+                    const value = (state.distance === 'G91') ? (next[axis] - prev[axis]) : next[axis];
+                    return axis.toUpperCase() + format(value);
+                });
+
+                // The remaining words are placed on the first segment
+                result.push([cmd].concat(axisWords, (index === 0) ? words : []).join(' '));
+                prev = next;
+            });
+        };
+
+        const getArcPoints = (target, params) => {
+            const { axes, offsets } = PLANES[state.plane];
+            const [axis0, axis1, axisLinear] = axes;
+            const center = {};
+
+            if (params.R !== undefined) {
+                // Radius format arc
+                const r = toMillimeters(params.R);
+                const x = target[axis0] - position[axis0];
+                const y = target[axis1] - position[axis1];
+                const d = Math.sqrt(x * x + y * y);
+                if (d === 0) {
+                    return [target];
+                }
+                let h = Math.sqrt(Math.max(4 * r * r - x * x - y * y, 0)) / d;
+                if ((state.motion === 'G2') === (r > 0)) {
+                    h = -h;
+                }
+                center[axis0] = position[axis0] + 0.5 * (x - (y * h));
+                center[axis1] = position[axis1] + 0.5 * (y + (x * h));
+            } else {
+                // Center format arc
+                center[axis0] = position[axis0] + toMillimeters(Number(params[offsets[0]]) || 0);
+                center[axis1] = position[axis1] + toMillimeters(Number(params[offsets[1]]) || 0);
+            }
+
+            const r0 = [position[axis0] - center[axis0], position[axis1] - center[axis1]];
+            const r1 = [target[axis0] - center[axis0], target[axis1] - center[axis1]];
+            let angle = Math.atan2(r0[0] * r1[1] - r0[1] * r1[0], r0[0] * r1[0] + r0[1] * r1[1]);
+            if (state.motion === 'G2' && angle >= -1e-6) {
+                angle -= 2 * Math.PI;
+            } else if (state.motion === 'G3' && angle <= 1e-6) {
+                angle += 2 * Math.PI;
+            }
+
+            const radius = Math.sqrt(r0[0] * r0[0] + r0[1] * r0[1]);
+            const arcLength = Math.abs(angle) * radius;
+            const segments = Math.max(
+                Math.ceil(Math.abs(angle) / ARC_SEGMENT_ANGLE),
+                Math.ceil(arcLength / segmentLength),
+                1
+            );
+            const points = [];
+
+            for (let i = 1; i <= segments; ++i) {
+                const theta = angle * i / segments;
+                const point = { ...target };
+                if (i < segments) {
+                    point[axis0] = center[axis0] + r0[0] * Math.cos(theta) - r0[1] * Math.sin(theta);
+                    point[axis1] = center[axis1] + r0[0] * Math.sin(theta) + r0[1] * Math.cos(theta);
+                    point[axisLinear] = position[axisLinear] + (target[axisLinear] - position[axisLinear]) * i / segments;
+                }
+                points.push(point);
+            }
+
+            return points;
+        };
+
+        const getLinePoints = (target) => {
+            const dx = target.x - position.x;
+            const dy = target.y - position.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            const segments = Math.max(Math.ceil(length / segmentLength), 1);
+
+            return _.times(segments, (i) => {
+                const t = (i + 1) / segments;
+                return _.mapValues(target, (value, axis) => position[axis] + (value - position[axis]) * t);
+            });
+        };
+
+        lines.forEach((line) => {
+            const { words = [] } = parseLine(String(line));
+            const params = {};
+            const otherWords = [];
+            let nonModal = '';
+
+            words.forEach(([letter, value]) => {
+                const word = letter + value;
+
+                if (letter === 'G') {
+                    const cmd = 'G' + value;
+                    if (_.includes(['G0', 'G1', 'G2', 'G3', 'G38.2', 'G38.3', 'G38.4', 'G38.5', 'G80'], cmd)) {
+                        state.motion = cmd;
+                        return;
+                    }
+                    if (_.includes(WCS_COMMANDS, cmd)) {
+                        if (cmd !== state.wcs) {
+                            // The work position is not known in another coordinate system
+                            state.wcs = cmd;
+                            Object.assign(position, { x: null, y: null, z: null });
+                        }
+                    } else if (_.includes(['G17', 'G18', 'G19'], cmd)) {
+                        state.plane = cmd;
+                    } else if (_.includes(['G20', 'G21'], cmd)) {
+                        state.units = cmd;
+                    } else if (_.includes(['G90', 'G91'], cmd)) {
+                        state.distance = cmd;
+                    } else if (_.includes(NON_MOTION_COMMANDS, cmd)) {
+                        nonModal = cmd;
+                    }
+                    otherWords.push(word);
+                    return;
+                }
+
+                if (_.includes(['X', 'Y', 'Z', 'I', 'J', 'K', 'R'], letter)) {
+                    params[letter] = value;
+                    return;
+                }
+
+                otherWords.push(word);
+            });
+
+            const axes = AXES.filter(axis => {
+                const value = params[axis.toUpperCase()];
+                return (typeof value === 'number') && !Number.isNaN(value);
+            });
+            const isMotion = _.includes(['G0', 'G1', 'G2', 'G3'], state.motion);
+
+            if (_.includes(['G28', 'G30'], nonModal)) {
+                // The tool ends up at a position stored in the controller
+                Object.assign(position, { x: null, y: null, z: null });
+            }
+
+            if (axes.length === 0) {
+                // Pass through other commands unchanged
+                result.push(line);
+                return;
+            }
+
+            if (nonModal || !isMotion) {
+                if (nonModal === 'G92') {
+                    // The current position becomes the specified position
+                    axes.forEach(axis => {
+                        position[axis] = toMillimeters(params[axis.toUpperCase()]);
+                    });
+                } else if (!_.includes(['G4', 'G28', 'G30'], nonModal)) {
+                    // Moving in machine coordinates (G53), changing the coordinate data (G10), or probing (G38.x)
+                    axes.forEach(axis => {
+                        position[axis] = null;
+                    });
+                }
+
+                // Pass through other commands unchanged
+                result.push(line);
+                return;
+            }
+
+            const target = { ...position };
+            axes.forEach(axis => {
+                const mm = toMillimeters(params[axis.toUpperCase()]);
+                if (state.distance !== 'G91') {
+                    target[axis] = mm;
+                } else if (position[axis] !== null) {
+                    target[axis] = position[axis] + mm;
+                }
+            });
+
+            // The height cannot be compensated unless the end point is known,
+            // and an arc cannot be divided into segments unless the start point is known.
+            const isArc = _.includes(['G2', 'G3'], state.motion);
+            if (!isKnown(target) || (isArc && !isKnown(position))) {
+                result.push(line);
+                Object.assign(position, target);
+                return;
+            }
+
+            // An axis whose position is not known yet is moved directly to the end point
+            AXES.forEach(axis => {
+                if (position[axis] === null) {
+                    position[axis] = target[axis];
+                }
+            });
+
+            if (state.motion === 'G0') {
+                // Rapid moves are compensated at the end point only
+                addMoves('G0', otherWords, [target]);
+            } else if (state.motion === 'G1') {
+                addMoves('G1', otherWords, getLinePoints(target));
+            } else {
+                addMoves('G1', otherWords, getArcPoints(target, params));
+            }
+
+            Object.assign(position, target);
+        });
+
+        return result;
+    }
+    toJSON() {
+        return {
+            xmin: this.xmin,
+            xmax: this.xmax,
+            ymin: this.ymin,
+            ymax: this.ymax,
+            cols: this.cols,
+            rows: this.rows,
+            z: this.z
+        };
+    }
+}
+
+export default HeightMap;
@@ -0,0 +1,147 @@
+import events from 'events';
+import uuid from 'uuid';
+
+// Job Queue State
+export const JOB_QUEUE_STATE_IDLE = 'idle';
+export const JOB_QUEUE_STATE_RUNNING = 'running';
+export const JOB_QUEUE_STATE_WAITING = 'waiting'; // Waiting for confirmation to start the next job
+
+// Runs G-code programs one after another.
+// A "job" event will be emitted when a job is ready to be loaded and started by the controller,
+// and a "change" event will be emitted whenever the queue changes.
+class JobQueue extends events.EventEmitter {
+    state = {
+        state: JOB_QUEUE_STATE_IDLE,
+        jobs: [], // Pending jobs
+        current: null, // The running job
+        completed: 0 // The number of jobs completed since the queue was started
+    };
+
+    // Adds a job to the end of the queue.
+    // @param {object} job The job to add.
+    // @param {string} job.name The name of the G-code program.
+    // @param {string} job.gcode The G-code program.
+    // @param {object} [job.context] The context for translating expressions.
+    // @param {boolean} [job.pause] Whether to wait for confirmation before starting the job, e.g. for a tool change.
+    // @return {string} Returns the job id.
+    add({ name = '', gcode = '', context = {}, pause = false }) {
+        const job = {
+            id: uuid.v4(),
+            name: String(name),
+            gcode: String(gcode),
+            context: { ...context },
+            pause: !!pause
+        };
+
+        this.state.jobs.push(job);
+        this.emit('change');
+
+        return job.id;
+    }
+    // Removes a pending job from the queue.
+    // @param {string} id The job id.
+    // @return {boolean} Returns true on success, false otherwise.
+    remove(id) {
+        const jobs = this.state.jobs.filter(job => job.id !== id);
+        if (jobs.length === this.state.jobs.length) {
+            return false;
+        }
+
+        this.state.jobs = jobs;
+        if (jobs.length === 0 && this.state.state === JOB_QUEUE_STATE_WAITING) {
+            this.state.state = JOB_QUEUE_STATE_IDLE;
+        }
+        this.emit('change');
+
+        return true;
+    }
+    // Removes all pending jobs from the queue.
+    clear() {
+        this.state.jobs = [];
+        if (this.state.state === JOB_QUEUE_STATE_WAITING) {
+            this.state.state = JOB_QUEUE_STATE_IDLE;
+        }
+        this.emit('change');
+    }
+    // Starts the first job in the queue.
+    // @return {boolean} Returns true on success, false otherwise.
+    start() {
+        if (this.state.state !== JOB_QUEUE_STATE_IDLE || this.state.jobs.length === 0) {
+            return false;
+        }
+
+        this.state.completed = 0;
+        this.startNextJob();
+
+        return true;
+    }
+    // Starts the next job after confirmation.
+    // @return {boolean} Returns true on success, false otherwise.
+    resume() {
+        if (this.state.state !== JOB_QUEUE_STATE_WAITING || this.state.jobs.length === 0) {
+            return false;
+        }
+
+        this.startNextJob();
+
+        return true;
+    }
+    // Stops the queue. Pending jobs will remain in the queue.
+    stop() {
+        if (this.state.state === JOB_QUEUE_STATE_IDLE) {
+            return;
+        }
+
+        this.state.state = JOB_QUEUE_STATE_IDLE;
+        this.state.current = null;
+        this.emit('change');
+    }
+    // Marks the running job as completed, and proceeds to the next job.
+    // @return {boolean} Returns true if there was a running job, false otherwise.
+    finish() {
+        if (!this.state.current) {
+            return false;
+        }
+
+        this.state.current = null;
+        this.state.completed++;
+
+        if (this.state.jobs.length === 0) {
+            this.state.state = JOB_QUEUE_STATE_IDLE;
+            this.emit('change');
+            this.emit('end');
+        } else if (this.state.jobs[0].pause) {
+            this.state.state = JOB_QUEUE_STATE_WAITING;
+            this.emit('change');
+        } else {
+            this.startNextJob();
+        }
+
+        return true;
+    }
+    startNextJob() {
+        const job = this.state.jobs.shift();
+
+        this.state.state = JOB_QUEUE_STATE_RUNNING;
+        this.state.current = job;
+        this.emit('change');
+        this.emit('job', job);
+    }
+    // Returns true if a job is running.
+    isRunning() {
+        return !!this.state.current;
+    }
+    toJSON() {
+        const { state, jobs, current, completed } = this.state;
+        const toJobJSON = ({ id, name, gcode, pause }) => ({ id, name, size: gcode.length, pause });
+
+        return {
+            state: state,
+            current: current ? toJobJSON(current) : null,
+            jobs: jobs.map(toJobJSON),
+            completed: completed
+        };
+    }
+}
+
+export default JobQueue;
@@ -0,0 +1,94 @@
+import _ from 'lodash';
+
+// Refuses to start a program that exceeds the machine envelope
+export const ENVELOPE_CHECK_REFUSE = 'refuse';
+// Warns about a program that exceeds the machine envelope
+export const ENVELOPE_CHECK_WARN = 'warn';
+// Disables the envelope check
+export const ENVELOPE_CHECK_OFF = 'off';
+
+const AXES = ['x', 'y', 'z'];
+
+// A tolerance to allow for rounding errors of the reported positions
+const EPSILON = 0.001;
+
+const toLimit = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    const num = Number(value);
+    return Number.isFinite(num) ? num : undefined;
+};
+
+// Normalizes the machine envelope.
+// @param {object} envelope The machine envelope.
+// @param {object} envelope.min The lower limits of each axis.
+// @param {object} envelope.max The upper limits of each axis.
+// @return {object} The machine envelope, or null if none of the axes are limited.
+export const normalizeEnvelope = (envelope) => {
+    const { min = {}, max = {} } = { ...envelope };
+    const result = { min: {}, max: {} };
+
+    AXES.forEach(axis => {
+        const lower = toLimit(_.get(min, axis));
+        const upper = toLimit(_.get(max, axis));
+
+        if (lower !== undefined) {
+            result.min[axis] = lower;
+        }
+        if (upper !== undefined) {
+            result.max[axis] = upper;
+        }
+    });
+
+    if (_.isEmpty(result.min) && _.isEmpty(result.max)) {
+        return null;
+    }
+
+    return result;
+};
+
+// Checks whether the toolpath fits within the machine envelope.
+// An axis without limits will not be checked.
+// @param {object} bbox The bounding box of the toolpath in work coordinates.
+// @param {object} offset The work coordinate offset that translates work coordinates to machine coordinates.
+// @param {object} envelope The machine envelope in machine coordinates.
+// @return {object} The bounding box of the toolpath in machine coordinates, and the axes that exceed the envelope.
+const checkMachineEnvelope = (bbox, offset, envelope) => {
+    const { min = {}, max = {} } = { ...envelope };
+    const result = {
+        bbox: {
+            min: {},
+            max: {}
+        },
+        violations: []
+    };
+
+    AXES.forEach(axis => {
+        const delta = Number(_.get(offset, axis)) || 0;
+        const lower = Number(_.get(bbox, ['min', axis])) + delta;
+        const upper = Number(_.get(bbox, ['max', axis])) + delta;
+        const limit = {
+            min: _.get(min, axis),
+            max: _.get(max, axis)
+        };
+
+        result.bbox.min[axis] = lower;
+        result.bbox.max[axis] = upper;
+
+        const underflow = (limit.min !== undefined) && (lower < limit.min - EPSILON);
+        const overflow = (limit.max !== undefined) && (upper > limit.max + EPSILON);
+        if (underflow || overflow) {
+            result.violations.push({
+                axis: axis,
+                min: lower,
+                max: upper,
+                limit: limit
+            });
+        }
+    });
+
+    return result;
+};
+
+export default checkMachineEnvelope;
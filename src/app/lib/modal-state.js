@@ -0,0 +1,298 @@
+import _ from 'lodash';
+import { parseLine } from 'gcode-parser';
+
+// from in to mm
+const in2mm = (val = 0) => val * 25.4;
+
+// from mm to in
+const mm2in = (val = 0) => val / 25.4;
+
+const toFixed = (val = 0) => Number(Number(val).toFixed(4));
+
+// Keeps track of the G-code modal state and the programmed work position while lines are replayed.
+// The tracked state can be used to reconstruct the machine state before resuming a program from an arbitrary line.
+class ModalState {
+    state = {
+        motion: 'G0', // G0, G1, G2, G3, G38.2, G38.3, G38.4, G38.5, G80
+        wcs: 'G54', // G54, G55, G56, G57, G58, G59
+        plane: 'G17', // G17: XY-plane, G18: ZX-plane, G19: YZ-plane
+        units: 'G21', // G20: Inches, G21: Millimeters
+        distance: 'G90', // G90: Absolute, G91: Relative
+        feedmode: 'G94', // G93: Inverse Time Mode, G94: Units Per Minutes
+        spindle: 'M5', // M3: Spindle (cw), M4: Spindle (ccw), M5: Spindle off
+        coolant: { // M7: Mist coolant, M8: Flood coolant, M9: Coolant off
+            mist: false,
+            flood: false
+        },
+        tool: 0,
+        feedrate: 0, // in current units
+        spindleSpeed: 0
+    };
+
+    // The programmed work position in millimeters. An axis is null until it is programmed.
+    position = {
+        x: null,
+        y: null,
+        z: null
+    };
+
+    // The axes whose positions are lost after going to a predefined position (G28/G30)
+    lostAxes = [];
+
+    handlers = {
+        'G0': () => {
+            this.state.motion = 'G0';
+        },
+        'G1': () => {
+            this.state.motion = 'G1';
+        },
+        'G2': () => {
+            this.state.motion = 'G2';
+        },
+        'G3': () => {
+            this.state.motion = 'G3';
+        },
+        'G17': () => {
+            this.state.plane = 'G17';
+        },
+        'G18': () => {
+            this.state.plane = 'G18';
+        },
+        'G19': () => {
+            this.state.plane = 'G19';
+        },
+        'G20': () => {
+            this.state.units = 'G20';
+        },
+        'G21': () => {
+            this.state.units = 'G21';
+        },
+        'G38.2': () => {
+            this.state.motion = 'G38.2';
+        },
+        'G38.3': () => {
+            this.state.motion = 'G38.3';
+        },
+        'G38.4': () => {
+            this.state.motion = 'G38.4';
+        },
+        'G38.5': () => {
+            this.state.motion = 'G38.5';
+        },
+        'G54': () => {
+            this.state.wcs = 'G54';
+        },
+        'G55': () => {
+            this.state.wcs = 'G55';
+        },
+        'G56': () => {
+            this.state.wcs = 'G56';
+        },
+        'G57': () => {
+            this.state.wcs = 'G57';
+        },
+        'G58': () => {
+            this.state.wcs = 'G58';
+        },
+        'G59': () => {
+            this.state.wcs = 'G59';
+        },
+        'G80': () => {
+            this.state.motion = 'G80';
+        },
+        'G90': () => {
+            this.state.distance = 'G90';
+        },
+        'G91': () => {
+            this.state.distance = 'G91';
+        },
+        'G93': () => {
+            this.state.feedmode = 'G93';
+        },
+        'G94': () => {
+            this.state.feedmode = 'G94';
+        },
+        'M3': () => {
+            this.state.spindle = 'M3';
+        },
+        'M4': () => {
+            this.state.spindle = 'M4';
+        },
+        'M5': () => {
+            this.state.spindle = 'M5';
+        },
+        'M7': () => {
+            this.state.coolant.mist = true;
+        },
+        'M8': () => {
+            this.state.coolant.flood = true;
+        },
+        'M9': () => {
+            this.state.coolant.mist = false;
+            this.state.coolant.flood = false;
+        }
+    };
+
+    // Replays a single line of G-code.
+    // @param {string} line The G-code line.
+    update(line) {
+        const { words = [] } = parseLine(String(line));
+        const params = {};
+        let nonModal = false;
+        let predefinedPosition = false;
+
+        words.forEach(([letter, value]) => {
+            if (letter === 'G' || letter === 'M') {
+                const cmd = letter + value;
+                const handler = this.handlers[cmd];
+                if (handler) {
+                    handler();
+                }
+
+                // G4: Dwell, G10: Set coordinate data, G53: Move in machine coordinates, G92: Coordinate system offset
+                if (_.includes(['G4', 'G10', 'G53', 'G92'], cmd)) {
+                    nonModal = true;
+                }
+                // G28/G30: Go to predefined position
+                if (_.includes(['G28', 'G30'], cmd)) {
+                    predefinedPosition = true;
+                }
+                return;
+            }
+
+            if (letter === 'F') {
+                this.state.feedrate = value;
+                return;
+            }
+
+            if (letter === 'S') {
+                this.state.spindleSpeed = value;
+                return;
+            }
+
+            if (letter === 'T') {
+                this.state.tool = value;
+                return;
+            }
+
+            params[letter] = value;
+        });
+
+        // The tool ends up at a position stored in the controller, which is not known from the program
+        if (predefinedPosition) {
+            this.position = { x: null, y: null, z: null };
+            this.lostAxes = ['x', 'y', 'z'];
+            return;
+        }
+
+        // The axis words in non-modal commands do not change the programmed work position
+        if (nonModal || this.state.motion === 'G80') {
+            return;
+        }
+
+        const relative = (this.state.distance === 'G91');
+        const toMillimeters = (val) => ((this.state.units === 'G20') ? in2mm(val) : val);
+
+        ['x', 'y', 'z'].forEach(axis => {
+            const value = params[axis.toUpperCase()];
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                return;
+            }
+
+            if (!relative) {
+                this.position[axis] = toMillimeters(value);
+                this.lostAxes = _.without(this.lostAxes, axis);
+            } else if (this.position[axis] !== null) {
+                this.position[axis] += toMillimeters(value);
+            }
+        });
+    }
+    // Returns the position in current units. An axis that has not been programmed is null.
+    getPosition() {
+        const fromMillimeters = (val) => ((this.state.units === 'G20') ? mm2in(val) : val);
+        const { x, y, z } = _.mapValues(this.position, (val) => ((val === null) ? null : toFixed(fromMillimeters(val))));
+
+        return { x, y, z };
+    }
+    // Returns the G-code commands that restore the modal state and bring the tool back to the programmed position.
+    // The tool is retracted to a safe height, moved over the XY position, and plunged to the Z position.
+    // Axes that have never been programmed are left where they are.
+    // @param {object} options The options object.
+    // @param {number} [options.machineZ] The retract height in machine coordinates (mm), e.g. the upper Z limit of the machine envelope.
+    // @param {number} [options.clearance] The retract height in work coordinates (mm). Used when the retract height in machine coordinates is not known.
+    // @return {array} An array of G-code commands.
+    // @throws {Error} Throws an error if the retract height is not specified, or if the position is lost after G28/G30.
+    toGCode(options) {
+        const { clearance, machineZ } = { ...options };
+        const { units, plane, wcs, feedmode, distance, motion, spindle, coolant, feedrate, spindleSpeed } = this.state;
+        const fromMillimeters = (val) => toFixed((units === 'G20') ? mm2in(val) : val);
+        const { x, y, z } = this.getPosition();
+        const commands = [];
+
+        if (this.lostAxes.length > 0) {
+            const axes = this.lostAxes.map(axis => axis.toUpperCase()).join(', ');
+            throw new Error(`The position of ${axes} is unknown after G28/G30`);
+        }
+
+        // Modal state
+        commands.push(`${units} ${plane} ${wcs} G94 G90`);
+
+        // Retract Z
+        if (Number.isFinite(machineZ)) {
+            commands.push(`G53 G0 Z${fromMillimeters(machineZ)}`);
+        } else if (Number.isFinite(clearance)) {
+            const safeZ = (z !== null) ? Math.max(fromMillimeters(clearance), z) : fromMillimeters(clearance);
+            commands.push(`G0 Z${safeZ}`);
+        } else {
+            throw new Error('The retract height is not specified');
+        }
+
+        // Rapid to XY
+        const xy = [['X', x], ['Y', y]]
+            .filter(([letter, value]) => (value !== null))
+            .map(([letter, value]) => (letter + value));
+        if (xy.length > 0) {
+            commands.push(`G0 ${xy.join(' ')}`);
+        }
+
+        // Spindle and coolant
+        if (spindle === 'M5') {
+            commands.push('M5');
+        } else {
+            commands.push(`${spindle} S${spindleSpeed}`);
+        }
+        if (coolant.mist) {
+            commands.push('M7');
+        }
+        if (coolant.flood) {
+            commands.push('M8');
+        }
+        if (!coolant.mist && !coolant.flood) {
+            commands.push('M9');
+        }
+
+        // Plunge
+        if (z !== null) {
+            if (feedmode === 'G94' && feedrate > 0) {
+                commands.push(`G1 Z${z} F${feedrate}`);
+            } else {
+                commands.push(`G0 Z${z}`);
+            }
+        }
+
+        // Restore the motion, feed rate and distance mode
+        if (_.includes(['G0', 'G1'], motion)) {
+            commands.push(motion);
+        }
+        if (feedmode !== 'G94') {
+            commands.push(feedmode);
+        }
+        if (distance !== 'G90') {
+            commands.push(distance);
+        }
+
+        return commands;
+    }
+}
+
+export default ModalState;
@@ -0,0 +1,126 @@
+import events from 'events';
+
+// The number of milliseconds to keep retrying after the connection is lost
+const DEFAULT_GRACE_PERIOD = 60 * 1000;
+
+// The delay before the first retry, which will be doubled on each retry up to the maximum delay
+const DEFAULT_MIN_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 10 * 1000;
+
+// Retries a lost connection with exponential backoff until it succeeds or the grace period expires.
+// An "attempt" event will be emitted before each retry, a "reconnect" event on success, and a "fail" event
+// if the connection cannot be reestablished within the grace period.
+class Reconnector extends events.EventEmitter {
+    gracePeriod = DEFAULT_GRACE_PERIOD;
+    minDelay = DEFAULT_MIN_DELAY;
+    maxDelay = DEFAULT_MAX_DELAY;
+    connect = null;
+    attempt = 0;
+    startTime = 0;
+    timer = null;
+
+    // @param {object} [options] The options object.
+    // @param {number} [options.gracePeriod] The number of milliseconds to keep retrying. Pass 0 to disable reconnection.
+    // @param {number} [options.minDelay] The number of milliseconds before the first retry.
+    // @param {number} [options.maxDelay] The maximum number of milliseconds between retries.
+    constructor(options) {
+        super();
+
+        const { gracePeriod, minDelay, maxDelay } = { ...options };
+        if (gracePeriod !== undefined && gracePeriod >= 0) {
+            this.gracePeriod = Number(gracePeriod);
+        }
+        if (minDelay !== undefined && minDelay > 0) {
+            this.minDelay = Number(minDelay);
+        }
+        if (maxDelay !== undefined && maxDelay > 0) {
+            this.maxDelay = Math.max(Number(maxDelay), this.minDelay);
+        }
+    }
+    // Returns true if reconnection is enabled.
+    isEnabled() {
+        return this.gracePeriod > 0;
+    }
+    // Returns true if it is trying to reconnect.
+    isActive() {
+        return this.startTime > 0;
+    }
+    // Starts retrying the connection.
+    // @param {function} connect The function that reconnects, which is called with a callback(err).
+    // @return {boolean} Returns true on success, false if reconnection is disabled or has already started.
+    start(connect) {
+        if (!this.isEnabled() || this.isActive()) {
+            return false;
+        }
+
+        this.connect = connect;
+        this.attempt = 0;
+        this.startTime = new Date().getTime();
+        this.schedule();
+
+        return true;
+    }
+    // Stops retrying the connection.
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.connect = null;
+        this.attempt = 0;
+        this.startTime = 0;
+    }
+    schedule() {
+        const remainingTime = this.startTime + this.gracePeriod - new Date().getTime();
+        if (remainingTime <= 0) {
+            // The listener can still tell that it was reconnecting
+            this.emit('fail');
+            this.stop();
+            return;
+        }
+
+        const delay = Math.min(this.minDelay * Math.pow(2, this.attempt), this.maxDelay, remainingTime);
+        this.attempt++;
+        this.emit('attempt', {
+            attempt: this.attempt,
+            delay: delay,
+            remainingTime: remainingTime
+        });
+
+        // Stopped by the listener
+        if (!this.isActive()) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            const connect = this.connect;
+            const startTime = this.startTime;
+
+            this.timer = null;
+            connect((err) => {
+                // Ignore the result if stopped or restarted in the meantime
+                if (this.startTime !== startTime) {
+                    return;
+                }
+
+                if (err) {
+                    this.schedule();
+                    return;
+                }
+
+                this.stop();
+                this.emit('reconnect');
+            });
+        }, delay);
+    }
+    toJSON() {
+        return {
+            reconnecting: this.isActive(),
+            attempt: this.attempt,
+            startTime: this.startTime,
+            gracePeriod: this.gracePeriod
+        };
+    }
+}
+
+export default Reconnector;
@@ -123,6 +123,14 @@ class Sender extends events.EventEmitter {
         finishTime: 0,
         elapsedTime: 0,
         remainingTime: 0,
+        estimatedTime: 0,
+        lineTimes: [], // The estimated cumulative time at the end of each line
+        startLine: 0,
+        preamble: [],
+        preambleSent: 0,
+        preambleReceived: 0,
+        hold: false,
+        holdReason: null,
         changed: false
     };
 
@@ -140,17 +148,16 @@ class Sender extends events.EventEmitter {
                     sp.dataLength -= lineLength;
                 }
 
-                while (this.state.sent < this.state.total) {
+                while (!this.state.hold && this.hasMoreLines()) {
                     // Remove leading and trailing whitespace from both ends of a string
-                    sp.line = sp.line || stripComments(this.state.lines[this.state.sent]).trim();
+                    sp.line = sp.line || stripComments(this.peekLine()).trim();
 
                     // The newline character (\n) consumed the RX buffer space
                     if ((sp.line.length > 0) && ((sp.dataLength + sp.line.length + 1) >= sp.bufferSize)) {
                         break;
                     }
 
-                    this.state.sent++;
-                    this.emit('change');
+                    this.advance();
 
                     if (sp.line.length === 0) {
                         this.ack(); // ack empty line
@@ -171,12 +178,11 @@ class Sender extends events.EventEmitter {
         // send-response
         if (type === SP_TYPE_SEND_RESPONSE) {
             this.sp = new SPSendResponse(options, (sp) => {
-                while (this.state.sent < this.state.total) {
+                while (!this.state.hold && this.hasMoreLines()) {
                     // Remove leading and trailing whitespace from both ends of a string
-                    const line = stripComments(this.state.lines[this.state.sent]).trim();
+                    const line = stripComments(this.peekLine()).trim();
 
-                    this.state.sent++;
-                    this.emit('change');
+                    this.advance();
 
                     if (line.length === 0) {
                         this.ack(); // ack empty line
@@ -207,9 +213,31 @@ class Sender extends events.EventEmitter {
             startTime: this.state.startTime,
             finishTime: this.state.finishTime,
             elapsedTime: this.state.elapsedTime,
-            remainingTime: this.state.remainingTime
+            remainingTime: this.state.remainingTime,
+            estimatedTime: this.state.estimatedTime,
+            startLine: this.state.startLine
         };
     }
+    // Checks if there are any lines, including the preamble, left to send.
+    hasMoreLines() {
+        return (this.state.preambleSent < this.state.preamble.length) || (this.state.sent < this.state.total);
+    }
+    // Returns the next line to send without moving the internal array pointer.
+    peekLine() {
+        if (this.state.preambleSent < this.state.preamble.length) {
+            return this.state.preamble[this.state.preambleSent];
+        }
+        return this.state.lines[this.state.sent];
+    }
+    // Moves the internal array pointer to the next line.
+    advance() {
+        if (this.state.preambleSent < this.state.preamble.length) {
+            this.state.preambleSent++;
+        } else {
+            this.state.sent++;
+        }
+        this.emit('change');
+    }
     // @return {boolean} Returns true on success, false otherwise.
     load(name, gcode = '', context = {}) {
         if (typeof gcode !== 'string' || !gcode) {
@@ -231,6 +259,14 @@ class Sender extends events.EventEmitter {
         this.state.finishTime = 0;
         this.state.elapsedTime = 0;
         this.state.remainingTime = 0;
+        this.state.estimatedTime = 0;
+        this.state.lineTimes = [];
+        this.state.startLine = 0;
+        this.state.preamble = [];
+        this.state.preambleSent = 0;
+        this.state.preambleReceived = 0;
+        this.state.hold = false;
+        this.state.holdReason = null;
 
         this.emit('load', { name, gcode, context });
         this.emit('change');
@@ -252,6 +288,14 @@ class Sender extends events.EventEmitter {
         this.state.finishTime = 0;
         this.state.elapsedTime = 0;
         this.state.remainingTime = 0;
+        this.state.estimatedTime = 0;
+        this.state.lineTimes = [];
+        this.state.startLine = 0;
+        this.state.preamble = [];
+        this.state.preambleSent = 0;
+        this.state.preambleReceived = 0;
+        this.state.hold = false;
+        this.state.holdReason = null;
 
         this.emit('unload');
         this.emit('change');
@@ -263,7 +307,12 @@ class Sender extends events.EventEmitter {
             return false;
         }
 
-        this.state.received++;
+        // Acknowledgements are received in the order the lines were sent
+        if (this.state.preambleReceived < this.state.preambleSent) {
+            this.state.preambleReceived++;
+        } else {
+            this.state.received++;
+        }
         this.emit('change');
 
         return true;
@@ -277,7 +326,7 @@ class Sender extends events.EventEmitter {
 
         const now = new Date().getTime();
 
-        if (this.state.total > 0 && this.state.sent === 0) {
+        if (this.state.total > 0 && this.state.sent === this.state.startLine && this.state.preambleSent === 0) {
             this.state.startTime = now;
             this.state.finishTime = 0;
             this.state.elapsedTime = 0;
@@ -293,10 +342,18 @@ class Sender extends events.EventEmitter {
         // Elapsed Time
         this.state.elapsedTime = now - this.state.startTime;
 
-        // Make a 1 second delay before estimating the remaining time
-        if (this.state.elapsedTime >= 1000 && this.state.received > 0) {
-            const timePerCode = this.state.elapsedTime / this.state.received;
-            this.state.remainingTime = (timePerCode * this.state.total - this.state.elapsedTime);
+        if (this.hasTimeEstimate()) {
+            // Remaining Time from the estimated time profile
+            const { lineTimes, estimatedTime } = this.state;
+            const received = Math.min(this.state.received, this.state.total);
+            this.state.remainingTime = (received > 0) ? (estimatedTime - lineTimes[received - 1]) : estimatedTime;
+        } else {
+            // Make a 1 second delay before estimating the remaining time
+            const received = this.state.received - this.state.startLine;
+            if (this.state.elapsedTime >= 1000 && received > 0) {
+                const timePerCode = this.state.elapsedTime / received;
+                this.state.remainingTime = (timePerCode * (this.state.total - this.state.received));
+            }
         }
 
         if (this.state.received >= this.state.total) {
@@ -307,6 +364,35 @@ class Sender extends events.EventEmitter {
 
         return true;
     }
+    // Holds off sending more lines until unhold() is called. Acknowledgements will still be processed.
+    // @param {object} [reason] The reason for holding, e.g. { data: 'M6', tool: 2 }.
+    // @return {boolean} Returns true on success, false otherwise.
+    hold(reason = null) {
+        if (!this.state.gcode || this.state.hold) {
+            return false;
+        }
+
+        this.state.hold = true;
+        this.state.holdReason = reason;
+        this.emit('hold', reason);
+        this.emit('change');
+
+        return true;
+    }
+    // Resumes sending lines after hold() was called.
+    // @return {boolean} Returns true on success, false otherwise.
+    unhold() {
+        if (!this.state.hold) {
+            return false;
+        }
+
+        this.state.hold = false;
+        this.state.holdReason = null;
+        this.emit('unhold');
+        this.emit('change');
+
+        return true;
+    }
     // Rewinds the internal array pointer.
     // @return {boolean} Returns true on success, false otherwise.
     rewind() {
@@ -319,10 +405,65 @@ class Sender extends events.EventEmitter {
         }
         this.state.sent = 0;
         this.state.received = 0;
+        this.state.startLine = 0;
+        this.state.preamble = [];
+        this.state.preambleSent = 0;
+        this.state.preambleReceived = 0;
+        this.state.hold = false;
+        this.state.holdReason = null;
         this.emit('change');
 
         return true;
     }
+    // Moves the internal array pointer to the specified line. Lines before it are treated as sent and received.
+    // @param {number} line The zero-based line number to start sending from.
+    // @param {array} [preamble] The lines to send before the specified line, e.g. to restore the modal state.
+    // @return {boolean} Returns true on success, false otherwise.
+    seek(line, preamble = []) {
+        if (!this.state.gcode) {
+            return false;
+        }
+
+        line = Number(line) || 0;
+        if (line < 0 || line >= this.state.total) {
+            return false;
+        }
+
+        if (this.sp) {
+            this.sp.clear();
+        }
+        this.state.sent = line;
+        this.state.received = line;
+        this.state.startLine = line;
+        this.state.preamble = [].concat(preamble);
+        this.state.preambleSent = 0;
+        this.state.preambleReceived = 0;
+        this.emit('change');
+
+        return true;
+    }
+    // Sets the estimated time profile of the loaded G-code, which is used for calculating the remaining time.
+    // @param {array} lineTimes The estimated cumulative time, in milliseconds, at the end of each line.
+    // @return {boolean} Returns true on success, false otherwise.
+    setTimeEstimate(lineTimes) {
+        if (!this.state.gcode) {
+            return false;
+        }
+
+        lineTimes = [].concat(lineTimes || []);
+        if (lineTimes.length !== this.state.total) {
+            return false;
+        }
+
+        this.state.lineTimes = lineTimes;
+        this.state.estimatedTime = (lineTimes.length > 0) ? lineTimes[lineTimes.length - 1] : 0;
+        this.emit('change');
+
+        return true;
+    }
+    hasTimeEstimate() {
+        return (this.state.total > 0) && (this.state.lineTimes.length === this.state.total);
+    }
     // Checks if there are any state changes. It also clears the changed flag.
     // @return {boolean} Returns true on state changes, false otherwise.
     peek() {
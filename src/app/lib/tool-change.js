@@ -0,0 +1,161 @@
+import _ from 'lodash';
+
+// Tool Change Policy
+export const TOOL_CHANGE_POLICY_IGNORE = 'ignore'; // Send M6 to the controller as is
+export const TOOL_CHANGE_POLICY_PAUSE = 'pause'; // Pause for a manual tool change
+export const TOOL_CHANGE_POLICY_PROBE = 'probe'; // Pause for a manual tool change, and probe the tool length against a fixed sensor
+export const TOOL_CHANGE_POLICY_MACRO = 'macro'; // Pause and run a macro before the manual tool change
+
+// Tool Length Offset
+export const TOOL_LENGTH_OFFSET_TLO = 'tlo'; // Apply a dynamic tool length offset (G43.1)
+export const TOOL_LENGTH_OFFSET_WCS = 'wcs'; // Adjust the Z offset of the active work coordinate system (G10 L2)
+
+// Tool Change State
+export const TOOL_CHANGE_STATE_PENDING = 'pending'; // Waiting for the commands before M6 to be acknowledged
+export const TOOL_CHANGE_STATE_PROBING_REFERENCE = 'probing-reference'; // Probing the current tool for a reference length
+export const TOOL_CHANGE_STATE_WAITING = 'waiting'; // Waiting for the user to change the tool
+export const TOOL_CHANGE_STATE_PROBING = 'probing'; // Probing the new tool
+export const TOOL_CHANGE_STATE_RESUMING = 'resuming'; // Waiting for the tool change commands to complete
+
+const POLICIES = [
+    TOOL_CHANGE_POLICY_IGNORE,
+    TOOL_CHANGE_POLICY_PAUSE,
+    TOOL_CHANGE_POLICY_PROBE,
+    TOOL_CHANGE_POLICY_MACRO
+];
+
+const WCS = ['G54', 'G55', 'G56', 'G57', 'G58', 'G59'];
+
+// M6, but not M60 or M6.1
+const reToolChange = /M0*6(?![0-9.])/i;
+const reTool = /T\s*(\d+)/i;
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    value = Number(value);
+    return _.isFinite(value) ? value : undefined;
+};
+
+const normalizePosition = (position) => {
+    const { x, y, z } = { ...position };
+    return {
+        x: toNumber(x),
+        y: toNumber(y),
+        z: toNumber(z)
+    };
+};
+
+// Converts a value in millimeters to the specified units, and rounds it to the precision of the units.
+const toUnits = (value, units) => {
+    if (units === 'G20') {
+        return Number((value / 25.4).toFixed(4));
+    }
+    return Number(value.toFixed(3));
+};
+
+// Returns true if the line contains M6.
+// @param {string} line The G-code line without comments.
+export const hasToolChange = (line) => reToolChange.test(line);
+
+// Returns the tool number selected by a T word, or null if not found.
+// @param {string} line The G-code line without comments.
+export const parseTool = (line) => {
+    const match = String(line).match(reTool);
+    return match ? Number(match[1]) : null;
+};
+
+// Comments out M6 so that the controller will acknowledge the line without an unsupported command error.
+// @param {string} line The G-code line without comments.
+export const commentOutToolChange = (line) => {
+    return String(line).replace(reToolChange, (m6) => `(${m6})`);
+};
+
+// @param {object} options The tool change options in the configuration file.
+// @param {string} [options.policy] One of "ignore", "pause", "probe" and "macro". Defaults to "ignore".
+// @param {object} [options.position] The tool change position { x, y, z } in machine coordinates (mm).
+// @param {object} [options.probe] The tool length sensor { x, y, z, distance, feedrate } in machine coordinates (mm).
+// @param {string} [options.offset] One of "tlo" (G43.1) and "wcs" (G10 L2). Defaults to "tlo".
+// @param {string} [options.macro] The macro id to run for the "macro" policy.
+export const normalizeToolChangeOptions = (options) => {
+    const { policy, position, probe, offset, macro } = { ...options };
+    const { distance, feedrate } = { ...probe };
+
+    return {
+        policy: _.includes(POLICIES, policy) ? policy : TOOL_CHANGE_POLICY_IGNORE,
+        position: normalizePosition(position),
+        probe: {
+            ...normalizePosition(probe),
+            distance: Math.abs(toNumber(distance) || 50),
+            feedrate: Math.abs(toNumber(feedrate) || 100)
+        },
+        offset: (offset === TOOL_LENGTH_OFFSET_WCS) ? TOOL_LENGTH_OFFSET_WCS : TOOL_LENGTH_OFFSET_TLO,
+        macro: macro ? String(macro) : ''
+    };
+};
+
+// Returns true if the tool length sensor position is fully specified.
+export const canProbeToolLength = (options) => {
+    const { x, y, z } = options.probe;
+    return _.every([x, y, z], _.isNumber);
+};
+
+// Returns the commands to stop the spindle and move to the tool change position.
+// @param {object} options The normalized tool change options.
+// @param {object} modal The modal state { units } of the controller.
+export const getToolChangeCommands = (options, modal) => {
+    const { units } = { ...modal };
+    const { x, y, z } = options.position;
+    const commands = ['M5'];
+
+    if (_.isNumber(z)) {
+        commands.push(`G53 G0 Z${toUnits(z, units)}`);
+    }
+    if (_.isNumber(x) || _.isNumber(y)) {
+        const xy = [
+            _.isNumber(x) ? `X${toUnits(x, units)}` : '',
+            _.isNumber(y) ? `Y${toUnits(y, units)}` : ''
+        ].join(' ').trim();
+        commands.push(`G53 G0 ${xy}`);
+    }
+
+    return commands;
+};
+
+// Returns the commands to probe the tool length against the fixed sensor, and retract to a safe height.
+// @param {object} options The normalized tool change options.
+// @param {object} modal The modal state { units, distance } of the controller.
+export const getToolProbeCommands = (options, modal) => {
+    const { units, distance = 'G90' } = { ...modal };
+    const { x, y, z } = options.probe;
+    const safeZ = _.isNumber(options.position.z) ? Math.max(options.position.z, z) : z;
+
+    return [
+        'M5',
+        `G53 G0 Z${toUnits(safeZ, units)}`,
+        `G53 G0 X${toUnits(x, units)} Y${toUnits(y, units)}`,
+        `G53 G0 Z${toUnits(z, units)}`,
+        `G91 G38.2 Z-${toUnits(options.probe.distance, units)} F${toUnits(options.probe.feedrate, units)}`,
+        distance, // Restore the distance mode
+        `G53 G0 Z${toUnits(safeZ, units)}`
+    ];
+};
+
+// Returns the command to compensate for the length difference between the new tool and the reference tool.
+// @param {object} options The normalized tool change options.
+// @param {object} modal The modal state { units, coordinate } of the controller.
+// @param {object} reference The probe result { z } of the reference tool in mm.
+// @param {object} result The probe result { z, offsetZ } of the new tool in mm.
+// The "z" is the machine position when the probe was triggered, and the "offsetZ" is the current Z offset of the work coordinate system.
+export const getToolLengthOffsetCommand = (options, modal, reference, result) => {
+    const { units, coordinate } = { ...modal };
+    const delta = result.z - reference.z;
+
+    if (options.offset === TOOL_LENGTH_OFFSET_WCS) {
+        const p = Math.max(WCS.indexOf(coordinate), 0) + 1;
+        return `G10 L2 P${p} Z${toUnits(result.offsetZ + delta, units)}`;
+    }
+
+    return `G43.1 Z${toUnits(delta, units)}`;
+};
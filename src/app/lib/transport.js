@@ -0,0 +1,250 @@
+import events from 'events';
+import net from 'net';
+import SerialPort from 'serialport';
+import { StringDecoder } from 'string_decoder';
+
+export const TRANSPORT_SERIAL = 'serial';
+export const TRANSPORT_TCP = 'tcp';
+export const TRANSPORT_TELNET = 'telnet';
+export const TRANSPORT_UNIX = 'unix';
+
+const CONNECT_TIMEOUT = 10 * 1000; // 10 seconds
+
+// Telnet commands
+const IAC = 255; // Interpret as command
+const SB = 250; // Subnegotiation begin
+const SE = 240; // Subnegotiation end
+const WILL = 251;
+const WONT = 252;
+const DO = 253;
+const DONT = 254;
+
+const noop = () => {};
+
+// Parses the address of a connection, which can be one of the following:
+// * "tcp://host:port" or "host:port" for a raw TCP socket, e.g. ser2net
+// * "telnet://host:port" for a telnet server, e.g. Smoothieboard or ESP32 based Grbl boards
+// * "unix:///path/to/socket" or "unix:/path/to/socket" for a local UNIX socket
+// * Otherwise, a serial port, e.g. "/dev/ttyUSB0" or "COM3"
+// @param {string} address The address of the connection.
+// @return {object} Returns an object with the transport type and the connection options.
+export const parseAddress = (address) => {
+    address = String(address || '');
+
+    let r = address.match(/^(tcp|telnet):\/\/([^:/]+|\[[^\]]+\]):(\d+)\/?$/i) || address.match(/^()([a-z0-9.-]+):(\d+)$/i);
+    if (r) {
+        return {
+            type: r[1] ? r[1].toLowerCase() : TRANSPORT_TCP,
+            host: r[2].replace(/^\[|\]$/g, ''),
+            port: Number(r[3])
+        };
+    }
+
+    r = address.match(/^unix:(?:\/\/)?(\/.+)$/i);
+    if (r) {
+        return {
+            type: TRANSPORT_UNIX,
+            path: r[1]
+        };
+    }
+
+    return {
+        type: TRANSPORT_SERIAL,
+        path: address
+    };
+};
+
+// Removes the telnet negotiation from the received data, and refuses all the options requested by the server.
+// A command that is split across chunks is returned as pending, and must be passed along with the next chunk.
+// @param {Buffer} data The received data.
+// @param {Buffer} [pending] The unfinished command from the previous chunk.
+// @return {object} Returns an object with the remaining data, the replies to the server and the unfinished command.
+export const stripTelnetCommands = (data, pending) => {
+    const bytes = [];
+    const replies = [];
+
+    if (pending && pending.length > 0) {
+        data = Buffer.concat([pending, data]);
+    }
+
+    for (let i = 0; i < data.length; ++i) {
+        const command = (data[i] === IAC) ? data[i + 1] : null;
+
+        if (command === null) {
+            bytes.push(data[i]);
+        } else if (command === undefined) {
+            return { data: Buffer.from(bytes), replies: Buffer.from(replies), pending: data.slice(i) };
+        } else if (command === IAC) { // Escaped 0xFF
+            bytes.push(IAC);
+            i += 1;
+        } else if (command === WILL || command === WONT || command === DO || command === DONT) {
+            const option = data[i + 2];
+            if (option === undefined) {
+                return { data: Buffer.from(bytes), replies: Buffer.from(replies), pending: data.slice(i) };
+            }
+            if (command === WILL) {
+                replies.push(IAC, DONT, option);
+            } else if (command === DO) {
+                replies.push(IAC, WONT, option);
+            }
+            i += 2;
+        } else if (command === SB) {
+            // Skip to the end of subnegotiation (IAC SE), where an escaped 0xFF is sent as IAC IAC
+            let j = i + 2;
+            while (j < data.length && !(data[j] === IAC && data[j + 1] === SE)) {
+                j += (data[j] === IAC) ? 2 : 1;
+            }
+            if (j >= data.length - 1) {
+                return { data: Buffer.from(bytes), replies: Buffer.from(replies), pending: data.slice(i) };
+            }
+            i = j + 1;
+        } else {
+            i += 1;
+        }
+    }
+
+    return {
+        data: Buffer.from(bytes),
+        replies: Buffer.from(replies),
+        pending: Buffer.alloc(0)
+    };
+};
+
+// A TCP or UNIX socket connection that implements the subset of the SerialPort interface used by the controllers,
+// and emits one line per 'data' event as the readline parser does.
+export class NetConnection extends events.EventEmitter {
+    options = {
+        type: TRANSPORT_TCP,
+        host: '',
+        port: 0,
+        path: ''
+    };
+    socket = null;
+    opened = false;
+    buffer = '';
+    // A multibyte character may be split across chunks
+    decoder = new StringDecoder('utf8');
+    // The unfinished telnet command from the previous chunk
+    telnetPending = Buffer.alloc(0);
+
+    // @param {object} options The options object.
+    // @param {string} options.type One of "tcp", "telnet" or "unix".
+    // @param {string} [options.host] The host name for TCP.
+    // @param {number} [options.port] The port number for TCP.
+    // @param {string} [options.path] The socket path for UNIX sockets.
+    constructor(options) {
+        super();
+        this.options = { ...this.options, ...options };
+    }
+    open(callback = noop) {
+        const { type, host, port, path } = this.options;
+
+        if (this.socket) {
+            callback(new Error('The connection is already open'));
+            return;
+        }
+
+        this.buffer = '';
+        this.decoder = new StringDecoder('utf8');
+        this.telnetPending = Buffer.alloc(0);
+
+        let connected = false;
+        const socket = (type === TRANSPORT_UNIX) ? net.connect({ path }) : net.connect({ host, port });
+        const timer = setTimeout(() => {
+            socket.destroy(new Error(`Connection timed out after ${CONNECT_TIMEOUT / 1000} seconds`));
+        }, CONNECT_TIMEOUT);
+
+        socket.on('connect', () => {
+            clearTimeout(timer);
+            connected = true;
+            this.opened = true;
+            socket.setNoDelay(true);
+            socket.setKeepAlive(true);
+            callback(null);
+        });
+        socket.on('data', (data) => {
+            if (type === TRANSPORT_TELNET) {
+                const { data: remaining, replies, pending } = stripTelnetCommands(data, this.telnetPending);
+                if (replies.length > 0) {
+                    socket.write(replies);
+                }
+                data = remaining;
+                this.telnetPending = pending;
+            }
+            this.receive(data);
+        });
+        socket.on('error', (err) => {
+            clearTimeout(timer);
+            if (!connected) {
+                this.socket = null;
+                callback(err);
+                return;
+            }
+            this.emit('error', err);
+        });
+        socket.on('close', () => {
+            clearTimeout(timer);
+            if (this.opened) {
+                // Closed by the remote end
+                this.opened = false;
+                this.socket = null;
+                this.emit('disconnect', new Error('The connection was closed by the remote host'));
+            }
+        });
+
+        this.socket = socket;
+    }
+    close(callback = noop) {
+        const socket = this.socket;
+
+        this.opened = false;
+        this.socket = null;
+        this.buffer = '';
+        this.decoder = new StringDecoder('utf8');
+        this.telnetPending = Buffer.alloc(0);
+
+        if (socket) {
+            socket.destroy();
+        }
+        callback(null);
+    }
+    isOpen() {
+        return this.opened;
+    }
+    write(data, callback = noop) {
+        if (!this.socket) {
+            callback(new Error('The connection is not open'));
+            return;
+        }
+        this.socket.write(data, callback);
+    }
+    // Splits the received data into lines
+    // @param {Buffer} data The received data.
+    receive(data) {
+        const lines = (this.buffer + this.decoder.write(data)).split('\n');
+        this.buffer = lines.pop();
+        lines.forEach((line) => {
+            this.emit('data', line);
+        });
+    }
+}
+
+// Creates the transport for the address of a connection.
+// @param {string} address The address of the connection. See parseAddress.
+// @param {object} options The options object.
+// @param {number} options.baudrate The baud rate of a serial port.
+// @return {object} Returns a SerialPort or a NetConnection that has not been opened.
+export const createTransport = (address, options) => {
+    const { baudrate } = { ...options };
+    const { type, ...connectionOptions } = parseAddress(address);
+
+    if (type === TRANSPORT_SERIAL) {
+        return new SerialPort(connectionOptions.path, {
+            autoOpen: false,
+            baudRate: baudrate,
+            parser: SerialPort.parsers.readline('\n')
+        });
+    }
+
+    return new NetConnection({ type, ...connectionOptions });
+};
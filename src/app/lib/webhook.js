@@ -0,0 +1,65 @@
+import _ from 'lodash';
+import http from 'http';
+import https from 'https';
+import url from 'url';
+
+const TIMEOUT = 10000; // 10 seconds
+
+const noop = () => {};
+
+const isJSON = (str) => {
+    try {
+        JSON.parse(str);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Posts the payload to the webhook URL. The payload will be sent as JSON if it is valid JSON, or plain text otherwise.
+// @param {string} webhookUrl The webhook URL.
+// @param {string} payload The payload to post.
+// @param {function} [callback] The callback function with the error and the status code.
+const postWebhook = (webhookUrl, payload, callback = noop) => {
+    callback = _.once(callback);
+
+    const options = url.parse(String(webhookUrl));
+    const client = {
+        'http:': http,
+        'https:': https
+    }[options.protocol];
+
+    if (!client) {
+        callback(new Error(`Unsupported webhook URL: ${webhookUrl}`));
+        return;
+    }
+
+    const body = Buffer.from(String(payload));
+    const req = client.request({
+        ...options,
+        method: 'POST',
+        headers: {
+            'Content-Type': isJSON(payload) ? 'application/json' : 'text/plain',
+            'Content-Length': body.length
+        }
+    }, (res) => {
+        res.resume();
+        res.on('end', () => {
+            if (res.statusCode >= 400) {
+                callback(new Error(`Unexpected status code: ${res.statusCode}`), res.statusCode);
+                return;
+            }
+            callback(null, res.statusCode);
+        });
+    });
+
+    req.setTimeout(TIMEOUT, () => {
+        req.abort();
+    });
+    req.on('error', (err) => {
+        callback(err);
+    });
+    req.end(body);
+};
+
+export default postWebhook;
@@ -5,11 +5,18 @@ import socketIO from 'socket.io';
 import socketioJwt from 'socketio-jwt';
 import store from '../../store';
 import log from '../../lib/log';
+import { hasRole } from '../../lib/access-control';
+import { getCurrentUser } from '../../lib/current-user';
+import { apiKeyEvents, isApiKey, verifyApiKey } from '../../lib/api-key';
+import { hasControl, isLockCommand } from '../../lib/control-lock';
+import { getCustomPorts } from '../../lib/custom-ports';
+import { parseAddress } from '../../lib/transport';
 import settings from '../../config/settings';
 import config from '../configstore';
 import taskRunner from '../taskrunner';
-import { GrblController, SmoothieController, TinyGController } from '../../controllers';
-import { IP_WHITELIST } from '../../constants';
+import { createController, getControllerTypes } from '../../controllers';
+import { GRBL_VIRTUAL_PORT } from '../../controllers/Grbl/constants';
+import { IP_WHITELIST, ROLE_OPERATOR } from '../../constants';
 
 const PREFIX = '[cncengine]';
 
@@ -26,6 +33,15 @@ class CNCEngine {
         },
         configChange: (...args) => {
             this.io.sockets.emit('config:change', ...args);
+        },
+        apiKeyRevoke: (id) => {
+            // Disconnect the sockets authenticated with the revoked API key
+            this.sockets
+                .filter(socket => _.get(socket, 'decoded_token.apiKey') && _.get(socket, 'decoded_token.id') === id)
+                .forEach(socket => {
+                    log.debug(`${PREFIX} Disconnect the socket authenticated with a revoked API key: id=${socket.id}`);
+                    socket.disconnect(true);
+                });
         }
     };
     server = null;
@@ -39,6 +55,7 @@ class CNCEngine {
         taskRunner.on('finish', this.listener.taskFinish);
         taskRunner.on('error', this.listener.taskError);
         config.on('change', this.listener.configChange);
+        apiKeyEvents.on('revoke', this.listener.apiKeyRevoke);
 
         this.server = server;
         this.io = socketIO(this.server, {
@@ -46,10 +63,43 @@ class CNCEngine {
             path: '/socket.io'
         });
 
-        this.io.use(socketioJwt.authorize({
+        const authorizeToken = socketioJwt.authorize({
             secret: settings.secret,
             handshake: true
-        }));
+        });
+        this.io.use((socket, next) => {
+            const token = _.get(socket, 'handshake.query.token');
+
+            // Accept an API key in place of an access token
+            if (isApiKey(token)) {
+                const payload = verifyApiKey(token);
+                if (!payload) {
+                    log.warn(`${PREFIX} Invalid API key: address=${socket.handshake.address}`);
+                    next(new Error('Invalid API key'));
+                    return;
+                }
+
+                socket.decoded_token = payload;
+                next();
+                return;
+            }
+
+            authorizeToken(socket, next);
+        });
+
+        this.io.use((socket, next) => {
+            // Look up the user account, since the role in the access token might be outdated
+            const user = getCurrentUser(socket.decoded_token);
+            if (!user) {
+                const id = _.get(socket.decoded_token, 'id');
+                log.warn(`${PREFIX} The user account does not exist or has been disabled: address=${socket.handshake.address}, token.id=${id}`);
+                next(new Error('The user account does not exist or has been disabled'));
+                return;
+            }
+
+            socket.decoded_token = user;
+            next();
+        });
 
         this.io.use((socket, next) => {
             const clientIp = socket.handshake.address;
@@ -70,11 +120,32 @@ class CNCEngine {
         this.io.on('connection', (socket) => {
             const address = socket.handshake.address;
             const token = socket.decoded_token || {};
-            log.debug(`${PREFIX} New connection from ${address}: id=${socket.id}, token.id=${token.id}, token.name=${token.name}`);
+            log.debug(`${PREFIX} New connection from ${address}: id=${socket.id}, token.id=${token.id}, token.name=${token.name}, token.role=${token.role}`);
+
+            // Viewers can receive events from the controllers, but cannot control the machine.
+            // The user account is looked up on each event, since the user might have been demoted or disabled after connecting.
+            const canControl = () => {
+                const user = getCurrentUser(socket.decoded_token);
+                if (!user) {
+                    log.warn(`${PREFIX} The user account does not exist or has been disabled: id=${socket.id}, token.id=${token.id}`);
+                    socket.disconnect(true);
+                    return false;
+                }
+                return hasRole(user, ROLE_OPERATOR);
+            };
+            const denyAccess = (action) => {
+                log.warn(`${PREFIX} Permission denied: id=${socket.id}, token.name=${token.name}, token.role=${token.role}, action=${action}`);
+            };
+            const denyLockedAccess = (port, action) => {
+                log.warn(`${PREFIX} Serial port "${port}" is locked by another connection: id=${socket.id}, token.name=${token.name}, action=${action}`);
+            };
 
             // Add to the socket pool
             this.sockets.push(socket);
 
+            // Send the registered controller types to a newly connected client
+            socket.emit('controller:types', getControllerTypes());
+
             socket.on('disconnect', () => {
                 log.debug(`${PREFIX} Disconnected from ${address}: id=${socket.id}, token.id=${token.id}, token.name=${token.name}`);
 
@@ -101,7 +172,15 @@ class CNCEngine {
                         return;
                     }
 
-                    ports = ports.concat(_.get(settings, 'cnc.ports') || []);
+                    // Custom ports, e.g. a telnet port, a ser2net server or a virtual serial port
+                    ports = ports.concat(getCustomPorts());
+
+                    // A simulated Grbl device for development and testing without hardware.
+                    // It can only be opened with the Grbl controller.
+                    ports = ports.concat({
+                        comName: GRBL_VIRTUAL_PORT,
+                        manufacturer: 'Virtual Grbl'
+                    });
 
                     const controllers = store.get('controllers', {});
                     const portsInUse = _(controllers)
@@ -117,6 +196,7 @@ class CNCEngine {
                         return {
                             port: port.comName,
                             manufacturer: port.manufacturer,
+                            transport: parseAddress(port.comName).type,
                             inuse: _.includes(portsInUse, port.comName)
                         };
                     });
@@ -130,17 +210,24 @@ class CNCEngine {
                 log.debug(`${PREFIX} socket.open("${port}", ${JSON.stringify(options)}): id=${socket.id}`);
 
                 let controller = store.get(`controllers["${port}"]`);
+
+                // Viewers can only join a serial port that has been opened by other users
+                if (!canControl() && !(controller && controller.isOpen())) {
+                    denyAccess('open');
+                    socket.emit('serialport:error', { port: port });
+                    return;
+                }
+
                 if (!controller) {
-                    const { controllerType = 'Grbl', baudrate } = { ...options };
-
-                    if (controllerType === 'Grbl') {
-                        controller = new GrblController(port, { baudrate });
-                    } else if (controllerType === 'Smoothie') {
-                        controller = new SmoothieController(port, { baudrate });
-                    } else if (controllerType === 'TinyG' || controllerType === 'TinyG2') {
-                        controller = new TinyGController(port, { baudrate });
-                    } else {
-                        throw new Error('Not supported controller: ' + controllerType);
+                    try {
+                        controller = createController(port, options);
+                    } catch (err) {
+                        log.error(`${PREFIX} Cannot create the controller for serial port "${port}": ${err.message}`);
+                        socket.emit('serialport:error', {
+                            err: err.message,
+                            port: port
+                        });
+                        return;
                     }
                 }
 
@@ -159,8 +246,26 @@ class CNCEngine {
                     return;
                 }
 
+                // Wait for the controller to reconnect to the serial port that was disconnected unexpectedly
+                if (controller.reconnector && controller.reconnector.isActive()) {
+                    const { attempt } = controller.reconnector.toJSON();
+                    socket.emit('serialport:reconnecting', {
+                        port: port,
+                        attempt: attempt
+                    });
+
+                    // Join the room
+                    socket.join(port); // FIXME
+                    return;
+                }
+
                 controller.open((err = null) => {
                     if (err) {
+                        // Do not keep the controller that failed to open the serial port
+                        if (store.get(`controllers["${port}"]`) === controller) {
+                            store.unset(`controllers["${port}"]`);
+                        }
+                        controller.destroy();
                         return;
                     }
 
@@ -187,42 +292,98 @@ class CNCEngine {
                 // Leave the room
                 socket.leave(port); // FIXME
 
+                // Viewers, and connections without the control lock, leave the serial port open for other users
+                if (!canControl() || !hasControl(controller, socket)) {
+                    controller.removeConnection(socket);
+                    socket.emit('serialport:close', {
+                        port: port,
+                        inuse: true
+                    });
+                    return;
+                }
+
                 controller.close();
             });
 
+            // Stop receiving events from the serial port without closing it
+            socket.on('leave', (port) => {
+                log.debug(`${PREFIX} socket.leave("${port}"): id=${socket.id}`);
+
+                const controller = store.get(`controllers["${port}"]`);
+                if (!controller) {
+                    log.error(`${PREFIX} Serial port "${port}" not accessible`);
+                    return;
+                }
+
+                // Leave the room
+                socket.leave(port); // FIXME
+
+                controller.removeConnection(socket);
+            });
+
             socket.on('command', (port, cmd, ...args) => {
                 log.debug(`${PREFIX} socket.command("${port}", "${cmd}"): id=${socket.id}, args=${JSON.stringify(args)}`);
 
+                if (!canControl()) {
+                    denyAccess('command');
+                    return;
+                }
+
                 const controller = store.get(`controllers["${port}"]`);
                 if (!controller || controller.isClose()) {
                     log.error(`${PREFIX} Serial port "${port}" not accessible`);
                     return;
                 }
 
+                if (!isLockCommand(cmd) && !hasControl(controller, socket)) {
+                    denyLockedAccess(port, 'command');
+                    return;
+                }
+
                 controller.command.apply(controller, [socket, cmd].concat(args));
             });
 
             socket.on('write', (port, data) => {
                 log.debug(`${PREFIX} socket.write("${port}", "${data}"): id=${socket.id}`);
 
+                if (!canControl()) {
+                    denyAccess('write');
+                    return;
+                }
+
                 const controller = store.get(`controllers["${port}"]`);
                 if (!controller || controller.isClose()) {
                     log.error(`${PREFIX} Serial port "${port}" not accessible`);
                     return;
                 }
 
+                if (!hasControl(controller, socket)) {
+                    denyLockedAccess(port, 'write');
+                    return;
+                }
+
                 controller.write(socket, data);
             });
 
             socket.on('writeln', (port, data) => {
                 log.debug(`${PREFIX} socket.writeln("${port}", "${data}"): id=${socket.id}`);
 
+                if (!canControl()) {
+                    denyAccess('writeln');
+                    return;
+                }
+
                 const controller = store.get(`controllers["${port}"]`);
                 if (!controller || controller.isClose()) {
                     log.error(`${PREFIX} Serial port "${port}" not accessible`);
                     return;
                 }
 
+                if (!hasControl(controller, socket)) {
+                    denyLockedAccess(port, 'writeln');
+                    return;
+                }
+
                 controller.writeln(socket, data);
             });
         });
@@ -239,6 +400,7 @@ class CNCEngine {
         taskRunner.removeListener('finish', this.listener.taskFinish);
         taskRunner.removeListener('error', this.listener.taskError);
         config.removeListener('change', this.listener.configChange);
+        apiKeyEvents.removeListener('revoke', this.listener.apiKeyRevoke);
     }
 }
 
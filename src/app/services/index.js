@@ -1,4 +1,5 @@
 export cncengine from './cncengine';
 export configstore from './configstore';
+export jobhistory from './jobhistory';
 export monitor from './monitor';
 export taskrunner from './taskrunner';
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import events from 'events';
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import uuid from 'uuid';
+import settings from '../../config/settings';
+import log from '../../lib/log';
+
+const PREFIX = '[jobhistory]';
+
+// The file name of the job records, which is stored next to the config file
+const RECORDS_FILE = '.cncjs-jobs.json';
+
+// The maximum number of errors to keep for each job
+const MAX_ERRORS = 100;
+
+export const JOB_OUTCOME_FINISHED = 'finished';
+export const JOB_OUTCOME_STOPPED = 'stopped';
+export const JOB_OUTCOME_ALARM = 'alarm';
+
+const getHash = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+// Records every run of a G-code program, along with its outcome, for auditing machine usage.
+// The job records are stored in a file next to the config file, and the programs are stored by their hash in the jobs directory.
+class JobHistory extends events.EventEmitter {
+    options = {};
+    // The job records loaded from the records file
+    records = null;
+    recordsFile = '';
+
+    // @param {object} [options] The options object. Defaults to the "jobs" settings.
+    // @param {string} [options.file] The path to the records file.
+    // @param {string} [options.dir] The directory where the G-code programs are stored.
+    // @param {number} [options.maxRecords] The maximum number of job records to keep.
+    constructor(options) {
+        super();
+        this.options = { ...options };
+    }
+    // Creates a job for a G-code program which is about to run.
+    // The job will not be recorded until the finish() method is called.
+    // @param {object} options The options object.
+    // @param {string} options.controllerType The controller type.
+    // @param {string} options.port The port name.
+    // @param {string} options.name The name of the G-code program.
+    // @param {string} options.gcode The G-code program.
+    // @param {number} [options.startLine] The line number where the job starts.
+    // @return {object} The job object.
+    start(options) {
+        const { controllerType = '', port = '', name = '', gcode = '', startLine = 1 } = { ...options };
+
+        return {
+            id: uuid.v4(),
+            name: name,
+            hash: getHash(gcode),
+            controllerType: controllerType,
+            port: port,
+            startLine: startLine,
+            startTime: new Date().getTime(),
+            errors: [],
+            gcode: gcode
+        };
+    }
+    // Adds an error to the job.
+    // @param {object} job The job object.
+    // @param {object} error The error object.
+    // @param {number} error.line The line number where the error occurred.
+    // @param {string} error.message The error message.
+    addError(job, error) {
+        const { line = 0, message = '' } = { ...error };
+
+        if (job.errors.length < MAX_ERRORS) {
+            job.errors.push({ line, message });
+        }
+    }
+    // Records the outcome of the job.
+    // @param {object} job The job object.
+    // @param {object} options The options object.
+    // @param {string} options.outcome The outcome of the job. One of "finished", "stopped", or "alarm".
+    // @param {number} options.total The total number of lines.
+    // @param {number} options.sent The number of lines sent.
+    // @param {number} options.received The number of lines acknowledged.
+    // @return {object} The job record.
+    finish(job, options) {
+        const { outcome = JOB_OUTCOME_STOPPED, total = 0, sent = 0, received = 0 } = { ...options };
+        const { gcode, ...record } = job;
+
+        record.outcome = outcome;
+        record.finishTime = new Date().getTime();
+        record.elapsedTime = record.finishTime - record.startTime;
+        record.total = total;
+        record.sent = sent;
+        record.received = received;
+
+        this.saveContent(record.hash, gcode);
+
+        try {
+            const maxRecords = Number(this.getOption('maxRecords')) || 0;
+            const records = this.getRecords().concat(record);
+            const removedRecords = (maxRecords > 0 && records.length > maxRecords)
+                ? records.splice(0, records.length - maxRecords)
+                : [];
+
+            this.saveRecords(records);
+
+            // Remove programs that are no longer referenced by any job record
+            _.difference(_.map(removedRecords, 'hash'), _.map(records, 'hash')).forEach(hash => {
+                this.removeContent(hash);
+            });
+        } catch (err) {
+            log.error(`${PREFIX} Failed to save the job record: id=${record.id}, err=${err}`);
+        }
+
+        log.debug(`${PREFIX} Job ${outcome}: id=${record.id}, name="${record.name}", received=${received}, total=${total}`);
+
+        this.emit('finish', record);
+
+        return record;
+    }
+    getOption(name) {
+        return (this.options[name] !== undefined) ? this.options[name] : _.get(settings, ['jobs', name]);
+    }
+    getRecordsFile() {
+        const file = this.getOption('file');
+        if (file) {
+            return file;
+        }
+        return settings.cncrc ? path.join(path.dirname(settings.cncrc), RECORDS_FILE) : '';
+    }
+    // Returns all job records, in chronological order.
+    getRecords() {
+        const file = this.getRecordsFile();
+
+        if (this.records === null || this.recordsFile !== file) {
+            this.records = this.loadRecords(file);
+            this.recordsFile = file;
+        }
+
+        return this.records.slice();
+    }
+    loadRecords(file) {
+        let records = [];
+
+        try {
+            if (file && fs.existsSync(file)) {
+                records = JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        } catch (err) {
+            log.error(`${PREFIX} Unable to load data from "${file}": err=${err}`);
+        }
+
+        return _.castArray(records).filter(record => _.isPlainObject(record) && record.id);
+    }
+    saveRecords(records) {
+        const file = this.getRecordsFile();
+
+        this.writeRecords(file, records);
+        this.records = records;
+        this.recordsFile = file;
+    }
+    writeRecords(file, records) {
+        if (!file) {
+            throw new Error('The records file is not specified');
+        }
+
+        fs.writeFileSync(file, JSON.stringify(records, null, 4), 'utf8');
+    }
+    // Removes a job record.
+    // @param {string} id The job id.
+    // @return {boolean} Returns true on success, false otherwise.
+    remove(id) {
+        const records = this.getRecords();
+        const record = _.find(records, { id: id });
+        if (!record) {
+            return false;
+        }
+
+        const filteredRecords = records.filter(record => record.id !== id);
+        this.saveRecords(filteredRecords);
+
+        if (!_.find(filteredRecords, { hash: record.hash })) {
+            this.removeContent(record.hash);
+        }
+
+        return true;
+    }
+    getContentPath(hash) {
+        const dir = this.getOption('dir');
+        return dir ? path.join(dir, hash) : '';
+    }
+    // Reads the G-code program of a job.
+    // @param {string} hash The hash of the G-code program.
+    // @return {string} The G-code program, or null if not found.
+    readContent(hash) {
+        const file = this.getContentPath(hash);
+
+        try {
+            if (file && fs.existsSync(file)) {
+                return fs.readFileSync(file, 'utf8');
+            }
+        } catch (err) {
+            log.error(`${PREFIX} Unable to read data from "${file}": err=${err}`);
+        }
+
+        return null;
+    }
+    saveContent(hash, content) {
+        const file = this.getContentPath(hash);
+        if (!file || !content) {
+            return;
+        }
+
+        try {
+            const dir = path.dirname(file);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir);
+            }
+            if (!fs.existsSync(file)) {
+                fs.writeFileSync(file, content, 'utf8');
+            }
+        } catch (err) {
+            log.error(`${PREFIX} Unable to write data to "${file}": err=${err}`);
+        }
+    }
+    removeContent(hash) {
+        const file = this.getContentPath(hash);
+
+        try {
+            if (file && fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        } catch (err) {
+            log.error(`${PREFIX} Unable to remove "${file}": err=${err}`);
+        }
+    }
+}
+
+export default JobHistory;
@@ -0,0 +1,11 @@
+import JobHistory from './JobHistory';
+
+export {
+    JOB_OUTCOME_FINISHED,
+    JOB_OUTCOME_STOPPED,
+    JOB_OUTCOME_ALARM
+} from './JobHistory';
+
+const jobHistory = new JobHistory();
+
+export default jobHistory;
@@ -0,0 +1,96 @@
+import http from 'http';
+import https from 'https';
+import url from 'url';
+
+const TIMEOUT = 30000; // 30 seconds
+
+// A minimal JSON client for the REST API of a running cncjs instance.
+class HTTPClient {
+    baseUrl = '';
+    token = '';
+
+    // @param {string} baseUrl The base URL of the server, e.g. "http://localhost:8000".
+    // @param {string} [token] An access token or an API key.
+    constructor(baseUrl, token = '') {
+        this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+        this.token = String(token || '');
+    }
+    // Sends a request and resolves with the parsed JSON response.
+    // @param {string} method The request method.
+    // @param {string} path The request path, e.g. "/api/controllers".
+    // @param {object} [data] The request body.
+    // @return {Promise} The promise is rejected with an error containing the status code and the message from the server.
+    request(method, path, data) {
+        return new Promise((resolve, reject) => {
+            const options = url.parse(this.baseUrl + path);
+            const client = {
+                'http:': http,
+                'https:': https
+            }[options.protocol];
+
+            if (!client) {
+                reject(new Error(`Unsupported URL: ${this.baseUrl}`));
+                return;
+            }
+
+            const body = (data !== undefined) ? Buffer.from(JSON.stringify(data)) : null;
+            const headers = {
+                'Accept': 'application/json'
+            };
+            if (this.token) {
+                headers.Authorization = 'Bearer ' + this.token;
+            }
+            if (body) {
+                headers['Content-Type'] = 'application/json';
+                headers['Content-Length'] = body.length;
+            }
+
+            const req = client.request({
+                ...options,
+                method: method,
+                headers: headers
+            }, (res) => {
+                let text = '';
+
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    let json = null;
+                    try {
+                        json = text ? JSON.parse(text) : null;
+                    } catch (err) {
+                        // Ignore error
+                    }
+
+                    if (res.statusCode >= 400) {
+                        const msg = (json && json.msg) || res.statusMessage;
+                        const err = new Error(`${msg} (${res.statusCode})`);
+                        err.status = res.statusCode;
+                        reject(err);
+                        return;
+                    }
+
+                    resolve(json);
+                });
+            });
+
+            req.setTimeout(TIMEOUT, () => {
+                req.abort();
+            });
+            req.on('error', (err) => {
+                reject(err);
+            });
+            req.end(body);
+        });
+    }
+    get(path) {
+        return this.request('GET', path);
+    }
+    post(path, data = {}) {
+        return this.request('POST', path, data);
+    }
+}
+
+export default HTTPClient;
@@ -0,0 +1,351 @@
+/* eslint no-console: 0 */
+import fs from 'fs';
+import path from 'path';
+import { Command } from 'commander';
+import pkg from '../package.json';
+import HTTPClient from './http-client';
+import ProgressBar from './progress-bar';
+
+// Exit codes
+export const EXIT_FINISHED = 0;
+export const EXIT_ERROR = 1;
+export const EXIT_STOPPED = 2;
+export const EXIT_ALARM = 3;
+
+const CLIENT_COMMANDS = ['send', 'status', 'macro', 'jog'];
+
+const POLL_INTERVAL = 500; // 500ms
+
+// Grbl, Marlin and Smoothie report the active state as a string, whereas TinyG reports the machine state as a number.
+// The TinyG states are copied from 'app/controllers/TinyG/constants', which are not part of the command-line build.
+const IDLE_STATES = [
+    'Idle',
+    1, // TINYG_MACHINE_STATE_READY
+    3, // TINYG_MACHINE_STATE_STOP
+    4 // TINYG_MACHINE_STATE_END
+];
+const ALARM_STATES = [
+    'Alarm',
+    2, // TINYG_MACHINE_STATE_ALARM
+    12, // TINYG_MACHINE_STATE_SHUTDOWN
+    13 // TINYG_MACHINE_STATE_PANIC
+];
+
+// Returns true if the command-line arguments start with a client command, e.g. "cnc send file.nc".
+// @param {array} argv The command-line arguments.
+export const isClientCommand = (argv = process.argv) => {
+    return CLIENT_COMMANDS.indexOf(argv[2]) >= 0;
+};
+
+const delay = (ms) => new Promise(resolve => {
+    setTimeout(resolve, ms);
+});
+
+const controllerPath = (port) => `/api/controllers/${encodeURIComponent(port)}`;
+
+// Resolves with a client for the server. An access token will be requested if none is specified, which only succeeds if sessions are disabled on the server.
+const connect = (options) => {
+    const client = new HTTPClient(options.url, options.token);
+
+    if (client.token) {
+        return Promise.resolve(client);
+    }
+
+    return client.post('/api/signin')
+        .then(({ token }) => {
+            client.token = token;
+            return client;
+        })
+        .catch(err => {
+            if (err.status === 401) {
+                throw new Error('Authentication failed. Specify an access token or an API key with --token or CNCJS_TOKEN.');
+            }
+            throw err;
+        });
+};
+
+// Resolves with the serial port specified by --port, or the only open serial port on the server.
+const resolvePort = (client, options) => {
+    if (options.port) {
+        return Promise.resolve(options.port);
+    }
+
+    return client.get('/api/controllers')
+        .then(controllers => {
+            if (controllers.length !== 1) {
+                throw new Error('Specify the serial port with --port');
+            }
+            return controllers[0].port;
+        });
+};
+
+const formatStatus = (status) => {
+    const { port, workflowState, activeState } = status;
+    const { type } = { ...status.controller };
+    const { name, total = 0, received = 0 } = { ...status.sender };
+    const { x = 0, y = 0, z = 0 } = { ...status.workPosition };
+    const program = name ? `${name} ${received}/${total}` : '-';
+
+    return [
+        port,
+        type,
+        `state=${activeState}`,
+        `workflow=${workflowState}`,
+        `program=${program}`,
+        `wpos=${x},${y},${z}`
+    ].join('  ');
+};
+
+const status = (options) => {
+    return connect(options)
+        .then(client => {
+            if (options.port) {
+                return client.get(`${controllerPath(options.port)}/state`).then(status => [status]);
+            }
+            return client.get('/api/controllers');
+        })
+        .then(controllers => {
+            if (options.json) {
+                console.log(JSON.stringify(options.port ? controllers[0] : controllers, null, 2));
+                return EXIT_FINISHED;
+            }
+
+            if (controllers.length === 0) {
+                console.log('No open serial ports');
+                return EXIT_FINISHED;
+            }
+
+            controllers.forEach(status => {
+                console.log(formatStatus(status));
+            });
+
+            return EXIT_FINISHED;
+        });
+};
+
+// Polls the controller until the program has finished and the machine is idle, the program is stopped, or an alarm occurs.
+// An error will be thrown if the program never started.
+const waitForCompletion = (client, port, progressBar) => {
+    let started = false;
+
+    const poll = () => client.get(`${controllerPath(port)}/state`)
+        .then(status => {
+            const { activeState, workflowState, sender } = status;
+            const { finishTime = 0 } = { ...sender };
+
+            progressBar.update(sender);
+
+            started = started || (workflowState !== 'idle') || (finishTime > 0);
+
+            if (ALARM_STATES.indexOf(activeState) >= 0) {
+                return EXIT_ALARM;
+            }
+
+            if (finishTime > 0) {
+                // Wait for the machine to complete the buffered motions
+                return (IDLE_STATES.indexOf(activeState) >= 0) ? EXIT_FINISHED : delay(POLL_INTERVAL).then(poll);
+            }
+
+            if (workflowState === 'idle') {
+                if (!started) {
+                    throw new Error(`The program did not start on serial port "${port}"`);
+                }
+                return EXIT_STOPPED;
+            }
+
+            return delay(POLL_INTERVAL).then(poll);
+        });
+
+    return poll();
+};
+
+const send = (file, options) => {
+    const gcode = fs.readFileSync(file, 'utf8');
+    const name = path.basename(file);
+    const progressBar = new ProgressBar();
+    let client = null;
+    let port = '';
+
+    return connect(options)
+        .then(c => {
+            client = c;
+            return resolvePort(client, options);
+        })
+        .then(p => {
+            port = p;
+            return client.post(`${controllerPath(port)}/open`, {
+                controllerType: options.controllerType,
+                baudrate: Number(options.baudrate)
+            });
+        })
+        .then(status => {
+            const { finishTime = 0 } = { ...status.sender };
+
+            // A finished program remains loaded until it is stopped or replaced
+            if (status.workflowState !== 'idle' && finishTime === 0) {
+                throw new Error(`Serial port "${port}" is busy running "${status.sender.name}"`);
+            }
+
+            return client.post(`${controllerPath(port)}/gcode`, {
+                name: name,
+                gcode: gcode,
+                start: true
+            });
+        })
+        .then(() => waitForCompletion(client, port, progressBar))
+        .then(code => {
+            progressBar.done();
+
+            const message = {
+                [EXIT_FINISHED]: `Finished "${name}"`,
+                [EXIT_STOPPED]: `Stopped "${name}"`,
+                [EXIT_ALARM]: `Alarm while running "${name}"`
+            }[code];
+            console.error(message);
+
+            return code;
+        }, err => {
+            progressBar.done();
+            throw err;
+        });
+};
+
+const macro = (action, name, options) => {
+    const cmd = {
+        'run': 'macro:run',
+        'load': 'macro:load'
+    }[action];
+
+    if (!cmd) {
+        return Promise.reject(new Error(`Unknown macro action: ${action}`));
+    }
+
+    let client = null;
+
+    return connect(options)
+        .then(c => {
+            client = c;
+            return Promise.all([
+                resolvePort(client, options),
+                client.get('/api/macros?paging=false')
+            ]);
+        })
+        .then(([port, { records = [] }]) => {
+            const record = records.filter(record => record.name === name)[0];
+            if (!record) {
+                throw new Error(`Cannot find the macro: name=${name}`);
+            }
+
+            return client.post(`${controllerPath(port)}/command`, {
+                cmd: cmd,
+                args: [record.id]
+            });
+        })
+        .then(() => EXIT_FINISHED);
+};
+
+// Moves the axes by a relative distance, e.g. "cnc jog X10 Y-5".
+const jog = (axes, options) => {
+    const params = [];
+
+    for (let i = 0; i < axes.length; ++i) {
+        const r = String(axes[i]).match(/^([XYZABC])(-?\d*\.?\d+)$/i);
+        if (!r) {
+            return Promise.reject(new Error(`Invalid axis: ${axes[i]}`));
+        }
+        params.push(r[1].toUpperCase() + r[2]);
+    }
+
+    const motion = options.feedrate ? `G1 F${Number(options.feedrate)}` : 'G0';
+
+    return connect(options)
+        .then(client => resolvePort(client, options)
+            .then(port => client.post(`${controllerPath(port)}/command`, {
+                cmd: 'gcode',
+                args: [[
+                    `G91 ${motion} ${params.join(' ')}`, // relative distance
+                    'G90' // absolute distance
+                ]]
+            }))
+        )
+        .then(() => EXIT_FINISHED);
+};
+
+// Adds the options to connect to the server and select the serial port.
+const connectionOptions = (command) => command
+    .option('--url <url>', 'set the server URL (default: http://localhost:8000)', process.env.CNCJS_URL || 'http://localhost:8000')
+    .option('--token <token>', 'set the access token or API key (default: $CNCJS_TOKEN)', process.env.CNCJS_TOKEN || '')
+    .option('-p, --port <port>', 'set the serial port (default: the only open serial port)');
+
+// Runs a client command against a running server, and exits the process with the exit code.
+// @param {array} [argv] The command-line arguments.
+const cli = (argv = process.argv) => {
+    const program = new Command();
+
+    const run = (fn) => (...args) => {
+        Promise.resolve()
+            .then(() => fn(...args))
+            .then(code => {
+                process.exit(code);
+            })
+            .catch(err => {
+                console.error(`Error: ${err.message}`);
+                process.exit(EXIT_ERROR);
+            });
+    };
+
+    program
+        .version(pkg.version)
+        .usage('<command> [options]');
+
+    connectionOptions(program.command('send <file>'))
+        .description('send a G-code file and wait until it is finished')
+        .option('-b, --baudrate <baudrate>', 'set the baud rate to open the serial port (default: 115200)', 115200)
+        .option('--controller-type <type>', 'set the controller type to open the serial port (default: Grbl)', 'Grbl')
+        .action(run((file, options) => send(file, options)))
+        .on('--help', () => {
+            console.log('  Exit codes:');
+            console.log('');
+            console.log(`    ${EXIT_FINISHED}  The program was finished`);
+            console.log(`    ${EXIT_ERROR}  An error occurred`);
+            console.log(`    ${EXIT_STOPPED}  The program was stopped`);
+            console.log(`    ${EXIT_ALARM}  The machine entered an alarm state`);
+            console.log('');
+            console.log('  Examples:');
+            console.log('');
+            console.log('    $ cnc send file.nc --port /dev/ttyUSB0 --token cncjs_xxxx');
+            console.log('    $ CNCJS_URL=http://raspberrypi:8000 cnc send file.nc');
+            console.log('');
+        });
+
+    connectionOptions(program.command('status'))
+        .description('show the status of the open serial ports')
+        .option('--json', 'output the status as JSON')
+        .action(run((options) => status(options)));
+
+    connectionOptions(program.command('macro <action> <name>'))
+        .description('run or load a macro by name, where the action is "run" or "load"')
+        .action(run((action, name, options) => macro(action, name, options)))
+        .on('--help', () => {
+            console.log('  Examples:');
+            console.log('');
+            console.log('    $ cnc macro run "Probe Z" --port /dev/ttyUSB0');
+            console.log('');
+        });
+
+    connectionOptions(program.command('jog <axes...>'))
+        .description('move the axes by a relative distance')
+        .option('-F, --feedrate <feedrate>', 'set the feed rate (default: rapid)')
+        .action(run((axes, options) => jog(axes, options)))
+        .on('--help', () => {
+            console.log('  Examples:');
+            console.log('');
+            console.log('    $ cnc jog X10 Y-5');
+            console.log('    $ cnc jog Z-1 --feedrate 100');
+            console.log('');
+        });
+
+    program.parse(argv);
+};
+
+export default cli;
@@ -0,0 +1,49 @@
+const WIDTH = 30;
+
+const pad = (n) => ('0' + n).slice(-2);
+
+// Formats the number of milliseconds as "hh:mm:ss"
+const formatTime = (ms) => {
+    const seconds = Math.floor(Math.max(Number(ms) || 0, 0) / 1000);
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60].map(pad).join(':');
+};
+
+// Renders the progress of the sender on a single line.
+// A new line will be written every 10 percent if the stream is not a terminal.
+class ProgressBar {
+    stream = null;
+    lastPercent = -1;
+
+    // @param {object} [stream] The writable stream. Defaults to process.stderr.
+    constructor(stream = process.stderr) {
+        this.stream = stream;
+    }
+    // @param {object} sender The sender status.
+    update(sender) {
+        const { name = '', total = 0, received = 0, elapsedTime = 0, remainingTime = 0 } = { ...sender };
+        const percent = (total > 0) ? Math.floor(Math.min(received / total, 1) * 100) : 0;
+        const filled = Math.round(WIDTH * percent / 100);
+        const bar = '='.repeat(filled) + ' '.repeat(WIDTH - filled);
+        const line = `${name} [${bar}] ${percent}% ${received}/${total} elapsed ${formatTime(elapsedTime)} remaining ${formatTime(remainingTime)}`;
+
+        if (this.stream.isTTY) {
+            this.stream.write('\r' + line);
+            this.lastPercent = percent;
+            return;
+        }
+
+        if (Math.floor(percent / 10) > Math.floor(this.lastPercent / 10)) {
+            this.stream.write(line + '\n');
+            this.lastPercent = percent;
+        }
+    }
+    // Moves to the next line after the last update.
+    done() {
+        if (this.stream.isTTY && this.lastPercent >= 0) {
+            this.stream.write('\n');
+        }
+        this.lastPercent = -1;
+    }
+}
+
+export default ProgressBar;
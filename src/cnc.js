@@ -3,6 +3,7 @@
 import path from 'path';
 import program from 'commander';
 import pkg from './package.json';
+import cli, { isClientCommand } from './cli';
 
 // Defaults to 'production'
 process.env.NODE_ENV = process.env.NODE_ENV || 'production';
@@ -50,15 +51,30 @@ program.on('--help', () => {
     console.log('    $ cnc --access-token-lifetime 60d  # e.g. 3600, 30m, 12h, 30d');
     console.log('    $ cnc --allow-remote-access');
     console.log('');
+    console.log('  Client commands for a running server (e.g. "cnc send --help"):');
+    console.log('');
+    console.log('    $ cnc status');
+    console.log('    $ cnc send file.nc --port /dev/ttyUSB0 --token <token>');
+    console.log('    $ cnc macro run <name> --port /dev/ttyUSB0');
+    console.log('    $ cnc jog X10 Y-5');
+    console.log('');
 });
 
+// The client commands have their own options, e.g. "--port" is the serial port rather than the listen port
+const clientMode = isClientCommand(process.argv);
+
 // https://github.com/tj/commander.js/issues/512
 // Commander assumes that process.argv[0] is 'node' and argv[1] is script name
-if (process.argv.length > 1) {
+if (process.argv.length > 1 && !clientMode) {
     program.parse(process.argv);
 }
 
 const cnc = (options = {}, callback) => {
+    if (clientMode) {
+        cli(process.argv);
+        return;
+    }
+
     // Change working directory to 'app' before require('./app')
     process.chdir(path.resolve(__dirname, 'app'));
 
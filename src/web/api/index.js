@@ -45,6 +45,71 @@ const getLatestVersion = () => new Promise((resolve, reject) => {
         });
 });
 
+//
+// Job Queue
+//
+const queue = {};
+
+queue.get = (options) => new Promise((resolve, reject) => {
+    const { port = '' } = { ...options };
+
+    authrequest
+        .get('/api/queue')
+        .query({ port: port })
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+queue.add = (options) => new Promise((resolve, reject) => {
+    const { port = '', name = '', gcode = '', file = '', pause = false } = { ...options };
+
+    authrequest
+        .post('/api/queue')
+        .send({ port, name, gcode, file, pause })
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+queue.remove = (options) => new Promise((resolve, reject) => {
+    const { port = '', id } = { ...options };
+
+    authrequest
+        .delete('/api/queue/' + id)
+        .query({ port: port })
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+queue.clear = (options) => new Promise((resolve, reject) => {
+    const { port = '' } = { ...options };
+
+    authrequest
+        .delete('/api/queue')
+        .query({ port: port })
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
 //
 // Controllers
 //
@@ -217,6 +282,74 @@ users.update = (id, options) => new Promise((resolve, reject) => {
         });
 });
 
+//
+// API Keys
+//
+const apikeys = {};
+
+apikeys.fetch = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/apikeys')
+        .query(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+apikeys.create = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .post('/api/apikeys')
+        .send(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+apikeys.read = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/apikeys/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+apikeys.delete = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .delete('/api/apikeys/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+apikeys.update = (id, options) => new Promise((resolve, reject) => {
+    authrequest
+        .put('/api/apikeys/' + id)
+        .send(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
 //
 // Events
 //
@@ -353,6 +486,213 @@ macros.delete = (id) => new Promise((resolve, reject) => {
         });
 });
 
+//
+// Jobs
+//
+const jobs = {};
+
+jobs.fetch = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/jobs')
+        .query(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+jobs.read = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/jobs/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+jobs.readGCode = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/jobs/' + id + '/gcode')
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+jobs.delete = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .delete('/api/jobs/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+//
+// Height Maps
+//
+const heightmaps = {};
+
+heightmaps.fetch = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/heightmaps')
+        .query(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+heightmaps.create = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .post('/api/heightmaps')
+        .send(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+heightmaps.read = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/heightmaps/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+heightmaps.delete = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .delete('/api/heightmaps/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+//
+// Fixtures
+//
+const fixtures = {};
+
+fixtures.fetch = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/fixtures')
+        .query(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+fixtures.create = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .post('/api/fixtures')
+        .send(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+fixtures.read = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/fixtures/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+fixtures.delete = (id) => new Promise((resolve, reject) => {
+    authrequest
+        .delete('/api/fixtures/' + id)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+//
+// Network Ports
+//
+const ports = {};
+
+ports.fetch = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .get('/api/ports')
+        .query(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+ports.create = (options) => new Promise((resolve, reject) => {
+    authrequest
+        .post('/api/ports')
+        .send(options)
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
+ports.delete = (port) => new Promise((resolve, reject) => {
+    authrequest
+        .delete('/api/ports/' + encodeURIComponent(port))
+        .end((err, res) => {
+            if (err) {
+                reject(res);
+            } else {
+                resolve(res);
+            }
+        });
+});
+
 // Commands
 const commands = {};
 
@@ -474,11 +814,17 @@ export default {
     // G-code
     loadGCode,
     fetchGCode,
+    queue, // Job Queue
 
     signin,
     users, // Users
+    apikeys, // API Keys
     events, // Events
     macros, // Macros
+    jobs, // Jobs
+    heightmaps, // Height Maps
+    fixtures, // Fixtures
+    ports, // Network Ports
     commands, // Commands
     watch // Watch Directory
 };
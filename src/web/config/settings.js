@@ -26,7 +26,7 @@ const settings = {
 
         // string or array of namespaces
         ns: [
-            'controller', // Grbl|Smoothie|TinyG
+            'controller', // Grbl|Marlin|Smoothie|TinyG
             'gcode', // G-code
             'resource' // default
         ],
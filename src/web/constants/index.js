@@ -4,6 +4,7 @@ export const METRIC_UNITS = 'mm';
 
 // Controller
 export const GRBL = 'Grbl';
+export const MARLIN = 'Marlin';
 export const SMOOTHIE = 'Smoothie';
 export const TINYG = 'TinyG';
 
@@ -12,6 +13,24 @@ export const WORKFLOW_STATE_RUNNING = 'running';
 export const WORKFLOW_STATE_PAUSED = 'paused';
 export const WORKFLOW_STATE_IDLE = 'idle';
 
+// Job Queue State
+export const JOB_QUEUE_STATE_IDLE = 'idle';
+export const JOB_QUEUE_STATE_RUNNING = 'running';
+export const JOB_QUEUE_STATE_WAITING = 'waiting';
+
+// Tool Change Policy
+export const TOOL_CHANGE_POLICY_IGNORE = 'ignore';
+export const TOOL_CHANGE_POLICY_PAUSE = 'pause';
+export const TOOL_CHANGE_POLICY_PROBE = 'probe';
+export const TOOL_CHANGE_POLICY_MACRO = 'macro';
+
+// Tool Change State
+export const TOOL_CHANGE_STATE_PENDING = 'pending';
+export const TOOL_CHANGE_STATE_PROBING_REFERENCE = 'probing-reference';
+export const TOOL_CHANGE_STATE_WAITING = 'waiting';
+export const TOOL_CHANGE_STATE_PROBING = 'probing';
+export const TOOL_CHANGE_STATE_RESUMING = 'resuming';
+
 // Grbl Active State
 export const GRBL_ACTIVE_STATE_IDLE = 'Idle';
 export const GRBL_ACTIVE_STATE_RUN = 'Run';
@@ -22,6 +41,12 @@ export const GRBL_ACTIVE_STATE_SLEEP = 'Sleep';
 export const GRBL_ACTIVE_STATE_ALARM = 'Alarm';
 export const GRBL_ACTIVE_STATE_CHECK = 'Check';
 
+// Marlin Active State
+export const MARLIN_ACTIVE_STATE_IDLE = 'Idle';
+export const MARLIN_ACTIVE_STATE_RUN = 'Run';
+export const MARLIN_ACTIVE_STATE_HOLD = 'Hold';
+export const MARLIN_ACTIVE_STATE_ALARM = 'Alarm';
+
 // Smoothie Active State
 export const SMOOTHIE_ACTIVE_STATE_IDLE = 'Idle';
 export const SMOOTHIE_ACTIVE_STATE_RUN = 'Run';
@@ -47,3 +72,8 @@ export const TINYG_MACHINE_STATE_JOG = 10; // Machine is in a jogging cycle
 export const TINYG_MACHINE_STATE_INTERLOCK = 11; // Machine is in safety interlock hold
 export const TINYG_MACHINE_STATE_SHUTDOWN = 12; // Machine is in shutdown state. Will not process commands
 export const TINYG_MACHINE_STATE_PANIC = 13; // Machine is in panic state. Needs to be physically reset
+
+// User Roles
+export const ROLE_ADMIN = 'admin';
+export const ROLE_OPERATOR = 'operator';
+export const ROLE_VIEWER = 'viewer';
@@ -4,6 +4,7 @@ import { Redirect, withRouter } from 'react-router-dom';
 import Header from './Header';
 import Sidebar from './Sidebar';
 import Workspace from './Workspace';
+import Dashboard from './Dashboard';
 import Settings from './Settings';
 import styles from './App.styl';
 
@@ -19,12 +20,14 @@ class App extends Component {
         const { location } = this.props;
         const accepted = ([
             '/workspace',
+            '/dashboard',
             '/settings',
             '/settings/general',
             '/settings/workspace',
             '/settings/account',
             '/settings/commands',
             '/settings/events',
+            '/settings/job-history',
             '/settings/about'
         ].indexOf(location.pathname) >= 0);
 
@@ -54,6 +57,9 @@ class App extends Component {
                                 display: (location.pathname !== '/workspace') ? 'none' : 'block'
                             }}
                         />
+                        {location.pathname === '/dashboard' &&
+                            <Dashboard {...this.props} />
+                        }
                         {location.pathname.indexOf('/settings') === 0 &&
                             <Settings {...this.props} />
                         }
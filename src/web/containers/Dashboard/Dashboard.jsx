@@ -0,0 +1,246 @@
+import classNames from 'classnames';
+import _ from 'lodash';
+import moment from 'moment';
+import pubsub from 'pubsub-js';
+import React, { Component } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import { withRouter } from 'react-router-dom';
+import api from '../../api';
+import Breadcrumbs from '../../components/Breadcrumbs';
+import Progress from '../../components/Progress';
+import controller from '../../lib/controller';
+import i18n from '../../lib/i18n';
+import log from '../../lib/log';
+import {
+    TINYG,
+    TINYG_MACHINE_STATE_INITIALIZING,
+    TINYG_MACHINE_STATE_READY,
+    TINYG_MACHINE_STATE_ALARM,
+    TINYG_MACHINE_STATE_STOP,
+    TINYG_MACHINE_STATE_END,
+    TINYG_MACHINE_STATE_RUN,
+    TINYG_MACHINE_STATE_HOLD,
+    TINYG_MACHINE_STATE_PROBE,
+    TINYG_MACHINE_STATE_CYCLE,
+    TINYG_MACHINE_STATE_HOMING,
+    TINYG_MACHINE_STATE_JOG,
+    TINYG_MACHINE_STATE_INTERLOCK,
+    TINYG_MACHINE_STATE_SHUTDOWN,
+    TINYG_MACHINE_STATE_PANIC,
+    WORKFLOW_STATE_RUNNING,
+    WORKFLOW_STATE_PAUSED,
+    WORKFLOW_STATE_IDLE
+} from '../../constants';
+import styles from './index.styl';
+
+// The interval in milliseconds to poll the status of open controllers
+const POLLING_INTERVAL = 1000;
+
+const formatTime = (time) => {
+    if (!time) {
+        return '––:––:––';
+    }
+    const d = moment.duration(time, 'ms');
+    return moment(d._data).format('HH:mm:ss');
+};
+
+const formatPosition = (position) => {
+    return ['x', 'y', 'z'].map(axis => {
+        const value = Number(_.get(position, axis));
+        return axis.toUpperCase() + ' ' + (_.isFinite(value) ? value.toFixed(3) : '–');
+    }).join('  ');
+};
+
+const getActiveStateText = (type, activeState) => {
+    if (type === TINYG) {
+        return {
+            [TINYG_MACHINE_STATE_INITIALIZING]: i18n.t('controller:TinyG.machineState.initializing'),
+            [TINYG_MACHINE_STATE_READY]: i18n.t('controller:TinyG.machineState.ready'),
+            [TINYG_MACHINE_STATE_ALARM]: i18n.t('controller:TinyG.machineState.alarm'),
+            [TINYG_MACHINE_STATE_STOP]: i18n.t('controller:TinyG.machineState.stop'),
+            [TINYG_MACHINE_STATE_END]: i18n.t('controller:TinyG.machineState.end'),
+            [TINYG_MACHINE_STATE_RUN]: i18n.t('controller:TinyG.machineState.run'),
+            [TINYG_MACHINE_STATE_HOLD]: i18n.t('controller:TinyG.machineState.hold'),
+            [TINYG_MACHINE_STATE_PROBE]: i18n.t('controller:TinyG.machineState.probe'),
+            [TINYG_MACHINE_STATE_CYCLE]: i18n.t('controller:TinyG.machineState.cycle'),
+            [TINYG_MACHINE_STATE_HOMING]: i18n.t('controller:TinyG.machineState.homing'),
+            [TINYG_MACHINE_STATE_JOG]: i18n.t('controller:TinyG.machineState.jog'),
+            [TINYG_MACHINE_STATE_INTERLOCK]: i18n.t('controller:TinyG.machineState.interlock'),
+            [TINYG_MACHINE_STATE_SHUTDOWN]: i18n.t('controller:TinyG.machineState.shutdown'),
+            [TINYG_MACHINE_STATE_PANIC]: i18n.t('controller:TinyG.machineState.panic')
+        }[activeState] || '–';
+    }
+
+    return activeState || '–';
+};
+
+const getWorkflowStateText = (workflowState) => {
+    return {
+        [WORKFLOW_STATE_RUNNING]: i18n._('Running'),
+        [WORKFLOW_STATE_PAUSED]: i18n._('Paused'),
+        [WORKFLOW_STATE_IDLE]: i18n._('Idle')
+    }[workflowState] || '–';
+};
+
+class Dashboard extends Component {
+    static propTypes = {
+        ...withRouter.propTypes
+    };
+
+    state = {
+        port: controller.port,
+        controllers: []
+    };
+    pubsubTokens = [];
+    pollingTimer = null;
+
+    componentDidMount() {
+        this.subscribe();
+        this.fetchControllers();
+        this.pollingTimer = setInterval(() => {
+            this.fetchControllers();
+        }, POLLING_INTERVAL);
+    }
+    componentWillUnmount() {
+        this.unsubscribe();
+        if (this.pollingTimer) {
+            clearInterval(this.pollingTimer);
+            this.pollingTimer = null;
+        }
+    }
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    subscribe() {
+        const tokens = [
+            pubsub.subscribe('port', (msg, port) => {
+                port = port || '';
+                this.setState({ port: port });
+            })
+        ];
+        this.pubsubTokens = this.pubsubTokens.concat(tokens);
+    }
+    unsubscribe() {
+        this.pubsubTokens.forEach((token) => {
+            pubsub.unsubscribe(token);
+        });
+        this.pubsubTokens = [];
+    }
+    fetchControllers() {
+        api.listControllers()
+            .then((res) => {
+                const controllers = _.sortBy(res.body, 'port');
+                if (!_.isEqual(this.state.controllers, controllers)) {
+                    this.setState({ controllers: controllers });
+                }
+            })
+            .catch((res) => {
+                log.error('Failed to fetch the list of controllers');
+            });
+    }
+    // Switches the workspace focus to the specified port, or leaves the current port if not specified
+    focusPort(port) {
+        pubsub.publish('port:focus', port);
+        this.props.history.push('/workspace');
+    }
+    renderController(status) {
+        const { port, baudrate, activeState, machinePosition, workPosition, workflowState } = status;
+        const type = _.get(status, 'controller.type');
+        const connections = _.size(status.connections);
+        const { name, total = 0, received = 0, elapsedTime, remainingTime } = { ...status.sender };
+        const progress = (total > 0) ? Math.floor(received / total * 100) : 0;
+        const focused = (port === this.state.port);
+
+        return (
+            <div key={port} className="col-md-4 col-sm-6">
+                <div className={classNames('panel', focused ? 'panel-primary' : 'panel-default')}>
+                    <div className="panel-heading">
+                        <strong>{port}</strong>
+                        <span className="space" />
+                        <span>{type} ({baudrate})</span>
+                    </div>
+                    <div className="panel-body">
+                        <table className={styles.status}>
+                            <tbody>
+                                <tr>
+                                    <th>{i18n._('Active State')}</th>
+                                    <td>{getActiveStateText(type, activeState)}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('Workflow State')}</th>
+                                    <td>{getWorkflowStateText(workflowState)}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('Machine Position')}</th>
+                                    <td className={styles.position}>{formatPosition(machinePosition)}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('Work Position')}</th>
+                                    <td className={styles.position}>{formatPosition(workPosition)}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('G-code')}</th>
+                                    <td>{name || '–'}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('Elapsed Time')}</th>
+                                    <td>{formatTime(elapsedTime)}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('Remaining Time')}</th>
+                                    <td>{formatTime(remainingTime)}</td>
+                                </tr>
+                                <tr>
+                                    <th>{i18n._('Connections')}</th>
+                                    <td>{connections}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        <Progress now={progress} min={0} max={100} />
+                        {focused &&
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-default"
+                            onClick={() => this.focusPort('')}
+                        >
+                            <i className="fa fa-sign-out" />
+                            <span className="space" />
+                            {i18n._('Leave')}
+                        </button>
+                        }
+                        {!focused &&
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-primary"
+                            onClick={() => this.focusPort(port)}
+                        >
+                            <i className="fa fa-crosshairs" />
+                            <span className="space" />
+                            {i18n._('Focus')}
+                        </button>
+                        }
+                    </div>
+                </div>
+            </div>
+        );
+    }
+    render() {
+        const { controllers } = this.state;
+
+        return (
+            <div className={styles.dashboard}>
+                <Breadcrumbs>
+                    <Breadcrumbs.Item active>{i18n._('Dashboard')}</Breadcrumbs.Item>
+                </Breadcrumbs>
+                {controllers.length === 0 &&
+                <p className="text-muted">{i18n._('No open controllers')}</p>
+                }
+                <div className="row">
+                    {controllers.map(status => this.renderController(status))}
+                </div>
+            </div>
+        );
+    }
+}
+
+export default withRouter(Dashboard);
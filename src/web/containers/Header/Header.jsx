@@ -17,6 +17,10 @@ import i18n from '../../lib/i18n';
 import log from '../../lib/log';
 import user from '../../lib/user';
 import store from '../../store';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR
+} from '../../constants';
 import QuickAccessToolbar from './QuickAccessToolbar';
 import styles from './index.styl';
 
@@ -271,7 +275,8 @@ class Header extends Component {
         const sessionEnabled = store.get('session.enabled');
         const signedInName = store.get('session.name');
         const hideUserDropdown = !sessionEnabled;
-        const showCommands = commands.length > 0;
+        const showAccount = user.hasRole(ROLE_ADMIN);
+        const showCommands = commands.length > 0 && user.hasRole(ROLE_OPERATOR);
 
         return (
             <Navbar
@@ -347,6 +352,7 @@ class Header extends Component {
                                 {i18n._('Signed in as {{name}}', { name: signedInName })}
                             </MenuItem>
                             <MenuItem divider />
+                            {showAccount &&
                             <MenuItem
                                 href="#/settings/account"
                             >
@@ -354,6 +360,7 @@ class Header extends Component {
                                 <span className="space" />
                                 {i18n._('Account')}
                             </MenuItem>
+                            }
                             <MenuItem
                                 onClick={() => {
                                     if (user.authenticated()) {
@@ -464,7 +471,7 @@ class Header extends Component {
                             </MenuItem>
                         </NavDropdown>
                     </Nav>
-                    {location.pathname === '/workspace' &&
+                    {location.pathname === '/workspace' && user.hasRole(ROLE_OPERATOR) &&
                     <QuickAccessToolbar state={this.state} actions={this.actions} />
                     }
                 </Navbar.Collapse>
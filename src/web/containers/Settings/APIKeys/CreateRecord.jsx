@@ -0,0 +1,205 @@
+import _ from 'lodash';
+import classNames from 'classnames';
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Modal from '../../../components/Modal';
+import Notifications from '../../../components/Notifications';
+import ToggleSwitch from '../../../components/ToggleSwitch';
+import i18n from '../../../lib/i18n';
+import Validation from '../../../lib/react-validation';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
+} from '../../../constants';
+import styles from '../form.styl';
+
+class CreateRecord extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    fields = {
+        enabled: null,
+        label: null,
+        scope: null
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    get value() {
+        return {
+            enabled: !!_.get(this.fields.enabled, 'state.checked'),
+            label: _.get(this.fields.label, 'state.value'),
+            scope: _.get(this.fields.scope, 'state.value')
+        };
+    }
+    renderKey(key) {
+        const { actions } = this.props;
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                size="sm"
+            >
+                <Modal.Header>
+                    <Modal.Title>
+                        {i18n._('API Keys')}
+                        <span className="space" />
+                        &rsaquo;
+                        <span className="space" />
+                        {i18n._('New')}
+                    </Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <p>{i18n._('Copy the API key now. You will not be able to see it again.')}</p>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={key}
+                        onFocus={(event) => {
+                            event.target.select();
+                        }}
+                        readOnly
+                    />
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Done')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { modal } = state;
+        const { alertMessage, key } = modal.params;
+
+        if (key) {
+            return this.renderKey(key);
+        }
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                size="sm"
+            >
+                <Modal.Header>
+                    <Modal.Title>
+                        {i18n._('API Keys')}
+                        <span className="space" />
+                        &rsaquo;
+                        <span className="space" />
+                        {i18n._('New')}
+                    </Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {alertMessage &&
+                    <Notifications
+                        bsStyle="danger"
+                        onDismiss={() => {
+                            actions.updateModalParams({ alertMessage: '' });
+                        }}
+                    >
+                        {alertMessage}
+                    </Notifications>
+                    }
+                    <Validation.components.Form
+                        ref={node => {
+                            this.form = node;
+                        }}
+                        onSubmit={(event) => {
+                            event.preventDefault();
+                        }}
+                    >
+                        <div className={styles.formFields}>
+                            <div className={styles.formGroup}>
+                                <label>{i18n._('Enabled')}</label>
+                                <div>
+                                    <ToggleSwitch
+                                        ref={node => {
+                                            this.fields.enabled = node;
+                                        }}
+                                        size="sm"
+                                        checked={true}
+                                    />
+                                </div>
+                            </div>
+                            <div className={styles.formGroup}>
+                                <label>{i18n._('Label')}</label>
+                                <Validation.components.Input
+                                    ref={node => {
+                                        this.fields.label = node;
+                                    }}
+                                    type="text"
+                                    name="label"
+                                    value=""
+                                    className={classNames(
+                                        'form-control',
+                                        styles.formControl,
+                                        styles.short
+                                    )}
+                                    validations={['required']}
+                                />
+                            </div>
+                            <div className={styles.formGroup}>
+                                <label>{i18n._('Scope')}</label>
+                                <Validation.components.Select
+                                    ref={node => {
+                                        this.fields.scope = node;
+                                    }}
+                                    name="scope"
+                                    value={ROLE_VIEWER}
+                                    className={classNames(
+                                        'form-control',
+                                        styles.formControl,
+                                        styles.short
+                                    )}
+                                    validations={['required']}
+                                >
+                                    <option value={ROLE_VIEWER}>{i18n._('Read only')}</option>
+                                    <option value={ROLE_OPERATOR}>{i18n._('Operate the machine')}</option>
+                                    <option value={ROLE_ADMIN}>{i18n._('Full access')}</option>
+                                </Validation.components.Select>
+                            </div>
+                        </div>
+                    </Validation.components.Form>
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Cancel')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={() => {
+                            this.form.validateAll();
+
+                            if (Object.keys(this.form.state.errors).length > 0) {
+                                return;
+                            }
+
+                            const { enabled, label, scope } = this.value;
+                            actions.createRecord({ enabled, label, scope });
+                        }}
+                    >
+                        {i18n._('OK')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default CreateRecord;
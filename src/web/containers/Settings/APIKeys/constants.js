@@ -0,0 +1,6 @@
+import constants from 'namespace-constants';
+
+module.exports = constants('containers/settings/apikeys', [
+    'MODAL_CREATE_RECORD',
+    'MODAL_UPDATE_RECORD'
+]);
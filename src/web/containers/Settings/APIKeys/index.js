@@ -0,0 +1,3 @@
+import APIKeys from './APIKeys';
+
+export default APIKeys;
@@ -7,6 +7,11 @@ import Notifications from '../../../components/Notifications';
 import ToggleSwitch from '../../../components/ToggleSwitch';
 import i18n from '../../../lib/i18n';
 import Validation from '../../../lib/react-validation';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
+} from '../../../constants';
 import styles from '../form.styl';
 
 class CreateRecord extends Component {
@@ -18,7 +23,8 @@ class CreateRecord extends Component {
     fields = {
         enabled: null,
         name: null,
-        password: null
+        password: null,
+        role: null
     };
 
     shouldComponentUpdate(nextProps, nextState) {
@@ -28,7 +34,8 @@ class CreateRecord extends Component {
         return {
             enabled: !!_.get(this.fields.enabled, 'state.checked'),
             name: _.get(this.fields.name, 'state.value'),
-            password: _.get(this.fields.password, 'state.value')
+            password: _.get(this.fields.password, 'state.value'),
+            role: _.get(this.fields.role, 'state.value')
         };
     }
     render() {
@@ -99,6 +106,26 @@ class CreateRecord extends Component {
                                     validations={['required']}
                                 />
                             </div>
+                            <div className={styles.formGroup}>
+                                <label>{i18n._('Role')}</label>
+                                <Validation.components.Select
+                                    ref={node => {
+                                        this.fields.role = node;
+                                    }}
+                                    name="role"
+                                    value={ROLE_ADMIN}
+                                    className={classNames(
+                                        'form-control',
+                                        styles.formControl,
+                                        styles.short
+                                    )}
+                                    validations={['required']}
+                                >
+                                    <option value={ROLE_ADMIN}>{i18n._('Administrator')}</option>
+                                    <option value={ROLE_OPERATOR}>{i18n._('Operator')}</option>
+                                    <option value={ROLE_VIEWER}>{i18n._('Viewer')}</option>
+                                </Validation.components.Select>
+                            </div>
                             <div className={styles.formGroup}>
                                 <label>{i18n._('Password')}</label>
                                 <Validation.components.Input
@@ -151,9 +178,9 @@ class CreateRecord extends Component {
                                 return;
                             }
 
-                            const { enabled, name, password } = this.value;
+                            const { enabled, name, password, role } = this.value;
 
-                            actions.createRecord({ enabled, name, password });
+                            actions.createRecord({ enabled, name, password, role });
                         }}
                     >
                         {i18n._('OK')}
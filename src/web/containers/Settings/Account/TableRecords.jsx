@@ -8,6 +8,11 @@ import ToggleSwitch from '../../../components/ToggleSwitch';
 import { TablePagination } from '../../../components/Paginations';
 import confirm from '../../../lib/confirm';
 import i18n from '../../../lib/i18n';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
+} from '../../../constants';
 import {
     MODAL_CREATE_RECORD,
     MODAL_UPDATE_RECORD
@@ -121,6 +126,21 @@ class TableRecords extends Component {
                             );
                         }
                     },
+                    {
+                        title: i18n._('Role'),
+                        className: 'text-nowrap',
+                        key: 'role',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { role } = row;
+
+                            return {
+                                [ROLE_ADMIN]: i18n._('Administrator'),
+                                [ROLE_OPERATOR]: i18n._('Operator'),
+                                [ROLE_VIEWER]: i18n._('Viewer')
+                            }[role] || '–';
+                        }
+                    },
                     {
                         title: i18n._('Date Modified'),
                         className: 'text-nowrap',
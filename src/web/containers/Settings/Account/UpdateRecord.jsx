@@ -7,6 +7,11 @@ import Notifications from '../../../components/Notifications';
 import ToggleSwitch from '../../../components/ToggleSwitch';
 import i18n from '../../../lib/i18n';
 import Validation from '../../../lib/react-validation';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
+} from '../../../constants';
 import styles from '../form.styl';
 
 class UpdateRecord extends Component {
@@ -18,6 +23,7 @@ class UpdateRecord extends Component {
     fields = {
         enabled: null,
         name: null,
+        role: null,
         oldPassword: null,
         newPassword: null
     };
@@ -29,6 +35,7 @@ class UpdateRecord extends Component {
         return {
             enabled: !!_.get(this.fields.enabled, 'state.checked'),
             name: _.get(this.fields.name, 'state.value'),
+            role: _.get(this.fields.role, 'state.value'),
             oldPassword: _.get(this.fields.oldPassword, 'state.value'),
             newPassword: _.get(this.fields.newPassword, 'state.value')
         };
@@ -36,7 +43,7 @@ class UpdateRecord extends Component {
     render() {
         const { state, actions } = this.props;
         const { modal } = state;
-        const { alertMessage, changePassword = false, enabled, name, password } = modal.params;
+        const { alertMessage, changePassword = false, enabled, name, role = ROLE_ADMIN, password } = modal.params;
 
         return (
             <Modal
@@ -101,6 +108,26 @@ class UpdateRecord extends Component {
                                     validations={['required']}
                                 />
                             </div>
+                            <div className={styles.formGroup}>
+                                <label>{i18n._('Role')}</label>
+                                <Validation.components.Select
+                                    ref={node => {
+                                        this.fields.role = node;
+                                    }}
+                                    name="role"
+                                    value={role}
+                                    className={classNames(
+                                        'form-control',
+                                        styles.formControl,
+                                        styles.short
+                                    )}
+                                    validations={['required']}
+                                >
+                                    <option value={ROLE_ADMIN}>{i18n._('Administrator')}</option>
+                                    <option value={ROLE_OPERATOR}>{i18n._('Operator')}</option>
+                                    <option value={ROLE_VIEWER}>{i18n._('Viewer')}</option>
+                                </Validation.components.Select>
+                            </div>
                             <div className={styles.formGroup}>
                                 <label>{changePassword ? i18n._('Old Password') : i18n._('Password')}</label>
                                 <div className="clearfix">
@@ -190,10 +217,10 @@ class UpdateRecord extends Component {
                             }
 
                             const { id } = modal.params;
-                            const { enabled, name, oldPassword, newPassword } = this.value;
+                            const { enabled, name, role, oldPassword, newPassword } = this.value;
                             const forceReload = true;
 
-                            actions.updateRecord(id, { enabled, name, oldPassword, newPassword }, forceReload);
+                            actions.updateRecord(id, { enabled, name, role, oldPassword, newPassword }, forceReload);
                         }}
                     >
                         {i18n._('OK')}
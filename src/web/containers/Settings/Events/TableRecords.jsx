@@ -111,18 +111,27 @@ class TableRecords extends Component {
                         width: '1%',
                         render: (value, row, index) => {
                             const eventText = {
+                                'startup': i18n._('Startup'),
+                                'port:open': i18n._('Port: Open'),
+                                'port:close': i18n._('Port: Close'),
                                 'gcode:load': i18n._('G-code: Load'),
                                 'gcode:unload': i18n._('G-code: Unload'),
                                 'gcode:start': i18n._('G-code: Start'),
                                 'gcode:stop': i18n._('G-code: Stop'),
                                 'gcode:pause': i18n._('G-code: Pause'),
                                 'gcode:resume': i18n._('G-code: Resume'),
+                                'gcode:end': i18n._('G-code: End'),
                                 'feedhold': i18n._('Feed Hold'),
                                 'cyclestart': i18n._('Cycle Start'),
                                 'homing': i18n._('Homing'),
                                 'sleep': i18n._('Sleep'),
                                 'macro:run': i18n._('Run Macro'),
-                                'macro:load': i18n._('Load Macro')
+                                'macro:load': i18n._('Load Macro'),
+                                'alarm': i18n._('Alarm'),
+                                'error': i18n._('Error'),
+                                'probe:done': i18n._('Probe Done'),
+                                'toolchange': i18n._('Tool Change'),
+                                'controller:idle': i18n._('Controller Idle')
                             }[row.event] || '';
 
                             return eventText;
@@ -144,6 +153,14 @@ class TableRecords extends Component {
                                 return <span>{i18n._('G-code')}</span>;
                             }
 
+                            if (trigger === 'webhook') {
+                                return <span>{i18n._('Webhook')}</span>;
+                            }
+
+                            if (trigger === 'mqtt') {
+                                return <span>{i18n._('MQTT')}</span>;
+                            }
+
                             return '–';
                         }
                     },
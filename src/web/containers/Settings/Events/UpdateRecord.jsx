@@ -107,18 +107,27 @@ class UpdateRecord extends Component {
                                     validations={['required']}
                                 >
                                     <option value="">{i18n._('Choose an event')}</option>
+                                    <option value="startup">{i18n._('Startup')}</option>
+                                    <option value="port:open">{i18n._('Port: Open')}</option>
+                                    <option value="port:close">{i18n._('Port: Close')}</option>
                                     <option value="gcode:load">{i18n._('G-code: Load')}</option>
                                     <option value="gcode:unload">{i18n._('G-code: Unload')}</option>
                                     <option value="gcode:start">{i18n._('G-code: Start')}</option>
                                     <option value="gcode:stop">{i18n._('G-code: Stop')}</option>
                                     <option value="gcode:pause">{i18n._('G-code: Pause')}</option>
                                     <option value="gcode:resume">{i18n._('G-code: Resume')}</option>
+                                    <option value="gcode:end">{i18n._('G-code: End')}</option>
                                     <option value="feedhold">{i18n._('Feed Hold')}</option>
                                     <option value="cyclestart">{i18n._('Cycle Start')}</option>
                                     <option value="homing">{i18n._('Homing')}</option>
                                     <option value="sleep">{i18n._('Sleep')}</option>
                                     <option value="macro:run">{i18n._('Run Macro')}</option>
                                     <option value="macro:load">{i18n._('Load Macro')}</option>
+                                    <option value="alarm">{i18n._('Alarm')}</option>
+                                    <option value="error">{i18n._('Error')}</option>
+                                    <option value="probe:done">{i18n._('Probe Done')}</option>
+                                    <option value="toolchange">{i18n._('Tool Change')}</option>
+                                    <option value="controller:idle">{i18n._('Controller Idle')}</option>
                                 </Validation.components.Select>
                             </div>
                             <div className={styles.formGroup}>
@@ -149,6 +158,18 @@ class UpdateRecord extends Component {
                                                 'G1 Z1 F500  ; Move to clearance level'
                                             ].join('\n');
                                             actions.updateModalParams({ sampleCommands: sampleCommands });
+                                        } else if (value === 'webhook') {
+                                            const sampleCommands = [
+                                                'https://example.com/webhook',
+                                                '{"text": "{{event}}: {{name}} on {{port}} ({{progress}}%)"}'
+                                            ].join('\n');
+                                            actions.updateModalParams({ sampleCommands: sampleCommands });
+                                        } else if (value === 'mqtt') {
+                                            const sampleCommands = [
+                                                'mqtt://localhost:1883/cncjs/events',
+                                                '{"event": "{{event}}", "port": "{{port}}", "elapsedTime": {{elapsedTime}}}'
+                                            ].join('\n');
+                                            actions.updateModalParams({ sampleCommands: sampleCommands });
                                         }
                                     }}
                                     validations={['required']}
@@ -156,6 +177,8 @@ class UpdateRecord extends Component {
                                     <option value="">{i18n._('Choose an trigger')}</option>
                                     <option value="system">{i18n._('System')}</option>
                                     <option value="gcode">{i18n._('G-code')}</option>
+                                    <option value="webhook">{i18n._('Webhook')}</option>
+                                    <option value="mqtt">{i18n._('MQTT')}</option>
                                 </Validation.components.Select>
                             </div>
                             <div className={styles.formGroup}>
@@ -0,0 +1,42 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Notifications from '../../../components/Notifications';
+import TableRecords from './TableRecords';
+
+class JobHistory extends Component {
+    static propTypes = {
+        initialState: PropTypes.object,
+        state: PropTypes.object,
+        stateChanged: PropTypes.bool,
+        actions: PropTypes.object
+    };
+
+    componentDidMount() {
+        const { actions } = this.props;
+        actions.fetchRecords();
+    }
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state, actions } = this.props;
+
+        return (
+            <div style={{ margin: -15 }}>
+                {state.alertMessage &&
+                <Notifications
+                    bsStyle="danger"
+                    onDismiss={() => {
+                        actions.clearAlertMessage();
+                    }}
+                >
+                    {state.alertMessage}
+                </Notifications>
+                }
+                <TableRecords state={state} actions={actions} />
+            </div>
+        );
+    }
+}
+
+export default JobHistory;
@@ -0,0 +1,255 @@
+/* eslint react/jsx-no-bind: 0 */
+import take from 'lodash/take';
+import moment from 'moment';
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Table, { Toolbar } from '../../../components/Table';
+import { TablePagination } from '../../../components/Paginations';
+import confirm from '../../../lib/confirm';
+import i18n from '../../../lib/i18n';
+
+const formatElapsedTime = (elapsedTime) => {
+    const d = moment.duration(elapsedTime, 'ms');
+    return moment(d._data).format('HH:mm:ss');
+};
+
+class TableRecords extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state, actions } = this.props;
+
+        return (
+            <Table
+                style={{
+                    borderBottom: state.records.length > 0 ? '1px solid #ddd' : 'none'
+                }}
+                border={false}
+                data={(state.api.err || state.api.fetching) ? [] : state.records}
+                rowKey={(record) => {
+                    return record.id;
+                }}
+                emptyText={() => {
+                    if (state.api.err) {
+                        return (
+                            <span className="text-danger">
+                                {i18n._('An unexpected error has occurred.')}
+                            </span>
+                        );
+                    }
+
+                    if (state.api.fetching) {
+                        return (
+                            <span>
+                                <i className="fa fa-fw fa-spin fa-circle-o-notch" />
+                                <span className="space" />
+                                {i18n._('Loading...')}
+                            </span>
+                        );
+                    }
+
+                    return i18n._('No data to display');
+                }}
+                title={() =>
+                    <Toolbar>
+                        <div className="form-inline">
+                            <input
+                                type="text"
+                                className="form-control input-sm"
+                                placeholder={i18n._('File Name')}
+                                value={state.filter.name}
+                                onChange={(event) => {
+                                    actions.updateFilter({ name: event.target.value });
+                                }}
+                            />
+                            <span className="space" />
+                            <select
+                                className="form-control input-sm"
+                                value={state.filter.outcome}
+                                onChange={(event) => {
+                                    actions.updateFilter({ outcome: event.target.value });
+                                }}
+                            >
+                                <option value="">{i18n._('All Outcomes')}</option>
+                                <option value="finished">{i18n._('Finished')}</option>
+                                <option value="stopped">{i18n._('Stopped')}</option>
+                                <option value="alarm">{i18n._('Alarm')}</option>
+                            </select>
+                        </div>
+                        <div style={{ position: 'absolute', right: 0, top: 0 }}>
+                            <TablePagination
+                                page={state.pagination.page}
+                                pageLength={state.pagination.pageLength}
+                                totalRecords={state.pagination.totalRecords}
+                                onPageChange={({ page, pageLength }) => {
+                                    actions.fetchRecords({ page, pageLength });
+                                }}
+                                prevPageRenderer={() => <i className="fa fa-angle-left" />}
+                                nextPageRenderer={() => <i className="fa fa-angle-right" />}
+                            />
+                        </div>
+                    </Toolbar>
+                }
+                columns={[
+                    {
+                        title: i18n._('File Name'),
+                        key: 'name',
+                        render: (value, row, index) => {
+                            const { name, hash } = row;
+                            return (
+                                <span title={hash}>{name}</span>
+                            );
+                        }
+                    },
+                    {
+                        title: i18n._('Port'),
+                        className: 'text-nowrap',
+                        key: 'port',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { controllerType, port } = row;
+                            return `${port} (${controllerType})`;
+                        }
+                    },
+                    {
+                        title: i18n._('Outcome'),
+                        className: 'text-nowrap',
+                        key: 'outcome',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { outcome } = row;
+
+                            if (outcome === 'finished') {
+                                return <span className="text-success">{i18n._('Finished')}</span>;
+                            }
+                            if (outcome === 'stopped') {
+                                return <span className="text-warning">{i18n._('Stopped')}</span>;
+                            }
+                            if (outcome === 'alarm') {
+                                return <span className="text-danger">{i18n._('Alarm')}</span>;
+                            }
+
+                            return '–';
+                        }
+                    },
+                    {
+                        title: i18n._('Lines'),
+                        className: 'text-nowrap',
+                        key: 'lines',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { startLine = 1, sent = 0, total = 0 } = row;
+                            if (startLine > 1) {
+                                return `${sent} / ${total} (${i18n._('from line {{line}}', { line: startLine })})`;
+                            }
+                            return `${sent} / ${total}`;
+                        }
+                    },
+                    {
+                        title: i18n._('Errors'),
+                        className: 'text-nowrap',
+                        key: 'errors',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { errors = [] } = row;
+                            if (errors.length === 0) {
+                                return 0;
+                            }
+
+                            const limit = 10;
+                            const lines = take(errors, limit).map(({ line, message }) => `${line}: ${message}`);
+                            if (errors.length > limit) {
+                                lines.push(i18n._('and more...'));
+                            }
+
+                            return (
+                                <span className="text-danger" title={lines.join('\n')}>
+                                    {errors.length}
+                                </span>
+                            );
+                        }
+                    },
+                    {
+                        title: i18n._('Start Time'),
+                        className: 'text-nowrap',
+                        key: 'start-time',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { startTime } = row;
+                            if (startTime) {
+                                return moment(startTime).format('lll');
+                            }
+
+                            return '–';
+                        }
+                    },
+                    {
+                        title: i18n._('Elapsed Time'),
+                        className: 'text-nowrap',
+                        key: 'elapsed-time',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { elapsedTime } = row;
+                            return formatElapsedTime(elapsedTime);
+                        }
+                    },
+                    {
+                        title: i18n._('Action'),
+                        className: 'text-nowrap',
+                        key: 'action',
+                        width: '1%',
+                        render: (value, row, index) => {
+                            const { id } = row;
+
+                            return (
+                                <div>
+                                    <button
+                                        type="button"
+                                        className="btn btn-xs btn-default"
+                                        title={i18n._('Reload File')}
+                                        onClick={(event) => {
+                                            actions.reloadFile(id);
+                                        }}
+                                    >
+                                        <i className="fa fa-fw fa-upload" />
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn btn-xs btn-default"
+                                        title={i18n._('Delete')}
+                                        onClick={(event) => {
+                                            confirm({
+                                                title: (
+                                                    <div>
+                                                        {i18n._('Job History')}
+                                                        <span className="space" />
+                                                        &rsaquo;
+                                                        <span className="space" />
+                                                        {i18n._('Delete')}
+                                                    </div>
+                                                ),
+                                                body: i18n._('Are you sure you want to delete this item?')
+                                            }).then(() => {
+                                                actions.deleteRecord(id);
+                                            });
+                                        }}
+                                    >
+                                        <i className="fa fa-fw fa-trash" />
+                                    </button>
+                                </div>
+                            );
+                        }
+                    }
+                ]}
+            />
+        );
+    }
+}
+
+export default TableRecords;
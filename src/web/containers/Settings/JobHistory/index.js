@@ -0,0 +1,3 @@
+import JobHistory from './JobHistory';
+
+export default JobHistory;
@@ -3,24 +3,31 @@ import i18next from 'i18next';
 import _ from 'lodash';
 import camelCase from 'lodash/camelCase';
 import Uri from 'jsuri';
+import pubsub from 'pubsub-js';
 import React, { Component } from 'react';
 import shallowCompare from 'react-addons-shallow-compare';
 import { Link, withRouter } from 'react-router-dom';
 import api from '../../api';
 import settings from '../../config/settings';
 import Breadcrumbs from '../../components/Breadcrumbs';
+import controller from '../../lib/controller';
 import confirm from '../../lib/confirm';
 import i18n from '../../lib/i18n';
+import log from '../../lib/log';
 import store from '../../store';
 import General from './General';
 import Workspace from './Workspace';
 import Account from './Account';
+import APIKeys from './APIKeys';
 import Commands from './Commands';
 import Events from './Events';
+import JobHistory from './JobHistory';
 import About from './About';
 import styles from './index.styl';
 import {
+    ERR_FORBIDDEN,
     ERR_CONFLICT,
+    ERR_NOT_FOUND,
     ERR_PRECONDITION_FAILED
 } from '../../api/constants';
 
@@ -52,6 +59,12 @@ class Settings extends Component {
             title: i18n._('My Account'),
             component: (props) => <Account {...props} />
         },
+        {
+            id: 'apiKeys',
+            path: 'api-keys',
+            title: i18n._('API Keys'),
+            component: (props) => <APIKeys {...props} />
+        },
         {
             id: 'commands',
             path: 'commands',
@@ -64,6 +77,12 @@ class Settings extends Component {
             title: i18n._('Events'),
             component: (props) => <Events {...props} />
         },
+        {
+            id: 'jobHistory',
+            path: 'job-history',
+            title: i18n._('Job History'),
+            component: (props) => <JobHistory {...props} />
+        },
         {
             id: 'about',
             path: 'about',
@@ -281,6 +300,7 @@ class Settings extends Component {
                     .catch((res) => {
                         const fallbackMsg = i18n._('An unexpected error has occurred.');
                         const msg = {
+                            [ERR_FORBIDDEN]: i18n._('At least one enabled account must be an administrator.'),
                             [ERR_CONFLICT]: i18n._('The account name is already being used. Choose another name.')
                         }[res.status] || fallbackMsg;
 
@@ -319,6 +339,7 @@ class Settings extends Component {
                     .catch((res) => {
                         const fallbackMsg = i18n._('An unexpected error has occurred.');
                         const msg = {
+                            [ERR_FORBIDDEN]: i18n._('At least one enabled account must be an administrator.'),
                             [ERR_CONFLICT]: i18n._('The account name is already being used. Choose another name.'),
                             [ERR_PRECONDITION_FAILED]: i18n._('Passwords do not match.')
                         }[res.status] || fallbackMsg;
@@ -532,6 +553,165 @@ class Settings extends Component {
                 });
             }
         },
+        // API Keys
+        apiKeys: {
+            fetchRecords: (options) => {
+                const state = this.state.apiKeys;
+                const {
+                    page = state.pagination.page,
+                    pageLength = state.pagination.pageLength
+                } = { ...options };
+
+                this.setState({
+                    apiKeys: {
+                        ...this.state.apiKeys,
+                        api: {
+                            ...this.state.apiKeys.api,
+                            err: false,
+                            fetching: true
+                        }
+                    }
+                });
+
+                api.apikeys.fetch({ page, pageLength })
+                    .then((res) => {
+                        const { pagination, records } = res.body;
+
+                        this.setState({
+                            apiKeys: {
+                                ...this.state.apiKeys,
+                                api: {
+                                    ...this.state.apiKeys.api,
+                                    err: false,
+                                    fetching: false
+                                },
+                                pagination: {
+                                    page: pagination.page,
+                                    pageLength: pagination.pageLength,
+                                    totalRecords: pagination.totalRecords
+                                },
+                                records: records
+                            }
+                        });
+                    })
+                    .catch((res) => {
+                        this.setState({
+                            apiKeys: {
+                                ...this.state.apiKeys,
+                                api: {
+                                    ...this.state.apiKeys.api,
+                                    err: true,
+                                    fetching: false
+                                },
+                                records: []
+                            }
+                        });
+                    });
+            },
+            createRecord: (options) => {
+                const actions = this.actions.apiKeys;
+
+                api.apikeys.create(options)
+                    .then((res) => {
+                        // Show the API key that will not be available again
+                        actions.updateModalParams({ key: res.body.key });
+                        actions.fetchRecords();
+                    })
+                    .catch((res) => {
+                        const fallbackMsg = i18n._('An unexpected error has occurred.');
+                        const msg = {
+                            // TODO
+                        }[res.status] || fallbackMsg;
+
+                        actions.updateModalParams({ alertMessage: msg });
+                    });
+            },
+            updateRecord: (id, options, forceReload = false) => {
+                const actions = this.actions.apiKeys;
+
+                api.apikeys.update(id, options)
+                    .then((res) => {
+                        actions.closeModal();
+
+                        if (forceReload) {
+                            actions.fetchRecords();
+                            return;
+                        }
+
+                        const records = this.state.apiKeys.records;
+                        const index = _.findIndex(records, { id: id });
+
+                        if (index >= 0) {
+                            records[index] = {
+                                ...records[index],
+                                ...options
+                            };
+
+                            this.setState({
+                                apiKeys: {
+                                    ...this.state.apiKeys,
+                                    records: records
+                                }
+                            });
+                        }
+                    })
+                    .catch((res) => {
+                        const fallbackMsg = i18n._('An unexpected error has occurred.');
+                        const msg = {
+                            // TODO
+                        }[res.status] || fallbackMsg;
+
+                        actions.updateModalParams({ alertMessage: msg });
+                    });
+            },
+            deleteRecord: (id) => {
+                const actions = this.actions.apiKeys;
+
+                api.apikeys.delete(id)
+                    .then((res) => {
+                        actions.fetchRecords();
+                    })
+                    .catch((res) => {
+                        // Ignore error
+                    });
+            },
+            openModal: (name = '', params = {}) => {
+                this.setState({
+                    apiKeys: {
+                        ...this.state.apiKeys,
+                        modal: {
+                            name: name,
+                            params: params
+                        }
+                    }
+                });
+            },
+            closeModal: () => {
+                this.setState({
+                    apiKeys: {
+                        ...this.state.apiKeys,
+                        modal: {
+                            name: '',
+                            params: {}
+                        }
+                    }
+                });
+            },
+            updateModalParams: (params = {}) => {
+                this.setState({
+                    apiKeys: {
+                        ...this.state.apiKeys,
+                        modal: {
+                            ...this.state.apiKeys.modal,
+                            params: {
+                                ...this.state.apiKeys.modal.params,
+                                ...params
+                            }
+                        }
+                    }
+                });
+            }
+        },
         // Events
         events: {
             fetchRecords: (options) => {
@@ -690,6 +870,133 @@ class Settings extends Component {
                 });
             }
         },
+        // Job History
+        jobHistory: {
+            fetchRecords: (options) => {
+                const state = this.state.jobHistory;
+                const {
+                    page = state.pagination.page,
+                    pageLength = state.pagination.pageLength
+                } = { ...options };
+                const { name, outcome } = state.filter;
+
+                this.setState({
+                    jobHistory: {
+                        ...this.state.jobHistory,
+                        api: {
+                            ...this.state.jobHistory.api,
+                            err: false,
+                            fetching: true
+                        }
+                    }
+                });
+
+                api.jobs.fetch({ page, pageLength, name, outcome })
+                    .then((res) => {
+                        const { pagination, records } = res.body;
+
+                        this.setState({
+                            jobHistory: {
+                                ...this.state.jobHistory,
+                                api: {
+                                    ...this.state.jobHistory.api,
+                                    err: false,
+                                    fetching: false
+                                },
+                                pagination: {
+                                    page: pagination.page,
+                                    pageLength: pagination.pageLength,
+                                    totalRecords: pagination.totalRecords
+                                },
+                                records: records
+                            }
+                        });
+                    })
+                    .catch((res) => {
+                        this.setState({
+                            jobHistory: {
+                                ...this.state.jobHistory,
+                                api: {
+                                    ...this.state.jobHistory.api,
+                                    err: true,
+                                    fetching: false
+                                },
+                                records: []
+                            }
+                        });
+                    });
+            },
+            updateFilter: (filter) => {
+                const actions = this.actions.jobHistory;
+
+                this.setState({
+                    jobHistory: {
+                        ...this.state.jobHistory,
+                        filter: {
+                            ...this.state.jobHistory.filter,
+                            ...filter
+                        }
+                    }
+                }, () => {
+                    actions.fetchRecords({ page: 1 });
+                });
+            },
+            deleteRecord: (id) => {
+                const actions = this.actions.jobHistory;
+
+                api.jobs.delete(id)
+                    .then((res) => {
+                        actions.fetchRecords();
+                    })
+                    .catch((res) => {
+                        // Ignore error
+                    });
+            },
+            // Loads the G-code program of a past job into the workspace
+            reloadFile: (id) => {
+                const port = controller.port;
+
+                if (!port) {
+                    this.setState({
+                        jobHistory: {
+                            ...this.state.jobHistory,
+                            alertMessage: i18n._('No serial port is open. Open a serial port before reloading the file.')
+                        }
+                    });
+                    return;
+                }
+
+                api.jobs.readGCode(id)
+                    .then((res) => {
+                        const { name, gcode } = res.body;
+                        return api.loadGCode({ port, name, gcode })
+                            .then((res) => {
+                                pubsub.publish('gcode:load', { name, gcode: _.get(res, 'body.gcode', gcode) });
+                                this.props.history.push('/workspace');
+                            });
+                    })
+                    .catch((res) => {
+                        log.error(`Failed to reload the file: id=${id}`);
+
+                        this.setState({
+                            jobHistory: {
+                                ...this.state.jobHistory,
+                                alertMessage: (res && res.status === ERR_NOT_FOUND)
+                                    ? i18n._('The file is no longer available.')
+                                    : i18n._('An unexpected error has occurred.')
+                            }
+                        });
+                    });
+            },
+            clearAlertMessage: () => {
+                this.setState({
+                    jobHistory: {
+                        ...this.state.jobHistory,
+                        alertMessage: ''
+                    }
+                });
+            }
+        },
         // About
         about: {
             checkLatestVersion: () => {
@@ -799,6 +1106,27 @@ class Settings extends Component {
                     }
                 }
             },
+            // API Keys
+            apiKeys: {
+                // followed by api state
+                api: {
+                    err: false,
+                    fetching: false
+                },
+                // followed by data
+                pagination: {
+                    page: 1,
+                    pageLength: 10,
+                    totalRecords: 0
+                },
+                records: [],
+                // Modal
+                modal: {
+                    name: '',
+                    params: {
+                    }
+                }
+            },
             // Events
             events: {
                 // followed by api state
@@ -820,6 +1148,26 @@ class Settings extends Component {
                     }
                 }
             },
+            // Job History
+            jobHistory: {
+                // followed by api state
+                api: {
+                    err: false,
+                    fetching: false
+                },
+                // followed by data
+                pagination: {
+                    page: 1,
+                    pageLength: 10,
+                    totalRecords: 0
+                },
+                records: [],
+                filter: {
+                    name: '',
+                    outcome: ''
+                },
+                alertMessage: ''
+            },
             // About
             about: {
                 version: {
@@ -35,6 +35,22 @@ class Sidebar extends Component {
                             />
                         </Link>
                     </li>
+                    <li
+                        className={classNames(
+                            'text-center',
+                            { [styles.active]: pathname.indexOf('/dashboard') === 0 }
+                        )}
+                    >
+                        <Link to="/dashboard" title={i18n._('Dashboard')}>
+                            <i
+                                className={classNames(
+                                    styles.icon,
+                                    styles.iconInvert,
+                                    styles.iconDashboard
+                                )}
+                            />
+                        </Link>
+                    </li>
                     <li
                         className={classNames(
                             'text-center',
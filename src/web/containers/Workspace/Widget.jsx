@@ -6,6 +6,7 @@ import GCodeWidget from '../../widgets/GCode';
 import GrblWidget from '../../widgets/Grbl';
 import LaserWidget from '../../widgets/Laser';
 import MacroWidget from '../../widgets/Macro';
+import MarlinWidget from '../../widgets/Marlin';
 import ProbeWidget from '../../widgets/Probe';
 import SmoothieWidget from '../../widgets/Smoothie';
 import SpindleWidget from '../../widgets/Spindle';
@@ -50,6 +51,11 @@ const Widget = ({ widgetid, ...props }) => {
                 <MacroWidget {...props} />
             </div>
         ),
+        'marlin': () => (
+            <div data-widgetid={widgetid}>
+                <MarlinWidget {...props} />
+            </div>
+        ),
         'probe': () => (
             <div data-widgetid={widgetid}>
                 <ProbeWidget {...props} />
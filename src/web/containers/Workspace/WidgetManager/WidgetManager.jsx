@@ -42,6 +42,13 @@ class WidgetManager extends Component {
             visible: true,
             disabled: false
         },
+        {
+            id: 'marlin',
+            caption: i18n._('Marlin Widget'),
+            details: i18n._('This widget shows the Marlin state and provides Marlin specific features.'),
+            visible: true,
+            disabled: false
+        },
         {
             id: 'smoothie',
             caption: i18n._('Smoothie Widget'),
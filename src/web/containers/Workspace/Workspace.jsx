@@ -188,7 +188,8 @@ class Workspace extends Component {
 
             api.loadGCode({ port, name, gcode })
                 .then((res) => {
-                    pubsub.publish('gcode:load', { name, gcode });
+                    // The loaded G-code might be modified by the controller
+                    pubsub.publish('gcode:load', { name, gcode: _.get(res, 'body.gcode', gcode) });
                 })
                 .catch((res) => {
                     log.error('Failed to upload G-code file');
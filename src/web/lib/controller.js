@@ -1,9 +1,12 @@
+import find from 'lodash/find';
+import includes from 'lodash/includes';
 import pubsub from 'pubsub-js';
 import io from 'socket.io-client';
 import store from '../store';
 import log from './log';
 import {
     GRBL,
+    MARLIN,
     SMOOTHIE,
     TINYG,
     WORKFLOW_STATE_IDLE
@@ -19,11 +22,23 @@ class CNCController {
         'serialport:open': [],
         'serialport:close': [],
         'serialport:error': [],
+        'serialport:reconnecting': [],
+        'serialport:reconnected': [],
         'serialport:read': [],
         'serialport:write': [],
         'feeder:status': [],
         'sender:status': [],
+        'gcode:analysis': [],
+        'gcode:preflight': [],
+        'gcode:start': [],
+        'heightmap:status': [],
+        'queue:status': [],
+        'queue:job': [],
+        'toolchange:status': [],
+        'controller:lock': [],
+        'controller:types': [],
         'Grbl:state': [],
+        'Marlin:state': [],
         'Smoothie:state': [],
         'TinyG:state': []
     };
@@ -40,6 +55,7 @@ class CNCController {
     workflowState = WORKFLOW_STATE_IDLE;
     type = '';
     state = {};
+    types = []; // The controller types registered on the server
     socket = null;
 
     constructor() {
@@ -85,10 +101,17 @@ class CNCController {
             this.socket.on(eventName, (...args) => {
                 log.debug('socket.on("' + eventName + '"):', args);
 
+                if (eventName === 'controller:types') {
+                    this.types = [].concat(args[0] || []);
+                }
                 if (eventName === 'Grbl:state') {
                     this.type = GRBL;
                     this.state = { ...args[0] };
                 }
+                if (eventName === 'Marlin:state') {
+                    this.type = MARLIN;
+                    this.state = { ...args[0] };
+                }
                 if (eventName === 'Smoothie:state') {
                     this.type = SMOOTHIE;
                     this.state = { ...args[0] };
@@ -128,12 +151,28 @@ class CNCController {
             callbacks.splice(callbacks.indexOf(callback), 1);
         }
     }
+    // Returns the controller type registered on the server, or null if the type is not registered.
+    // @param {string} [type] The type name or alias. Defaults to the type of the current controller.
+    getControllerType(type = this.type) {
+        return find(this.types, (o) => (o.type === type || includes(o.aliases, type))) || null;
+    }
+    // Returns true if the controller type declares the capability, e.g. "overrides", "laserMode", "probing", "fourthAxis" or "workOffsets".
+    // @param {string} capability The capability name.
+    // @param {string} [type] The type name or alias. Defaults to the type of the current controller.
+    hasCapability(capability, type = this.type) {
+        const controllerType = this.getControllerType(type);
+        return !!(controllerType && controllerType.capabilities[capability]);
+    }
     openPort(port, options) {
         this.socket && this.socket.emit('open', port, options);
     }
     closePort(port) {
         this.socket && this.socket.emit('close', port);
     }
+    // Stop receiving events from the port while leaving it open for other clients
+    leavePort(port) {
+        this.socket && this.socket.emit('leave', port);
+    }
     listAllPorts() {
         this.socket && this.socket.emit('list');
     }
@@ -179,6 +218,24 @@ class CNCController {
     //   controller.command('macro:run', '<macro-id>', context /* optional */, callback)
     // - Load file from a watch directory
     //   controller.command('watchdir:load', '/path/to/file', callback)
+    // - Add a job to the job queue
+    //   controller.command('queue:add', { name, gcode, pause }, callback)
+    //   controller.command('queue:add', { file: '/path/to/file', pause }, callback)
+    // - Start the job queue
+    //   controller.command('queue:start')
+    // - Start the next job after confirmation
+    //   controller.command('queue:resume')
+    // - Continue the program after a manual tool change
+    //   controller.command('toolchange:resume')
+    // - Probe the reference tool length again at the next tool change
+    //   controller.command('toolchange:reset')
+    // - Take exclusive control of the machine, or release it (also cancels a pending request)
+    //   controller.command('lock:acquire')
+    //   controller.command('lock:release')
+    // - Request the lock holder to hand over control, and grant or deny the request
+    //   controller.command('lock:request')
+    //   controller.command('lock:grant')
+    //   controller.command('lock:deny')
     command(cmd, ...args) {
         const { port } = this;
         if (!port) {
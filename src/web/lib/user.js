@@ -1,5 +1,13 @@
 import api from '../api';
 import store from '../store';
+import {
+    ROLE_ADMIN,
+    ROLE_OPERATOR,
+    ROLE_VIEWER
+} from '../constants';
+
+// In ascending order of privilege
+const roles = [ROLE_VIEWER, ROLE_OPERATOR, ROLE_ADMIN];
 
 let authenticated = false;
 
@@ -7,10 +15,11 @@ module.exports = {
     signin: ({ token, name, password }) => new Promise((resolve, reject) => {
         api.signin({ token, name, password })
             .then((res) => {
-                const { enabled = false, token = '', name = '' } = { ...res.body };
+                const { enabled = false, token = '', name = '', role = ROLE_ADMIN } = { ...res.body };
                 store.set('session.enabled', enabled);
                 store.set('session.token', token);
                 store.set('session.name', name);
+                store.set('session.role', role);
 
                 authenticated = true;
                 resolve({ authenticated: true, token: token });
@@ -29,5 +38,10 @@ module.exports = {
     }),
     authenticated: () => {
         return authenticated;
+    },
+    // Returns true if the signed-in user has the specified role or a more privileged one
+    hasRole: (role) => {
+        const currentRole = store.get('session.role', ROLE_ADMIN);
+        return roles.indexOf(currentRole) >= roles.indexOf(role);
     }
 };
@@ -31,7 +31,7 @@ export const defaultState = {
             primary: {
                 show: true,
                 widgets: [
-                    'connection', 'console', 'grbl', 'smoothie', 'tinyg', 'webcam'
+                    'connection', 'console', 'grbl', 'marlin', 'smoothie', 'tinyg', 'webcam'
                 ]
             },
             secondary: {
@@ -61,14 +61,18 @@ export const defaultState = {
         connection: {
             minimized: false,
             controller: {
-                type: 'Grbl' // Grbl|Smoothie|TinyG
+                type: 'Grbl' // Grbl|Marlin|Smoothie|TinyG
             },
             port: '',
             baudrate: 115200,
             autoReconnect: true
         },
         console: {
-            minimized: false
+            minimized: false,
+            history: [],
+            filter: {
+                hideStatusReports: false
+            }
         },
         gcode: {
             minimized: false
@@ -102,6 +106,20 @@ export const defaultState = {
         macro: {
             minimized: false
         },
+        marlin: {
+            minimized: false,
+            panel: {
+                statusReports: {
+                    expanded: true
+                },
+                heaterStatus: {
+                    expanded: true
+                },
+                modalGroups: {
+                    expanded: true
+                }
+            }
+        },
         probe: {
             minimized: false,
             probeCommand: 'G38.2',
@@ -109,7 +127,15 @@ export const defaultState = {
             probeDepth: 10,
             probeFeedrate: 20,
             touchPlateHeight: 10,
-            retractionDistance: 4
+            retractionDistance: 4,
+            heightMap: { // in mm
+                xmin: 0,
+                xmax: 100,
+                ymin: 0,
+                ymax: 100,
+                spacing: 10,
+                clearance: 2
+            }
         },
         smoothie: {
             minimized: false,
@@ -4,6 +4,8 @@ import shallowCompare from 'react-addons-shallow-compare';
 import { DropdownButton, MenuItem, Tooltip, OverlayTrigger } from 'react-bootstrap';
 import i18n from '../../lib/i18n';
 import controller from '../../lib/controller';
+import { WORK_COORDINATE_SYSTEMS } from './constants';
+import { show as showWorkCoordinateSystems } from './WorkCoordinateSystems';
 import styles from './index.styl';
 
 const keypadTooltip = () => {
@@ -132,6 +134,9 @@ class ToolbarButton extends Component {
             controller.command('gcode', data);
         }
     }
+    handleManage() {
+        showWorkCoordinateSystems();
+    }
     render() {
         const { state, actions } = this.props;
         const { canClick, keypadJogging } = state;
@@ -167,6 +172,34 @@ class ToolbarButton extends Component {
                         </button>
                     </OverlayTrigger>
                 </div>
+                <div className="btn-group pull-left" style={{ marginLeft: 5 }}>
+                    <DropdownButton
+                        bsSize="xs"
+                        bsStyle="default"
+                        title={wcs}
+                        id="wcs-dropdown"
+                        disabled={!canClick}
+                    >
+                        <MenuItem header>{i18n._('Work Coordinate System')}</MenuItem>
+                        {WORK_COORDINATE_SYSTEMS.map(name => (
+                            <MenuItem
+                                key={name}
+                                eventKey={name}
+                                onSelect={::this.handleSelect}
+                                active={name === wcs}
+                            >
+                                {name}
+                            </MenuItem>
+                        ))}
+                        <MenuItem divider />
+                        <MenuItem
+                            onSelect={::this.handleManage}
+                            disabled={!controller.hasCapability('workOffsets')}
+                        >
+                            {i18n._('Work Coordinate Systems...')}
+                        </MenuItem>
+                    </DropdownButton>
+                </div>
                 <div className="btn-group pull-right">
                     <DropdownButton
                         bsSize="xs"
@@ -0,0 +1,497 @@
+/* eslint react/jsx-no-bind: 0 */
+import _ from 'lodash';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { DropdownButton, MenuItem } from 'react-bootstrap';
+import api from '../../api';
+import Modal from '../../components/Modal';
+import controller from '../../lib/controller';
+import i18n from '../../lib/i18n';
+import log from '../../lib/log';
+import store from '../../store';
+import {
+    // Units
+    IMPERIAL_UNITS,
+    METRIC_UNITS,
+    // Controllers
+    GRBL,
+    SMOOTHIE,
+    TINYG,
+    // Workflow
+    WORKFLOW_STATE_IDLE
+} from '../../constants';
+import {
+    DEFAULT_AXES,
+    WORK_COORDINATE_SYSTEMS
+} from './constants';
+
+const AXES = ['x', 'y', 'z', 'a', 'b', 'c'];
+
+// The offsets that are shown for reference only
+const PREDEFINED_POSITIONS = ['G28', 'G30', 'G92'];
+
+const noop = () => {};
+
+// Returns the commands for querying all offsets.
+const getQueryCommands = (controllerType) => {
+    if (controllerType === TINYG) {
+        // {"g54":n}
+        return WORK_COORDINATE_SYSTEMS.concat(PREDEFINED_POSITIONS)
+            .map(name => `{"${name.toLowerCase()}":n}`);
+    }
+
+    // Grbl and Smoothie
+    return ['$#'];
+};
+
+// Returns the G-code for setting the offsets of work coordinate systems.
+// @param {object} offsets The offsets of work coordinate systems, e.g. { G54: { x: 10, y: 20 } }
+// @param {string} units The units of the offsets.
+// @param {string} [modalUnits] The current units mode, i.e. "G20" or "G21", which will be restored afterwards.
+const getOffsetCommands = (offsets, units, modalUnits) => {
+    const commands = [];
+
+    WORK_COORDINATE_SYSTEMS.forEach((wcs, index) => {
+        const words = _.keys(offsets[wcs])
+            .filter(axis => _.includes(AXES, axis))
+            .filter(axis => offsets[wcs][axis] !== '' && Number.isFinite(Number(offsets[wcs][axis])))
+            .map(axis => axis.toUpperCase() + Number(offsets[wcs][axis]));
+
+        if (words.length > 0) {
+            commands.push(`G10 L2 P${index + 1} ${words.join(' ')}`);
+        }
+    });
+
+    if (commands.length === 0) {
+        return commands;
+    }
+
+    // The offsets are interpreted in the current units mode
+    const unitsMode = (units === IMPERIAL_UNITS) ? 'G20' : 'G21';
+    if (modalUnits !== unitsMode) {
+        commands.unshift(unitsMode);
+        if (modalUnits) {
+            commands.push(modalUnits);
+        }
+    }
+
+    return commands;
+};
+
+class WorkCoordinateSystems extends React.Component {
+    static propTypes = {
+        onClose: React.PropTypes.func.isRequired
+    };
+    state = {
+        show: true,
+        axes: store.get('widgets.axes.axes', DEFAULT_AXES),
+        controllerType: controller.type,
+        controllerState: controller.state,
+        edits: {},
+        fixtureName: '',
+        fixtureRecords: [],
+        selectedFixtureId: ''
+    };
+    controllerEvents = {
+        'Grbl:state': (state) => {
+            this.setState({ controllerType: GRBL, controllerState: state });
+        },
+        'Smoothie:state': (state) => {
+            this.setState({ controllerType: SMOOTHIE, controllerState: state });
+        },
+        'TinyG:state': (state) => {
+            this.setState({ controllerType: TINYG, controllerState: state });
+        }
+    };
+
+    componentDidMount() {
+        Object.keys(this.controllerEvents).forEach(eventName => {
+            const callback = this.controllerEvents[eventName];
+            controller.on(eventName, callback);
+        });
+
+        this.queryOffsets();
+        this.fetchFixtures();
+    }
+    componentWillUnmount() {
+        Object.keys(this.controllerEvents).forEach(eventName => {
+            const callback = this.controllerEvents[eventName];
+            controller.off(eventName, callback);
+        });
+    }
+    componentDidUpdate(prevProps, prevState) {
+        if (!(this.state.show)) {
+            this.props.onClose();
+        }
+    }
+    canClick() {
+        const { controllerType } = this.state;
+
+        if (!controller.port) {
+            return false;
+        }
+        if (controller.workflowState !== WORKFLOW_STATE_IDLE) {
+            return false;
+        }
+        if (!controller.hasCapability('workOffsets', controllerType)) {
+            return false;
+        }
+
+        return true;
+    }
+    getParameters() {
+        return _.get(this.state.controllerState, 'parameters', {});
+    }
+    // Returns the units of the reported offsets.
+    getOffsetUnits() {
+        const { controllerType, controllerState } = this.state;
+
+        if (controllerType === GRBL) {
+            // $13=1 reports in inches
+            const reportInches = _.get(controllerState, ['settings', '$13']);
+            return (Number(reportInches) === 1) ? IMPERIAL_UNITS : METRIC_UNITS;
+        }
+        if (controllerType === TINYG) {
+            // The offsets are reported in the current units mode
+            const units = _.get(controllerState, 'sr.modal.units');
+            return (units === 'G20') ? IMPERIAL_UNITS : METRIC_UNITS;
+        }
+
+        return METRIC_UNITS;
+    }
+    // Returns the current units mode, i.e. "G20" or "G21".
+    getModalUnits() {
+        const { controllerType, controllerState } = this.state;
+
+        if (controllerType === TINYG) {
+            return _.get(controllerState, 'sr.modal.units', '');
+        }
+
+        return _.get(controllerState, 'parserstate.modal.units', '');
+    }
+    getWorkCoordinateSystem() {
+        const { controllerType, controllerState } = this.state;
+
+        if (controllerType === TINYG) {
+            return _.get(controllerState, 'sr.modal.coordinate', 'G54');
+        }
+
+        return _.get(controllerState, 'parserstate.modal.coordinate', 'G54');
+    }
+    queryOffsets() {
+        if (!this.canClick()) {
+            return;
+        }
+
+        controller.command('gcode', getQueryCommands(this.state.controllerType));
+    }
+    setOffsets(offsets, units) {
+        const commands = getOffsetCommands(offsets, units, this.getModalUnits());
+        if (commands.length === 0) {
+            return;
+        }
+
+        controller.command('gcode', commands.concat(getQueryCommands(this.state.controllerType)));
+    }
+    selectWorkCoordinateSystem(wcs) {
+        controller.command('gcode', wcs);
+    }
+    applyEdits(wcs) {
+        const { edits } = this.state;
+
+        this.setOffsets({ [wcs]: edits[wcs] }, this.getOffsetUnits());
+        this.setState({ edits: _.omit(edits, wcs) });
+    }
+    discardEdits(wcs) {
+        this.setState({ edits: _.omit(this.state.edits, wcs) });
+    }
+    copyOffsets(fromWCS, toWCS) {
+        const parameters = this.getParameters();
+        this.setOffsets({ [toWCS]: parameters[fromWCS] }, this.getOffsetUnits());
+    }
+    async fetchFixtures() {
+        try {
+            const res = await api.fixtures.fetch({ paging: false });
+            const { records } = res.body;
+            this.setState({ fixtureRecords: records });
+        } catch (err) {
+            log.error('Failed to fetch fixtures');
+        }
+    }
+    async saveFixture(name) {
+        const parameters = this.getParameters();
+        const offsets = _.pick(parameters, WORK_COORDINATE_SYSTEMS);
+
+        try {
+            await api.fixtures.create({ name, units: this.getOffsetUnits(), offsets });
+            this.setState({ fixtureName: '' });
+            await this.fetchFixtures();
+        } catch (err) {
+            log.error(`Failed to save the fixture: name="${name}"`);
+        }
+    }
+    async restoreFixture(id) {
+        try {
+            const res = await api.fixtures.read(id);
+            const { units, offsets } = res.body;
+            this.setOffsets(offsets, units);
+        } catch (err) {
+            log.error(`Failed to restore the fixture: id=${id}`);
+        }
+    }
+    async deleteFixture(id) {
+        try {
+            await api.fixtures.delete(id);
+            this.setState({ selectedFixtureId: '' });
+            await this.fetchFixtures();
+        } catch (err) {
+            log.error(`Failed to delete the fixture: id=${id}`);
+        }
+    }
+    handleClose() {
+        this.setState({ show: false });
+    }
+    renderOffsetRow(name, editable) {
+        const { axes, edits } = this.state;
+        const canClick = this.canClick();
+        const offset = { ...this.getParameters()[name] };
+        const edit = edits[name];
+        const isActive = (name === this.getWorkCoordinateSystem());
+
+        return (
+            <tr key={name} className={isActive ? 'info' : ''}>
+                <td>
+                    {editable &&
+                    <button
+                        type="button"
+                        className="btn btn-xs btn-default"
+                        title={i18n._('Switch to {{wcs}}', { wcs: name })}
+                        onClick={() => this.selectWorkCoordinateSystem(name)}
+                        disabled={!canClick || isActive}
+                    >
+                        <i className={isActive ? 'fa fa-fw fa-dot-circle-o' : 'fa fa-fw fa-circle-o'} />
+                        <span className="space" />
+                        {name}
+                    </button>
+                    }
+                    {!editable && name}
+                </td>
+                {axes.map(axis => (
+                    <td key={axis}>
+                        {editable &&
+                        <input
+                            type="number"
+                            className="form-control input-sm"
+                            value={edit ? _.get(edit, axis, '') : _.get(offset, axis, '')}
+                            onChange={(event) => {
+                                const value = event.target.value;
+                                this.setState({
+                                    edits: {
+                                        ...edits,
+                                        [name]: {
+                                            ...(edit || offset),
+                                            [axis]: value
+                                        }
+                                    }
+                                });
+                            }}
+                            disabled={!canClick}
+                        />
+                        }
+                        {!editable && _.get(offset, axis, '')}
+                    </td>
+                ))}
+                <td className="text-nowrap">
+                    {editable &&
+                    <div className="btn-group btn-group-xs">
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            title={i18n._('Apply')}
+                            onClick={() => this.applyEdits(name)}
+                            disabled={!canClick || !edit}
+                        >
+                            <i className="fa fa-fw fa-check" />
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            title={i18n._('Undo')}
+                            onClick={() => this.discardEdits(name)}
+                            disabled={!edit}
+                        >
+                            <i className="fa fa-fw fa-undo" />
+                        </button>
+                        <DropdownButton
+                            bsSize="xs"
+                            bsStyle="default"
+                            title={i18n._('Copy To')}
+                            id={`wcs-copy-dropdown-${name}`}
+                            pullRight
+                            disabled={!canClick || _.isEmpty(offset)}
+                        >
+                            {_.without(WORK_COORDINATE_SYSTEMS, name).map(wcs => (
+                                <MenuItem
+                                    key={wcs}
+                                    eventKey={wcs}
+                                    onSelect={(eventKey) => this.copyOffsets(name, eventKey)}
+                                >
+                                    {wcs}
+                                </MenuItem>
+                            ))}
+                        </DropdownButton>
+                    </div>
+                    }
+                </td>
+            </tr>
+        );
+    }
+    renderFixtures() {
+        const { fixtureName, fixtureRecords, selectedFixtureId } = this.state;
+        const canClick = this.canClick();
+
+        return (
+            <div>
+                <div className="form-group">
+                    <label className="control-label">{i18n._('Fixtures')}</label>
+                    <div className="input-group input-group-sm">
+                        <select
+                            className="form-control"
+                            value={selectedFixtureId}
+                            onChange={(event) => {
+                                this.setState({ selectedFixtureId: event.target.value });
+                            }}
+                        >
+                            <option value="">{i18n._('Select a fixture')}</option>
+                            {fixtureRecords.map(record => (
+                                <option key={record.id} value={record.id}>{record.name}</option>
+                            ))}
+                        </select>
+                        <div className="input-group-btn">
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                title={i18n._('Restore')}
+                                onClick={() => this.restoreFixture(selectedFixtureId)}
+                                disabled={!selectedFixtureId || !canClick}
+                            >
+                                <i className="fa fa-fw fa-upload" />
+                            </button>
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                title={i18n._('Delete')}
+                                onClick={() => this.deleteFixture(selectedFixtureId)}
+                                disabled={!selectedFixtureId}
+                            >
+                                <i className="fa fa-fw fa-trash" />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div className="form-group">
+                    <div className="input-group input-group-sm">
+                        <input
+                            type="text"
+                            className="form-control"
+                            placeholder={i18n._('Name')}
+                            value={fixtureName}
+                            onChange={(event) => {
+                                this.setState({ fixtureName: event.target.value });
+                            }}
+                        />
+                        <div className="input-group-btn">
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                onClick={() => this.saveFixture(fixtureName)}
+                                disabled={!fixtureName || _.isEmpty(_.pick(this.getParameters(), WORK_COORDINATE_SYSTEMS))}
+                            >
+                                {i18n._('Save')}
+                            </button>
+                        </div>
+                    </div>
+                    <p className="help-block">
+                        {i18n._('Save the offsets of G54-G59 as a fixture, and restore them with G10 L2 later.')}
+                    </p>
+                </div>
+            </div>
+        );
+    }
+    render() {
+        const { show, axes, controllerType } = this.state;
+        const canClick = this.canClick();
+        const units = (this.getOffsetUnits() === IMPERIAL_UNITS) ? i18n._('in') : i18n._('mm');
+
+        return (
+            <Modal
+                onClose={::this.handleClose}
+                show={show}
+            >
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Work Coordinate Systems')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {!controller.hasCapability('workOffsets', controllerType) &&
+                    <p className="text-muted">
+                        {i18n._('The controller does not report work coordinate offsets.')}
+                    </p>
+                    }
+                    <table className="table table-condensed">
+                        <thead>
+                            <tr>
+                                <th />
+                                {axes.map(axis => (
+                                    <th key={axis}>{axis.toUpperCase()} ({units})</th>
+                                ))}
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {WORK_COORDINATE_SYSTEMS.map(name => this.renderOffsetRow(name, true))}
+                            {PREDEFINED_POSITIONS.map(name => this.renderOffsetRow(name, false))}
+                        </tbody>
+                    </table>
+                    <div className="form-group">
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-default"
+                            onClick={::this.queryOffsets}
+                            disabled={!canClick}
+                        >
+                            <i className="fa fa-refresh" />
+                            <span className="space" />
+                            {i18n._('Refresh')}
+                        </button>
+                    </div>
+                    <hr />
+                    {this.renderFixtures()}
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={::this.handleClose}
+                    >
+                        {i18n._('Close')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export const show = (callback = noop) => {
+    const el = document.body.appendChild(document.createElement('div'));
+    const handleClose = (e) => {
+        ReactDOM.unmountComponentAtNode(el);
+        setTimeout(() => {
+            el.remove();
+        }, 0);
+        callback();
+    };
+
+    ReactDOM.render(<WorkCoordinateSystems onClose={handleClose} />, el);
+};
+
+export default WorkCoordinateSystems;
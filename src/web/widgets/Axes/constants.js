@@ -5,3 +5,6 @@ export const DISTANCE_STEP = 1;
 
 // Axes
 export const DEFAULT_AXES = ['x', 'y', 'z'];
+
+// Work Coordinate Systems
+export const WORK_COORDINATE_SYSTEMS = ['G54', 'G55', 'G56', 'G57', 'G58', 'G59'];
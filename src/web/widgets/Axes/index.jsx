@@ -21,6 +21,10 @@ import {
     GRBL,
     GRBL_ACTIVE_STATE_IDLE,
     GRBL_ACTIVE_STATE_RUN,
+    // Marlin
+    MARLIN,
+    MARLIN_ACTIVE_STATE_IDLE,
+    MARLIN_ACTIVE_STATE_RUN,
     // Smoothie
     SMOOTHIE,
     SMOOTHIE_ACTIVE_STATE_IDLE,
@@ -104,6 +108,10 @@ class AxesWidget extends Component {
                 return _.get(controllerState, 'parserstate.modal.coordinate', defaultWCS);
             }
 
+            if (controllerType === MARLIN) {
+                return _.get(controllerState, 'parserstate.modal.coordinate', defaultWCS);
+            }
+
             if (controllerType === SMOOTHIE) {
                 return _.get(controllerState, 'parserstate.modal.coordinate', defaultWCS);
             }
@@ -269,6 +277,40 @@ class AxesWidget extends Component {
                 customDistance: customDistance
             });
         },
+        'Marlin:state': (state) => {
+            const { status, parserstate } = { ...state };
+            const { mpos, wpos } = status;
+            const { modal = {} } = { ...parserstate };
+            const units = {
+                'G20': IMPERIAL_UNITS,
+                'G21': METRIC_UNITS
+            }[modal.units] || this.state.units;
+
+            let customDistance = store.get('widgets.axes.jog.customDistance');
+            if (units === IMPERIAL_UNITS) {
+                customDistance = mm2in(customDistance).toFixed(4) * 1;
+            }
+            if (units === METRIC_UNITS) {
+                customDistance = Number(customDistance).toFixed(3) * 1;
+            }
+
+            this.setState({
+                units: units,
+                controller: {
+                    type: MARLIN,
+                    state: state
+                },
+                machinePosition: {
+                    ...this.state.machinePosition,
+                    ...mpos
+                },
+                workPosition: {
+                    ...this.state.workPosition,
+                    ...wpos
+                },
+                customDistance: customDistance
+            });
+        },
         'Smoothie:state': (state) => {
             const { status, parserstate } = { ...state };
             const { mpos, wpos } = status;
@@ -503,7 +545,7 @@ class AxesWidget extends Component {
         if (workflowState !== WORKFLOW_STATE_IDLE) {
             return false;
         }
-        if (!includes([GRBL, SMOOTHIE, TINYG], controllerType)) {
+        if (!controller.getControllerType(controllerType)) {
             return false;
         }
         if (controllerType === GRBL) {
@@ -516,6 +558,16 @@ class AxesWidget extends Component {
                 return false;
             }
         }
+        if (controllerType === MARLIN) {
+            const activeState = _.get(controllerState, 'status.activeState');
+            const states = [
+                MARLIN_ACTIVE_STATE_IDLE,
+                MARLIN_ACTIVE_STATE_RUN
+            ];
+            if (!includes(states, activeState)) {
+                return false;
+            }
+        }
         if (controllerType === SMOOTHIE) {
             const activeState = _.get(controllerState, 'status.activeState');
             const states = [
@@ -543,9 +595,12 @@ class AxesWidget extends Component {
     }
     render() {
         const { minimized, isFullscreen } = this.state;
-        const { units, machinePosition, workPosition } = this.state;
+        const { port, units, machinePosition, workPosition, axes } = this.state;
+        const controllerType = this.state.controller.type;
         const state = {
             ...this.state,
+            // Hide the 4th axis if the controller does not support it
+            axes: (port && controllerType && !controller.hasCapability('fourthAxis', controllerType)) ? _.without(axes, 'a') : axes,
             // Determine if the motion button is clickable
             canClick: this.canClick(),
             // Output machine position with the display units
@@ -11,29 +11,42 @@ import log from '../../lib/log';
 import controller from '../../lib/controller';
 import store from '../../store';
 
+// The transport of a serial port. See src/app/lib/transport.js
+const TRANSPORT_SERIAL = 'serial';
+
+// The baud rates for a controller type that does not declare the supported baud rates
+const DEFAULT_BAUDRATES = [
+    115200,
+    57600,
+    38400,
+    19200,
+    9600,
+    4800,
+    2400
+];
+
 class Connection extends React.Component {
     state = {
         loading: false,
         connecting: false,
         connected: false,
         ports: [],
-        baudrates: [
-            115200,
-            57600,
-            38400,
-            19200,
-            9600,
-            4800,
-            2400
-        ],
+        controllerTypes: controller.types,
         controllerType: store.get('widgets.connection.controller.type'),
         port: controller.port,
         baudrate: store.get('widgets.connection.baudrate'),
         autoReconnect: store.get('widgets.connection.autoReconnect'),
         hasReconnected: false,
-        alertMessage: ''
+        networkPort: '',
+        alertMessage: '',
+        lock: null,
+        reconnecting: null, // { attempt }
+        recovery: null // { name, total, line }
     };
     controllerEvents = {
+        'controller:types': (controllerTypes) => {
+            this.setState({ controllerTypes: controllerTypes });
+        },
         'serialport:list': (ports) => {
             log.debug('Received a list of serial ports:', ports);
 
@@ -83,10 +96,11 @@ class Connection extends React.Component {
             this.setState({
                 connecting: false,
                 connected: true,
-                controllerType: controllerType, // Grbl|Smoothie|TinyG
+                controllerType: controllerType, // Grbl|Marlin|Smoothie|TinyG
                 port: port,
                 baudrate: baudrate,
-                ports: ports
+                ports: ports,
+                reconnecting: null
             });
 
             log.debug('Connected to \'' + port + '\' at ' + baudrate + '.');
@@ -101,15 +115,49 @@ class Connection extends React.Component {
 
             this.setState({
                 connecting: false,
-                connected: false
+                connected: false,
+                lock: null,
+                reconnecting: null,
+                recovery: null
             });
 
             log.debug('Disconnected from \'' + port + '\'.');
         },
+        'serialport:reconnecting': (options) => {
+            const { port, attempt } = options;
+
+            if (port !== this.state.port) {
+                return;
+            }
+
+            this.setState({
+                reconnecting: { attempt },
+                recovery: null
+            });
+
+            log.warn('Reconnecting to \'' + port + '\': attempt=' + attempt);
+        },
+        'serialport:reconnected': (options) => {
+            const { port, recovery } = options;
+
+            if (port !== this.state.port) {
+                return;
+            }
+
+            this.setState({
+                reconnecting: null,
+                recovery: recovery
+            });
+
+            log.debug('Reconnected to \'' + port + '\': recovery=' + JSON.stringify(recovery));
+        },
+        'controller:lock': (lock) => {
+            this.setState({ lock: lock });
+        },
         'serialport:error': (options) => {
-            const { port } = options;
+            const { port, err } = options;
 
-            this.showAlert('Error opening serial port \'' + port + '\'');
+            this.showAlert('Error opening serial port \'' + port + '\'' + (err ? ': ' + err : ''));
 
             // Close port
             pubsub.publish('port', '');
@@ -122,15 +170,18 @@ class Connection extends React.Component {
             log.error('Error opening serial port \'' + port + '\'');
         }
     };
+    pubsubTokens = [];
 
     componentWillMount() {
         this.handleRefresh();
     }
     componentDidMount() {
         this.addControllerEvents();
+        this.subscribe();
     }
     componentWillUnmount() {
         this.removeControllerEvents();
+        this.unsubscribe();
     }
     shouldComponentUpdate(nextProps, nextState) {
         return shallowCompare(this, nextProps, nextState);
@@ -161,6 +212,21 @@ class Connection extends React.Component {
             controller.off(eventName, callback);
         });
     }
+    subscribe() {
+        const tokens = [
+            // Switch the focus to another open port, or leave the current port if not specified
+            pubsub.subscribe('port:focus', (msg, port) => {
+                this.focusPort(port || '');
+            })
+        ];
+        this.pubsubTokens = this.pubsubTokens.concat(tokens);
+    }
+    unsubscribe() {
+        this.pubsubTokens.forEach((token) => {
+            pubsub.unsubscribe(token);
+        });
+        this.pubsubTokens = [];
+    }
     showAlert(msg) {
         this.setState({ alertMessage: msg });
     }
@@ -186,6 +252,12 @@ class Connection extends React.Component {
             loading: false
         });
     }
+    // Returns true if the port is a network connection, e.g. a TCP socket or a UNIX socket
+    isNetworkPort(port) {
+        port = port || this.state.port;
+        const o = _.find(this.state.ports, { port }) || {};
+        return !!(o.transport) && o.transport !== TRANSPORT_SERIAL;
+    }
     isPortInUse(port) {
         port = port || this.state.port;
         const o = _.find(this.state.ports, { port }) || {};
@@ -250,8 +322,79 @@ class Connection extends React.Component {
         // Refresh ports
         controller.listAllPorts();
     }
+    focusPort(port) {
+        const { connected, baudrate } = this.state;
+
+        if (connected && port === this.state.port) {
+            return;
+        }
+
+        if (connected) {
+            // Leave the current port without closing it
+            pubsub.publish('port', '');
+
+            this.setState({
+                connecting: false,
+                connected: false
+            });
+            controller.leavePort(this.state.port);
+        }
+
+        if (port) {
+            this.setState({ port: port });
+            this.openPort(port, {
+                baudrate: baudrate
+            });
+        }
+
+        // Refresh ports
+        controller.listAllPorts();
+    }
+    // Returns the baud rates supported by the controller type
+    getBaudrates(controllerType = this.state.controllerType) {
+        const { controllerTypes } = this.state;
+        const { baudrates = DEFAULT_BAUDRATES } = { ..._.find(controllerTypes, { type: controllerType }) };
+        return baudrates;
+    }
     changeController(controllerType) {
-        this.setState({ controllerType: controllerType });
+        const baudrates = this.getBaudrates(controllerType);
+        const { baudrate } = this.state;
+
+        this.setState({
+            controllerType: controllerType,
+            // Switch to the default baud rate if the controller does not support the selected one
+            baudrate: _.includes(baudrates, baudrate) ? baudrate : baudrates[0]
+        });
+    }
+    addNetworkPort() {
+        const port = this.state.networkPort.trim();
+
+        if (!port) {
+            return;
+        }
+
+        api.ports.create({ port: port })
+            .then((res) => {
+                this.setState({
+                    alertMessage: '',
+                    networkPort: '',
+                    port: res.body.port
+                });
+                controller.listAllPorts();
+            })
+            .catch((res) => {
+                this.showAlert(_.get(res, 'body.msg') || ('Error adding network port \'' + port + '\''));
+            });
+    }
+    removeNetworkPort(port = this.state.port) {
+        api.ports.delete(port)
+            .then(() => {
+                this.setState({ port: '' });
+                controller.listAllPorts();
+            })
+            .catch((res) => {
+                this.showAlert(_.get(res, 'body.msg') || ('Error removing network port \'' + port + '\''));
+            });
     }
     changePortOption(option) {
         this.setState({
@@ -272,7 +415,8 @@ class Connection extends React.Component {
         });
     }
     renderPortOption(option) {
-        const { label, inuse, manufacturer } = option;
+        const { label, inuse, manufacturer, transport } = option;
+        const isNetworkPort = !!transport && transport !== TRANSPORT_SERIAL;
         const styles = {
             option: {
                 whiteSpace: 'nowrap',
@@ -290,9 +434,18 @@ class Connection extends React.Component {
                         <span className="space" />
                     </span>
                     }
+                    {isNetworkPort &&
+                    <span>
+                        <i className="fa fa-globe" />
+                        <span className="space" />
+                    </span>
+                    }
                     {label}
                 </div>
-                {manufacturer &&
+                {manufacturer && isNetworkPort &&
+                <i>{manufacturer}</i>
+                }
+                {manufacturer && !isNetworkPort &&
                 <i>{i18n._('Manufacturer: {{manufacturer}}', { manufacturer })}</i>
                 }
             </div>
@@ -332,22 +485,198 @@ class Connection extends React.Component {
             <div style={style} title={option.label}>{option.label}</div>
         );
     }
+    renderReconnection() {
+        const { reconnecting, recovery } = this.state;
+
+        if (reconnecting) {
+            return (
+                <div className="alert alert-warning">
+                    <i className="fa fa-fw fa-spin fa-circle-o-notch" />
+                    <span className="space" />
+                    {i18n._('The connection was lost. Reconnecting... (attempt {{attempt}})', { attempt: reconnecting.attempt })}
+                </div>
+            );
+        }
+
+        if (recovery) {
+            const { name, total, line } = recovery;
+
+            return (
+                <div className="alert alert-info">
+                    <p>
+                        {i18n._('Reconnected. The last acknowledged line of {{name}} was line {{line}} of {{total}}.', { name, line, total })}
+                    </p>
+                    <div className="btn-group btn-group-sm">
+                        {line < total &&
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            title={i18n._('The lines buffered by the controller may not have been executed. Check the position before resuming the program.')}
+                            onClick={() => {
+                                this.setState({ recovery: null });
+                                controller.command('gcode:start', { startFromLine: line + 1 });
+                            }}
+                        >
+                            {i18n._('Resume From Line {{line}}', { line: line + 1 })}
+                        </button>
+                        }
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            onClick={() => {
+                                this.setState({ recovery: null });
+                            }}
+                        >
+                            {i18n._('Dismiss')}
+                        </button>
+                    </div>
+                </div>
+            );
+        }
+
+        return null;
+    }
+    renderControlLock() {
+        const { lock } = this.state;
+        const socketId = controller.socket && controller.socket.id;
+
+        if (!lock) {
+            return null;
+        }
+
+        if (!lock.locked) {
+            return (
+                <div className="form-group">
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-default"
+                        title={i18n._('Prevent other connections from controlling the machine')}
+                        onClick={() => {
+                            controller.command('lock:acquire');
+                        }}
+                    >
+                        <i className="fa fa-unlock" />
+                        <span className="space" />
+                        {i18n._('Take Control')}
+                    </button>
+                </div>
+            );
+        }
+
+        const { owner, request } = lock;
+
+        if (owner.id === socketId) {
+            return (
+                <div className="form-group">
+                    <p>
+                        <i className="fa fa-lock" />
+                        <span className="space" />
+                        {i18n._('You have control of the machine.')}
+                    </p>
+                    {request &&
+                    <div className="alert alert-info">
+                        <p>{i18n._('{{name}} requests control of the machine.', { name: request.name || i18n._('Another connection') })}</p>
+                        <div className="btn-group btn-group-sm">
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                onClick={() => {
+                                    controller.command('lock:grant');
+                                }}
+                            >
+                                {i18n._('Hand Over')}
+                            </button>
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                onClick={() => {
+                                    controller.command('lock:deny');
+                                }}
+                            >
+                                {i18n._('Deny')}
+                            </button>
+                        </div>
+                    </div>
+                    }
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-default"
+                        onClick={() => {
+                            controller.command('lock:release');
+                        }}
+                    >
+                        <i className="fa fa-unlock" />
+                        <span className="space" />
+                        {i18n._('Release Control')}
+                    </button>
+                </div>
+            );
+        }
+
+        const requested = request && (request.id === socketId);
+
+        return (
+            <div className="form-group">
+                <p className="text-muted">
+                    <i className="fa fa-lock" />
+                    <span className="space" />
+                    {i18n._('The machine is controlled by {{name}}.', { name: owner.name || i18n._('another connection') })}
+                    {!owner.connected &&
+                    <span>
+                        <span className="space" />
+                        {i18n._('(disconnected)')}
+                    </span>
+                    }
+                </p>
+                {requested &&
+                <button
+                    type="button"
+                    className="btn btn-sm btn-default"
+                    onClick={() => {
+                        controller.command('lock:release');
+                    }}
+                >
+                    <i className="fa fa-fw fa-spin fa-circle-o-notch" />
+                    <span className="space" />
+                    {i18n._('Cancel Request')}
+                </button>
+                }
+                {!requested &&
+                <button
+                    type="button"
+                    className="btn btn-sm btn-default"
+                    disabled={!!request}
+                    onClick={() => {
+                        controller.command('lock:request');
+                    }}
+                >
+                    {i18n._('Request Control')}
+                </button>
+                }
+            </div>
+        );
+    }
     render() {
         const {
             loading, connecting, connected,
-            controllerType,
-            ports, baudrates,
+            controllerTypes, controllerType,
+            ports,
             port, baudrate,
             autoReconnect,
+            networkPort,
             alertMessage
         } = this.state;
+        const baudrates = this.getBaudrates();
         const notLoading = !loading;
         const notConnecting = !connecting;
         const notConnected = !connected;
         const canRefresh = notLoading && notConnected;
         const canChangeController = notLoading && notConnected;
         const canChangePort = notLoading && notConnected;
-        const canChangeBaudrate = notLoading && notConnected && (!(this.isPortInUse(port)));
+        const isNetworkPort = this.isNetworkPort(port);
+        const canChangeBaudrate = notLoading && notConnected && (!(this.isPortInUse(port))) && !isNetworkPort;
+        const canAddNetworkPort = notLoading && !!(networkPort.trim());
+        const canRemoveNetworkPort = notLoading && notConnected && isNetworkPort && (!(this.isPortInUse(port)));
         const canOpenPort = port && baudrate && notConnecting && notConnected;
         const canClosePort = connected;
 
@@ -361,48 +690,23 @@ class Connection extends React.Component {
                 <div className="form-group">
                     <div className="input-group input-group-sm">
                         <div className="input-group-btn">
-                            <button
-                                type="button"
-                                className={classNames(
-                                    'btn',
-                                    'btn-default',
-                                    { 'btn-select': controllerType === 'Grbl' }
-                                )}
-                                disabled={!canChangeController}
-                                onClick={() => {
-                                    this.changeController('Grbl');
-                                }}
-                            >
-                                Grbl
-                            </button>
-                            <button
-                                type="button"
-                                className={classNames(
-                                    'btn',
-                                    'btn-default',
-                                    { 'btn-select': controllerType === 'Smoothie' }
-                                )}
-                                disabled={!canChangeController}
-                                onClick={() => {
-                                    this.changeController('Smoothie');
-                                }}
-                            >
-                                Smoothie
-                            </button>
-                            <button
-                                type="button"
-                                className={classNames(
-                                    'btn',
-                                    'btn-default',
-                                    { 'btn-select': controllerType === 'TinyG' }
-                                )}
-                                disabled={!canChangeController}
-                                onClick={() => {
-                                    this.changeController('TinyG');
-                                }}
-                            >
-                                TinyG
-                            </button>
+                            {controllerTypes.map(({ type }) => (
+                                <button
+                                    key={type}
+                                    type="button"
+                                    className={classNames(
+                                        'btn',
+                                        'btn-default',
+                                        { 'btn-select': controllerType === type }
+                                    )}
+                                    disabled={!canChangeController}
+                                    onClick={() => {
+                                        this.changeController(type);
+                                    }}
+                                >
+                                    {type}
+                                </button>
+                            ))}
                         </div>
                     </div>
                 </div>
@@ -422,6 +726,7 @@ class Connection extends React.Component {
                                 value: o.port,
                                 label: o.port,
                                 manufacturer: o.manufacturer,
+                                transport: o.transport,
                                 inuse: o.inuse
                             }))}
                             placeholder={i18n._('Choose a port')}
@@ -446,9 +751,56 @@ class Connection extends React.Component {
                                     )}
                                 />
                             </button>
+                            {isNetworkPort &&
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                name="btn-remove"
+                                title={i18n._('Remove')}
+                                onClick={() => {
+                                    this.removeNetworkPort(port);
+                                }}
+                                disabled={!canRemoveNetworkPort}
+                            >
+                                <i className="fa fa-trash" />
+                            </button>
+                            }
+                        </div>
+                    </div>
+                </div>
+                {notConnected &&
+                <div className="form-group">
+                    <div className="input-group input-group-sm">
+                        <input
+                            type="text"
+                            className="form-control"
+                            placeholder="telnet://192.168.0.10:23"
+                            title={i18n._('Network address, e.g. tcp://host:port, telnet://host:port or unix:///path/to/socket')}
+                            value={networkPort}
+                            onChange={(event) => {
+                                this.setState({ networkPort: event.target.value });
+                            }}
+                            onKeyDown={(event) => {
+                                if (event.keyCode === 13) { // Enter
+                                    this.addNetworkPort();
+                                }
+                            }}
+                        />
+                        <div className="input-group-btn">
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                onClick={::this.addNetworkPort}
+                                disabled={!canAddNetworkPort}
+                            >
+                                <i className="fa fa-plus" />
+                                <span className="space" />
+                                {i18n._('Add Network Port')}
+                            </button>
                         </div>
                     </div>
                 </div>
+                }
                 <div className="form-group">
                     <label className="control-label">{i18n._('Baud rate')}</label>
                     <Select
@@ -474,6 +826,8 @@ class Connection extends React.Component {
                         {i18n._('Connect automatically')}
                     </label>
                 </div>
+                {connected && this.renderReconnection()}
+                {connected && this.renderControlLock()}
                 <div className="btn-group btn-group-sm">
                     {notConnected &&
                         <button
@@ -1,5 +1,6 @@
 import React, { Component, PropTypes } from 'react';
 import shallowCompare from 'react-addons-shallow-compare';
+import ConsoleFilter from './ConsoleFilter';
 import ConsoleInput from './ConsoleInput';
 import ConsoleWindow from './ConsoleWindow';
 import styles from './index.styl';
@@ -17,6 +18,7 @@ class Console extends Component {
         return (
             <div className={styles['console-container']}>
                 <ConsoleInput {...this.props} />
+                <ConsoleFilter {...this.props} />
                 <ConsoleWindow {...this.props} />
             </div>
         );
@@ -0,0 +1,81 @@
+import classNames from 'classnames';
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import i18n from '../../lib/i18n';
+import styles from './index.styl';
+
+class ConsoleFilter extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { hideStatusReports, errorsOnly, searchText } = state.filter;
+
+        return (
+            <div className={styles['console-filter']}>
+                <div className="input-group input-group-sm">
+                    <div className="input-group-btn">
+                        <button
+                            type="button"
+                            className={classNames(
+                                'btn',
+                                'btn-default',
+                                { 'active': hideStatusReports }
+                            )}
+                            onClick={actions.toggleStatusReports}
+                            title={i18n._('Hide status reports')}
+                        >
+                            <i className="fa fa-eye-slash" />
+                            <span className="space" />
+                            {i18n._('Status')}
+                        </button>
+                        <button
+                            type="button"
+                            className={classNames(
+                                'btn',
+                                'btn-default',
+                                { 'active': errorsOnly }
+                            )}
+                            onClick={actions.toggleErrorsOnly}
+                            title={i18n._('Show errors only')}
+                        >
+                            <i className="fa fa-exclamation-triangle" />
+                            <span className="space" />
+                            {i18n._('Errors')}
+                        </button>
+                    </div>
+                    <input
+                        type="text"
+                        className="form-control"
+                        value={searchText}
+                        onChange={(event) => {
+                            actions.setSearchText(event.target.value);
+                        }}
+                        placeholder={i18n._('Search')}
+                    />
+                    <div className="input-group-btn">
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            onClick={() => {
+                                actions.setSearchText('');
+                            }}
+                            disabled={!searchText}
+                            title={i18n._('Clear')}
+                        >
+                            <i className="fa fa-times" />
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default ConsoleFilter;
@@ -1,40 +1,149 @@
+/* eslint react/jsx-no-bind: 0 */
+import classNames from 'classnames';
 import React, { Component, PropTypes } from 'react';
-import ReactDOM from 'react-dom';
 import shallowCompare from 'react-addons-shallow-compare';
 import i18n from '../../lib/i18n';
 import controller from '../../lib/controller';
+import { getSuggestions, getHelp } from './commands';
 import styles from './index.styl';
 
+const KEY_TAB = 9;
+const KEY_ENTER = 13;
+const KEY_ESCAPE = 27;
+const KEY_UP = 38;
+const KEY_DOWN = 40;
+
 class ConsoleInput extends Component {
     static propTypes = {
         state: PropTypes.object,
         actions: PropTypes.object
     };
 
+    state = {
+        value: '',
+        // The position in the command history, or -1 if not browsing the history
+        historyIndex: -1,
+        // The text typed before browsing the history
+        draft: '',
+        showSuggestions: false,
+        selectedIndex: -1
+    };
+    node = null;
+
     shouldComponentUpdate(nextProps, nextState) {
         return shallowCompare(this, nextProps, nextState);
     }
-    handleKeyDown(e) {
-        const ENTER = 13;
-        if (e.keyCode === ENTER) {
-            this.handleSend();
+    getSuggestions() {
+        const { value, showSuggestions } = this.state;
+        return showSuggestions ? getSuggestions(controller.type, value) : [];
+    }
+    handleChange(event) {
+        this.setState({
+            value: event.target.value,
+            historyIndex: -1,
+            showSuggestions: true,
+            selectedIndex: -1
+        });
+    }
+    handleKeyDown(event) {
+        const suggestions = this.getSuggestions();
+        const { selectedIndex } = this.state;
+
+        if (event.keyCode === KEY_ENTER) {
+            if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
+                this.accept(suggestions[selectedIndex]);
+            } else {
+                this.handleSend();
+            }
+            return;
+        }
+
+        if (event.keyCode === KEY_TAB) {
+            if (suggestions.length > 0) {
+                event.preventDefault();
+                this.accept(suggestions[Math.max(selectedIndex, 0)]);
+            }
+            return;
+        }
+
+        if (event.keyCode === KEY_ESCAPE) {
+            this.setState({ showSuggestions: false, selectedIndex: -1 });
+            return;
+        }
+
+        if (event.keyCode === KEY_UP || event.keyCode === KEY_DOWN) {
+            event.preventDefault();
+
+            const offset = (event.keyCode === KEY_UP) ? -1 : 1;
+            if (suggestions.length > 0) {
+                // Cycle through the suggestions and the text being typed (-1)
+                const count = suggestions.length + 1;
+                const index = (selectedIndex + 1 + offset + count) % count - 1;
+                this.setState({ selectedIndex: index });
+            } else {
+                this.browseHistory(offset);
+            }
+        }
+    }
+    // @param {number} offset -1 for the previous command, or 1 for the next command.
+    browseHistory(offset) {
+        const { history } = this.props.state;
+        const { value, historyIndex, draft } = this.state;
+        const index = ((historyIndex < 0) ? history.length : historyIndex) + offset;
+
+        if (index < 0 || history.length === 0) {
+            return;
+        }
+
+        if (index >= history.length) {
+            // Restore the text typed before browsing the history
+            this.setState({ value: draft, historyIndex: -1 });
+            return;
+        }
+
+        this.setState({
+            value: history[index],
+            historyIndex: index,
+            draft: (historyIndex < 0) ? value : draft,
+            showSuggestions: false
+        });
+    }
+    accept(suggestion) {
+        this.setState({
+            value: suggestion.command,
+            showSuggestions: false,
+            selectedIndex: -1
+        });
+        if (this.node) {
+            this.node.focus();
         }
     }
     handleSend() {
-        const el = ReactDOM.findDOMNode(this.node);
+        const { actions } = this.props;
+        const { value } = this.state;
 
-        if (el.value === '') {
+        if (value === '') {
             return;
         }
 
-        controller.writeln(el.value);
+        controller.writeln(value);
+        actions.addHistory(value);
 
-        el.value = '';
+        this.setState({
+            value: '',
+            historyIndex: -1,
+            draft: '',
+            showSuggestions: false,
+            selectedIndex: -1
+        });
     }
     render() {
         const { state, actions } = this.props;
-        const { port } = state;
+        const { port, history } = state;
+        const { value, selectedIndex } = this.state;
         const canClick = !!port;
+        const suggestions = this.getSuggestions();
+        const help = getHelp(controller.type, value);
 
         return (
             <div className={styles['console-input']}>
@@ -45,7 +154,12 @@ class ConsoleInput extends Component {
                         }}
                         type="text"
                         className="form-control"
+                        value={value}
+                        onChange={::this.handleChange}
                         onKeyDown={::this.handleKeyDown}
+                        onBlur={() => {
+                            this.setState({ showSuggestions: false, selectedIndex: -1 });
+                        }}
                         placeholder={i18n._('Type serial port command')}
                         disabled={!canClick}
                     />
@@ -58,6 +172,15 @@ class ConsoleInput extends Component {
                         >
                             {i18n._('Send')}
                         </button>
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            onClick={actions.clearHistory}
+                            disabled={history.length === 0}
+                            title={i18n._('Clear history')}
+                        >
+                            <i className="fa fa-history" />
+                        </button>
                         <button
                             type="button"
                             className="btn btn-default"
@@ -69,6 +192,36 @@ class ConsoleInput extends Component {
                         </button>
                     </div>
                 </div>
+                {suggestions.length > 0 &&
+                <ul className={styles.suggestions} role="listbox">
+                    {suggestions.map((suggestion, index) => (
+                        <li
+                            key={suggestion.command}
+                            role="option"
+                            aria-selected={index === selectedIndex}
+                            className={classNames(
+                                styles.suggestion,
+                                { [styles.active]: index === selectedIndex }
+                            )}
+                            onMouseDown={(event) => {
+                                // Keep the focus on the input
+                                event.preventDefault();
+                                this.accept(suggestion);
+                            }}
+                        >
+                            <span className={styles.command}>{suggestion.command}</span>
+                            <span className={styles.description}>{suggestion.description}</span>
+                        </li>
+                    ))}
+                </ul>
+                }
+                {help &&
+                <div className={styles.help} title={help}>
+                    <i className="fa fa-info-circle" />
+                    <span className="space" />
+                    {help}
+                </div>
+                }
             </div>
         );
     }
@@ -4,6 +4,9 @@ import React, { Component, PropTypes } from 'react';
 import ReactDOM from 'react-dom';
 import shallowCompare from 'react-addons-shallow-compare';
 import Infinite from 'react-infinite';
+import controller from '../../lib/controller';
+import { getErrorHelp } from './commands';
+import { filterLines } from './filters';
 import styles from './index.styl';
 
 class ConsoleWindow extends Component {
@@ -70,10 +73,19 @@ class ConsoleWindow extends Component {
     }
     render() {
         const { state } = this.props;
-        const { containerHeight, lines } = state;
-        const elements = _.map(lines, (line, index) => (
-            <div key={index} className={styles['infinite-list-item']} title={line}>{line}</div>
-        ));
+        const { containerHeight, lines, filter } = state;
+        const elements = _.map(filterLines(lines, filter), (line, index) => {
+            const help = getErrorHelp(controller.type, line);
+            return (
+                <div
+                    key={index}
+                    className={styles['infinite-list-item']}
+                    title={help ? `${line}\n${help}` : line}
+                >
+                    {line}
+                </div>
+            );
+        });
 
         return (
             <div className={styles['console-window']}>
@@ -0,0 +1,308 @@
+/* eslint max-len: 0 */
+import find from 'lodash/find';
+import {
+    GRBL_ALARMS,
+    GRBL_ERRORS,
+    GRBL_SETTINGS
+} from '../../../app/controllers/Grbl/constants';
+import {
+    GRBL,
+    MARLIN,
+    SMOOTHIE,
+    TINYG
+} from '../../constants';
+import {
+    MAX_SUGGESTIONS
+} from './constants';
+
+// G-codes and M-codes
+const GCODE_COMMANDS = [
+    { command: 'G0', description: 'Rapid move' },
+    { command: 'G1', description: 'Linear move' },
+    { command: 'G2', description: 'Clockwise arc' },
+    { command: 'G3', description: 'Counter-clockwise arc' },
+    { command: 'G4', description: 'Dwell for P seconds' },
+    { command: 'G10 L2', description: 'Set the work coordinate offsets of the coordinate system P' },
+    { command: 'G10 L20', description: 'Set the work coordinate offsets so that the current position becomes the given position' },
+    { command: 'G17', description: 'Select the XY plane' },
+    { command: 'G18', description: 'Select the XZ plane' },
+    { command: 'G19', description: 'Select the YZ plane' },
+    { command: 'G20', description: 'Use inches' },
+    { command: 'G21', description: 'Use millimeters' },
+    { command: 'G28', description: 'Go to the predefined position G28' },
+    { command: 'G28.1', description: 'Store the current position as G28' },
+    { command: 'G30', description: 'Go to the predefined position G30' },
+    { command: 'G30.1', description: 'Store the current position as G30' },
+    { command: 'G38.2', description: 'Probe toward the workpiece, stop on contact, signal error if failure' },
+    { command: 'G38.3', description: 'Probe toward the workpiece, stop on contact' },
+    { command: 'G38.4', description: 'Probe away from the workpiece, stop on loss of contact, signal error if failure' },
+    { command: 'G38.5', description: 'Probe away from the workpiece, stop on loss of contact' },
+    { command: 'G53', description: 'Move in machine coordinates' },
+    { command: 'G54', description: 'Select the work coordinate system P1' },
+    { command: 'G55', description: 'Select the work coordinate system P2' },
+    { command: 'G56', description: 'Select the work coordinate system P3' },
+    { command: 'G57', description: 'Select the work coordinate system P4' },
+    { command: 'G58', description: 'Select the work coordinate system P5' },
+    { command: 'G59', description: 'Select the work coordinate system P6' },
+    { command: 'G80', description: 'Cancel the motion mode' },
+    { command: 'G90', description: 'Absolute distance mode' },
+    { command: 'G91', description: 'Relative distance mode' },
+    { command: 'G92', description: 'Set the coordinate offsets' },
+    { command: 'G92.1', description: 'Reset the coordinate offsets' },
+    { command: 'G93', description: 'Inverse time feed rate mode' },
+    { command: 'G94', description: 'Units per minute feed rate mode' },
+    { command: 'M0', description: 'Program pause' },
+    { command: 'M1', description: 'Program pause if the optional stop switch is on' },
+    { command: 'M2', description: 'Program end' },
+    { command: 'M3', description: 'Spindle on, clockwise' },
+    { command: 'M4', description: 'Spindle on, counter-clockwise' },
+    { command: 'M5', description: 'Spindle off' },
+    { command: 'M6', description: 'Tool change' },
+    { command: 'M7', description: 'Mist coolant on' },
+    { command: 'M8', description: 'Flood coolant on' },
+    { command: 'M9', description: 'Coolant off' },
+    { command: 'M30', description: 'Program end and reset' }
+];
+
+const GRBL_COMMANDS = [
+    { command: '$', description: 'Show the help message' },
+    { command: '$$', description: 'View the Grbl settings' },
+    { command: '$#', description: 'View the G-code parameters' },
+    { command: '$G', description: 'View the G-code parser state' },
+    { command: '$I', description: 'View the build info' },
+    { command: '$N', description: 'View the startup blocks' },
+    { command: '$N0=', description: 'Save the startup block 0' },
+    { command: '$N1=', description: 'Save the startup block 1' },
+    { command: '$C', description: 'Toggle the check G-code mode' },
+    { command: '$X', description: 'Kill the alarm lock' },
+    { command: '$H', description: 'Run the homing cycle' },
+    { command: '$J=', description: 'Run a jogging motion, e.g. $J=G91 X10 F500' },
+    { command: '$SLP', description: 'Enable the sleep mode' },
+    { command: '$RST=$', description: 'Restore the Grbl settings to defaults' },
+    { command: '$RST=#', description: 'Erase the work coordinate offsets and the G28/G30 positions' },
+    { command: '$RST=*', description: 'Restore the settings and erase all data stored in EEPROM' },
+    { command: '?', description: 'Query the status report' },
+    { command: '~', description: 'Cycle start' },
+    { command: '!', description: 'Feed hold' }
+];
+
+const SMOOTHIE_COMMANDS = [
+    { command: '$#', description: 'View the G-code parameters' },
+    { command: '$G', description: 'View the G-code parser state' },
+    { command: '$I', description: 'View the build info' },
+    { command: '$X', description: 'Kill the alarm lock' },
+    { command: '$H', description: 'Run the homing cycle' },
+    { command: '?', description: 'Query the status report' },
+    { command: '~', description: 'Cycle start' },
+    { command: '!', description: 'Feed hold' },
+    { command: '@version', description: 'Show the firmware version' },
+    { command: '@help', description: 'List the console commands' },
+    { command: '@mem', description: 'Show the memory usage' },
+    { command: '@net', description: 'Show the network settings' },
+    { command: '@ls', description: 'List the files in the current folder, e.g. @ls /sd' },
+    { command: '@cd', description: 'Change the current folder' },
+    { command: '@pwd', description: 'Show the current folder' },
+    { command: '@cat', description: 'Print the content of a file' },
+    { command: '@rm', description: 'Remove a file' },
+    { command: '@mv', description: 'Rename a file' },
+    { command: '@play', description: 'Play a file from the SD card' },
+    { command: '@progress', description: 'Show the progress of the file being played' },
+    { command: '@abort', description: 'Abort the file being played' },
+    { command: '@suspend', description: 'Suspend the file being played' },
+    { command: '@resume', description: 'Resume the suspended file' },
+    { command: '@get pos', description: 'Show the current position' },
+    { command: '@get wcs', description: 'Show the work coordinate systems' },
+    { command: '@get state', description: 'Show the G-code parser state' },
+    { command: '@get status', description: 'Show the status report' },
+    { command: '@get temp', description: 'Show the temperatures' },
+    { command: '@config-get', description: 'Show a configuration value, e.g. @config-get sd alpha_steps_per_mm' },
+    { command: '@config-set', description: 'Set a configuration value, e.g. @config-set sd alpha_steps_per_mm 80' },
+    { command: '@config-load', description: 'Load the configuration into the cache' },
+    { command: '@switch', description: 'Set the state of a switch module, e.g. @switch fan on' },
+    { command: '@md5sum', description: 'Show the MD5 checksum of a file' },
+    { command: '@reset', description: 'Reset the board' },
+    { command: '@dfu', description: 'Enter the DFU mode' }
+];
+
+const TINYG_COMMANDS = [
+    { command: '$', description: 'View the settings in text mode' },
+    { command: '?', description: 'Query the status report in text mode' },
+    { command: '~', description: 'Cycle start' },
+    { command: '!', description: 'Feed hold' },
+    { command: '%', description: 'Flush the planner queue' },
+    { command: '{"sr":null}', description: 'Query the status report' },
+    { command: '{"qr":null}', description: 'Query the queue report' },
+    { command: '{"sys":null}', description: 'View the system settings' },
+    { command: '{"fv":null}', description: 'View the firmware version' },
+    { command: '{"fb":null}', description: 'View the firmware build' },
+    { command: '{"hp":null}', description: 'View the hardware platform' },
+    { command: '{"id":null}', description: 'View the board ID' },
+    { command: '{"stat":null}', description: 'View the machine state' },
+    { command: '{"pos":null}', description: 'View the work positions' },
+    { command: '{"mpo":null}', description: 'View the machine positions' },
+    { command: '{"ofs":null}', description: 'View the work offsets' },
+    { command: '{"hom":null}', description: 'View the homing state of the axes' },
+    { command: '{"prb":null}', description: 'View the last probing result' },
+    { command: '{"unit":null}', description: 'View the units mode' },
+    { command: '{"coor":null}', description: 'View the active coordinate system' },
+    { command: '{"g54":null}', description: 'View the G54 offsets' },
+    { command: '{"g55":null}', description: 'View the G55 offsets' },
+    { command: '{"g56":null}', description: 'View the G56 offsets' },
+    { command: '{"g57":null}', description: 'View the G57 offsets' },
+    { command: '{"g58":null}', description: 'View the G58 offsets' },
+    { command: '{"g59":null}', description: 'View the G59 offsets' },
+    { command: '{"g92":null}', description: 'View the G92 offsets' },
+    { command: '{"g28":null}', description: 'View the G28 position' },
+    { command: '{"g30":null}', description: 'View the G30 position' },
+    { command: '{"x":null}', description: 'View the X axis settings' },
+    { command: '{"y":null}', description: 'View the Y axis settings' },
+    { command: '{"z":null}', description: 'View the Z axis settings' },
+    { command: '{"a":null}', description: 'View the A axis settings' },
+    { command: '{"1":null}', description: 'View the motor 1 settings' },
+    { command: '{"2":null}', description: 'View the motor 2 settings' },
+    { command: '{"3":null}', description: 'View the motor 3 settings' },
+    { command: '{"4":null}', description: 'View the motor 4 settings' },
+    { command: '{"mt":null}', description: 'View the motor timeout in seconds' },
+    { command: '{"me":0}', description: 'Energize all motors' },
+    { command: '{"md":0}', description: 'De-energize all motors' },
+    { command: '{"sv":1}', description: 'Set the status report verbosity (0=off, 1=filtered, 2=verbose)' },
+    { command: '{"si":250}', description: 'Set the status report interval in milliseconds' },
+    { command: '{"qv":1}', description: 'Set the queue report verbosity (0=off, 1=single, 2=triple)' },
+    { command: '{"jv":4}', description: 'Set the JSON verbosity (0=silent ... 5=verbose)' },
+    { command: '{"ej":1}', description: 'Enable the JSON mode' },
+    { command: '{"clear":null}', description: 'Clear the alarm state' },
+    { command: '{"defa":1}', description: 'Restore the settings to defaults' }
+];
+
+const MARLIN_COMMANDS = [
+    { command: 'G28', description: 'Auto home' },
+    { command: 'G29', description: 'Bed leveling' },
+    { command: 'M17', description: 'Enable the steppers' },
+    { command: 'M18', description: 'Disable the steppers' },
+    { command: 'M104', description: 'Set the hotend temperature' },
+    { command: 'M105', description: 'Report the temperatures' },
+    { command: 'M106', description: 'Set the fan speed' },
+    { command: 'M107', description: 'Turn off the fan' },
+    { command: 'M109', description: 'Wait for the hotend temperature' },
+    { command: 'M114', description: 'Get the current position' },
+    { command: 'M115', description: 'Get the firmware info' },
+    { command: 'M119', description: 'Get the endstop states' },
+    { command: 'M140', description: 'Set the bed temperature' },
+    { command: 'M190', description: 'Wait for the bed temperature' },
+    { command: 'M500', description: 'Save the settings to EEPROM' },
+    { command: 'M501', description: 'Restore the settings from EEPROM' },
+    { command: 'M502', description: 'Restore the factory settings' },
+    { command: 'M503', description: 'Report the settings' }
+];
+
+// e.g. "$110=" (X-axis maximum rate, mm/min)
+const GRBL_SETTING_COMMANDS = GRBL_SETTINGS.map(({ setting, message, units, description }) => ({
+    command: `${setting}=`,
+    description: `${message} (${units}). ${description}`
+}));
+
+const getCommands = (type) => {
+    if (type === GRBL) {
+        return [].concat(GRBL_COMMANDS, GRBL_SETTING_COMMANDS, GCODE_COMMANDS);
+    }
+    if (type === MARLIN) {
+        return [].concat(MARLIN_COMMANDS, GCODE_COMMANDS);
+    }
+    if (type === SMOOTHIE) {
+        return [].concat(SMOOTHIE_COMMANDS, GCODE_COMMANDS);
+    }
+    if (type === TINYG) {
+        return [].concat(TINYG_COMMANDS, GCODE_COMMANDS);
+    }
+
+    return GCODE_COMMANDS;
+};
+
+// Returns the commands starting with the text, ignoring case.
+// @param {string} type The controller type.
+// @param {string} text The text of the command line.
+// @return {array} Returns an array of suggestions, e.g. [{ command: '$H', description: 'Run the homing cycle' }]
+export const getSuggestions = (type, text) => {
+    const prefix = String(text).trim().toUpperCase();
+    if (!prefix) {
+        return [];
+    }
+
+    return getCommands(type)
+        .filter(({ command }) => {
+            command = command.toUpperCase();
+            return command.indexOf(prefix) === 0 && command !== prefix;
+        })
+        .slice(0, MAX_SUGGESTIONS);
+};
+
+// Returns the help text of the command line, or an empty string if the command is not known.
+// @param {string} type The controller type.
+// @param {string} text The text of the command line, e.g. "$110=1000" or "G0 X10"
+export const getHelp = (type, text) => {
+    text = String(text).trim();
+
+    if (type === GRBL) {
+        // e.g. "$110" or "$110=1000"
+        const r = text.match(/^(\$\d+)(=.*)?$/);
+        if (r) {
+            const setting = find(GRBL_SETTINGS, { setting: r[1] });
+            return setting ? `${setting.message} (${setting.units}). ${setting.description}` : '';
+        }
+    }
+
+    if (type === TINYG) {
+        // Match the JSON key regardless of the value, e.g. '{"sr":""}'
+        const r = text.match(/^\{\s*"(\w+)"\s*:/);
+        if (r) {
+            const key = `{"${r[1].toLowerCase()}":`;
+            const command = find(TINYG_COMMANDS, (o) => (o.command.indexOf(key) === 0));
+            return command ? command.description : '';
+        }
+    }
+
+    const commands = getCommands(type);
+    const upperText = text.toUpperCase();
+    let result = null;
+
+    // Find the longest command at the start of the text, e.g. "G38.2" rather than "G3" for "G38.2 Z-10"
+    commands.forEach((o) => {
+        const command = o.command.toUpperCase();
+        if (upperText.indexOf(command) !== 0) {
+            return;
+        }
+        // Match whole words only
+        const nextChar = upperText.charAt(command.length);
+        if (/[0-9.]/.test(nextChar) && /[0-9]$/.test(command)) {
+            return;
+        }
+        if (!result || command.length > result.command.length) {
+            result = o;
+        }
+    });
+
+    return result ? result.description : '';
+};
+
+// Returns the explanation of an error or alarm reported by the controller, e.g. "error:20" or "ALARM:1"
+// @param {string} type The controller type.
+// @param {string} line The line read from the serial port.
+export const getErrorHelp = (type, line) => {
+    if (type !== GRBL) {
+        return '';
+    }
+
+    let r = String(line).match(/^error:(\d+)/i);
+    if (r) {
+        const error = find(GRBL_ERRORS, { code: Number(r[1]) });
+        return error ? `${error.message}. ${error.description}` : '';
+    }
+
+    r = String(line).match(/^ALARM:(\d+)/i);
+    if (r) {
+        const alarm = find(GRBL_ALARMS, { code: Number(r[1]) });
+        return alarm ? `${alarm.message}. ${alarm.description}` : '';
+    }
+
+    return '';
+};
@@ -1 +1,3 @@
 export const SCROLL_BUFFER_SIZE = 5000; // lines
+export const HISTORY_SIZE = 100; // commands
+export const MAX_SUGGESTIONS = 10;
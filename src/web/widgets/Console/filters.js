@@ -0,0 +1,54 @@
+// Status reports and queue reports, and the queries sent to get them
+const STATUS_REPORT_PATTERNS = [
+    /^<.*>$/, // Grbl and Smoothie, e.g. "<Idle|MPos:0.000,0.000,0.000|FS:0,0>"
+    /^\{\s*"(sr|qr)"\s*:/, // TinyG, e.g. '{"sr":{"stat":3}}' or '{"qr":32}'
+    /^\{\s*"r"\s*:\s*\{\s*"(sr|qr)"\s*:/, // TinyG, e.g. '{"r":{"sr":{"stat":3}},"f":[1,0,8]}'
+    /^(ok\s+)?T:\d/, // Marlin temperature reports, e.g. "ok T:25.0 /0.0 B:25.0 /0.0"
+    /^> \?$/,
+    /^> \{\s*"(sr|qr)"\s*:/
+];
+
+// Errors and alarms
+const ERROR_PATTERNS = [
+    /^error[:\s]/i, // Grbl, Smoothie and Marlin, e.g. "error:20" or "Error:Printer halted"
+    /^alarm[:\s]/i, // Grbl and Smoothie, e.g. "ALARM:1"
+    /^!!/, // Smoothie, e.g. "!!"
+    /"er"\s*:/, // TinyG exception reports, e.g. '{"er":{"fb":440.20,"st":204,"msg":"..."}}'
+    /"f"\s*:\s*\[\s*\d+\s*,\s*[1-9]\d*/ // TinyG footers with a non-zero status code
+];
+
+export const isStatusReport = (line) => {
+    return STATUS_REPORT_PATTERNS.some(re => re.test(line));
+};
+
+export const isError = (line) => {
+    return ERROR_PATTERNS.some(re => re.test(line));
+};
+
+// Returns the lines that match the filter.
+// @param {array} lines The lines in the scroll buffer.
+// @param {object} filter The filter options.
+// @param {boolean} [filter.hideStatusReports] Hide status reports and queue reports.
+// @param {boolean} [filter.errorsOnly] Show errors and alarms only.
+// @param {string} [filter.searchText] Show the lines containing the text, ignoring case.
+export const filterLines = (lines, filter) => {
+    const { hideStatusReports = false, errorsOnly = false, searchText = '' } = { ...filter };
+    const text = String(searchText).toLowerCase();
+
+    if (!hideStatusReports && !errorsOnly && !text) {
+        return lines;
+    }
+
+    return lines.filter(line => {
+        if (hideStatusReports && isStatusReport(line)) {
+            return false;
+        }
+        if (errorsOnly && !isError(line)) {
+            return false;
+        }
+        if (text && String(line).toLowerCase().indexOf(text) < 0) {
+            return false;
+        }
+        return true;
+    });
+};
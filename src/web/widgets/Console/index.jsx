@@ -10,6 +10,7 @@ import i18n from '../../lib/i18n';
 import store from '../../store';
 import Console from './Console';
 import {
+    HISTORY_SIZE,
     SCROLL_BUFFER_SIZE
 } from './constants';
 import styles from './index.styl';
@@ -34,6 +35,43 @@ class ConsoleWidget extends Component {
         },
         clearAll: () => {
             this.clearAll();
+        },
+        addHistory: (command) => {
+            const history = this.state.history
+                .filter(value => (value !== command)) // Keep the latest one only
+                .concat(command)
+                .slice(-HISTORY_SIZE);
+            this.setState({ history: history });
+        },
+        clearHistory: () => {
+            this.setState({ history: [] });
+        },
+        toggleStatusReports: () => {
+            const { filter } = this.state;
+            this.setState({
+                filter: {
+                    ...filter,
+                    hideStatusReports: !filter.hideStatusReports
+                }
+            });
+        },
+        toggleErrorsOnly: () => {
+            const { filter } = this.state;
+            this.setState({
+                filter: {
+                    ...filter,
+                    errorsOnly: !filter.errorsOnly
+                }
+            });
+        },
+        setSearchText: (searchText) => {
+            const { filter } = this.state;
+            this.setState({
+                filter: {
+                    ...filter,
+                    searchText: searchText
+                }
+            });
         }
     };
     controllerEvents = {
@@ -81,10 +119,14 @@ class ConsoleWidget extends Component {
     }
     componentDidUpdate(prevProps, prevState) {
         const {
-            minimized
+            minimized,
+            history,
+            filter
         } = this.state;
 
         store.set('widgets.console.minimized', minimized);
+        store.replace('widgets.console.history', history);
+        store.set('widgets.console.filter.hideStatusReports', filter.hideStatusReports);
     }
     getDefaultState() {
         return {
@@ -92,7 +134,13 @@ class ConsoleWidget extends Component {
             isFullscreen: false,
             port: controller.port,
             containerHeight: 240,
-            lines: []
+            lines: [],
+            history: store.get('widgets.console.history', []),
+            filter: {
+                hideStatusReports: store.get('widgets.console.filter.hideStatusReports', false),
+                errorsOnly: false,
+                searchText: ''
+            }
         };
     }
     subscribe() {
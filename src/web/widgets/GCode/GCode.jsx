@@ -1,6 +1,7 @@
 import React, { Component, PropTypes } from 'react';
 import shallowCompare from 'react-addons-shallow-compare';
 import GCodeStats from './GCodeStats';
+import GCodeEditor from './GCodeEditor';
 
 class GCode extends Component {
     static propTypes = {
@@ -12,8 +13,15 @@ class GCode extends Component {
         return shallowCompare(this, nextProps, nextState);
     }
     render() {
+        const { state } = this.props;
+
         return (
-            <GCodeStats {...this.props} />
+            <div>
+                <GCodeStats {...this.props} />
+                {state.editing &&
+                <GCodeEditor {...this.props} />
+                }
+            </div>
         );
     }
 }
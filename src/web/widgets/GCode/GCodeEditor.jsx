@@ -0,0 +1,421 @@
+/* eslint react/jsx-no-bind: 0 */
+import _ from 'lodash';
+import classNames from 'classnames';
+import pubsub from 'pubsub-js';
+import React, { Component, PropTypes } from 'react';
+import i18n from '../../lib/i18n';
+import { tokenize, getErrors } from './syntax';
+import styles from './index.styl';
+
+const LINE_HEIGHT = 18; // px
+const EDITOR_HEIGHT = 360; // px
+
+// Returns the index of the line at the character offset.
+const getLineAt = (content, offset) => {
+    let line = 0;
+    for (let i = 0; i < offset && i < content.length; ++i) {
+        if (content.charAt(i) === '\n') {
+            ++line;
+        }
+    }
+    return line;
+};
+
+// Returns the character offset of the start of the line.
+const getOffsetOf = (lines, line) => {
+    let offset = 0;
+    for (let i = 0; i < line && i < lines.length; ++i) {
+        offset += lines[i].length + 1; // newline
+    }
+    return offset;
+};
+
+// Maps the lines of the editor to the lines counted by the sender, which ignores empty lines.
+// @return {array} Returns the sender line index for each line, or -1 for empty lines.
+const getSenderLines = (lines) => {
+    let index = 0;
+    return lines.map(line => ((line.trim().length > 0) ? index++ : -1));
+};
+
+class GCodeEditor extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    state = this.getDefaultState(this.props.state.content);
+    textarea = null;
+    senderLines = [];
+    pubsubTokens = [];
+    analyze = _.debounce(() => {
+        const errors = {};
+        this.state.lines.forEach((line, index) => {
+            const words = getErrors(line);
+            if (words.length > 0) {
+                errors[index] = words;
+            }
+        });
+        this.setState({ errors: errors });
+    }, 300);
+
+    getDefaultState(content) {
+        return {
+            content: content,
+            lines: content.split('\n'),
+            errors: {},
+            caretLine: 0,
+            scrollTop: 0,
+            scrollLeft: 0,
+            findText: '',
+            replaceText: ''
+        };
+    }
+    componentWillMount() {
+        this.senderLines = getSenderLines(this.state.lines);
+    }
+    componentDidMount() {
+        this.subscribe();
+        this.analyze();
+    }
+    componentWillReceiveProps(nextProps) {
+        // Discard the changes when another program is loaded
+        if (nextProps.state.content !== this.props.state.content) {
+            const nextState = this.getDefaultState(nextProps.state.content);
+            this.senderLines = getSenderLines(nextState.lines);
+            this.setState(nextState, this.analyze);
+        }
+    }
+    componentWillUnmount() {
+        this.unsubscribe();
+        this.analyze.cancel();
+    }
+    subscribe() {
+        const tokens = [
+            // The line index counted by the sender, ignoring empty lines
+            pubsub.subscribe('gcode:select', (msg, index) => {
+                if (this.isModified() || this.senderLines[this.state.caretLine] === index) {
+                    return;
+                }
+
+                const line = this.senderLines.indexOf(index);
+                if (line >= 0) {
+                    this.moveCaretTo(line);
+                }
+            })
+        ];
+        this.pubsubTokens = this.pubsubTokens.concat(tokens);
+    }
+    unsubscribe() {
+        this.pubsubTokens.forEach((token) => {
+            pubsub.unsubscribe(token);
+        });
+        this.pubsubTokens = [];
+    }
+    isModified() {
+        return this.state.content !== this.props.state.content;
+    }
+    moveCaretTo(line) {
+        const offset = getOffsetOf(this.state.lines, line);
+
+        this.setState({ caretLine: line });
+
+        if (this.textarea) {
+            this.textarea.setSelectionRange(offset, offset);
+            this.textarea.scrollTop = Math.max(line * LINE_HEIGHT - (EDITOR_HEIGHT / 2), 0);
+        }
+    }
+    handleChange(event) {
+        const content = event.target.value;
+
+        this.setState({
+            content: content,
+            lines: content.split('\n')
+        }, this.analyze);
+    }
+    handleScroll(event) {
+        const { scrollTop, scrollLeft } = event.target;
+        this.setState({ scrollTop, scrollLeft });
+    }
+    handleSelect(event) {
+        const caretLine = getLineAt(this.state.content, event.target.selectionStart);
+        if (caretLine === this.state.caretLine) {
+            return;
+        }
+
+        this.setState({ caretLine: caretLine });
+
+        // Highlight the line in the visualizer unless the program has been changed
+        const index = this.senderLines[caretLine];
+        if (!this.isModified() && index >= 0) {
+            pubsub.publish('gcode:select', index);
+        }
+    }
+    findNext() {
+        const { content, findText } = this.state;
+        if (!findText || !this.textarea) {
+            return false;
+        }
+
+        const text = content.toLowerCase();
+        const searchText = findText.toLowerCase();
+        let offset = text.indexOf(searchText, this.textarea.selectionEnd);
+        if (offset < 0) {
+            // Search from the beginning
+            offset = text.indexOf(searchText);
+        }
+        if (offset < 0) {
+            return false;
+        }
+
+        const line = getLineAt(content, offset);
+        this.moveCaretTo(line);
+        this.textarea.setSelectionRange(offset, offset + findText.length);
+        this.textarea.focus();
+
+        return true;
+    }
+    replace() {
+        const { content, findText, replaceText } = this.state;
+        if (!findText || !this.textarea) {
+            return;
+        }
+
+        const { selectionStart, selectionEnd } = this.textarea;
+        const selectedText = content.slice(selectionStart, selectionEnd);
+
+        if (selectedText.toLowerCase() !== findText.toLowerCase()) {
+            this.findNext();
+            return;
+        }
+
+        const nextContent = content.slice(0, selectionStart) + replaceText + content.slice(selectionEnd);
+        this.setState({
+            content: nextContent,
+            lines: nextContent.split('\n')
+        }, () => {
+            this.textarea.setSelectionRange(selectionStart + replaceText.length, selectionStart + replaceText.length);
+            this.findNext();
+            this.analyze();
+        });
+    }
+    replaceAll() {
+        const { content, findText, replaceText } = this.state;
+        if (!findText) {
+            return;
+        }
+
+        const re = new RegExp(_.escapeRegExp(findText), 'gi');
+        // Use a function so that "$&" or "$1" in the replacement text are inserted literally
+        const nextContent = content.replace(re, () => replaceText);
+        this.setState({
+            content: nextContent,
+            lines: nextContent.split('\n')
+        }, this.analyze);
+    }
+    nextError() {
+        const { caretLine, errors } = this.state;
+        const lines = Object.keys(errors).map(Number).sort((a, b) => a - b);
+        const line = _.find(lines, (line) => (line > caretLine));
+
+        if (line !== undefined) {
+            this.moveCaretTo(line);
+        } else if (lines.length > 0) {
+            this.moveCaretTo(lines[0]);
+        }
+    }
+    renderLine(line) {
+        let offset = 0;
+
+        return tokenize(line).map((token) => {
+            const key = offset;
+            offset += token.text.length;
+
+            return (
+                <span
+                    key={key}
+                    className={classNames(
+                        styles[token.type],
+                        { [styles.error]: token.error }
+                    )}
+                >
+                    {token.text}
+                </span>
+            );
+        });
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { canReload } = state;
+        const { content, lines, errors, caretLine, scrollTop, scrollLeft, findText, replaceText } = this.state;
+        const isModified = this.isModified();
+        const errorCount = Object.keys(errors).length;
+
+        // Render the visible lines only
+        const first = Math.floor(scrollTop / LINE_HEIGHT);
+        const last = Math.min(first + Math.ceil(EDITOR_HEIGHT / LINE_HEIGHT) + 1, lines.length);
+        const visibleLines = _.range(first, last);
+
+        return (
+            <div className={styles['gcode-editor']}>
+                <div className="form-group">
+                    <div className="input-group input-group-sm">
+                        <input
+                            type="text"
+                            className="form-control"
+                            placeholder={i18n._('Find')}
+                            value={findText}
+                            onChange={(event) => {
+                                this.setState({ findText: event.target.value });
+                            }}
+                            onKeyDown={(event) => {
+                                if (event.keyCode === 13) { // Enter
+                                    this.findNext();
+                                }
+                            }}
+                        />
+                        <div className="input-group-btn">
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                title={i18n._('Find Next')}
+                                onClick={() => this.findNext()}
+                                disabled={!findText}
+                            >
+                                <i className="fa fa-search" />
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div className="form-group">
+                    <div className="input-group input-group-sm">
+                        <input
+                            type="text"
+                            className="form-control"
+                            placeholder={i18n._('Replace')}
+                            value={replaceText}
+                            onChange={(event) => {
+                                this.setState({ replaceText: event.target.value });
+                            }}
+                        />
+                        <div className="input-group-btn">
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                onClick={() => this.replace()}
+                                disabled={!findText}
+                            >
+                                {i18n._('Replace')}
+                            </button>
+                            <button
+                                type="button"
+                                className="btn btn-default"
+                                onClick={() => this.replaceAll()}
+                                disabled={!findText}
+                            >
+                                {i18n._('Replace All')}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div className={styles.editor} style={{ height: EDITOR_HEIGHT }}>
+                    <div className={styles.gutter}>
+                        {visibleLines.map(line => (
+                            <div
+                                key={line}
+                                className={classNames(
+                                    styles.lineNumber,
+                                    { [styles.active]: line === caretLine },
+                                    { [styles.error]: !!errors[line] }
+                                )}
+                                style={{ top: line * LINE_HEIGHT - scrollTop, height: LINE_HEIGHT }}
+                                title={errors[line] ? i18n._('Unknown words: {{words}}', { words: errors[line].join(', ') }) : ''}
+                            >
+                                {errors[line] &&
+                                <i className="fa fa-exclamation-circle" />
+                                }
+                                {line + 1}
+                            </div>
+                        ))}
+                    </div>
+                    <div className={styles.code}>
+                        <div className={styles.highlight}>
+                            {visibleLines.map(line => (
+                                <div
+                                    key={line}
+                                    className={classNames(
+                                        styles.line,
+                                        { [styles.active]: line === caretLine }
+                                    )}
+                                    style={{
+                                        top: line * LINE_HEIGHT - scrollTop,
+                                        left: -scrollLeft,
+                                        height: LINE_HEIGHT,
+                                        lineHeight: `${LINE_HEIGHT}px`
+                                    }}
+                                >
+                                    {this.renderLine(lines[line])}
+                                </div>
+                            ))}
+                        </div>
+                        <textarea
+                            ref={node => {
+                                this.textarea = node;
+                            }}
+                            className={styles.textarea}
+                            style={{ lineHeight: `${LINE_HEIGHT}px` }}
+                            value={content}
+                            wrap="off"
+                            spellCheck={false}
+                            onChange={::this.handleChange}
+                            onScroll={::this.handleScroll}
+                            onSelect={::this.handleSelect}
+                        />
+                    </div>
+                </div>
+                <div className="clearfix" style={{ marginTop: 10 }}>
+                    <div className="pull-left">
+                        {errorCount > 0 &&
+                        <button
+                            type="button"
+                            className="btn btn-xs btn-link text-danger"
+                            onClick={() => this.nextError()}
+                        >
+                            <i className="fa fa-exclamation-circle" />
+                            <span className="space" />
+                            {i18n._('{{count}} lines with unknown words', { count: errorCount })}
+                        </button>
+                        }
+                        {isModified &&
+                        <span className="text-muted">{i18n._('Modified')}</span>
+                        }
+                    </div>
+                    <div className="pull-right">
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-default"
+                            onClick={() => {
+                                const nextState = this.getDefaultState(this.props.state.content);
+                                this.setState(nextState, this.analyze);
+                            }}
+                            disabled={!isModified}
+                        >
+                            {i18n._('Revert')}
+                        </button>
+                        <span className="space" />
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-primary"
+                            title={i18n._('Load the edited G-code into the controller')}
+                            onClick={() => actions.reloadGCode(content)}
+                            disabled={!canReload || !isModified}
+                        >
+                            {i18n._('Reload')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default GCodeEditor;
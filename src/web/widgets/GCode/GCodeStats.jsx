@@ -34,12 +34,13 @@ class GCodeStats extends Component {
     }
     render() {
         const { state } = this.props;
-        const { units, total, sent, received, bbox } = state;
+        const { units, total, sent, received, bbox, tools, distance } = state;
         const displayUnits = (units === METRIC_UNITS) ? i18n._('mm') : i18n._('in');
         const startTime = formatISODateTime(state.startTime);
         const finishTime = formatISODateTime(state.finishTime);
         const elapsedTime = formatElapsedTime(state.elapsedTime);
         const remainingTime = formatRemainingTime(state.remainingTime);
+        const estimatedTime = formatRemainingTime(state.estimatedTime);
 
         return (
             <div className={styles['gcode-stats']}>
@@ -97,6 +98,26 @@ class GCodeStats extends Component {
                         <div>{elapsedTime}</div>
                     </div>
                 </div>
+                <div className="row no-gutters" style={{ marginBottom: 10 }}>
+                    <div className="col-xs-6">
+                        <div>{i18n._('Estimated Time')}</div>
+                        <div>{estimatedTime}</div>
+                    </div>
+                    <div className="col-xs-6">
+                        <div>{i18n._('Tools')}</div>
+                        <div>{tools.length > 0 ? tools.map(tool => `T${tool}`).join(', ') : '–'}</div>
+                    </div>
+                </div>
+                <div className="row no-gutters" style={{ marginBottom: 10 }}>
+                    <div className="col-xs-6">
+                        <div>{i18n._('Rapid Distance')}</div>
+                        <div>{distance.rapid} {displayUnits}</div>
+                    </div>
+                    <div className="col-xs-6">
+                        <div>{i18n._('Cutting Distance')}</div>
+                        <div>{distance.cutting} {displayUnits}</div>
+                    </div>
+                </div>
                 <div className="row no-gutters">
                     <div className="col-xs-6">
                         <div>{i18n._('Finish Time')}</div>
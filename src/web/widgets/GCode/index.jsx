@@ -6,13 +6,16 @@ import shallowCompare from 'react-addons-shallow-compare';
 import Widget from '../../components/Widget';
 import controller from '../../lib/controller';
 import i18n from '../../lib/i18n';
+import log from '../../lib/log';
 import { mm2in } from '../../lib/units';
 import store from '../../store';
 import GCode from './GCode';
 import {
     // Units
     IMPERIAL_UNITS,
-    METRIC_UNITS
+    METRIC_UNITS,
+    // Workflow
+    WORKFLOW_STATE_IDLE
 } from '../../constants';
 import styles from './index.styl';
 
@@ -38,10 +41,27 @@ class GCodeWidget extends Component {
     };
 
     actions = {
+        toggleEditor: () => {
+            this.setState({ editing: !this.state.editing });
+        },
+        // Loads the edited G-code into the controller
+        reloadGCode: (gcode) => {
+            const { name } = this.state;
+
+            controller.command('gcode:load', name, gcode, (err, data) => {
+                if (err) {
+                    log.error(`Failed to load the G-code: name="${name}"`);
+                    return;
+                }
+
+                // The loaded G-code might be modified by the controller
+                pubsub.publish('gcode:load', { name, gcode: _.get(data, 'gcode', gcode) });
+            });
+        }
     };
     controllerEvents = {
         'sender:status': (data) => {
-            const { total, sent, received, startTime, finishTime, elapsedTime, remainingTime } = data;
+            const { total, sent, received, startTime, finishTime, elapsedTime, remainingTime, estimatedTime } = data;
 
             this.setState({
                 total,
@@ -50,7 +70,19 @@ class GCodeWidget extends Component {
                 startTime,
                 finishTime,
                 elapsedTime,
-                remainingTime
+                remainingTime,
+                estimatedTime
+            });
+        },
+        'gcode:analysis': (data) => {
+            const { tools = [], distance = {} } = { ...data };
+
+            this.setState({
+                tools,
+                distance: {
+                    rapid: Number(distance.rapid) || 0,
+                    cutting: Number(distance.cutting) || 0
+                }
             });
         },
         'Grbl:state': (state) => {
@@ -65,6 +97,18 @@ class GCodeWidget extends Component {
                 this.setState({ units: units });
             }
         },
+        'Marlin:state': (state) => {
+            const { parserstate } = { ...state };
+            const { modal = {} } = { ...parserstate };
+            const units = {
+                'G20': IMPERIAL_UNITS,
+                'G21': METRIC_UNITS
+            }[modal.units] || this.state.units;
+
+            if (this.state.units !== units) {
+                this.setState({ units: units });
+            }
+        },
         'Smoothie:state': (state) => {
             const { parserstate } = { ...state };
             const { modal = {} } = { ...parserstate };
@@ -118,11 +162,16 @@ class GCodeWidget extends Component {
         return {
             minimized: store.get('widgets.gcode.minimized', false),
             isFullscreen: false,
+            editing: false,
 
             port: controller.port,
             units: METRIC_UNITS,
             workflowState: controller.workflowState,
 
+            // G-code Program
+            name: '',
+            content: '',
+
             // G-code Status (from server)
             total: 0,
             sent: 0,
@@ -131,6 +180,14 @@ class GCodeWidget extends Component {
             finishTime: 0,
             elapsedTime: 0,
             remainingTime: 0,
+            estimatedTime: 0,
+
+            // G-code Analysis (from server)
+            tools: [],
+            distance: {
+                rapid: 0,
+                cutting: 0
+            },
 
             // Bounding box
             bbox: {
@@ -167,8 +224,21 @@ class GCodeWidget extends Component {
                     });
                 }
             }),
+            pubsub.subscribe('gcode:load', (msg, { name, gcode }) => {
+                this.setState({
+                    name: name,
+                    content: gcode
+                });
+            }),
             pubsub.subscribe('gcode:unload', (msg) => {
                 this.setState({
+                    name: '',
+                    content: '',
+                    tools: [],
+                    distance: {
+                        rapid: 0,
+                        cutting: 0
+                    },
                     bbox: {
                         min: {
                             x: 0,
@@ -238,14 +308,16 @@ class GCodeWidget extends Component {
         });
     }
     render() {
-        const { minimized, isFullscreen } = this.state;
-        const { units, bbox } = this.state;
+        const { minimized, isFullscreen, editing } = this.state;
+        const { units, bbox, distance } = this.state;
         const state = {
             ...this.state,
+            canReload: !!this.state.port && !!this.state.name && (this.state.workflowState === WORKFLOW_STATE_IDLE),
             bbox: _.mapValues(bbox, (position) => {
                 position = _.mapValues(position, (val, axis) => toFixedUnits(units, val));
                 return position;
-            })
+            }),
+            distance: _.mapValues(distance, (val) => toFixedUnits(units, val))
         };
         const actions = {
             ...this.actions
@@ -256,6 +328,18 @@ class GCodeWidget extends Component {
                 <Widget.Header className={this.props.sortable.handleClassName}>
                     <Widget.Title>{i18n._('G-code')}</Widget.Title>
                     <Widget.Controls className={this.props.sortable.filterClassName}>
+                        <Widget.Button
+                            title={editing ? i18n._('Close Editor') : i18n._('Edit')}
+                            onClick={actions.toggleEditor}
+                        >
+                            <i
+                                className={classNames(
+                                    'fa',
+                                    { 'fa-pencil-square-o': !editing },
+                                    { 'fa-pencil-square': editing }
+                                )}
+                            />
+                        </Widget.Button>
                         <Widget.Button
                             title={minimized ? i18n._('Open') : i18n._('Close')}
                             onClick={(event, val) => this.setState({ minimized: !minimized })}
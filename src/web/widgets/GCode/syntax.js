@@ -0,0 +1,101 @@
+// The G-codes supported by Grbl, Smoothieware, TinyG or Marlin
+const KNOWN_GCODES = [
+    0, 1, 2, 3, 4, 5, 10, 17, 18, 19, 20, 21, 28, 28.1, 28.2, 28.3, 29, 30, 30.1,
+    38.2, 38.3, 38.4, 38.5, 40, 43.1, 49, 53, 54, 55, 56, 57, 58, 59, 59.1, 59.2, 59.3,
+    61, 61.1, 64, 80, 90, 90.1, 91, 91.1, 92, 92.1, 92.2, 92.3, 93, 94
+];
+
+// The letters of words with coordinates, and other parameters
+const AXIS_LETTERS = 'XYZABCIJKR';
+const PARAMETER_LETTERS = 'DEFHLOPQST';
+
+// The patterns are tested in order at the start of the remaining text
+const PATTERNS = [
+    ['space', /^\s+/],
+    ['comment', /^;.*/],
+    ['comment', /^\([^)]*\)?/],
+    ['word', /^([a-zA-Z])\s*([+-]?(?:\d+\.?\d*|\.\d+)|\[[^\]]*\])/],
+    ['blockDelete', /^\//]
+];
+
+const classifyWord = (letter, value) => {
+    letter = letter.toUpperCase();
+
+    if (letter === 'G') {
+        // Expressions are evaluated when the G-code is loaded
+        const isExpression = (value.charAt(0) === '[');
+        const isKnown = isExpression || KNOWN_GCODES.indexOf(Number(value)) >= 0;
+        return { type: 'command', error: !isKnown };
+    }
+    if (letter === 'M') {
+        return { type: 'command', error: false };
+    }
+    if (letter === 'N') {
+        return { type: 'sequenceNumber', error: false };
+    }
+    if (AXIS_LETTERS.indexOf(letter) >= 0) {
+        return { type: 'axis', error: false };
+    }
+    if (PARAMETER_LETTERS.indexOf(letter) >= 0) {
+        return { type: 'parameter', error: false };
+    }
+
+    return { type: 'unknown', error: true };
+};
+
+// Splits a line of G-code into tokens for syntax highlighting.
+// @param {string} line The line of G-code.
+// @return {array} Returns an array of tokens, e.g. [{ type: 'command', text: 'G1', error: false }]
+export const tokenize = (line) => {
+    // cncjs directives, e.g. "%wait" or "%x0 = posx"
+    if (/^\s*%/.test(line)) {
+        return [{ type: 'directive', text: line, error: false }];
+    }
+
+    const tokens = [];
+    let rest = String(line);
+
+    while (rest.length > 0) {
+        let token = null;
+
+        for (let i = 0; i < PATTERNS.length; ++i) {
+            const [type, re] = PATTERNS[i];
+            const r = rest.match(re);
+            if (r) {
+                token = (type === 'word')
+                    ? { text: r[0], ...classifyWord(r[1], r[2]) }
+                    : { type: type, text: r[0], error: false };
+                break;
+            }
+        }
+
+        if (!token) {
+            // A letter without a value, or an unexpected character
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === 'invalid') {
+                last.text += rest.charAt(0);
+            } else {
+                tokens.push({ type: 'invalid', text: rest.charAt(0), error: true });
+            }
+            rest = rest.slice(1);
+        } else {
+            tokens.push(token);
+            rest = rest.slice(token.text.length);
+
+            // The rest of the line is a message, e.g. "M117 Hello"
+            if (token.type === 'command' && /^M\s*11[78]$/i.test(token.text) && rest.length > 0) {
+                tokens.push({ type: 'comment', text: rest, error: false });
+                rest = '';
+            }
+        }
+    }
+
+    return tokens;
+};
+
+// Returns the texts of the unknown or invalid words in a line of G-code.
+export const getErrors = (line) => {
+    return tokenize(line)
+        .filter(token => token.error)
+        .map(token => token.text.trim());
+};
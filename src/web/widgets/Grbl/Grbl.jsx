@@ -7,8 +7,12 @@ import i18n from '../../lib/i18n';
 import Panel from '../../components/Panel';
 import Toggler from '../../components/Toggler';
 import ControllerState from './ControllerState';
+import Settings from './Settings';
 import Toolbar from './Toolbar';
 import Overrides from './Overrides';
+import {
+    MODAL_SETTINGS
+} from './constants';
 import styles from './index.styl';
 
 class Grbl extends Component {
@@ -48,6 +52,9 @@ class Grbl extends Component {
         return (
             <div>
                 <ControllerState state={state} actions={actions} />
+                {state.modal.name === MODAL_SETTINGS &&
+                <Settings state={state} actions={actions} />
+                }
                 <Toolbar state={state} actions={actions} />
                 {!_.isEmpty(ov) &&
                 <Overrides state={state} actions={actions} />
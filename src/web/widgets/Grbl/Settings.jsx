@@ -0,0 +1,314 @@
+/* eslint react/jsx-no-bind: 0 */
+import _ from 'lodash';
+import classNames from 'classnames';
+import React, { Component, PropTypes } from 'react';
+import Modal from '../../components/Modal';
+import controller from '../../lib/controller';
+import i18n from '../../lib/i18n';
+import log from '../../lib/log';
+import {
+    GRBL,
+    GRBL_ACTIVE_STATE_IDLE,
+    GRBL_ACTIVE_STATE_ALARM,
+    WORKFLOW_STATE_IDLE
+} from '../../constants';
+import {
+    isSetting,
+    getSettingInfo,
+    groupSettings,
+    validateSetting
+} from './metadata';
+import styles from './index.styl';
+
+// Returns the numbered settings reported by Grbl, e.g. { $0: '10', $110: '500.000' }
+const getReportedSettings = (controllerState) => {
+    const settings = _.get(controllerState, 'settings', {});
+    return _.pickBy(settings, (value, name) => isSetting(name));
+};
+
+class Settings extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    state = {
+        // The edited values, e.g. { $110: '1000' }
+        values: {},
+        message: ''
+    };
+    fileInputEl = null;
+
+    componentDidMount() {
+        this.querySettings();
+    }
+    querySettings() {
+        if (this.props.state.canClick) {
+            controller.writeln('$$');
+        }
+    }
+    canWrite() {
+        const { state } = this.props;
+        const activeState = _.get(state.controller.state, 'status.activeState');
+
+        if (!state.canClick) {
+            return false;
+        }
+        if (controller.workflowState !== WORKFLOW_STATE_IDLE) {
+            return false;
+        }
+        // Grbl does not accept settings while in motion
+        if (!_.includes([GRBL_ACTIVE_STATE_IDLE, GRBL_ACTIVE_STATE_ALARM], activeState)) {
+            return false;
+        }
+
+        return true;
+    }
+    // Returns the edited settings whose values differ from the reported values.
+    getChanges() {
+        const settings = getReportedSettings(this.props.state.controller.state);
+
+        return _.pickBy(this.state.values, (value, name) => {
+            return (settings[name] !== undefined) && (Number(value) !== Number(settings[name]));
+        });
+    }
+    getErrors() {
+        return _.pickBy(_.mapValues(this.state.values, (value, name) => validateSetting(name, value)));
+    }
+    changeValue(name, value) {
+        this.setState({
+            values: {
+                ...this.state.values,
+                [name]: value
+            }
+        });
+    }
+    writeChanges() {
+        const changes = this.getChanges();
+        const lines = _.keys(changes).map(name => `${name}=${Number(changes[name])}`);
+
+        if (lines.length === 0) {
+            return;
+        }
+
+        // Read back the settings after writing them
+        controller.command('gcode', lines.concat('$$'));
+
+        this.setState({
+            values: {},
+            message: i18n._('{{count}} settings have been written.', { count: lines.length })
+        });
+    }
+    exportSettings() {
+        const { state } = this.props;
+        const settings = getReportedSettings(state.controller.state);
+        const data = {
+            type: GRBL,
+            version: _.get(state.controller.state, 'version', ''),
+            settings: settings
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = 'grbl-settings.json';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    importSettings(text) {
+        const settings = getReportedSettings(this.props.state.controller.state);
+        let data = null;
+
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            log.error(err);
+        }
+
+        // Accepts the exported file, or a plain object of settings
+        const imported = _.get(data, 'settings', data);
+        if (!_.isPlainObject(imported)) {
+            this.setState({ message: i18n._('The file does not contain Grbl settings.') });
+            return;
+        }
+
+        const names = _.keys(imported).filter(isSetting);
+        const values = _.mapValues(_.pick(imported, names.filter(name => settings[name] !== undefined)), String);
+        const ignored = names.length - _.size(values);
+
+        this.setState({
+            values: values,
+            message: (ignored > 0)
+                ? i18n._('{{count}} settings are not supported by this machine and have been ignored.', { count: ignored })
+                : ''
+        });
+    }
+    onChangeFile(event) {
+        const file = event.target.files[0];
+        const reader = new FileReader();
+
+        reader.onloadend = (event) => {
+            const { result, error } = event.target;
+
+            if (error) {
+                log.error(error);
+                return;
+            }
+
+            this.importSettings(result);
+        };
+
+        try {
+            reader.readAsText(file);
+        } catch (err) {
+            // Ignore error
+        }
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { values, message } = this.state;
+        const settings = getReportedSettings(state.controller.state);
+        const groups = groupSettings(_.keys(settings));
+        const changes = this.getChanges();
+        const errors = this.getErrors();
+        const canWrite = this.canWrite();
+        const maxHeight = Math.max(window.innerHeight / 2, 200);
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                show
+                size="lg"
+            >
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Grbl Settings')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body style={{ maxHeight: maxHeight, overflowY: 'auto' }}>
+                    <input
+                        ref={(node) => {
+                            this.fileInputEl = node;
+                        }}
+                        type="file"
+                        accept=".json"
+                        style={{ display: 'none' }}
+                        multiple={false}
+                        onChange={::this.onChangeFile}
+                    />
+                    {groups.length === 0 &&
+                    <p className="text-muted">{i18n._('Waiting for the settings to be reported ($$)...')}</p>
+                    }
+                    {groups.map(group => (
+                        <div key={group.title} className={styles.settingsGroup}>
+                            <h5>{group.title}</h5>
+                            <table className="table table-condensed">
+                                <tbody>
+                                    {group.settings.map(name => {
+                                        const info = getSettingInfo(name);
+                                        const value = (values[name] !== undefined) ? values[name] : settings[name];
+                                        const error = errors[name];
+
+                                        return (
+                                            <tr
+                                                key={name}
+                                                className={classNames(
+                                                    { [styles.modified]: changes[name] !== undefined }
+                                                )}
+                                            >
+                                                <td className={styles.settingName}>{name}</td>
+                                                <td title={info ? info.description : ''}>
+                                                    {info ? info.message : ''}
+                                                </td>
+                                                <td className={classNames(styles.settingValue, { 'has-error': !!error })}>
+                                                    <input
+                                                        type="text"
+                                                        className="form-control input-sm"
+                                                        value={value}
+                                                        onChange={(event) => this.changeValue(name, event.target.value)}
+                                                    />
+                                                    {error &&
+                                                    <span className="help-block">{error}</span>
+                                                    }
+                                                </td>
+                                                <td className="text-muted">{info ? info.units : ''}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </Modal.Body>
+                <Modal.Footer>
+                    {message &&
+                    <span className="pull-left text-muted" style={{ lineHeight: '30px' }}>{message}</span>
+                    }
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => this.querySettings()}
+                        disabled={!state.canClick}
+                    >
+                        <i className="fa fa-refresh" />
+                        <span className="space" />
+                        {i18n._('Refresh')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => this.exportSettings()}
+                        disabled={_.isEmpty(settings)}
+                    >
+                        <i className="fa fa-download" />
+                        <span className="space" />
+                        {i18n._('Export')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        title={i18n._('Load the settings from a file, and review them before writing')}
+                        onClick={() => {
+                            this.fileInputEl.value = null;
+                            this.fileInputEl.click();
+                        }}
+                        disabled={_.isEmpty(settings)}
+                    >
+                        <i className="fa fa-upload" />
+                        <span className="space" />
+                        {i18n._('Import')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => this.setState({ values: {}, message: '' })}
+                        disabled={_.isEmpty(values)}
+                    >
+                        {i18n._('Reset')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={() => this.writeChanges()}
+                        disabled={!canWrite || _.isEmpty(changes) || !_.isEmpty(errors)}
+                    >
+                        {_.isEmpty(changes)
+                            ? i18n._('Write')
+                            : i18n._('Write {{count}} Changes', { count: _.size(changes) })
+                        }
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Close')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default Settings;
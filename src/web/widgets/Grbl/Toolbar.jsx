@@ -6,7 +6,8 @@ import i18n from '../../lib/i18n';
 import controller from '../../lib/controller';
 import styles from './index.styl';
 import {
-    MODAL_CONTROLLER_STATE
+    MODAL_CONTROLLER_STATE,
+    MODAL_SETTINGS
 } from './constants';
 
 class Toolbar extends Component {
@@ -36,6 +37,18 @@ class Toolbar extends Component {
                         <span className="space space-sm" />
                         {i18n._('Current State')}
                     </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => {
+                            actions.openModal(MODAL_SETTINGS);
+                        }}
+                        disabled={!canClick}
+                    >
+                        <i className="fa fa-cog" />
+                        <span className="space space-sm" />
+                        {i18n._('Settings')}
+                    </button>
                 </div>
                 <div className="btn-group pull-right">
                     <DropdownButton
@@ -2,5 +2,6 @@ import constants from 'namespace-constants';
 
 module.exports = constants('widgets/Grbl', [
     'MODAL_NONE',
-    'MODAL_CONTROLLER_STATE'
+    'MODAL_CONTROLLER_STATE',
+    'MODAL_SETTINGS'
 ]);
@@ -0,0 +1,95 @@
+import find from 'lodash/find';
+import { GRBL_SETTINGS } from '../../../app/controllers/Grbl/constants';
+import i18n from '../../lib/i18n';
+
+// The settings are grouped by the range of setting numbers
+const SETTING_GROUPS = [
+    { min: 0, max: 9, title: () => i18n._('Stepper Motors') },
+    { min: 10, max: 19, title: () => i18n._('Reporting and Motion') },
+    { min: 20, max: 29, title: () => i18n._('Limits and Homing') },
+    { min: 30, max: 39, title: () => i18n._('Spindle and Laser') },
+    { min: 100, max: 109, title: () => i18n._('Travel Resolution') },
+    { min: 110, max: 119, title: () => i18n._('Maximum Rate') },
+    { min: 120, max: 129, title: () => i18n._('Acceleration') },
+    { min: 130, max: 139, title: () => i18n._('Maximum Travel') }
+];
+
+// The value ranges of the integer settings, which are stored as uint8 or uint16 by Grbl
+const INTEGER_RANGES = {
+    '$0': [3, 255], // Minimum 3usec
+    '$1': [0, 255],
+    '$26': [0, 65535]
+};
+
+// Units of the settings that must be greater than zero
+const POSITIVE_UNITS = ['step/mm', 'mm/min', 'mm/sec^2'];
+
+// Returns true if the name is a numbered setting, e.g. "$110"
+export const isSetting = (name) => /^\$\d+$/.test(name);
+
+export const getSettingNumber = (name) => Number(String(name).slice(1));
+
+export const getSettingInfo = (name) => {
+    return find(GRBL_SETTINGS, { setting: name }) || null;
+};
+
+// Groups the settings for display.
+// @param {array} names The names of the settings, e.g. ["$0", "$1", "$110"]
+// @return {array} Returns an array of groups, e.g. [{ title: 'Stepper Motors', settings: ['$0', '$1'] }]
+export const groupSettings = (names) => {
+    const sortedNames = names
+        .filter(isSetting)
+        .sort((a, b) => getSettingNumber(a) - getSettingNumber(b));
+    const groups = SETTING_GROUPS.map(group => ({
+        title: group.title(),
+        settings: sortedNames.filter(name => {
+            const n = getSettingNumber(name);
+            return n >= group.min && n <= group.max;
+        })
+    }));
+    const others = sortedNames.filter(name => {
+        const n = getSettingNumber(name);
+        return !SETTING_GROUPS.some(group => (n >= group.min && n <= group.max));
+    });
+
+    if (others.length > 0) {
+        groups.push({ title: i18n._('Other'), settings: others });
+    }
+
+    return groups.filter(group => group.settings.length > 0);
+};
+
+// Validates the value of a setting against the type and range described by the setting metadata.
+// @param {string} name The name of the setting, e.g. "$110"
+// @param {string} value The value to validate.
+// @return {string} Returns an error message, or an empty string if the value is valid.
+export const validateSetting = (name, value) => {
+    const text = String(value).trim();
+    const number = Number(text);
+    const info = getSettingInfo(name);
+
+    if (text === '' || !Number.isFinite(number)) {
+        return i18n._('Must be a number');
+    }
+    if (!info) {
+        return '';
+    }
+
+    if (info.units === 'boolean') {
+        return (number === 0 || number === 1) ? '' : i18n._('Must be 0 or 1');
+    }
+
+    if (info.units === 'mask' || info.units === 'microseconds' || info.units === 'milliseconds') {
+        const [min, max] = INTEGER_RANGES[name] || [0, 255];
+        if (!Number.isInteger(number) || number < min || number > max) {
+            return i18n._('Must be an integer between {{min}} and {{max}}', { min, max });
+        }
+        return '';
+    }
+
+    if (POSITIVE_UNITS.indexOf(info.units) >= 0) {
+        return (number > 0) ? '' : i18n._('Must be greater than 0');
+    }
+
+    return (number >= 0) ? '' : i18n._('Must not be negative');
+};
@@ -1,4 +1,3 @@
-import includes from 'lodash/includes';
 import classNames from 'classnames';
 import pubsub from 'pubsub-js';
 import React, { Component, PropTypes } from 'react';
@@ -68,6 +67,13 @@ class LaserWidget extends Component {
         }
     };
     controllerEvents = {
+        'serialport:open': (options) => {
+            const { controllerType } = options;
+            this.setState({ isReady: controller.hasCapability('laserMode', controllerType) });
+        },
+        'serialport:close': (options) => {
+            this.setState({ isReady: true });
+        },
         'Grbl:state': (state) => {
             this.setState({
                 controller: {
@@ -126,6 +132,8 @@ class LaserWidget extends Component {
         return {
             minimized: store.get('widgets.laser.minimized', false),
             isFullscreen: false,
+            // Hide the widget if the controller does not support laser mode
+            isReady: !controller.port || controller.hasCapability('laserMode'),
             canClick: true, // Defaults to true
             port: controller.port,
             controller: {
@@ -186,14 +194,14 @@ class LaserWidget extends Component {
         if (!port) {
             return false;
         }
-        if (!includes([GRBL, SMOOTHIE, TINYG], controllerType)) {
+        if (!controller.hasCapability('laserMode', controllerType)) {
             return false;
         }
 
         return true;
     }
     render() {
-        const { minimized, isFullscreen } = this.state;
+        const { minimized, isFullscreen, isReady } = this.state;
         const state = {
             ...this.state,
             canClick: this.canClick()
@@ -207,6 +215,7 @@ class LaserWidget extends Component {
                 <Widget.Header className={this.props.sortable.handleClassName}>
                     <Widget.Title>{i18n._('Laser')}</Widget.Title>
                     <Widget.Controls className={this.props.sortable.filterClassName}>
+                        {isReady &&
                         <Widget.Button
                             title={minimized ? i18n._('Open') : i18n._('Close')}
                             onClick={(event, val) => this.setState({ minimized: !minimized })}
@@ -219,6 +228,8 @@ class LaserWidget extends Component {
                                 )}
                             />
                         </Widget.Button>
+                        }
+                        {isReady &&
                         <Widget.Button
                             title={i18n._('Fullscreen')}
                             onClick={(event, val) => this.setState({ isFullscreen: !isFullscreen })}
@@ -231,6 +242,7 @@ class LaserWidget extends Component {
                                 )}
                             />
                         </Widget.Button>
+                        }
                         <Widget.Button
                             title={i18n._('Remove')}
                             onClick={(event) => this.props.onDelete()}
@@ -239,6 +251,7 @@ class LaserWidget extends Component {
                         </Widget.Button>
                     </Widget.Controls>
                 </Widget.Header>
+                {isReady &&
                 <Widget.Content
                     className={classNames(
                         styles['widget-content'],
@@ -250,6 +263,7 @@ class LaserWidget extends Component {
                         actions={actions}
                     />
                 </Widget.Content>
+                }
             </Widget>
         );
     }
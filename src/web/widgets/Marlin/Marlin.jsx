@@ -0,0 +1,293 @@
+import _ from 'lodash';
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import mapGCodeToText from '../../lib/gcode-text';
+import i18n from '../../lib/i18n';
+import Panel from '../../components/Panel';
+import Toggler from '../../components/Toggler';
+import Toolbar from './Toolbar';
+import styles from './index.styl';
+
+// The maximum fan speed of M106
+const FAN_SPEED_MAX = 255;
+
+// Formats the temperature of a heater as "current / target °C"
+const formatTemperature = (heater, none) => {
+    const { deg, degTarget } = { ...heater };
+
+    if (deg === undefined) {
+        return none;
+    }
+    if (degTarget === undefined) {
+        return `${deg}°C`;
+    }
+
+    return `${deg}°C / ${degTarget}°C`;
+};
+
+class Marlin extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state, actions } = this.props;
+        const none = '–';
+        const panel = state.panel;
+        const controllerState = state.controller.state || {};
+        const parserState = _.get(controllerState, 'parserstate', {});
+        const activeState = _.get(controllerState, 'status.activeState') || none;
+        const ovF = _.get(controllerState, 'status.ovF', 100);
+        const firmware = _.get(controllerState, 'firmware', {});
+        const feedrate = _.get(parserState, 'feedrate', none);
+        const spindle = _.get(parserState, 'spindle', none);
+        const tool = _.get(parserState, 'tool', none);
+        const modal = _.mapValues(parserState.modal || {}, mapGCodeToText);
+        const extruder = _.get(controllerState, 'heater.extruder');
+        const heatedBed = _.get(controllerState, 'heater.heatedBed');
+        const fanSpeed = Number(_.get(controllerState, 'fan.speed')) || 0;
+
+        return (
+            <div>
+                <Toolbar state={state} actions={actions} />
+                <Panel className={styles.panel}>
+                    <Panel.Heading className={styles.panelHeading}>
+                        <Toggler
+                            className="clearfix"
+                            onToggle={() => {
+                                actions.toggleStatusReports();
+                            }}
+                            title={panel.statusReports.expanded ? i18n._('Hide') : i18n._('Show')}
+                        >
+                            <div className="pull-left">{i18n._('Status Reports')}</div>
+                            <Toggler.Icon
+                                className="pull-right"
+                                expanded={panel.statusReports.expanded}
+                            />
+                        </Toggler>
+                    </Panel.Heading>
+                    {panel.statusReports.expanded &&
+                    <Panel.Body>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('State')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {activeState}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Firmware')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={firmware.version}>
+                                    {firmware.name || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Feed Rate')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {feedrate}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Feed Override')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {ovF}%
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Spindle')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {spindle}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Tool Number')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {tool}
+                                </div>
+                            </div>
+                        </div>
+                    </Panel.Body>
+                    }
+                </Panel>
+                <Panel className={styles.panel}>
+                    <Panel.Heading className={styles.panelHeading}>
+                        <Toggler
+                            className="clearfix"
+                            onToggle={() => {
+                                actions.toggleHeaterStatus();
+                            }}
+                            title={panel.heaterStatus.expanded ? i18n._('Hide') : i18n._('Show')}
+                        >
+                            <div className="pull-left">{i18n._('Heater Status')}</div>
+                            <Toggler.Icon
+                                className="pull-right"
+                                expanded={panel.heaterStatus.expanded}
+                            />
+                        </Toggler>
+                    </Panel.Heading>
+                    {panel.heaterStatus.expanded &&
+                    <Panel.Body>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Extruder')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {formatTemperature(extruder, none)}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Heated Bed')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {formatTemperature(heatedBed, none)}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Fan')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well}>
+                                    {fanSpeed > 0 ? `${Math.round(fanSpeed / FAN_SPEED_MAX * 100)}%` : i18n._('Off')}
+                                </div>
+                            </div>
+                        </div>
+                    </Panel.Body>
+                    }
+                </Panel>
+                <Panel className={styles.panel}>
+                    <Panel.Heading className={styles.panelHeading}>
+                        <Toggler
+                            className="clearfix"
+                            onToggle={() => {
+                                actions.toggleModalGroups();
+                            }}
+                            title={panel.modalGroups.expanded ? i18n._('Hide') : i18n._('Show')}
+                        >
+                            <div className="pull-left">{i18n._('Modal Groups')}</div>
+                            <Toggler.Icon
+                                className="pull-right"
+                                expanded={panel.modalGroups.expanded}
+                            />
+                        </Toggler>
+                    </Panel.Heading>
+                    {panel.modalGroups.expanded &&
+                    <Panel.Body>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Motion')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={modal.motion}>
+                                    {modal.motion || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Coordinate')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={modal.coordinate}>
+                                    {modal.coordinate || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Plane')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={modal.plane}>
+                                    {modal.plane || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Distance')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={modal.distance}>
+                                    {modal.distance || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Units')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={modal.units}>
+                                    {modal.units || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Spindle')}
+                            </div>
+                            <div className="col col-xs-8">
+                                <div className={styles.well} title={modal.spindle}>
+                                    {modal.spindle || none}
+                                </div>
+                            </div>
+                        </div>
+                        <div className="row no-gutters">
+                            <div className="col col-xs-4">
+                                {i18n._('Coolant')}
+                            </div>
+                            <div className="col col-xs-8">
+                                {!_.isPlainObject(modal.coolant) &&
+                                <div className={styles.well} title={modal.coolant}>
+                                    {modal.coolant || none}
+                                </div>
+                                }
+                                {_.isPlainObject(modal.coolant) &&
+                                <div className={styles.well}>
+                                    <div title={modal.coolant.mist}>{modal.coolant.mist}</div>
+                                    <div title={modal.coolant.flood}>{modal.coolant.flood}</div>
+                                </div>
+                                }
+                            </div>
+                        </div>
+                    </Panel.Body>
+                    }
+                </Panel>
+            </div>
+        );
+    }
+}
+
+export default Marlin;
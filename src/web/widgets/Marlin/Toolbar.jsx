@@ -0,0 +1,76 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import { DropdownButton, MenuItem } from 'react-bootstrap';
+import i18n from '../../lib/i18n';
+import controller from '../../lib/controller';
+import styles from './index.styl';
+
+class Toolbar extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state } = this.props;
+        const { canClick } = state;
+
+        return (
+            <div className={styles.toolbar}>
+                <div className="btn-group btn-group-xs">
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => controller.command('fan:speed', 255)}
+                        disabled={!canClick}
+                    >
+                        {i18n._('Fan On')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => controller.command('fan:speed', 0)}
+                        disabled={!canClick}
+                    >
+                        {i18n._('Fan Off')}
+                    </button>
+                </div>
+                <div className="btn-group pull-right">
+                    <DropdownButton
+                        bsSize="xs"
+                        bsStyle="default"
+                        title={i18n._('More')}
+                        id="marlin-dropdown"
+                        pullRight
+                        disabled={!canClick}
+                    >
+                        <MenuItem onSelect={() => controller.writeln('M114')} disabled={!canClick}>
+                            {i18n._('Get Current Position (M114)')}
+                        </MenuItem>
+                        <MenuItem onSelect={() => controller.writeln('M105')} disabled={!canClick}>
+                            {i18n._('Report Temperatures (M105)')}
+                        </MenuItem>
+                        <MenuItem onSelect={() => controller.writeln('M115')} disabled={!canClick}>
+                            {i18n._('Firmware Info (M115)')}
+                        </MenuItem>
+                        <MenuItem divider />
+                        <MenuItem onSelect={() => controller.command('homing')} disabled={!canClick}>
+                            {i18n._('Homing (G28)')}
+                        </MenuItem>
+                        <MenuItem onSelect={() => controller.command('unlock')} disabled={!canClick}>
+                            {i18n._('Restart After Error (M999)')}
+                        </MenuItem>
+                        <MenuItem onSelect={() => controller.writeln('M18')} disabled={!canClick}>
+                            {i18n._('Disable Steppers (M18)')}
+                        </MenuItem>
+                    </DropdownButton>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default Toolbar;
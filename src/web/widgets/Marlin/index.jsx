@@ -0,0 +1,254 @@
+import classNames from 'classnames';
+import pubsub from 'pubsub-js';
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Widget from '../../components/Widget';
+import i18n from '../../lib/i18n';
+import controller from '../../lib/controller';
+import store from '../../store';
+import Marlin from './Marlin';
+import {
+    MARLIN
+} from '../../constants';
+import styles from './index.styl';
+
+class MarlinWidget extends Component {
+    static propTypes = {
+        onDelete: PropTypes.func,
+        sortable: PropTypes.object
+    };
+    static defaultProps = {
+        onDelete: () => {}
+    };
+
+    actions = {
+        toggleStatusReports: () => {
+            const expanded = this.state.panel.statusReports.expanded;
+
+            this.setState({
+                panel: {
+                    ...this.state.panel,
+                    statusReports: {
+                        ...this.state.panel.statusReports,
+                        expanded: !expanded
+                    }
+                }
+            });
+        },
+        toggleHeaterStatus: () => {
+            const expanded = this.state.panel.heaterStatus.expanded;
+
+            this.setState({
+                panel: {
+                    ...this.state.panel,
+                    heaterStatus: {
+                        ...this.state.panel.heaterStatus,
+                        expanded: !expanded
+                    }
+                }
+            });
+        },
+        toggleModalGroups: () => {
+            const expanded = this.state.panel.modalGroups.expanded;
+
+            this.setState({
+                panel: {
+                    ...this.state.panel,
+                    modalGroups: {
+                        ...this.state.panel.modalGroups,
+                        expanded: !expanded
+                    }
+                }
+            });
+        }
+    };
+    controllerEvents = {
+        'serialport:open': (options) => {
+            const { controllerType } = options;
+            this.setState({ isReady: controllerType === MARLIN });
+        },
+        'serialport:close': (options) => {
+            this.setState({ isReady: true });
+        },
+        'Marlin:state': (state) => {
+            this.setState({
+                controller: {
+                    type: MARLIN,
+                    state: state
+                }
+            });
+        }
+    };
+    pubsubTokens = [];
+
+    constructor() {
+        super();
+        this.state = this.getDefaultState();
+    }
+    componentDidMount() {
+        this.subscribe();
+        this.addControllerEvents();
+    }
+    componentWillUnmount() {
+        this.unsubscribe();
+        this.removeControllerEvents();
+    }
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    componentDidUpdate(prevProps, prevState) {
+        const {
+            minimized,
+            panel
+        } = this.state;
+
+        store.set('widgets.marlin.minimized', minimized);
+        store.set('widgets.marlin.panel.statusReports.expanded', panel.statusReports.expanded);
+        store.set('widgets.marlin.panel.heaterStatus.expanded', panel.heaterStatus.expanded);
+        store.set('widgets.marlin.panel.modalGroups.expanded', panel.modalGroups.expanded);
+    }
+    getDefaultState() {
+        return {
+            minimized: store.get('widgets.marlin.minimized', false),
+            isFullscreen: false,
+            isReady: controller.type === MARLIN,
+            canClick: true, // Defaults to true
+            port: controller.port,
+            controller: {
+                type: controller.type,
+                state: controller.state
+            },
+            panel: {
+                statusReports: {
+                    expanded: store.get('widgets.marlin.panel.statusReports.expanded', true)
+                },
+                heaterStatus: {
+                    expanded: store.get('widgets.marlin.panel.heaterStatus.expanded', true)
+                },
+                modalGroups: {
+                    expanded: store.get('widgets.marlin.panel.modalGroups.expanded', true)
+                }
+            }
+        };
+    }
+    subscribe() {
+        const tokens = [
+            pubsub.subscribe('port', (msg, port) => {
+                port = port || '';
+
+                if (port) {
+                    this.setState({ port: port });
+                } else {
+                    const defaultState = this.getDefaultState();
+                    this.setState({
+                        ...defaultState,
+                        port: ''
+                    });
+                }
+            })
+        ];
+        this.pubsubTokens = this.pubsubTokens.concat(tokens);
+    }
+    unsubscribe() {
+        this.pubsubTokens.forEach((token) => {
+            pubsub.unsubscribe(token);
+        });
+        this.pubsubTokens = [];
+    }
+    addControllerEvents() {
+        Object.keys(this.controllerEvents).forEach(eventName => {
+            const callback = this.controllerEvents[eventName];
+            controller.on(eventName, callback);
+        });
+    }
+    removeControllerEvents() {
+        Object.keys(this.controllerEvents).forEach(eventName => {
+            const callback = this.controllerEvents[eventName];
+            controller.off(eventName, callback);
+        });
+    }
+    canClick() {
+        const { port } = this.state;
+        const { type } = this.state.controller;
+
+        if (!port) {
+            return false;
+        }
+        if (type !== MARLIN) {
+            return false;
+        }
+
+        return true;
+    }
+    render() {
+        const { minimized, isFullscreen, isReady } = this.state;
+        const state = {
+            ...this.state,
+            canClick: this.canClick()
+        };
+        const actions = {
+            ...this.actions
+        };
+
+        return (
+            <Widget fullscreen={isFullscreen}>
+                <Widget.Header className={this.props.sortable.handleClassName}>
+                    <Widget.Title>
+                        Marlin
+                    </Widget.Title>
+                    <Widget.Controls className={this.props.sortable.filterClassName}>
+                        {isReady &&
+                        <Widget.Button
+                            title={minimized ? i18n._('Open') : i18n._('Close')}
+                            onClick={(event, val) => this.setState({ minimized: !minimized })}
+                        >
+                            <i
+                                className={classNames(
+                                    'fa',
+                                    { 'fa-chevron-up': !minimized },
+                                    { 'fa-chevron-down': minimized }
+                                )}
+                            />
+                        </Widget.Button>
+                        }
+                        {isReady &&
+                        <Widget.Button
+                            title={i18n._('Fullscreen')}
+                            onClick={(event, val) => this.setState({ isFullscreen: !isFullscreen })}
+                        >
+                            <i
+                                className={classNames(
+                                    'fa',
+                                    { 'fa-expand': !isFullscreen },
+                                    { 'fa-compress': isFullscreen }
+                                )}
+                            />
+                        </Widget.Button>
+                        }
+                        <Widget.Button
+                            title={i18n._('Remove')}
+                            onClick={(event) => this.props.onDelete()}
+                        >
+                            <i className="fa fa-times" />
+                        </Widget.Button>
+                    </Widget.Controls>
+                </Widget.Header>
+                {isReady &&
+                <Widget.Content
+                    className={classNames(
+                        styles['widget-content'],
+                        { [styles.hidden]: minimized }
+                    )}
+                >
+                    <Marlin
+                        state={state}
+                        actions={actions}
+                    />
+                </Widget.Content>
+                }
+            </Widget>
+        );
+    }
+}
+
+export default MarlinWidget;
@@ -0,0 +1,229 @@
+/* eslint react/jsx-no-bind: 0 */
+import _ from 'lodash';
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Modal from '../../components/Modal';
+import ToggleSwitch from '../../components/ToggleSwitch';
+import i18n from '../../lib/i18n';
+import {
+    METRIC_UNITS
+} from '../../constants';
+
+class HeightMap extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    renderInput(label, name) {
+        const { state, actions } = this.props;
+        const { units } = state;
+        const displayUnits = (units === METRIC_UNITS) ? i18n._('mm') : i18n._('in');
+        const value = state.modal.params[name];
+
+        return (
+            <div className="form-group">
+                <label className="control-label">{label}</label>
+                <div className="input-group input-group-sm">
+                    <input
+                        type="number"
+                        className="form-control"
+                        value={value}
+                        onChange={(event) => {
+                            actions.updateModalParams({ [name]: event.target.value });
+                        }}
+                    />
+                    <span className="input-group-addon">{displayUnits}</span>
+                </div>
+            </div>
+        );
+    }
+    renderStatus() {
+        const { state, actions } = this.props;
+        const { probing, probed, total, apply, heightMap } = state.heightMap;
+
+        if (probing) {
+            return (
+                <p>
+                    <i className="fa fa-fw fa-spin fa-circle-o-notch" />
+                    <span className="space" />
+                    {i18n._('Probing: {{probed}} / {{total}}', { probed, total })}
+                </p>
+            );
+        }
+
+        if (!heightMap) {
+            return (
+                <p className="text-muted">{i18n._('No height map')}</p>
+            );
+        }
+
+        const heights = _.flatten(heightMap.z).filter(z => (typeof z === 'number'));
+        const zmin = heights.length > 0 ? _.min(heights) : 0;
+        const zmax = heights.length > 0 ? _.max(heights) : 0;
+
+        return (
+            <div>
+                <p>
+                    {i18n._('{{cols}} × {{rows}} points, height variation: {{min}} ~ {{max}} mm', {
+                        cols: heightMap.cols,
+                        rows: heightMap.rows,
+                        min: zmin.toFixed(3),
+                        max: zmax.toFixed(3)
+                    })}
+                </p>
+                <p>
+                    <ToggleSwitch
+                        checked={apply}
+                        size="sm"
+                        onChange={() => actions.applyHeightMap(!apply)}
+                    />
+                    {i18n._('Apply the height map to the G-code loaded afterwards')}
+                </p>
+            </div>
+        );
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { canClick, heightMapRecords } = state;
+        const { probing, heightMap } = state.heightMap;
+        const { name = '', selectedId = '' } = state.modal.params;
+
+        return (
+            <Modal size="sm" onClose={actions.closeModal}>
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Height Map')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <div className="row no-gutters">
+                        <div className="col-xs-6" style={{ paddingRight: 5 }}>
+                            {this.renderInput(i18n._('X Min'), 'xmin')}
+                        </div>
+                        <div className="col-xs-6" style={{ paddingLeft: 5 }}>
+                            {this.renderInput(i18n._('X Max'), 'xmax')}
+                        </div>
+                        <div className="col-xs-6" style={{ paddingRight: 5 }}>
+                            {this.renderInput(i18n._('Y Min'), 'ymin')}
+                        </div>
+                        <div className="col-xs-6" style={{ paddingLeft: 5 }}>
+                            {this.renderInput(i18n._('Y Max'), 'ymax')}
+                        </div>
+                        <div className="col-xs-6" style={{ paddingRight: 5 }}>
+                            {this.renderInput(i18n._('Spacing'), 'spacing')}
+                        </div>
+                        <div className="col-xs-6" style={{ paddingLeft: 5 }}>
+                            {this.renderInput(i18n._('Clearance Height'), 'clearance')}
+                        </div>
+                    </div>
+                    <p className="help-block">
+                        {i18n._('Each point is probed with the probe depth and feed rate. Heights are relative to the first point.')}
+                    </p>
+                    <div className="form-group">
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-default"
+                            onClick={actions.useBoundingBox}
+                            disabled={probing}
+                        >
+                            {i18n._('Use G-code Bounding Box')}
+                        </button>
+                        <span className="space" />
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-default"
+                            onClick={actions.unloadHeightMap}
+                            disabled={!heightMap || probing}
+                        >
+                            {i18n._('Clear')}
+                        </button>
+                    </div>
+                    <hr />
+                    {this.renderStatus()}
+                    <hr />
+                    <div className="form-group">
+                        <label className="control-label">{i18n._('Saved Height Maps')}</label>
+                        <div className="input-group input-group-sm">
+                            <select
+                                className="form-control"
+                                value={selectedId}
+                                onChange={(event) => {
+                                    actions.updateModalParams({ selectedId: event.target.value });
+                                }}
+                            >
+                                <option value="">{i18n._('Select a height map')}</option>
+                                {heightMapRecords.map(record => (
+                                    <option key={record.id} value={record.id}>{record.name}</option>
+                                ))}
+                            </select>
+                            <div className="input-group-btn">
+                                <button
+                                    type="button"
+                                    className="btn btn-default"
+                                    title={i18n._('Load')}
+                                    onClick={() => actions.loadHeightMap(selectedId)}
+                                    disabled={!selectedId || probing}
+                                >
+                                    <i className="fa fa-fw fa-upload" />
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn btn-default"
+                                    title={i18n._('Delete')}
+                                    onClick={() => actions.deleteHeightMap(selectedId)}
+                                    disabled={!selectedId}
+                                >
+                                    <i className="fa fa-fw fa-trash" />
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <div className="input-group input-group-sm">
+                            <input
+                                type="text"
+                                className="form-control"
+                                placeholder={i18n._('Name')}
+                                value={name}
+                                onChange={(event) => {
+                                    actions.updateModalParams({ name: event.target.value });
+                                }}
+                            />
+                            <div className="input-group-btn">
+                                <button
+                                    type="button"
+                                    className="btn btn-default"
+                                    onClick={() => actions.saveHeightMap(name)}
+                                    disabled={!name || !heightMap || probing}
+                                >
+                                    {i18n._('Save')}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Close')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={actions.probeHeightMap}
+                        disabled={!canClick || probing}
+                    >
+                        {i18n._('Probe Height Map')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default HeightMap;
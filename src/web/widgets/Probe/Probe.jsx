@@ -3,11 +3,13 @@ import React, { Component, PropTypes } from 'react';
 import shallowCompare from 'react-addons-shallow-compare';
 import i18n from '../../lib/i18n';
 import ZProbe from './ZProbe';
+import HeightMap from './HeightMap';
 import {
     METRIC_UNITS
 } from '../../constants';
 import {
-    MODAL_PREVIEW
+    MODAL_PREVIEW,
+    MODAL_HEIGHT_MAP
 } from './constants';
 import styles from './index.styl';
 
@@ -41,6 +43,9 @@ class Probe extends Component {
                 {modal.name === MODAL_PREVIEW &&
                 <ZProbe state={state} actions={actions} />
                 }
+                {modal.name === MODAL_HEIGHT_MAP &&
+                <HeightMap state={state} actions={actions} />
+                }
                 <div className="form-group">
                     <label className="control-label">{i18n._('Probe Command')}</label>
                     <div className="btn-toolbar" role="toolbar" style={{ marginBottom: 5 }}>
@@ -192,6 +197,14 @@ class Probe extends Component {
                         >
                             {i18n._('Z-Probe')}
                         </button>
+                        <span className="space" />
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-default"
+                            onClick={actions.openHeightMapModal}
+                        >
+                            {i18n._('Height Map')}
+                        </button>
                     </div>
                 </div>
             </div>
@@ -2,5 +2,6 @@ import constants from 'namespace-constants';
 
 module.exports = constants('widgets/Probe', [
     'MODAL_NONE',
-    'MODAL_PREVIEW'
+    'MODAL_PREVIEW',
+    'MODAL_HEIGHT_MAP'
 ]);
@@ -3,8 +3,10 @@ import classNames from 'classnames';
 import pubsub from 'pubsub-js';
 import React, { Component, PropTypes } from 'react';
 import shallowCompare from 'react-addons-shallow-compare';
+import api from '../../api';
 import Widget from '../../components/Widget';
 import i18n from '../../lib/i18n';
+import log from '../../lib/log';
 import { in2mm, mm2in } from '../../lib/units';
 import controller from '../../lib/controller';
 import store from '../../store';
@@ -28,7 +30,8 @@ import {
     WORKFLOW_STATE_IDLE
 } from '../../constants';
 import {
-    MODAL_NONE
+    MODAL_NONE,
+    MODAL_HEIGHT_MAP
 } from './constants';
 import styles from './index.styl';
 
@@ -182,9 +185,110 @@ class ProbeWidget extends Component {
         },
         runProbeCommands: (commands) => {
             controller.command('gcode', commands);
+        },
+        openHeightMapModal: () => {
+            const { units } = this.state;
+            const params = _.mapValues(store.get('widgets.probe.heightMap'), (value) => toUnits(units, value));
+
+            this.actions.fetchHeightMaps();
+            this.actions.openModal(MODAL_HEIGHT_MAP, params);
+        },
+        useBoundingBox: () => {
+            const { units } = this.state;
+            const { min, max } = this.bbox;
+
+            this.actions.updateModalParams({
+                xmin: toUnits(units, min.x),
+                xmax: toUnits(units, max.x),
+                ymin: toUnits(units, min.y),
+                ymax: toUnits(units, max.y)
+            });
+        },
+        probeHeightMap: () => {
+            const { units, probeDepth, probeFeedrate } = this.state;
+            const { xmin, xmax, ymin, ymax, spacing, clearance } = this.state.modal.params;
+            const toMillimeters = (value) => {
+                value = Number(value) || 0;
+                return (units === IMPERIAL_UNITS) ? in2mm(value) : value;
+            };
+            const options = {
+                xmin: toMillimeters(xmin),
+                xmax: toMillimeters(xmax),
+                ymin: toMillimeters(ymin),
+                ymax: toMillimeters(ymax),
+                spacing: toMillimeters(spacing),
+                clearance: toMillimeters(clearance)
+            };
+
+            store.set('widgets.probe.heightMap', options);
+
+            controller.command('heightmap:probe', {
+                ...options,
+                depth: -toMillimeters(probeDepth),
+                feedrate: toMillimeters(probeFeedrate)
+            });
+        },
+        applyHeightMap: (apply) => {
+            controller.command('heightmap:apply', apply);
+        },
+        unloadHeightMap: () => {
+            controller.command('heightmap:unload');
+        },
+        fetchHeightMaps: async () => {
+            try {
+                const res = await api.heightmaps.fetch({ paging: false });
+                const { records } = res.body;
+                this.setState({ heightMapRecords: records });
+            } catch (err) {
+                log.error('Failed to fetch height maps');
+            }
+        },
+        saveHeightMap: async (name) => {
+            const { heightMap } = this.state.heightMap;
+
+            try {
+                await api.heightmaps.create({ name, heightMap });
+                this.actions.updateModalParams({ name: '' });
+                await this.actions.fetchHeightMaps();
+            } catch (err) {
+                log.error(`Failed to save the height map: name="${name}"`);
+            }
+        },
+        loadHeightMap: async (id) => {
+            try {
+                const res = await api.heightmaps.read(id);
+                const { heightMap } = res.body;
+                controller.command('heightmap:load', heightMap);
+            } catch (err) {
+                log.error(`Failed to load the height map: id=${id}`);
+            }
+        },
+        deleteHeightMap: async (id) => {
+            try {
+                await api.heightmaps.delete(id);
+                this.actions.updateModalParams({ selectedId: '' });
+                await this.actions.fetchHeightMaps();
+            } catch (err) {
+                log.error(`Failed to delete the height map: id=${id}`);
+            }
         }
     };
     controllerEvents = {
+        'serialport:open': (options) => {
+            const { controllerType } = options;
+            this.setState({ isReady: controller.hasCapability('probing', controllerType) });
+        },
+        'serialport:close': (options) => {
+            this.setState({ isReady: true });
+        },
+        'heightmap:status': (status) => {
+            this.setState({
+                heightMap: {
+                    ...this.state.heightMap,
+                    ...status
+                }
+            });
+        },
         'Grbl:state': (state) => {
             const { parserstate } = { ...state };
             const { modal = {} } = { ...parserstate };
@@ -321,6 +425,12 @@ class ProbeWidget extends Component {
     unitsDidChange = false;
     pubsubTokens = [];
 
+    // The bounding box of the loaded G-code in mm
+    bbox = {
+        min: { x: 0, y: 0, z: 0 },
+        max: { x: 0, y: 0, z: 0 }
+    };
+
     constructor() {
         super();
         this.state = this.getInitialState();
@@ -376,6 +486,8 @@ class ProbeWidget extends Component {
         return {
             minimized: store.get('widgets.probe.minimized', false),
             isFullscreen: false,
+            // Hide the widget if the controller does not support probing
+            isReady: !controller.port || controller.hasCapability('probing'),
             canClick: true, // Defaults to true
             port: controller.port,
             units: METRIC_UNITS,
@@ -397,7 +509,15 @@ class ProbeWidget extends Component {
                 // widgets.probe.tlo is deprecated and will be removed in a future release`
                 store.get('widgets.probe.touchPlateHeight', store.get('widgets.probe.tlo'))
             ),
-            retractionDistance: toUnits(METRIC_UNITS, store.get('widgets.probe.retractionDistance'))
+            retractionDistance: toUnits(METRIC_UNITS, store.get('widgets.probe.retractionDistance')),
+            heightMap: { // Updates by the "heightmap:status" event
+                probing: false,
+                probed: 0,
+                total: 0,
+                apply: false,
+                heightMap: null
+            },
+            heightMapRecords: []
         };
     }
     subscribe() {
@@ -419,6 +539,9 @@ class ProbeWidget extends Component {
                 if (this.state.workflowState !== workflowState) {
                     this.setState({ workflowState: workflowState });
                 }
+            }),
+            pubsub.subscribe('gcode:bbox', (msg, bbox) => {
+                this.bbox = bbox;
             })
         ];
         this.pubsubTokens = this.pubsubTokens.concat(tokens);
@@ -452,6 +575,9 @@ class ProbeWidget extends Component {
         if (workflowState !== WORKFLOW_STATE_IDLE) {
             return false;
         }
+        if (!controller.hasCapability('probing', controllerType)) {
+            return false;
+        }
         if (controllerType === GRBL) {
             const activeState = _.get(controllerState, 'status.activeState');
             const states = [
@@ -485,7 +611,7 @@ class ProbeWidget extends Component {
         return true;
     }
     render() {
-        const { minimized, isFullscreen } = this.state;
+        const { minimized, isFullscreen, isReady } = this.state;
         const state = {
             ...this.state,
             canClick: this.canClick()
@@ -499,6 +625,7 @@ class ProbeWidget extends Component {
                 <Widget.Header className={this.props.sortable.handleClassName}>
                     <Widget.Title>{i18n._('Probe')}</Widget.Title>
                     <Widget.Controls className={this.props.sortable.filterClassName}>
+                        {isReady &&
                         <Widget.Button
                             title={minimized ? i18n._('Open') : i18n._('Close')}
                             onClick={(event, val) => this.setState({ minimized: !minimized })}
@@ -511,6 +638,8 @@ class ProbeWidget extends Component {
                                 )}
                             />
                         </Widget.Button>
+                        }
+                        {isReady &&
                         <Widget.Button
                             title={i18n._('Fullscreen')}
                             onClick={(event, val) => this.setState({ isFullscreen: !isFullscreen })}
@@ -523,6 +652,7 @@ class ProbeWidget extends Component {
                                 )}
                             />
                         </Widget.Button>
+                        }
                         <Widget.Button
                             title={i18n._('Remove')}
                             onClick={(event) => this.props.onDelete()}
@@ -531,6 +661,7 @@ class ProbeWidget extends Component {
                         </Widget.Button>
                     </Widget.Controls>
                 </Widget.Header>
+                {isReady &&
                 <Widget.Content
                     className={classNames(
                         styles['widget-content'],
@@ -542,6 +673,7 @@ class ProbeWidget extends Component {
                         actions={actions}
                     />
                 </Widget.Content>
+                }
             </Widget>
         );
     }
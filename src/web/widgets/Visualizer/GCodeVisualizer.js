@@ -4,6 +4,8 @@ import * as THREE from 'three';
 import log from '../../lib/log';
 
 const defaultColor = new THREE.Color(colornames('lightgrey'));
+const currentLineColor = new THREE.Color(colornames('orange'));
+const outOfBoundsColor = new THREE.Color(colornames('red'));
 const motionColor = {
     'G0': new THREE.Color(colornames('green')),
     'G1': new THREE.Color(colornames('blue')),
@@ -86,8 +88,13 @@ class GCodeVisualizer {
         //   }
         // ]
         this.frames = []; // Example
+
+        // The index of the current line, lines before it are completed
         this.frameIndex = 0;
 
+        // The colors of the toolpath without highlighting
+        this.motionColors = [];
+
         return this;
     }
     render(gcode) {
@@ -129,6 +136,7 @@ class GCodeVisualizer {
         );
         workpiece.geometry.vertices = this.geometry.vertices.slice();
         workpiece.geometry.colors = this.geometry.colors.slice();
+        this.motionColors = this.geometry.colors.slice();
 
         this.group.add(workpiece);
 
@@ -140,36 +148,102 @@ class GCodeVisualizer {
 
         return this.group;
     }
+    // Returns the range of vertices of a line, which ends at the vertex index remembered after the line.
+    // @param {number} frameIndex The line index.
+    // @return {array} Returns [start, end) of the vertex indices.
+    getVertexRange(frameIndex) {
+        const start = (frameIndex > 0) ? this.frames[frameIndex - 1].vertexIndex : 0;
+        const end = (frameIndex < this.frames.length) ? this.frames[frameIndex].vertexIndex : start;
+        return [start, end];
+    }
+    // Returns the index of the line that draws the vertex, or -1 if not found.
+    // @param {number} vertexIndex The vertex index.
+    getFrameIndexAt(vertexIndex) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        let frameIndex = -1;
+
+        // The vertex indices of the lines are in ascending order
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            if (this.frames[mid].vertexIndex > vertexIndex) {
+                frameIndex = mid;
+                high = mid - 1;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return frameIndex;
+    }
+    // Returns the tool position after the lines before the specified line, or null if there is no motion yet.
+    // @param {number} frameIndex The line index.
+    getPosition(frameIndex) {
+        frameIndex = Math.min(Math.max(frameIndex, 0), this.frames.length);
+
+        const [start] = this.getVertexRange(frameIndex);
+        const vertex = this.geometry.vertices[start - 1];
+        return vertex ? { x: vertex.x, y: vertex.y, z: vertex.z } : null;
+    }
+    // Sets the current line. Completed lines are grayed out, and the current line is highlighted.
+    // @param {number} frameIndex The line index, which is equal to the number of completed lines.
     setFrameIndex(frameIndex) {
         if (this.frames.length === 0) {
             return;
         }
 
-        frameIndex = Math.min(frameIndex, this.frames.length - 1);
+        frameIndex = Math.min(frameIndex, this.frames.length);
         frameIndex = Math.max(frameIndex, 0);
 
-        const v1 = this.frames[this.frameIndex].vertexIndex;
-        const v2 = this.frames[frameIndex].vertexIndex;
+        if (frameIndex === this.frameIndex) {
+            return;
+        }
+
+        const [v1, v2] = this.getVertexRange(this.frameIndex);
+        const [v3, v4] = this.getVertexRange(frameIndex);
 
-        // Completed path is grayed out
-        if (v1 < v2) {
-            const workpiece = this.group.children[0];
-            for (let i = v1; i < v2; ++i) {
-                workpiece.geometry.colors[i] = defaultColor;
-            }
-            workpiece.geometry.colorsNeedUpdate = true;
+        this.frameIndex = frameIndex;
+        this.updateColors(Math.min(v1, v3), Math.max(v2, v4));
+    }
+    // Recolors the vertices within the range by the current line.
+    updateColors(start = 0, end = this.geometry.vertices.length) {
+        const workpiece = this.group.children[0];
+        if (!workpiece) {
+            return;
         }
 
-        // Restore the path to its original colors
-        if (v2 < v1) {
-            const workpiece = this.group.children[0];
-            for (let i = v2; i < v1; ++i) {
+        const [completed, current] = this.getVertexRange(this.frameIndex);
+
+        for (let i = start; i < end; ++i) {
+            if (i < completed) {
+                workpiece.geometry.colors[i] = defaultColor;
+            } else if (i < current) {
+                workpiece.geometry.colors[i] = currentLineColor;
+            } else {
                 workpiece.geometry.colors[i] = this.geometry.colors[i];
             }
-            workpiece.geometry.colorsNeedUpdate = true;
+        }
+        workpiece.geometry.colorsNeedUpdate = true;
+    }
+    // Highlights the toolpath outside the machine envelope.
+    // @param {object} envelope The machine envelope in work coordinates, or null to remove the highlight.
+    setEnvelope(envelope) {
+        const workpiece = this.group.children[0];
+        if (!workpiece) {
+            return;
         }
 
-        this.frameIndex = frameIndex;
+        const { min = {}, max = {} } = { ...envelope };
+        const isOutOfBounds = (v) => {
+            return ['x', 'y', 'z'].some(axis => (v[axis] < min[axis]) || (v[axis] > max[axis]));
+        };
+
+        for (let i = 0; i < this.geometry.vertices.length; ++i) {
+            this.geometry.colors[i] = isOutOfBounds(this.geometry.vertices[i]) ? outOfBoundsColor : this.motionColors[i];
+        }
+
+        // Completed path remains grayed out
+        this.updateColors();
     }
 }
 
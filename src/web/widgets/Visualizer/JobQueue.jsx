@@ -0,0 +1,227 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Modal from '../../components/Modal';
+import i18n from '../../lib/i18n';
+import log from '../../lib/log';
+import {
+    JOB_QUEUE_STATE_IDLE,
+    JOB_QUEUE_STATE_RUNNING,
+    JOB_QUEUE_STATE_WAITING,
+    WORKFLOW_STATE_IDLE
+} from '../../constants';
+
+class JobQueue extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+    fileInputEl = null;
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    onClickToAdd() {
+        this.fileInputEl.value = null;
+        this.fileInputEl.click();
+    }
+    onChangeFile(event) {
+        const { state, actions } = this.props;
+        const { pause = false } = state.modal.params;
+        const file = event.target.files[0];
+        const reader = new FileReader();
+
+        reader.onloadend = (event) => {
+            const { result, error } = event.target;
+
+            if (error) {
+                log.error(error);
+                return;
+            }
+
+            const meta = {
+                name: file.name,
+                size: file.size
+            };
+            actions.addToQueue(result, meta, pause);
+        };
+
+        try {
+            reader.readAsText(file);
+        } catch (err) {
+            // Ignore error
+        }
+    }
+    renderStatus() {
+        const { state, actions } = this.props;
+        const { queue } = state;
+        const next = queue.jobs[0];
+
+        if (queue.state === JOB_QUEUE_STATE_WAITING && next) {
+            return (
+                <div className="alert alert-info">
+                    <p>
+                        {i18n._('Ready to start "{{name}}". Change the tool if needed, and then confirm to continue.', { name: next.name })}
+                    </p>
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-primary"
+                        onClick={actions.resumeQueue}
+                        disabled={state.workflowState !== WORKFLOW_STATE_IDLE}
+                    >
+                        <i className="fa fa-play" />
+                        <span className="space" />
+                        {i18n._('Continue')}
+                    </button>
+                </div>
+            );
+        }
+
+        if (queue.state === JOB_QUEUE_STATE_RUNNING && queue.current) {
+            return (
+                <p>
+                    <i className="fa fa-fw fa-spin fa-circle-o-notch" />
+                    <span className="space" />
+                    {i18n._('Running "{{name}}" ({{completed}} completed)', {
+                        name: queue.current.name,
+                        completed: queue.completed
+                    })}
+                </p>
+            );
+        }
+
+        return null;
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { port, queue, workflowState } = state;
+        const { pause = false } = state.modal.params;
+        const canStart = !!port && (queue.state === JOB_QUEUE_STATE_IDLE) && (queue.jobs.length > 0) && (workflowState === WORKFLOW_STATE_IDLE);
+        const canStop = (queue.state !== JOB_QUEUE_STATE_IDLE);
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                size="md"
+            >
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Job Queue')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <input
+                        ref={(node) => {
+                            this.fileInputEl = node;
+                        }}
+                        type="file"
+                        style={{ display: 'none' }}
+                        multiple={false}
+                        onChange={::this.onChangeFile}
+                    />
+                    {this.renderStatus()}
+                    <table className="table table-bordered table-condensed">
+                        <thead>
+                            <tr>
+                                <th style={{ width: '1%' }}>#</th>
+                                <th>{i18n._('Name')}</th>
+                                <th style={{ width: '1%' }} title={i18n._('Wait for confirmation')}>
+                                    <i className="fa fa-hand-paper-o" />
+                                </th>
+                                <th style={{ width: '1%' }} />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {queue.jobs.length === 0 &&
+                            <tr>
+                                <td colSpan="4" className="text-muted">{i18n._('No jobs in the queue')}</td>
+                            </tr>
+                            }
+                            {queue.jobs.map((job, index) => (
+                                <tr key={job.id}>
+                                    <td>{index + 1}</td>
+                                    <td>{job.name}</td>
+                                    <td>
+                                        {job.pause &&
+                                        <i className="fa fa-check" />
+                                        }
+                                    </td>
+                                    <td>
+                                        <button
+                                            type="button"
+                                            className="btn btn-xs btn-default"
+                                            title={i18n._('Remove')}
+                                            onClick={() => actions.removeFromQueue(job.id)}
+                                        >
+                                            <i className="fa fa-trash" />
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="checkbox">
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={pause}
+                                onChange={(event) => {
+                                    actions.updateModalParams({ pause: event.target.checked });
+                                }}
+                            />
+                            {i18n._('Wait for confirmation before starting the added job (e.g. for a tool change)')}
+                        </label>
+                    </div>
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-default"
+                        onClick={::this.onClickToAdd}
+                        disabled={!port}
+                    >
+                        <i className="fa fa-plus" />
+                        <span className="space" />
+                        {i18n._('Add G-code')}
+                    </button>
+                    <span className="space" />
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-default"
+                        onClick={actions.clearQueue}
+                        disabled={queue.jobs.length === 0}
+                    >
+                        {i18n._('Clear')}
+                    </button>
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Close')}
+                    </button>
+                    {canStop &&
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        title={i18n._('The running job will not be stopped')}
+                        onClick={actions.stopQueue}
+                    >
+                        {i18n._('Stop Queue')}
+                    </button>
+                    }
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={() => {
+                            actions.startQueue();
+                            actions.closeModal();
+                        }}
+                        disabled={!canStart}
+                    >
+                        {i18n._('Start Queue')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default JobQueue;
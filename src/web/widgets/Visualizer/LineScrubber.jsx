@@ -0,0 +1,78 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import i18n from '../../lib/i18n';
+import {
+    WORKFLOW_STATE_IDLE
+} from '../../constants';
+import styles from './line-scrubber.styl';
+
+// The lines are counted in the same way as the sender does, ignoring empty lines.
+const getLines = (content) => String(content || '').split('\n')
+    .filter(text => (text.trim().length > 0));
+
+class LineScrubber extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    lines = [];
+
+    componentWillMount() {
+        this.lines = getLines(this.props.state.gcode.content);
+    }
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.state.gcode.content !== this.props.state.gcode.content) {
+            this.lines = getLines(nextProps.state.gcode.content);
+        }
+    }
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { workflowState, gcode } = state;
+        const total = this.lines.length;
+
+        if (!gcode.ready || total === 0) {
+            return null;
+        }
+
+        // The number of completed lines, which is also the index of the current line
+        const line = (gcode.preview !== null) ? gcode.preview : Math.min(gcode.received, total);
+        const canPreview = (workflowState === WORKFLOW_STATE_IDLE);
+
+        return (
+            <div className={styles.lineScrubber}>
+                <input
+                    type="range"
+                    className={styles.slider}
+                    min={0}
+                    max={total}
+                    step={1}
+                    value={line}
+                    title={(line < total) ? this.lines[line].trim() : ''}
+                    onChange={(event) => {
+                        actions.previewLine(Number(event.target.value));
+                    }}
+                    disabled={!canPreview}
+                />
+                <span className={styles.lineNumber}>
+                    {i18n._('{{line}} / {{total}}', { line, total })}
+                </span>
+                {gcode.preview !== null &&
+                <button
+                    type="button"
+                    className="btn btn-xs btn-link"
+                    title={i18n._('Follow Progress')}
+                    onClick={actions.clearPreview}
+                >
+                    <i className="fa fa-times" />
+                </button>
+                }
+            </div>
+        );
+    }
+}
+
+export default LineScrubber;
@@ -0,0 +1,79 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Modal from '../../components/Modal';
+import i18n from '../../lib/i18n';
+
+const formatLimit = (value) => {
+    return (typeof value === 'number') ? value.toFixed(3) : '–';
+};
+
+class PreflightReport extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { actions } = this.props;
+        const { report = {} } = this.props.state.modal.params;
+        const { name = '', refused = false, violations = [] } = report;
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                size="sm"
+            >
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Machine Envelope')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <p>
+                        {refused
+                            ? i18n._('The job was not started because the toolpath of "{{name}}" exceeds the machine envelope.', { name })
+                            : i18n._('The toolpath of "{{name}}" exceeds the machine envelope.', { name })
+                        }
+                    </p>
+                    <table className="table table-bordered table-condensed">
+                        <thead>
+                            <tr>
+                                <th>{i18n._('Axis')}</th>
+                                <th>{i18n._('Toolpath (mm)')}</th>
+                                <th>{i18n._('Envelope (mm)')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {violations.map(({ axis, min, max, limit }) => (
+                                <tr key={axis}>
+                                    <td>{axis.toUpperCase()}</td>
+                                    <td className="text-danger">
+                                        {formatLimit(min)} ~ {formatLimit(max)}
+                                    </td>
+                                    <td>
+                                        {formatLimit(limit.min)} ~ {formatLimit(limit.max)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="help-block">
+                        {i18n._('The positions are in machine coordinates, with the current work coordinate offset applied to the toolpath.')}
+                    </p>
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Close')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default PreflightReport;
@@ -22,6 +22,12 @@ import {
     GRBL_ACTIVE_STATE_SLEEP,
     GRBL_ACTIVE_STATE_ALARM,
     GRBL_ACTIVE_STATE_CHECK,
+    // Marlin
+    MARLIN,
+    MARLIN_ACTIVE_STATE_IDLE,
+    MARLIN_ACTIVE_STATE_RUN,
+    MARLIN_ACTIVE_STATE_HOLD,
+    MARLIN_ACTIVE_STATE_ALARM,
     // Smoothie
     SMOOTHIE,
     SMOOTHIE_ACTIVE_STATE_IDLE,
@@ -121,6 +127,24 @@ class PrimaryToolbar extends Component {
             }[activeState];
         }
 
+        if (controllerType === MARLIN) {
+            const activeState = _.get(controllerState, 'status.activeState');
+
+            stateStyle = {
+                [MARLIN_ACTIVE_STATE_IDLE]: 'controller-state-default',
+                [MARLIN_ACTIVE_STATE_RUN]: 'controller-state-primary',
+                [MARLIN_ACTIVE_STATE_HOLD]: 'controller-state-warning',
+                [MARLIN_ACTIVE_STATE_ALARM]: 'controller-state-danger'
+            }[activeState];
+
+            stateText = {
+                [MARLIN_ACTIVE_STATE_IDLE]: i18n._('Idle'),
+                [MARLIN_ACTIVE_STATE_RUN]: i18n._('Run'),
+                [MARLIN_ACTIVE_STATE_HOLD]: i18n._('Hold'),
+                [MARLIN_ACTIVE_STATE_ALARM]: i18n._('Alarm')
+            }[activeState];
+        }
+
         if (controllerType === SMOOTHIE) {
             const activeState = _.get(controllerState, 'status.activeState');
 
@@ -207,6 +231,10 @@ class PrimaryToolbar extends Component {
             return _.get(controllerState, 'parserstate.modal.coordinate', defaultWCS);
         }
 
+        if (controllerType === MARLIN) {
+            return _.get(controllerState, 'parserstate.modal.coordinate', defaultWCS);
+        }
+
         if (controllerType === TINYG) {
             return _.get(controllerState, 'sr.modal.coordinate', defaultWCS);
         }
@@ -0,0 +1,91 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Modal from '../../components/Modal';
+import i18n from '../../lib/i18n';
+
+class RunFromLine extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { gcode } = state;
+        const { line = 1, error = '' } = state.modal.params;
+        // The line numbers are counted in the same way as the sender does, ignoring empty lines.
+        const lines = gcode.content.split('\n')
+            .filter(text => (text.trim().length > 0));
+        const total = lines.length;
+        const isValid = (line >= 1 && line <= total);
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                size="sm"
+            >
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Run From Line')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <div className="form-group">
+                        <label>{i18n._('Line Number')}</label>
+                        <input
+                            type="number"
+                            className="form-control"
+                            min={1}
+                            max={total}
+                            value={line}
+                            onChange={(event) => {
+                                const value = Number(event.target.value) || 0;
+                                actions.updateModalParams({ line: value, error: '' });
+                            }}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>
+                            {isValid ? lines[line - 1].trim() : ''}
+                        </pre>
+                    </div>
+                    <p className="help-block">
+                        {i18n._('The modal state will be restored from the preceding lines.')}
+                        <br />
+                        {i18n._('The tool will retract to a safe height, move to the XY position, and plunge to the Z position.')}
+                        <br />
+                        {i18n._('Specify machine.envelope or machine.clearance in the configuration file if the retract height is unknown.')}
+                    </p>
+                    {error &&
+                    <div className="alert alert-danger" style={{ marginBottom: 0 }}>
+                        {i18n._('Cannot start from line {{line}}: {{error}}', { line, error })}
+                    </div>
+                    }
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={actions.closeModal}
+                    >
+                        {i18n._('Cancel')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={() => {
+                            actions.handleRunFromLine(line);
+                            actions.closeModal();
+                        }}
+                        disabled={!isValid}
+                    >
+                        {i18n._('Run')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default RunFromLine;
@@ -0,0 +1,106 @@
+import React, { Component, PropTypes } from 'react';
+import shallowCompare from 'react-addons-shallow-compare';
+import Modal from '../../components/Modal';
+import i18n from '../../lib/i18n';
+import {
+    TOOL_CHANGE_POLICY_PROBE,
+    TOOL_CHANGE_STATE_PENDING,
+    TOOL_CHANGE_STATE_PROBING_REFERENCE,
+    TOOL_CHANGE_STATE_WAITING,
+    TOOL_CHANGE_STATE_PROBING,
+    TOOL_CHANGE_STATE_RESUMING
+} from '../../constants';
+
+class ToolChange extends Component {
+    static propTypes = {
+        state: PropTypes.object,
+        actions: PropTypes.object
+    };
+
+    shouldComponentUpdate(nextProps, nextState) {
+        return shallowCompare(this, nextProps, nextState);
+    }
+    renderProgress(toolChange) {
+        const message = {
+            [TOOL_CHANGE_STATE_PENDING]: i18n._('Waiting for the machine to finish the commands before the tool change...'),
+            [TOOL_CHANGE_STATE_PROBING_REFERENCE]: i18n._('Probing the length of the current tool...'),
+            [TOOL_CHANGE_STATE_PROBING]: i18n._('Probing the length of the new tool...'),
+            [TOOL_CHANGE_STATE_RESUMING]: i18n._('Resuming the program...')
+        }[toolChange.state];
+
+        return (
+            <p>
+                <i className="fa fa-fw fa-spin fa-circle-o-notch" />
+                <span className="space" />
+                {message}
+            </p>
+        );
+    }
+    render() {
+        const { state, actions } = this.props;
+        const { toolChange } = state;
+
+        if (!toolChange) {
+            return null;
+        }
+
+        const { tool, policy } = toolChange;
+        const waiting = (toolChange.state === TOOL_CHANGE_STATE_WAITING);
+
+        return (
+            <Modal
+                onClose={actions.closeModal}
+                size="sm"
+            >
+                <Modal.Header>
+                    <Modal.Title>{i18n._('Tool Change')}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {!waiting && this.renderProgress(toolChange)}
+                    {waiting &&
+                    <div>
+                        <h4>
+                            {(tool !== null)
+                                ? i18n._('Change to tool T{{tool}}', { tool })
+                                : i18n._('Change the tool')
+                            }
+                        </h4>
+                        <p>{i18n._('The program is paused at the tool change position. Click Continue when the tool has been changed.')}</p>
+                        {policy === TOOL_CHANGE_POLICY_PROBE &&
+                        <p className="text-muted">
+                            {i18n._('The length of the new tool will be probed against the tool length sensor before resuming.')}
+                        </p>
+                        }
+                    </div>
+                    }
+                </Modal.Body>
+                <Modal.Footer>
+                    <button
+                        type="button"
+                        className="btn btn-danger"
+                        onClick={() => {
+                            actions.stopToolChange();
+                            actions.closeModal();
+                        }}
+                    >
+                        <i className="fa fa-stop" />
+                        <span className="space" />
+                        {i18n._('Stop')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={actions.resumeToolChange}
+                        disabled={!waiting}
+                    >
+                        <i className="fa fa-play" />
+                        <span className="space" />
+                        {i18n._('Continue')}
+                    </button>
+                </Modal.Footer>
+            </Modal>
+        );
+    }
+}
+
+export default ToolChange;
@@ -10,7 +10,7 @@ import * as THREE from 'three';
 import Detector from 'three/examples/js/Detector';
 import log from '../../lib/log';
 import './TrackballControls';
-import { getBoundingBox, loadTexture } from './helpers';
+import { getBoundingBox, getWorkEnvelope, loadTexture } from './helpers';
 import Viewport from './Viewport';
 import CoordinateAxes from './CoordinateAxes';
 import ToolHead from './ToolHead';
@@ -61,6 +61,8 @@ class Visualizer extends Component {
         y: 0,
         z: 0
     };
+    workEnvelope = null;
+    heightMap = null;
     group = new THREE.Group();
     pivotPoint = new PivotPoint3({ x: 0, y: 0, z: 0 }, (x, y, z) => { // relative position
         _.each(this.group.children, (o) => {
@@ -83,6 +85,7 @@ class Visualizer extends Component {
         this.toolhead = null;
         this.targetPoint = null;
         this.visualizer = null;
+        this.previewLine = null;
     }
     componentDidMount() {
         this.subscribe();
@@ -97,6 +100,7 @@ class Visualizer extends Component {
     componentWillUnmount() {
         this.unsubscribe();
         this.removeResizeEventListener();
+        this.removePickEventListener();
         this.clearScene();
     }
     componentWillReceiveProps(nextProps) {
@@ -114,10 +118,23 @@ class Visualizer extends Component {
             needUpdateScene = true;
         }
 
-        // Update visualizer's frame index
+        // Update visualizer's frame index with the acknowledged lines, or the previewed line
         if (this.visualizer) {
-            const frameIndex = nextState.gcode.sent;
-            this.visualizer.setFrameIndex(frameIndex);
+            const { preview, received } = nextState.gcode;
+            const frameIndex = (preview !== null) ? preview : received;
+            if (this.visualizer.frameIndex !== frameIndex) {
+                this.visualizer.setFrameIndex(frameIndex);
+
+                needUpdateScene = true;
+            }
+        }
+
+        // Move the tool head to the previewed line, or back to the work position
+        if (state.gcode.preview !== nextState.gcode.preview) {
+            this.previewLine = nextState.gcode.preview;
+            this.setWorkPosition(this.workPosition);
+
+            needUpdateScene = true;
         }
 
         // Projection
@@ -188,6 +205,23 @@ class Visualizer extends Component {
             needUpdateScene = true;
         }
 
+        // Update machine envelope
+        const workEnvelope = getWorkEnvelope(nextState.envelope, nextState.machinePosition, nextState.workPosition);
+        if (!_.isEqual(this.workEnvelope, workEnvelope)) {
+            this.workEnvelope = workEnvelope;
+            this.setWorkEnvelope(this.workEnvelope);
+
+            needUpdateScene = true;
+        }
+
+        // Update height map
+        if (this.heightMap !== nextState.heightMap) {
+            this.heightMap = nextState.heightMap;
+            this.setHeightMap(this.heightMap);
+
+            needUpdateScene = true;
+        }
+
         if (needUpdateScene) {
             this.updateScene({ forceUpdate: forceUpdate });
         }
@@ -249,6 +283,76 @@ class Visualizer extends Component {
         window.removeEventListener('resize', this.onResizeThrottled);
         this.onResizeThrottled = null;
     }
+    // Selects the line of the toolpath under the mouse pointer when clicking without dragging
+    addPickEventListener(el) {
+        let x = 0;
+        let y = 0;
+
+        this.onPickMouseDown = (event) => {
+            x = event.clientX;
+            y = event.clientY;
+        };
+        this.onPickClick = (event) => {
+            const distance = Math.abs(event.clientX - x) + Math.abs(event.clientY - y);
+            if (distance > 3) {
+                return;
+            }
+
+            const index = this.pickLine(event.clientX, event.clientY);
+            if (index >= 0) {
+                // The line index counted by the sender, ignoring empty lines
+                pubsub.publish('gcode:select', index);
+            }
+        };
+
+        el.addEventListener('mousedown', this.onPickMouseDown);
+        el.addEventListener('click', this.onPickClick);
+    }
+    removePickEventListener() {
+        if (this.renderer) {
+            const el = this.renderer.domElement;
+            el.removeEventListener('mousedown', this.onPickMouseDown);
+            el.removeEventListener('click', this.onPickClick);
+        }
+        this.onPickMouseDown = null;
+        this.onPickClick = null;
+    }
+    // Returns the line index of the toolpath at the client coordinates, or -1 if not found.
+    pickLine(clientX, clientY) {
+        const workpiece = this.visualizer && this.visualizer.group.children[0];
+        if (!(workpiece && this.camera && this.renderer)) {
+            return -1;
+        }
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        const raycaster = new THREE.Raycaster();
+
+        // The combined camera cannot be passed to raycaster.setFromCamera()
+        if (this.camera.inPerspectiveMode) {
+            const origin = new THREE.Vector3().setFromMatrixPosition(this.camera.matrixWorld);
+            const direction = new THREE.Vector3(x, y, 0.5).unproject(this.camera).sub(origin).normalize();
+            raycaster.set(origin, direction);
+        } else {
+            const origin = new THREE.Vector3(x, y, -1).unproject(this.camera);
+            const direction = new THREE.Vector3(0, 0, -1).transformDirection(this.camera.matrixWorld);
+            raycaster.set(origin, direction);
+        }
+
+        // Allow a tolerance of 4 pixels at the depth of the controls target
+        const z = this.controls.target.clone().project(this.camera).z;
+        const p1 = new THREE.Vector3(x, y, z).unproject(this.camera);
+        const p2 = new THREE.Vector3(x + (8 / rect.width), y, z).unproject(this.camera);
+        raycaster.linePrecision = p1.distanceTo(p2);
+
+        const intersects = raycaster.intersectObject(workpiece);
+        if (intersects.length === 0) {
+            return -1;
+        }
+
+        return this.visualizer.getFrameIndexAt(intersects[0].index);
+    }
     resizeRenderer() {
         if (!(this.camera && this.renderer)) {
             return;
@@ -416,6 +520,8 @@ class Visualizer extends Component {
         this.camera = this.createCombinedCamera(width, height);
         this.controls = this.createTrackballControls(this.camera, this.renderer.domElement);
 
+        this.addPickEventListener(this.renderer.domElement);
+
         this.setCameraMode(state.cameraMode);
 
         // Projection
@@ -645,6 +751,11 @@ class Visualizer extends Component {
     setWorkPosition(workPosition) {
         const pivotPoint = this.pivotPoint.get();
 
+        // The tool position at the previewed line takes precedence over the work position
+        if (this.visualizer && this.previewLine !== null) {
+            workPosition = this.visualizer.getPosition(this.previewLine) || workPosition;
+        }
+
         let { x = 0, y = 0, z = 0 } = { ...workPosition };
         x = (Number(x) || 0) - pivotPoint.x;
         y = (Number(y) || 0) - pivotPoint.y;
@@ -658,6 +769,139 @@ class Visualizer extends Component {
             this.targetPoint.position.set(x, y, z);
         }
     }
+    // Draws the machine envelope, and highlights the toolpath outside the envelope
+    // @param {object} workEnvelope The machine envelope in work coordinates.
+    setWorkEnvelope(workEnvelope) {
+        const envelopeObject = this.group.getObjectByName('MachineEnvelope');
+        if (envelopeObject) {
+            this.group.remove(envelopeObject);
+            envelopeObject.geometry.dispose();
+        }
+
+        if (this.visualizer) {
+            this.visualizer.setEnvelope(workEnvelope);
+        }
+
+        if (!workEnvelope) {
+            return;
+        }
+
+        const { min, max } = workEnvelope;
+        if (!(_.isNumber(min.x) && _.isNumber(max.x) && _.isNumber(min.y) && _.isNumber(max.y))) {
+            // Unable to draw the envelope without the limits of the X and Y axes
+            return;
+        }
+
+        // Draw a flat rectangle if the Z axis has no limits
+        const zmin = _.isNumber(min.z) ? min.z : 0;
+        const zmax = _.isNumber(max.z) ? max.z : zmin;
+        const corners = [
+            [min.x, min.y],
+            [max.x, min.y],
+            [max.x, max.y],
+            [min.x, max.y]
+        ];
+        const geometry = new THREE.Geometry();
+        for (let i = 0; i < corners.length; ++i) {
+            const [x1, y1] = corners[i];
+            const [x2, y2] = corners[(i + 1) % corners.length];
+            geometry.vertices.push(
+                new THREE.Vector3(x1, y1, zmin),
+                new THREE.Vector3(x2, y2, zmin),
+                new THREE.Vector3(x1, y1, zmax),
+                new THREE.Vector3(x2, y2, zmax),
+                new THREE.Vector3(x1, y1, zmin),
+                new THREE.Vector3(x1, y1, zmax)
+            );
+        }
+
+        const machineEnvelope = new THREE.LineSegments(
+            geometry,
+            new THREE.LineBasicMaterial({
+                color: colornames('indianred'),
+                linewidth: 1,
+                opacity: 0.5,
+                transparent: true
+            })
+        );
+        machineEnvelope.name = 'MachineEnvelope';
+
+        // Objects in the group are translated by the pivot point
+        const pivotPoint = this.pivotPoint.get();
+        machineEnvelope.position.set(-pivotPoint.x, -pivotPoint.y, -pivotPoint.z);
+
+        this.group.add(machineEnvelope);
+    }
+    // Draws the height map as a wireframe surface colored from blue (lowest) to red (highest)
+    // @param {object} heightMap The height map with XY positions in work coordinates.
+    setHeightMap(heightMap) {
+        const heightMapObject = this.group.getObjectByName('HeightMap');
+        if (heightMapObject) {
+            this.group.remove(heightMapObject);
+            heightMapObject.geometry.dispose();
+        }
+
+        if (!heightMap) {
+            return;
+        }
+
+        const { xmin, xmax, ymin, ymax, cols, rows, z } = heightMap;
+        const heights = _.filter(_.flatten(z), _.isNumber);
+        if (heights.length === 0) {
+            return;
+        }
+
+        const zmin = _.min(heights);
+        const zmax = _.max(heights);
+        const dx = (cols > 1) ? (xmax - xmin) / (cols - 1) : 0;
+        const dy = (rows > 1) ? (ymax - ymin) / (rows - 1) : 0;
+        const getVertex = (col, row) => {
+            const height = _.get(z, [row, col]);
+            if (!_.isNumber(height)) {
+                return null;
+            }
+            return new THREE.Vector3(xmin + col * dx, ymin + row * dy, height);
+        };
+        const getColor = (height) => {
+            const ratio = (zmax > zmin) ? (height - zmin) / (zmax - zmin) : 0.5;
+            return new THREE.Color().setHSL((1 - ratio) * 2 / 3, 1, 0.5);
+        };
+
+        const geometry = new THREE.Geometry();
+        const addSegment = (v1, v2) => {
+            if (!v1 || !v2) {
+                return;
+            }
+            geometry.vertices.push(v1, v2);
+            geometry.colors.push(getColor(v1.z), getColor(v2.z));
+        };
+        for (let row = 0; row < rows; ++row) {
+            for (let col = 0; col < cols; ++col) {
+                const vertex = getVertex(col, row);
+                if (col + 1 < cols) {
+                    addSegment(vertex, getVertex(col + 1, row));
+                }
+                if (row + 1 < rows) {
+                    addSegment(vertex, getVertex(col, row + 1));
+                }
+            }
+        }
+
+        const surface = new THREE.LineSegments(
+            geometry,
+            new THREE.LineBasicMaterial({
+                vertexColors: THREE.VertexColors,
+                linewidth: 1
+            })
+        );
+        surface.name = 'HeightMap';
+
+        // Objects in the group are translated by the pivot point
+        const pivotPoint = this.pivotPoint.get();
+        surface.position.set(-pivotPoint.x, -pivotPoint.y, -pivotPoint.z);
+
+        this.group.add(surface);
+    }
     // Make the controls look at the specified position
     lookAt(x, y, z) {
         this.controls.target.x = x;
@@ -701,6 +945,12 @@ class Visualizer extends Component {
         // Update work position
         this.setWorkPosition(this.workPosition);
 
+        // Update machine envelope
+        this.setWorkEnvelope(this.workEnvelope);
+
+        // Update height map
+        this.setHeightMap(this.heightMap);
+
         { // Display the name of the G-code file
             const { units, gcode } = this.props.state;
             const gridLength = (units === METRIC_UNITS) ? 10 : 25.4;
@@ -229,6 +229,22 @@ class WatchDirectory extends Component {
                     >
                         {i18n._('Cancel')}
                     </button>
+                    <button
+                        type="button"
+                        className="btn btn-default"
+                        onClick={() => {
+                            const tree = this.treeNode.tree;
+                            const node = tree.getSelectedNode();
+
+                            if (node) {
+                                const file = path.join(node.props.path, node.name);
+                                actions.addFileToQueue(file);
+                                actions.closeModal();
+                            }
+                        }}
+                    >
+                        {i18n._('Add to Job Queue')}
+                    </button>
                     <button
                         type="button"
                         className="btn btn-primary"
@@ -7,6 +7,9 @@ import {
     // Grbl
     GRBL,
     GRBL_ACTIVE_STATE_ALARM,
+    // Marlin
+    MARLIN,
+    MARLIN_ACTIVE_STATE_ALARM,
     // Smoothie
     SMOOTHIE,
     SMOOTHIE_ACTIVE_STATE_ALARM,
@@ -19,7 +22,9 @@ import {
     WORKFLOW_STATE_IDLE
 } from '../../constants';
 import {
-    MODAL_WATCH_DIRECTORY
+    MODAL_WATCH_DIRECTORY,
+    MODAL_RUN_FROM_LINE,
+    MODAL_JOB_QUEUE
 } from './constants';
 import i18n from '../../lib/i18n';
 import log from '../../lib/log';
@@ -99,6 +104,15 @@ class WorkflowControl extends Component {
                 return false;
             }
         }
+        if (controllerType === MARLIN) {
+            const activeState = _.get(controllerState, 'status.activeState');
+            const states = [
+                MARLIN_ACTIVE_STATE_ALARM
+            ];
+            if (_.includes(states, activeState)) {
+                return false;
+            }
+        }
         if (controllerType === SMOOTHIE) {
             const activeState = _.get(controllerState, 'status.activeState');
             const states = [
@@ -122,10 +136,11 @@ class WorkflowControl extends Component {
     }
     render() {
         const { state, actions } = this.props;
-        const { port, gcode, workflowState } = state;
+        const { port, gcode, workflowState, queue } = state;
         const canClick = !!port;
         const isReady = canClick && gcode.ready;
         const canRun = this.canRun();
+        const canRunFromLine = canRun && _.includes([WORKFLOW_STATE_IDLE], workflowState);
         const canPause = isReady && _.includes([WORKFLOW_STATE_RUNNING], workflowState);
         const canStop = isReady && _.includes([WORKFLOW_STATE_PAUSED], workflowState);
         const canClose = isReady && _.includes([WORKFLOW_STATE_IDLE], workflowState);
@@ -191,6 +206,19 @@ class WorkflowControl extends Component {
                         >
                             <i className="fa fa-play" />
                         </button>
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            title={i18n._('Run From Line')}
+                            onClick={() => {
+                                // Start from the previewed line if any
+                                const line = (gcode.preview !== null) ? gcode.preview + 1 : 1;
+                                actions.openModal(MODAL_RUN_FROM_LINE, { line: line });
+                            }}
+                            disabled={!canRunFromLine}
+                        >
+                            <i className="fa fa-step-forward" />
+                        </button>
                         <button
                             type="button"
                             className="btn btn-default"
@@ -219,6 +247,25 @@ class WorkflowControl extends Component {
                             <i className="fa fa-close" />
                         </button>
                     </div>
+                    <div className="btn-group btn-group-sm">
+                        <button
+                            type="button"
+                            className="btn btn-default"
+                            title={i18n._('Job Queue')}
+                            onClick={() => {
+                                actions.openModal(MODAL_JOB_QUEUE);
+                            }}
+                            disabled={!canClick}
+                        >
+                            <i className="fa fa-list-ol" />
+                            {queue.jobs.length > 0 &&
+                            <span>
+                                <span className="space space-sm" />
+                                <span className="badge">{queue.jobs.length}</span>
+                            </span>
+                            }
+                        </button>
+                    </div>
                     <Dropdown
                         className="hidden"
                         bsSize="sm"
@@ -1,3 +1,7 @@
 export const CAMERA_MODE_PAN = 'pan';
 export const CAMERA_MODE_ROTATE = 'rotate';
 export const MODAL_WATCH_DIRECTORY = 'MODAL_WATCH_DIRECTORY';
+export const MODAL_RUN_FROM_LINE = 'MODAL_RUN_FROM_LINE';
+export const MODAL_PREFLIGHT_REPORT = 'MODAL_PREFLIGHT_REPORT';
+export const MODAL_JOB_QUEUE = 'MODAL_JOB_QUEUE';
+export const MODAL_TOOL_CHANGE = 'MODAL_TOOL_CHANGE';
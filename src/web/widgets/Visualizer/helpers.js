@@ -18,6 +18,38 @@ const getBoundingBox = (object) => {
     return boundingBox;
 };
 
+// Translates the machine envelope from machine coordinates to work coordinates.
+// @param {object} envelope The machine envelope in machine coordinates.
+// @param {object} machinePosition The machine position.
+// @param {object} workPosition The work position.
+// @return {object} The machine envelope in work coordinates, or null if the envelope is not available.
+const getWorkEnvelope = (envelope, machinePosition, workPosition) => {
+    if (!envelope) {
+        return null;
+    }
+
+    const { min = {}, max = {} } = envelope;
+    const workEnvelope = {
+        min: {},
+        max: {}
+    };
+
+    ['x', 'y', 'z'].forEach(axis => {
+        // Round the work coordinate offset to ignore rounding errors of the reported positions
+        const offset = (Number(machinePosition[axis]) || 0) - (Number(workPosition[axis]) || 0);
+        const delta = Math.round(offset * 1000) / 1000;
+
+        if (typeof min[axis] === 'number') {
+            workEnvelope.min[axis] = min[axis] - delta;
+        }
+        if (typeof max[axis] === 'number') {
+            workEnvelope.max[axis] = max[axis] - delta;
+        }
+    });
+
+    return workEnvelope;
+};
+
 const loadTexture = (url, callback) => {
     callback = callback || ((err, texture) => {});
 
@@ -37,5 +69,6 @@ const loadTexture = (url, callback) => {
 
 export {
     getBoundingBox,
+    getWorkEnvelope,
     loadTexture
 };
@@ -16,10 +16,15 @@ import { in2mm } from '../../lib/units';
 import store from '../../store';
 import PrimaryToolbar from './PrimaryToolbar';
 import SecondaryToolbar from './SecondaryToolbar';
+import LineScrubber from './LineScrubber';
 import WorkflowControl from './WorkflowControl';
 import Visualizer from './Visualizer';
 import Dashboard from './Dashboard';
 import WatchDirectory from './WatchDirectory';
+import RunFromLine from './RunFromLine';
+import PreflightReport from './PreflightReport';
+import JobQueue from './JobQueue';
+import ToolChange from './ToolChange';
 import Loading from './Loading';
 import Rendering from './Rendering';
 import {
@@ -30,6 +35,10 @@ import {
     GRBL,
     GRBL_ACTIVE_STATE_IDLE,
     GRBL_ACTIVE_STATE_RUN,
+    // Marlin
+    MARLIN,
+    MARLIN_ACTIVE_STATE_IDLE,
+    MARLIN_ACTIVE_STATE_RUN,
     // Smoothie
     SMOOTHIE,
     SMOOTHIE_ACTIVE_STATE_IDLE,
@@ -43,12 +52,21 @@ import {
     // Workflow
     WORKFLOW_STATE_RUNNING,
     WORKFLOW_STATE_PAUSED,
-    WORKFLOW_STATE_IDLE
+    WORKFLOW_STATE_IDLE,
+    // Job Queue
+    JOB_QUEUE_STATE_IDLE,
+    JOB_QUEUE_STATE_WAITING,
+    // Tool Change
+    TOOL_CHANGE_STATE_WAITING
 } from '../../constants';
 import {
     CAMERA_MODE_PAN,
     CAMERA_MODE_ROTATE,
-    MODAL_WATCH_DIRECTORY
+    MODAL_WATCH_DIRECTORY,
+    MODAL_RUN_FROM_LINE,
+    MODAL_PREFLIGHT_REPORT,
+    MODAL_JOB_QUEUE,
+    MODAL_TOOL_CHANGE
 } from './constants';
 import styles from './index.styl';
 
@@ -151,7 +169,8 @@ class VisualizerWidget extends Component {
             api.loadGCode({ port, name, gcode })
                 .then((res) => {
                     // This will call loadGCode()
-                    pubsub.publish('gcode:load', { name, gcode });
+                    // The loaded G-code might be modified by the controller
+                    pubsub.publish('gcode:load', { name, gcode: get(res, 'body.gcode', gcode) });
                 })
                 .catch((res) => {
                     this.setState({
@@ -178,6 +197,7 @@ class VisualizerWidget extends Component {
                     rendering: capable.view3D,
                     ready: !capable.view3D,
                     content: gcode,
+                    preview: null,
                     bbox: {
                         min: {
                             x: 0,
@@ -261,6 +281,7 @@ class VisualizerWidget extends Component {
                     rendering: false,
                     ready: false,
                     content: '',
+                    preview: null,
                     bbox: {
                         min: {
                             x: 0,
@@ -276,6 +297,22 @@ class VisualizerWidget extends Component {
                 }
             });
         },
+        previewLine: (line) => {
+            this.setState({
+                gcode: {
+                    ...this.state.gcode,
+                    preview: line
+                }
+            });
+        },
+        clearPreview: () => {
+            this.setState({
+                gcode: {
+                    ...this.state.gcode,
+                    preview: null
+                }
+            });
+        },
         handleRun: () => {
             const { workflowState } = this.state;
             console.assert(includes([WORKFLOW_STATE_IDLE, WORKFLOW_STATE_PAUSED], workflowState));
@@ -286,13 +323,23 @@ class VisualizerWidget extends Component {
                 // state if the controller state is not updated in time.
                 this.requestStart = true;
 
+                // The workflow state will be updated when the controller has started the program
                 controller.command('gcode:start');
             }
             if (workflowState === WORKFLOW_STATE_PAUSED) {
                 controller.command('gcode:resume');
+
+                pubsub.publish('workflowState', WORKFLOW_STATE_RUNNING);
             }
+        },
+        handleRunFromLine: (line) => {
+            const { workflowState } = this.state;
+            console.assert(includes([WORKFLOW_STATE_IDLE], workflowState));
 
-            pubsub.publish('workflowState', WORKFLOW_STATE_RUNNING);
+            this.requestStart = true;
+
+            // The controller refuses to start if the machine state cannot be restored
+            controller.command('gcode:start', { startFromLine: line });
         },
         handlePause: () => {
             const { workflowState } = this.state;
@@ -318,6 +365,47 @@ class VisualizerWidget extends Component {
 
             pubsub.publish('gcode:unload'); // Unload the G-code
         },
+        // Add a G-code file to the job queue
+        addToQueue: (gcode, meta, pause = false) => {
+            const { name } = { ...meta };
+            const { port } = this.state;
+
+            api.queue.add({ port, name, gcode, pause })
+                .catch((res) => {
+                    log.error('Failed to add the G-code file to the job queue');
+                });
+        },
+        // Add a file from the watch directory to the job queue
+        addFileToQueue: (file, pause = false) => {
+            controller.command('queue:add', { file, pause }, (err) => {
+                if (err) {
+                    log.error(err);
+                }
+            });
+        },
+        removeFromQueue: (id) => {
+            controller.command('queue:remove', id);
+        },
+        clearQueue: () => {
+            controller.command('queue:clear');
+        },
+        startQueue: () => {
+            controller.command('queue:start');
+        },
+        resumeQueue: () => {
+            controller.command('queue:resume');
+        },
+        stopQueue: () => {
+            controller.command('queue:stop');
+        },
+        resumeToolChange: () => {
+            controller.command('toolchange:resume');
+        },
+        stopToolChange: () => {
+            controller.command('gcode:stop');
+
+            pubsub.publish('workflowState', WORKFLOW_STATE_IDLE);
+        },
         setBoundingBox: (bbox) => {
             this.setState({
                 gcode: {
@@ -434,9 +522,82 @@ class VisualizerWidget extends Component {
                 }
             });
         },
+        'queue:status': (queue) => {
+            const waiting = (queue.state === JOB_QUEUE_STATE_WAITING) && (this.state.queue.state !== JOB_QUEUE_STATE_WAITING);
+
+            this.setState({ queue: queue });
+
+            // Ask for confirmation to start the next job
+            if (waiting) {
+                this.actions.openModal(MODAL_JOB_QUEUE);
+            }
+        },
+        'queue:job': (job) => {
+            const { port } = this.state;
+
+            // The next job in the queue was loaded and started by the controller
+            this.requestStart = true;
+            pubsub.publish('workflowState', WORKFLOW_STATE_RUNNING);
+
+            api.fetchGCode({ port })
+                .then((res) => {
+                    const { name = '', data = '' } = { ...res.body };
+                    pubsub.publish('gcode:load', { name, gcode: data });
+                })
+                .catch((res) => {
+                    log.error(`Failed to fetch the G-code of "${job.name}"`);
+                });
+        },
+        'toolchange:status': (toolChange) => {
+            const waiting = !!toolChange && (toolChange.state === TOOL_CHANGE_STATE_WAITING);
+
+            this.setState({ toolChange: toolChange });
+
+            // Prompt the user to change the tool
+            if (waiting && this.state.modal.name !== MODAL_TOOL_CHANGE) {
+                this.actions.openModal(MODAL_TOOL_CHANGE);
+            }
+            if (!toolChange && this.state.modal.name === MODAL_TOOL_CHANGE) {
+                this.actions.closeModal();
+            }
+        },
+        'heightmap:status': (status) => {
+            const { heightMap = null } = { ...status };
+            this.setState({ heightMap: heightMap });
+        },
+        'gcode:preflight': (report) => {
+            const { stage, envelope, violations = [], refused = false } = { ...report };
+
+            this.setState({ envelope: envelope || null });
+
+            if (refused) {
+                this.requestStart = false;
+                pubsub.publish('workflowState', WORKFLOW_STATE_IDLE);
+            }
+
+            if (stage === 'start' && violations.length > 0) {
+                this.actions.openModal(MODAL_PREFLIGHT_REPORT, { report });
+            }
+        },
+        'gcode:start': (result) => {
+            const { name, startLine, err } = { ...result };
+
+            if (err) {
+                log.error(`Failed to start "${name}" from line ${startLine}: ${err}`);
+                this.requestStart = false;
+
+                // Show the reason unless the preflight report is shown
+                if (startLine > 1 && !this.state.modal.name) {
+                    this.actions.openModal(MODAL_RUN_FROM_LINE, { line: startLine, error: err });
+                }
+                return;
+            }
+
+            pubsub.publish('workflowState', WORKFLOW_STATE_RUNNING);
+        },
         'Grbl:state': (state) => {
             const { status, parserstate } = { ...state };
-            const { activeState, wpos } = status;
+            const { activeState, mpos, wpos } = status;
             const { modal = {} } = { ...parserstate };
             const units = {
                 'G20': IMPERIAL_UNITS,
@@ -465,6 +626,51 @@ class VisualizerWidget extends Component {
                     type: GRBL,
                     state: state
                 },
+                machinePosition: {
+                    ...this.state.machinePosition,
+                    ...mpos
+                },
+                workPosition: {
+                    ...this.state.workPosition,
+                    ...wpos
+                }
+            });
+        },
+        'Marlin:state': (state) => {
+            const { status, parserstate } = { ...state };
+            const { activeState, mpos, wpos } = status;
+            const { modal = {} } = { ...parserstate };
+            const units = {
+                'G20': IMPERIAL_UNITS,
+                'G21': METRIC_UNITS
+            }[modal.units] || this.state.units;
+            const { workflowState, gcode } = this.state;
+            const { sent, total } = gcode;
+            const isControllerIdle = includes([
+                MARLIN_ACTIVE_STATE_IDLE
+            ], activeState);
+
+            // Keep workflow in a running state if the controller state is not updated in time
+            if (this.requestStart && !isControllerIdle) {
+                this.requestStart = false;
+            }
+
+            const finishing = (total > 0 && sent >= total) && (workflowState !== WORKFLOW_STATE_IDLE) && isControllerIdle && (this.requestStart === false);
+            if (finishing) {
+                controller.command('gcode:stop');
+                pubsub.publish('workflowState', WORKFLOW_STATE_IDLE);
+            }
+
+            this.setState({
+                units: units,
+                controller: {
+                    type: MARLIN,
+                    state: state
+                },
+                machinePosition: {
+                    ...this.state.machinePosition,
+                    ...mpos
+                },
                 workPosition: {
                     ...this.state.workPosition,
                     ...wpos
@@ -473,7 +679,7 @@ class VisualizerWidget extends Component {
         },
         'Smoothie:state': (state) => {
             const { status, parserstate } = { ...state };
-            const { activeState, wpos } = status;
+            const { activeState, mpos, wpos } = status;
             const { modal = {} } = { ...parserstate };
             const units = {
                 'G20': IMPERIAL_UNITS,
@@ -502,6 +708,10 @@ class VisualizerWidget extends Component {
                     type: SMOOTHIE,
                     state: state
                 },
+                machinePosition: {
+                    ...this.state.machinePosition,
+                    ...mpos
+                },
                 workPosition: {
                     ...this.state.workPosition,
                     ...wpos
@@ -510,7 +720,7 @@ class VisualizerWidget extends Component {
         },
         'TinyG:state': (state) => {
             const { sr } = { ...state };
-            const { machineState, wpos, modal = {} } = sr;
+            const { machineState, mpos, wpos, modal = {} } = sr;
             const units = {
                 'G20': IMPERIAL_UNITS,
                 'G21': METRIC_UNITS
@@ -549,6 +759,11 @@ class VisualizerWidget extends Component {
                     type: TINYG,
                     state: state
                 },
+                // Machine positions are reported in millimeters
+                machinePosition: {
+                    ...this.state.machinePosition,
+                    ...mpos
+                },
                 workPosition: workPosition
             });
         }
@@ -616,11 +831,25 @@ class VisualizerWidget extends Component {
                 params: {}
             },
             workflowState: controller.workflowState,
+            machinePosition: { // Machine position
+                x: '0.000',
+                y: '0.000',
+                z: '0.000'
+            },
             workPosition: { // Work position
                 x: '0.000',
                 y: '0.000',
                 z: '0.000'
             },
+            envelope: null, // The machine envelope in machine coordinates
+            heightMap: null, // The probed height map in work coordinates
+            queue: { // Updates by the "queue:status" event
+                state: JOB_QUEUE_STATE_IDLE,
+                current: null,
+                jobs: [],
+                completed: 0
+            },
+            toolChange: null, // Updates by the "toolchange:status" event
             gcode: {
                 displayName: store.get('widgets.visualizer.gcode.displayName', true),
                 loading: false,
@@ -644,7 +873,9 @@ class VisualizerWidget extends Component {
                 size: 0,
                 total: 0,
                 sent: 0,
-                received: 0
+                received: 0,
+                // The line to preview the tool position at, or null to follow the progress
+                preview: null
             },
             disabled: store.get('widgets.visualizer.disabled', false),
             projection: store.get('widgets.visualizer.projection', 'orthographic'),
@@ -681,6 +912,11 @@ class VisualizerWidget extends Component {
                 if (this.state.workflowState !== workflowState) {
                     this.setState({ workflowState: workflowState });
                 }
+
+                // Follow the progress while running
+                if (workflowState !== WORKFLOW_STATE_IDLE && this.state.gcode.preview !== null) {
+                    this.actions.clearPreview();
+                }
             }),
             pubsub.subscribe('gcode:load', (msg, { name, gcode }) => {
                 const actions = this.actions;
@@ -689,6 +925,13 @@ class VisualizerWidget extends Component {
             pubsub.subscribe('gcode:unload', (msg) => {
                 const actions = this.actions;
                 actions.unloadGCode();
+            }),
+            // Highlight the line selected in the G-code editor or in the visualizer
+            pubsub.subscribe('gcode:select', (msg, index) => {
+                const { workflowState, gcode } = this.state;
+                if (workflowState === WORKFLOW_STATE_IDLE && gcode.ready) {
+                    this.actions.previewLine(index);
+                }
             })
         ];
         this.pubsubTokens = this.pubsubTokens.concat(tokens);
@@ -733,6 +976,12 @@ class VisualizerWidget extends Component {
                 return false;
             }
         }
+        if (controllerType === MARLIN) {
+            const activeState = get(controllerState, 'status.activeState');
+            if (activeState !== MARLIN_ACTIVE_STATE_RUN) {
+                return false;
+            }
+        }
         if (controllerType === SMOOTHIE) {
             const activeState = get(controllerState, 'status.activeState');
             if (activeState !== SMOOTHIE_ACTIVE_STATE_RUN) {
@@ -790,6 +1039,30 @@ class VisualizerWidget extends Component {
                         actions={actions}
                     />
                     }
+                    {state.modal.name === MODAL_RUN_FROM_LINE &&
+                    <RunFromLine
+                        state={state}
+                        actions={actions}
+                    />
+                    }
+                    {state.modal.name === MODAL_JOB_QUEUE &&
+                    <JobQueue
+                        state={state}
+                        actions={actions}
+                    />
+                    }
+                    {state.modal.name === MODAL_TOOL_CHANGE &&
+                    <ToolChange
+                        state={state}
+                        actions={actions}
+                    />
+                    }
+                    {state.modal.name === MODAL_PREFLIGHT_REPORT &&
+                    <PreflightReport
+                        state={state}
+                        actions={actions}
+                    />
+                    }
                     <WorkflowControl
                         state={state}
                         actions={actions}
@@ -810,6 +1083,10 @@ class VisualizerWidget extends Component {
                 </Widget.Content>
                 {capable.view3D &&
                 <Widget.Footer className={styles.widgetFooter}>
+                    <LineScrubber
+                        state={state}
+                        actions={actions}
+                    />
                     <SecondaryToolbar
                         state={state}
                         actions={actions}
@@ -0,0 +1,27 @@
+import { test } from 'tap';
+import { isValidRole, getRole, hasRole } from '../src/app/lib/access-control';
+
+test('access control', (t) => {
+    t.ok(isValidRole('operator'));
+    t.notOk(isValidRole('root'));
+
+    t.equal(getRole({ role: 'viewer' }), 'viewer');
+    t.equal(getRole({ role: 'admin' }), 'admin');
+
+    t.ok(hasRole({ role: 'admin' }, 'operator'));
+    t.ok(hasRole({ role: 'operator' }, 'operator'));
+    t.notOk(hasRole({ role: 'viewer' }, 'operator'));
+    t.notOk(hasRole({ role: 'operator' }, 'admin'));
+    t.ok(hasRole({ role: 'viewer' }, 'viewer'));
+    t.end();
+});
+
+test('users without a valid role are viewers', (t) => {
+    t.equal(getRole({ id: '', name: '' }), 'viewer');
+    t.equal(getRole({ role: 'root' }), 'viewer');
+    t.equal(getRole(null), 'viewer');
+    t.notOk(hasRole({ id: '', name: '' }, 'operator'));
+    t.notOk(hasRole(null, 'operator'));
+    t.ok(hasRole(null, 'viewer'));
+    t.end();
+});
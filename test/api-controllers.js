@@ -0,0 +1,152 @@
+import { test } from 'tap';
+import * as controllers from '../src/app/api/api.controllers';
+import store from '../src/app/store';
+
+const PORT = '/dev/ttyFAKE';
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        data: null,
+        status: (code) => {
+            res.statusCode = code;
+            return res;
+        },
+        send: (data) => {
+            res.data = data;
+            return res;
+        }
+    };
+    return res;
+};
+
+// A controller that records the commands, and refuses to start a program without any motion.
+// It must not be a plain object, which would be copied by the store.
+class FakeController {
+    options = { port: PORT };
+    status = { port: PORT };
+    workflow = { state: 'idle' };
+    commands = [];
+    gcode = '';
+    destroyed = false;
+
+    isOpen() {
+        return true;
+    }
+    isClose() {
+        return !this.isOpen();
+    }
+    open(callback) {
+        callback(new Error('Error opening serial port'));
+    }
+    destroy() {
+        this.destroyed = true;
+    }
+    command(socket, cmd, ...args) {
+        this.commands.push([cmd].concat(args));
+
+        if (cmd === 'gcode:load') {
+            const [name, gcode, context, callback] = args;
+            this.gcode = gcode;
+            callback(null, { name, gcode, context });
+            return true;
+        }
+        if (cmd === 'macro:run') {
+            const callback = args[2];
+            callback(null);
+            return true;
+        }
+        if (cmd === 'gcode:start' || cmd === 'gcode:resume') {
+            if (this.gcode.indexOf('G0') >= 0) {
+                this.workflow.state = 'running';
+            }
+            return true;
+        }
+        return (cmd === 'homing');
+    }
+}
+
+test('send a command', (t) => {
+    const controller = new FakeController();
+    store.set(`controllers["${PORT}"]`, controller);
+
+    const homing = createResponse();
+    controllers.command({ params: { port: PORT }, body: { cmd: 'homing' } }, homing);
+    t.equal(homing.statusCode, 200);
+
+    const unknown = createResponse();
+    controllers.command({ params: { port: PORT }, body: { cmd: 'selfdestruct' } }, unknown);
+    t.equal(unknown.statusCode, 400);
+    t.equal(unknown.data.msg, 'Unknown command: selfdestruct');
+
+    // The callback is passed after the macro id and the context
+    const padded = createResponse();
+    controllers.command({ params: { port: PORT }, body: { cmd: 'macro:run', args: ['macro-id'] } }, padded);
+    t.equal(padded.statusCode, 200);
+    t.same(padded.data.cmd, 'macro:run');
+
+    const truncated = createResponse();
+    controllers.command({ params: { port: PORT }, body: { cmd: 'macro:run', args: ['macro-id', {}, 'extra', 'extra'] } }, truncated);
+    t.equal(truncated.statusCode, 200);
+
+    const runs = controller.commands.filter(([cmd]) => cmd === 'macro:run');
+    t.same(runs.map(args => args.length), [4, 4]);
+    t.equal(typeof runs[0][3], 'function');
+    t.equal(typeof runs[1][3], 'function');
+
+    store.unset(`controllers["${PORT}"]`);
+    t.end();
+});
+
+test('load and start a program', (t) => {
+    const controller = new FakeController();
+    store.set(`controllers["${PORT}"]`, controller);
+
+    const failed = createResponse();
+    controllers.loadGCode({ params: { port: PORT }, body: { name: 'empty.nc', gcode: '; no motion', start: true } }, failed);
+    t.equal(failed.statusCode, 409, 'the program did not start');
+    t.equal(failed.data.result.name, 'empty.nc');
+
+    const started = createResponse();
+    controllers.loadGCode({ params: { port: PORT }, body: { name: 'part.nc', gcode: 'G0 X0', start: true } }, started);
+    t.equal(started.statusCode, 200);
+    t.equal(started.data.result.size, 5, 'the program is not sent back');
+
+    store.unset(`controllers["${PORT}"]`);
+    t.end();
+});
+
+test('start and resume a program', (t) => {
+    const controller = new FakeController();
+    store.set(`controllers["${PORT}"]`, controller);
+
+    ['gcode:start', 'gcode:resume'].forEach(cmd => {
+        controller.gcode = '; no motion';
+        controller.workflow.state = 'idle';
+        const failed = createResponse();
+        controllers.command({ params: { port: PORT }, body: { cmd: cmd } }, failed);
+        t.equal(failed.statusCode, 409, `${cmd}: the program did not start`);
+        t.equal(failed.data.cmd, cmd);
+
+        controller.gcode = 'G0 X0';
+        const started = createResponse();
+        controllers.command({ params: { port: PORT }, body: { cmd: cmd } }, started);
+        t.equal(started.statusCode, 200, `${cmd}: the program is running`);
+    });
+
+    store.unset(`controllers["${PORT}"]`);
+    t.end();
+});
+
+test('failed to open a serial port', (t) => {
+    const controller = new FakeController();
+    controller.isOpen = () => false;
+    store.set(`controllers["${PORT}"]`, controller);
+
+    const res = createResponse();
+    controllers.open({ params: { port: PORT }, body: {} }, res);
+    t.equal(res.statusCode, 500);
+    t.equal(store.get(`controllers["${PORT}"]`), undefined, 'removed from the store');
+    t.equal(controller.destroyed, true);
+    t.end();
+});
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'tap';
+import * as apikeys from '../src/app/api/api.apikeys';
+import {
+    API_KEYS_CONFIG_KEY,
+    apiKeyEvents,
+    generateApiKey,
+    getLastUsedTime,
+    hashApiKey,
+    isApiKey,
+    verifyApiKey
+} from '../src/app/lib/api-key';
+import config from '../src/app/services/configstore';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cncjs-'));
+const file = path.join(dir, '.cncrc');
+config.load(file);
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        data: null,
+        status: (code) => {
+            res.statusCode = code;
+            return res;
+        },
+        send: (data) => {
+            res.data = data;
+            return res;
+        }
+    };
+    return res;
+};
+
+// Returns the API key records saved in the configuration file
+const readRecords = () => JSON.parse(fs.readFileSync(file, 'utf8'))[API_KEYS_CONFIG_KEY];
+
+test('verify an API key', (t) => {
+    const key = generateApiKey();
+    t.ok(isApiKey(key));
+    t.notOk(isApiKey('eyJhbGciOiJIUzI1NiJ9'), 'an access token');
+    t.notEqual(hashApiKey(key), key);
+
+    config.set(API_KEYS_CONFIG_KEY, [
+        { id: 'a', label: 'cron', scope: 'operator', enabled: true, atime: null, hash: hashApiKey(key) },
+        { id: 'b', label: 'old', scope: 'admin', enabled: false, hash: hashApiKey('cncjs_disabled') },
+        { id: 'c', label: 'legacy', hash: hashApiKey('cncjs_legacy') }
+    ]);
+
+    t.same(verifyApiKey(key), { id: 'a', name: 'cron', role: 'operator', apiKey: true });
+    t.equal(verifyApiKey('cncjs_disabled'), null, 'disabled');
+    t.equal(verifyApiKey('cncjs_unknown'), null, 'revoked');
+    t.equal(verifyApiKey('eyJhbGciOiJIUzI1NiJ9'), null, 'not an API key');
+    t.equal(verifyApiKey('cncjs_legacy').role, 'viewer', 'read-only access without a valid scope');
+
+    t.ok(getLastUsedTime({ id: 'a', atime: null }) > 0, 'the last used time is kept in memory');
+    t.equal(readRecords()[0].atime, null, 'the configuration file is not written on each request');
+    t.equal(getLastUsedTime({ id: 'b' }), null, 'never used');
+    t.end();
+});
+
+test('manage API keys', (t) => {
+    const revoked = [];
+    const onRevoke = (id) => {
+        revoked.push(id);
+    };
+    apiKeyEvents.on('revoke', onRevoke);
+
+    config.set(API_KEYS_CONFIG_KEY, []);
+
+    const invalid = createResponse();
+    apikeys.create({ body: { label: 'cron', scope: 'root' } }, invalid);
+    t.equal(invalid.statusCode, 400);
+
+    const created = createResponse();
+    apikeys.create({ body: { label: 'cron', scope: 'operator' } }, created);
+    const { id, key } = created.data;
+    t.ok(isApiKey(key), 'the key is returned once');
+    t.equal(readRecords()[0].hash, hashApiKey(key), 'only the hash of the key is saved');
+
+    const fetched = createResponse();
+    apikeys.fetch({ query: {} }, fetched);
+    t.equal(fetched.data.pagination.totalRecords, 1);
+    t.equal(fetched.data.records[0].hash, undefined, 'the hash is not sent');
+
+    verifyApiKey(key);
+    const read = createResponse();
+    apikeys.read({ params: { id: id } }, read);
+    t.ok(read.data.atime > 0, 'the last used time that has not been saved yet');
+
+    apikeys.update({ params: { id: id }, body: { label: 'backup' } }, createResponse());
+    t.same(revoked, [], 'the label has been changed');
+
+    apikeys.update({ params: { id: id }, body: { enabled: false } }, createResponse());
+    t.same(revoked, [id], 'disabled');
+    t.equal(verifyApiKey(key), null);
+
+    apikeys.update({ params: { id: id }, body: { enabled: true } }, createResponse());
+    t.same(revoked, [id], 'enabled');
+    t.equal(verifyApiKey(key).name, 'backup');
+
+    const deleted = createResponse();
+    apikeys.__delete({ params: { id: id } }, deleted);
+    t.same(deleted.data, { id: id });
+    t.same(revoked, [id, id], 'deleted');
+    t.equal(verifyApiKey(key), null);
+
+    const notFound = createResponse();
+    apikeys.__delete({ params: { id: id } }, notFound);
+    t.equal(notFound.statusCode, 404);
+
+    apiKeyEvents.removeListener('revoke', onRevoke);
+    t.end();
+});
+
+test('stop watching the config file', (t) => {
+    config.watcher.close();
+    t.end();
+});
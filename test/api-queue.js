@@ -0,0 +1,82 @@
+import { test } from 'tap';
+import * as queue from '../src/app/api/api.queue';
+import ControlLock from '../src/app/lib/control-lock';
+import store from '../src/app/store';
+
+const PORT = '/dev/ttyFAKE';
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        data: null,
+        status: (code) => {
+            res.statusCode = code;
+            return res;
+        },
+        send: (data) => {
+            res.data = data;
+            return res;
+        }
+    };
+    return res;
+};
+
+// A controller with a job queue that records the changes.
+// It must not be a plain object, which would be copied by the store.
+class FakeController {
+    options = { port: PORT };
+    controlLock = new ControlLock();
+    changes = [];
+    queue = {
+        remove: (id) => {
+            this.changes.push(['remove', id]);
+            return true;
+        },
+        clear: () => {
+            this.changes.push(['clear']);
+        },
+        toJSON: () => ({ jobs: [] })
+    };
+
+    command(socket, cmd, job, callback) {
+        this.changes.push([cmd, job.name]);
+        callback(null, { id: 'job-id' });
+        return true;
+    }
+}
+
+test('the control lock', (t) => {
+    const controller = new FakeController();
+    store.set(`controllers["${PORT}"]`, controller);
+
+    const add = (res) => queue.add({ query: { port: PORT }, body: { name: 'part.nc', gcode: 'G0 X0' } }, res);
+    const remove = (res) => queue.remove({ query: { port: PORT }, params: { id: 'job-id' }, body: {} }, res);
+    const clear = (res) => queue.clear({ query: { port: PORT }, body: {} }, res);
+
+    // Anyone can change the queue while the lock is not taken
+    [add, remove, clear].forEach(fn => {
+        const res = createResponse();
+        fn(res);
+        t.equal(res.statusCode, 200);
+    });
+    t.same(controller.changes, [['queue:add', 'part.nc'], ['remove', 'job-id'], ['clear']]);
+
+    controller.controlLock.acquire({ id: 'socket-id', decoded_token: { id: 'u1', name: 'alice' } });
+    controller.changes = [];
+    [add, remove, clear].forEach(fn => {
+        const res = createResponse();
+        fn(res);
+        t.equal(res.statusCode, 409);
+        t.equal(res.data.err, `Serial port "${PORT}" is locked by alice`);
+    });
+    t.same(controller.changes, [], 'the queue is not changed');
+
+    // The queue can still be read
+    const res = createResponse();
+    queue.get({ query: { port: PORT }, body: {} }, res);
+    t.equal(res.statusCode, 200);
+
+    controller.controlLock.destroy();
+    store.unset(`controllers["${PORT}"]`);
+    t.end();
+});
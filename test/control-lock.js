@@ -0,0 +1,78 @@
+import { test } from 'tap';
+import ControlLock, { hasControl, isLockCommand } from '../src/app/lib/control-lock';
+
+const createSocket = (id, user) => ({ id: id, decoded_token: user });
+
+test('control lock', (t) => {
+    const lock = new ControlLock();
+    const a = createSocket('a', { id: 'u1', name: 'alice' });
+    const b = createSocket('b', { id: 'u2', name: 'bob' });
+
+    t.ok(isLockCommand('lock:acquire'));
+    t.notOk(isLockCommand('gcode'));
+
+    // Anyone can control the machine while the lock is not taken
+    t.ok(lock.canControl(a));
+    t.ok(lock.canControl(b));
+
+    t.ok(lock.acquire(a));
+    t.ok(lock.canControl(a));
+    t.notOk(lock.canControl(b));
+    t.notOk(lock.acquire(b));
+
+    // Hand-over
+    lock.requestControl(b);
+    t.same(lock.toJSON().request, { id: 'b', name: 'bob' });
+    lock.deny(a);
+    t.equal(lock.toJSON().request, null);
+    lock.requestControl(b);
+    lock.grant(a);
+    t.ok(lock.canControl(b));
+    t.notOk(lock.canControl(a));
+
+    lock.release(b);
+    t.notOk(lock.toJSON().locked);
+    lock.destroy();
+    t.end();
+});
+
+test('control lock timeout', (t) => {
+    const lock = new ControlLock({ timeout: 10 });
+    const a = createSocket('a', { id: 'u1', name: 'alice' });
+    const a2 = createSocket('a2', { id: 'u1', name: 'alice' });
+    const b = createSocket('b', { id: 'u2', name: 'bob' });
+
+    lock.acquire(a);
+    lock.disconnect(a);
+    t.equal(lock.toJSON().owner.connected, false);
+
+    // The same user can reclaim the lock from another connection
+    t.notOk(lock.acquire(b));
+    t.ok(lock.acquire(a2));
+    t.equal(lock.toJSON().owner.id, 'a2');
+
+    // The lock will be handed over to the pending request when the timeout expires
+    lock.requestControl(b);
+    lock.disconnect(a2);
+    lock.once('change', () => {
+        t.equal(lock.toJSON().owner.id, 'b');
+        lock.destroy();
+        t.end();
+    });
+});
+
+test('controllers without a control lock', (t) => {
+    const lock = new ControlLock();
+    const a = createSocket('a', { id: 'u1', name: 'alice' });
+    const b = createSocket('b', { id: 'u2', name: 'bob' });
+
+    t.ok(hasControl({}, a), 'any connection can control the machine');
+    t.ok(hasControl({}, null));
+
+    lock.acquire(a);
+    t.ok(hasControl({ controlLock: lock }, a));
+    t.notOk(hasControl({ controlLock: lock }, b));
+    t.notOk(hasControl({ controlLock: lock }, null));
+    lock.destroy();
+    t.end();
+});
@@ -0,0 +1,64 @@
+import { test } from 'tap';
+import {
+    CONTROLLER_METHODS,
+    createController,
+    getControllerTypes,
+    registerController,
+    unregisterController
+} from '../src/app/controllers';
+
+class PluginController {
+    type = 'Plugin';
+    options = {};
+    destroyed = false;
+
+    constructor(port, options) {
+        this.options = { ...options, port };
+    }
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+test('register a controller plugin', (t) => {
+    registerController({
+        type: 'Plugin',
+        aliases: ['plugin'],
+        baudrates: [115200, 'invalid'],
+        capabilities: { probing: 1, unknown: true },
+        factory: (port, options) => {
+            const controller = new PluginController(port, options);
+            CONTROLLER_METHODS.forEach(name => {
+                controller[name] = controller[name] || (() => true);
+            });
+            return controller;
+        }
+    });
+
+    const definition = getControllerTypes().filter(({ type }) => type === 'Plugin')[0];
+    t.same(definition, { type: 'Plugin', aliases: ['plugin'], baudrates: [115200], capabilities: { probing: true } });
+
+    const controller = createController('/dev/ttyPLUGIN', { controllerType: 'plugin', baudrate: 115200 });
+    t.same(controller.options, { port: '/dev/ttyPLUGIN', baudrate: 115200 });
+
+    unregisterController('Plugin');
+    t.throws(() => createController('/dev/ttyPLUGIN', { controllerType: 'plugin' }), /Not supported controller/);
+    t.end();
+});
+
+test('reject a controller that does not implement the interface', (t) => {
+    let controller = null;
+    registerController({
+        type: 'Incomplete',
+        factory: (port, options) => {
+            controller = new PluginController(port, options);
+            return controller;
+        }
+    });
+
+    t.throws(() => createController('/dev/ttyPLUGIN', { controllerType: 'Incomplete' }), /missing=open, close/);
+    t.equal(controller.destroyed, true, 'the rejected controller is destroyed');
+
+    unregisterController('Incomplete');
+    t.end();
+});
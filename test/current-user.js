@@ -0,0 +1,43 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'tap';
+import { getCurrentUser } from '../src/app/lib/current-user';
+import config from '../src/app/services/configstore';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cncjs-'));
+config.load(path.join(dir, '.cncrc'));
+
+test('user accounts are disabled', (t) => {
+    config.set('users', [
+        { id: 'a', name: 'alice', role: 'viewer', enabled: false }
+    ]);
+
+    t.same(getCurrentUser({ id: '', name: '' }), { id: '', name: '', role: 'admin' });
+    t.same(getCurrentUser(null), { role: 'admin' });
+    t.end();
+});
+
+test('look up the user account', (t) => {
+    config.set('users', [
+        { id: 'a', name: 'alice', role: 'operator', enabled: true },
+        { id: 'b', name: 'bob', role: 'admin', enabled: false },
+        { id: 'c', name: 'carol' }
+    ]);
+
+    t.same(getCurrentUser({ id: 'a', name: 'alice', role: 'admin' }), { id: 'a', name: 'alice', role: 'operator' }, 'the role in the token is not trusted');
+    t.equal(getCurrentUser({ id: 'b', name: 'bob', role: 'admin' }), null, 'the user account has been disabled');
+    t.equal(getCurrentUser({ id: 'd', name: 'dave', role: 'admin' }), null, 'the user account has been removed');
+    t.equal(getCurrentUser({ id: '', name: '', role: 'admin' }), null, 'issued when the user accounts were disabled');
+    t.equal(getCurrentUser(null), null);
+    t.same(getCurrentUser({ id: 'c', name: 'carol' }), { id: 'c', name: 'carol', role: 'viewer' }, 'users without a role are viewers');
+
+    const apiKey = { id: 'k', name: 'cron', role: 'operator', apiKey: true };
+    t.equal(getCurrentUser(apiKey), apiKey);
+    t.end();
+});
+
+test('stop watching the config file', (t) => {
+    config.watcher.close();
+    t.end();
+});
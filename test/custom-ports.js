@@ -0,0 +1,89 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'tap';
+import * as ports from '../src/app/api/api.ports';
+import { getCustomPorts } from '../src/app/lib/custom-ports';
+import config from '../src/app/services/configstore';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cncjs-'));
+const file = path.join(dir, '.cncrc');
+config.load(file);
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        data: null,
+        status: (code) => {
+            res.statusCode = code;
+            return res;
+        },
+        send: (data) => {
+            res.data = data;
+            return res;
+        }
+    };
+    return res;
+};
+
+test('list the custom ports', (t) => {
+    config.set('cnc.ports', [
+        { comName: '/dev/ttyFAKE', manufacturer: 'grbl-sim' },
+        { comName: '' }
+    ]);
+    // The legacy "ports" setting
+    config.set('ports', [
+        { comName: '/dev/ttyFAKE', manufacturer: 'grbl-sim' },
+        { port: 'telnet://192.168.0.10:23', name: 'Smoothieboard' }
+    ]);
+
+    t.same(getCustomPorts(), [
+        { comName: '/dev/ttyFAKE', manufacturer: 'grbl-sim' },
+        { comName: 'telnet://192.168.0.10:23', manufacturer: 'Smoothieboard' }
+    ]);
+
+    const res = createResponse();
+    ports.fetch({}, res);
+    t.same(res.data.records, [
+        { port: '/dev/ttyFAKE', name: 'grbl-sim', transport: 'serial' },
+        { port: 'telnet://192.168.0.10:23', name: 'Smoothieboard', transport: 'telnet' }
+    ]);
+    t.end();
+});
+
+test('add and remove a network port', (t) => {
+    const serial = createResponse();
+    ports.create({ body: { port: '/dev/ttyUSB0' } }, serial);
+    t.equal(serial.statusCode, 400);
+
+    const conflict = createResponse();
+    ports.create({ body: { port: 'telnet://192.168.0.10:23' } }, conflict);
+    t.equal(conflict.statusCode, 409);
+
+    const created = createResponse();
+    ports.create({ body: { port: 'tcp://192.168.0.20:2000', name: 'ser2net' } }, created);
+    t.same(created.data, { port: 'tcp://192.168.0.20:2000', name: 'ser2net', transport: 'tcp' });
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    t.equal(saved.ports, undefined, 'the legacy setting has been moved');
+    t.same(saved.cnc.ports.map(record => record.comName), [
+        '/dev/ttyFAKE',
+        'telnet://192.168.0.10:23',
+        'tcp://192.168.0.20:2000'
+    ]);
+
+    const deleted = createResponse();
+    ports.__delete({ params: { port: 'telnet://192.168.0.10:23' } }, deleted);
+    t.same(deleted.data, { err: null });
+    t.same(getCustomPorts().map(record => record.comName), ['/dev/ttyFAKE', 'tcp://192.168.0.20:2000']);
+
+    const notFound = createResponse();
+    ports.__delete({ params: { port: 'telnet://192.168.0.10:23' } }, notFound);
+    t.equal(notFound.statusCode, 404);
+    t.end();
+});
+
+test('stop watching the config file', (t) => {
+    config.watcher.close();
+    t.end();
+});
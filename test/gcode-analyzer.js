@@ -0,0 +1,76 @@
+import { test } from 'tap';
+import GCodeAnalyzer from '../src/app/lib/gcode-analyzer';
+
+test('linear moves without acceleration limits', (t) => {
+    const analyzer = new GCodeAnalyzer({
+        maxRates: { x: 1000, y: 1000, z: 1000 },
+        accelerations: { x: 1e9, y: 1e9, z: 1e9 }
+    });
+    const { estimatedTime, lineTimes, bbox, distance } = analyzer.analyze([
+        'G21 G90',
+        'G0 X10', // 10mm at 1000mm/min (0.6s)
+        'G1 Y10 F600', // 10mm at 600mm/min (1s)
+        'G4 P0.5', // 0.5s
+        'G1 X0 Y0 F6000' // 14.142mm at 1414mm/min, limited by the maximum rate of each axis (0.6s)
+    ]);
+
+    t.equal(lineTimes.length, 5);
+    t.equal(lineTimes[0], 0);
+    t.equal(lineTimes[1], 600);
+    t.equal(lineTimes[2], 1600);
+    t.equal(lineTimes[3], 2100);
+    t.equal(lineTimes[4], 2700);
+    t.equal(estimatedTime, 2700);
+    t.same(bbox, {
+        min: { x: 0, y: 0, z: 0 },
+        max: { x: 10, y: 10, z: 0 }
+    });
+    t.equal(distance.rapid, 10);
+    t.ok(Math.abs(distance.cutting - (10 + Math.sqrt(200))) < 1e-6);
+    t.end();
+});
+
+test('acceleration and junction speed', (t) => {
+    const analyzer = new GCodeAnalyzer({
+        maxRates: { x: 6000, y: 6000, z: 6000 },
+        accelerations: { x: 100, y: 100, z: 100 }
+    });
+
+    // Accelerate from 0 to 50mm/s in 0.5s (12.5mm), cruise 75mm in 1.5s, then decelerate to 0 in 0.5s
+    const straight = analyzer.analyze(['G1 X100 F3000']);
+    t.equal(straight.estimatedTime, 2500);
+
+    // The motion does not stop at the junction between collinear moves
+    const split = analyzer.analyze(['G1 X50 F3000', 'G1 X100']);
+    t.equal(split.estimatedTime, 2500);
+
+    // The motion comes to a stop when reversing
+    const reversal = analyzer.analyze(['G1 X50 F3000', 'G1 X0']);
+    t.equal(reversal.estimatedTime, 2 * 1500);
+
+    t.end();
+});
+
+test('arcs, units, and tools', (t) => {
+    const analyzer = new GCodeAnalyzer();
+    const { bbox, tools, distance } = analyzer.analyze([
+        'G20 G90 G17 T1 M6',
+        'G0 X-0.5 Y0',
+        'G2 X0.5 Y0 I0.5 J0 F10', // The upper half of a circle
+        'G2 X-0.5 Y0 R0.5', // The lower half of a circle
+        'T2 M6',
+        'G0 Z1'
+    ]);
+
+    t.same(tools, [1, 2]);
+    t.ok(Math.abs(bbox.min.x - -12.7) < 1e-6);
+    t.ok(Math.abs(bbox.max.x - 12.7) < 1e-6);
+    t.ok(Math.abs(bbox.min.y - -12.7) < 1e-6);
+    t.ok(Math.abs(bbox.max.y - 12.7) < 1e-6);
+    t.ok(Math.abs(bbox.max.z - 25.4) < 1e-6);
+
+    // The arcs are divided into chords, which are slightly shorter than the circumference
+    const circumference = 2 * Math.PI * 12.7;
+    t.ok(distance.cutting < circumference && distance.cutting > circumference * 0.99);
+    t.end();
+});
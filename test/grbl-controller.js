@@ -0,0 +1,141 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import _ from 'lodash';
+import del from 'del';
+import { test } from 'tap';
+import settings from '../src/app/config/settings';
+import { createController } from '../src/app/controllers';
+import GrblController from '../src/app/controllers/Grbl/GrblController';
+import { GRBL_VIRTUAL_PORT } from '../src/app/controllers/Grbl/constants';
+import config from '../src/app/services/configstore';
+
+const GCODE = [
+    'G21 G90',
+    'G0 X1 Y1',
+    'G1 X2 F1000',
+    'G1 Y2',
+    'G0 X0 Y0'
+].join('\n');
+
+test('run a program on the virtual Grbl device', (t) => {
+    // Keep the job history out of the home directory
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cncjs-'));
+    settings.cncrc = path.join(dir, '.cncrc');
+    settings.jobs.dir = path.join(dir, 'jobs');
+
+    const controller = new GrblController(GRBL_VIRTUAL_PORT, { baudrate: 115200 });
+
+    t.tearDown(() => {
+        del.sync(dir, { force: true });
+    });
+
+    controller.grbl.once('startup', () => {
+        controller.command(null, 'gcode:load', 'test.nc', GCODE, (err) => {
+            t.error(err);
+            t.equal(controller.sender.state.total, 5);
+
+            // A newly connected client receives the analysis of the loaded G-code
+            const analyses = [];
+            controller.addConnection({
+                id: 'client',
+                emit: (eventName, data) => {
+                    if (eventName === 'gcode:analysis') {
+                        analyses.push(data);
+                    }
+                }
+            });
+            t.equal(analyses[0].name, 'test.nc');
+            t.equal(analyses[0].estimatedTime, null, 'the settings ($$) have not been reported yet');
+
+            controller.sender.once('end', () => {
+                const { total, sent, received } = controller.sender.state;
+                t.equal(sent, total, 'all lines have been sent');
+                t.equal(received, total, 'all lines have been acknowledged');
+                t.ok(_.last(analyses).estimatedTime > 0, 'analyzed again with the reported settings');
+                t.equal(controller.sender.state.estimatedTime, _.last(analyses).estimatedTime);
+
+                controller.close();
+                t.notOk(controller.isOpen());
+                t.end();
+            });
+
+            controller.command(null, 'gcode:start');
+            t.equal(controller.workflow.state, 'running');
+        });
+    });
+
+    controller.open((err) => {
+        t.error(err);
+        t.ok(controller.isOpen());
+    });
+});
+
+test('open the virtual Grbl device with other controllers', (t) => {
+    t.throws(() => {
+        createController(GRBL_VIRTUAL_PORT, { controllerType: 'Smoothie', baudrate: 115200 });
+    }, /virtual Grbl device/);
+
+    const controller = createController(GRBL_VIRTUAL_PORT, { controllerType: 'Grbl', baudrate: 115200 });
+    t.ok(controller instanceof GrblController);
+    controller.destroy();
+
+    t.end();
+});
+
+test('start from a line on the virtual Grbl device', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cncjs-'));
+    settings.cncrc = path.join(dir, '.cncrc');
+    settings.jobs.dir = path.join(dir, 'jobs');
+    config.load(settings.cncrc);
+
+    const controller = new GrblController(GRBL_VIRTUAL_PORT, { baudrate: 115200 });
+    const started = [];
+    const written = [];
+
+    t.tearDown(() => {
+        controller.close();
+        controller.destroy();
+        config.watcher.close();
+        del.sync(dir, { force: true });
+    });
+
+    controller.addConnection({
+        id: 'client',
+        emit: (eventName, data) => {
+            if (eventName === 'gcode:start') {
+                started.push(data);
+            }
+        }
+    });
+    controller.sender.on('data', (line) => {
+        written.push(line.trim());
+    });
+
+    controller.grbl.once('startup', () => {
+        controller.command(null, 'gcode:load', 'test.nc', GCODE, (err) => {
+            t.error(err);
+
+            // Homing is not enabled on the virtual Grbl device, and the envelope is not specified
+            controller.command(null, 'gcode:start', { startFromLine: 3 });
+            t.equal(controller.workflow.state, 'idle');
+            t.same(started, [{ name: 'test.nc', startLine: 3, err: 'The retract height is not specified' }]);
+
+            // Retract to the clearance height in work coordinates
+            config.set('machine.clearance', 5);
+
+            controller.sender.once('end', () => {
+                t.same(written.slice(0, 3), ['G21 G17 G54 G94 G90', 'G0 Z5', 'G0 X1 Y1']);
+                t.end();
+            });
+
+            controller.command(null, 'gcode:start', { startFromLine: 3 });
+            t.equal(controller.workflow.state, 'running');
+            t.same(started[1], { name: 'test.nc', startLine: 3, err: null });
+        });
+    });
+
+    controller.open((err) => {
+        t.error(err);
+    });
+});
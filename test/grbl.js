@@ -261,6 +261,36 @@ test('GrblLineParserResultParameters:PRB', (t) => {
     grbl.parse('[PRB:0.000,0.000,1.492:1]');
 });
 
+test('GrblLineParserResultParameters: update the state with the $# output', (t) => {
+    const grbl = new Grbl();
+    const lines = [
+        '[G54:-120.000,-80.500,-10.000]',
+        '[G55:0.000,0.000,0.000]',
+        '[G92:0.000,0.000,0.000]',
+        '[TLO:1.250]'
+    ];
+
+    let state = grbl.state;
+    lines.forEach(line => {
+        grbl.parse(line);
+        t.notEqual(grbl.state, state, 'a state change is emitted for ' + line);
+        state = grbl.state;
+    });
+
+    t.same(grbl.state.parameters.G54, { x: '-120.000', y: '-80.500', z: '-10.000' });
+    t.same(grbl.state.parameters.G55, { x: '0.000', y: '0.000', z: '0.000' });
+    t.equal(grbl.state.parameters.TLO, '1.250');
+
+    // Reporting the same offsets again does not change the state
+    grbl.parse('[G54:-120.000,-80.500,-10.000]');
+    t.equal(grbl.state, state);
+
+    grbl.parse('[G54:-100.000,-80.500,-10.000]');
+    t.notEqual(grbl.state, state);
+    t.equal(grbl.state.parameters.G54.x, '-100.000');
+    t.end();
+});
+
 test('GrblLineParserResultFeedback', (t) => {
     const lines = [
         // $I - View build info
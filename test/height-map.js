@@ -0,0 +1,177 @@
+import { test } from 'tap';
+import HeightMap from '../src/app/lib/height-map';
+
+test('probe points and commands', (t) => {
+    const heightMap = HeightMap.fromArea({ xmin: 0, xmax: 20, ymin: 0, ymax: 15, spacing: 10 });
+
+    t.equal(heightMap.cols, 3);
+    t.equal(heightMap.rows, 3);
+    t.same(heightMap.getProbePoints().map(({ col, row }) => [col, row]), [
+        [0, 0], [1, 0], [2, 0],
+        [2, 1], [1, 1], [0, 1],
+        [0, 2], [1, 2], [2, 2]
+    ]);
+    t.same(heightMap.getProbePoints()[4], { col: 1, row: 1, x: 10, y: 7.5 });
+    t.same(heightMap.getProbeCommands({ clearance: 2, depth: -1, feedrate: 20 }).slice(0, 5), [
+        'G21 G90',
+        'G0 Z2',
+        'G0 X0.000 Y0.000',
+        'G38.2 Z-1 F20',
+        'G0 Z2'
+    ]);
+    t.equal(heightMap.isComplete(), false);
+    t.end();
+});
+
+test('bilinear interpolation', (t) => {
+    const heightMap = new HeightMap({
+        xmin: 0,
+        xmax: 10,
+        ymin: 0,
+        ymax: 10,
+        cols: 2,
+        rows: 2,
+        z: [
+            [0, 1],
+            [2, 3]
+        ]
+    });
+
+    t.equal(heightMap.isComplete(), true);
+    t.equal(heightMap.getHeight(0, 0), 0);
+    t.equal(heightMap.getHeight(10, 0), 1);
+    t.equal(heightMap.getHeight(5, 5), 1.5);
+    t.equal(heightMap.getHeight(10, 5), 2);
+
+    // Positions outside the grid are clamped to the edges
+    t.equal(heightMap.getHeight(-5, 20), 2);
+    t.end();
+});
+
+test('compensate', (t) => {
+    const heightMap = new HeightMap({
+        xmin: 0,
+        xmax: 10,
+        ymin: 0,
+        ymax: 10,
+        cols: 2,
+        rows: 2,
+        z: [
+            [0, 1],
+            [0, 1]
+        ]
+    });
+
+    t.same(heightMap.compensate([
+        '(Comment)',
+        'G21 G90',
+        'G0 X0 Y0',
+        'G0 Z1',
+        'G1 Z-0.1 F100',
+        'X10 S1000'
+    ], { segmentLength: 5 }), [
+        '(Comment)',
+        'G21 G90',
+        'G0 X0 Y0',
+        'G0 X0 Y0 Z1',
+        'G1 X0 Y0 Z-0.1 F100',
+        'G1 X5 Y0 Z0.4 S1000',
+        'G1 X10 Y0 Z0.9'
+    ]);
+
+    // Incremental distance mode in inches
+    t.same(heightMap.compensate([
+        'G20 G90',
+        'G0 X0 Y0 Z0',
+        'G91',
+        'G1 X0.3937 F10'
+    ], { segmentLength: 10 }), [
+        'G20 G90',
+        'G0 X0 Y0 Z0',
+        'G91',
+        'G1 X0.3937 Y0 Z0.0394 F10'
+    ]);
+
+    // Arcs are converted to linear moves
+    const lines = heightMap.compensate([
+        'G17 G90 G21',
+        'G0 X0 Y0 Z0',
+        'G2 X10 Y0 I5 J0 F100'
+    ], { segmentLength: 1 });
+    const last = lines[lines.length - 1];
+    t.equal(lines.length, 2 + 18);
+    t.equal(lines[2], 'G1 X0.076 Y0.868 Z0.008 F100'); // 10 degrees per segment
+    t.equal(last, 'G1 X10 Y0 Z1');
+    t.end();
+});
+
+test('compensate from unknown positions', (t) => {
+    const heightMap = new HeightMap({
+        xmin: 0,
+        xmax: 10,
+        ymin: 0,
+        ymax: 10,
+        cols: 2,
+        rows: 2,
+        z: [
+            [0, 0.3],
+            [0, 0.3]
+        ]
+    });
+
+    // XY move before the first Z
+    t.same(heightMap.compensate([
+        'G21 G90',
+        'G0 X5 Y5',
+        'G0 Z5'
+    ]), [
+        'G21 G90',
+        'G0 X5 Y5',
+        'G0 X5 Y5 Z5.15'
+    ], 'the Z position is not written until it has been programmed');
+
+    // The position is lost after G28, G53 and probing
+    t.same(heightMap.compensate([
+        'G21 G90',
+        'G0 X0 Y0 Z1',
+        'G28',
+        'G0 X10 Y0',
+        'G0 Z2',
+        'G53 G0 Z0',
+        'G1 X0 F100',
+        'G91 G1 Z-1',
+        'G90 G0 Z1',
+        'G38.2 Z-5 F10',
+        'G0 X5'
+    ]), [
+        'G21 G90',
+        'G0 X0 Y0 Z1',
+        'G28',
+        'G0 X10 Y0',
+        'G0 X10 Y0 Z2.3',
+        'G53 G0 Z0',
+        'G1 X0 F100',
+        'G91 G1 Z-1',
+        'G0 X0 Y0 Z1 G90',
+        'G38.2 Z-5 F10',
+        'G0 X5'
+    ]);
+
+    // Changing the coordinate system
+    t.same(heightMap.compensate([
+        'G21 G90 G54',
+        'G0 X10 Y0 Z1',
+        'G55',
+        'G0 X10 Y0',
+        'G92 Z0',
+        'G0 X0'
+    ]), [
+        'G21 G90 G54',
+        'G0 X10 Y0 Z1.3',
+        'G55',
+        'G0 X10 Y0',
+        'G92 Z0',
+        'G0 X0 Y0 Z0'
+    ]);
+    t.end();
+});
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'tap';
+import * as jobs from '../src/app/api/api.jobs';
+import settings from '../src/app/config/settings';
+import jobHistory from '../src/app/services/jobhistory';
+import JobHistory, {
+    JOB_OUTCOME_FINISHED,
+    JOB_OUTCOME_STOPPED
+} from '../src/app/services/jobhistory/JobHistory';
+
+const createTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'cncjs-jobs-'));
+
+const createResponse = () => {
+    const res = {
+        statusCode: 200,
+        data: null,
+        status: (code) => {
+            res.statusCode = code;
+            return res;
+        },
+        send: (data) => {
+            res.data = data;
+            return res;
+        }
+    };
+    return res;
+};
+
+const runJob = (history, name, gcode, options) => {
+    const job = history.start({ controllerType: 'Grbl', port: '/dev/ttyUSB0', name: name, gcode: gcode });
+    return history.finish(job, { outcome: JOB_OUTCOME_FINISHED, total: 1, sent: 1, received: 1, ...options });
+};
+
+test('record a job', (t) => {
+    const dir = createTempDir();
+    const file = path.join(dir, 'jobs.json');
+    const history = new JobHistory({ file: file, dir: path.join(dir, 'gcode'), maxRecords: 10 });
+    const finished = [];
+
+    history.on('finish', (record) => {
+        finished.push(record.id);
+    });
+
+    const job = history.start({ controllerType: 'Grbl', port: '/dev/ttyUSB0', name: 'part.nc', gcode: 'G0 X0\nG1 X10' });
+    history.addError(job, { line: 2, message: 'error:20' });
+    t.same(history.getRecords(), [], 'not recorded until finished');
+
+    const record = history.finish(job, { outcome: JOB_OUTCOME_STOPPED, total: 2, sent: 2, received: 1 });
+    t.equal(record.outcome, JOB_OUTCOME_STOPPED);
+    t.equal(record.gcode, undefined, 'the program is not stored in the record');
+    t.same(record.errors, [{ line: 2, message: 'error:20' }]);
+    t.same(finished, [record.id]);
+    t.same(history.getRecords(), [record]);
+    t.same(JSON.parse(fs.readFileSync(file, 'utf8')), [record], 'stored in the records file');
+    t.equal(history.readContent(record.hash), 'G0 X0\nG1 X10');
+
+    // Load the records from the file
+    t.same(new JobHistory({ file: file }).getRecords(), [record]);
+
+    t.equal(history.remove(record.id), true);
+    t.equal(history.remove(record.id), false, 'already removed');
+    t.same(history.getRecords(), []);
+    t.equal(history.readContent(record.hash), null, 'the program is removed along with the last record');
+    t.end();
+});
+
+test('keep the most recent records', (t) => {
+    const dir = createTempDir();
+    const history = new JobHistory({ file: path.join(dir, 'jobs.json'), dir: path.join(dir, 'gcode'), maxRecords: 2 });
+
+    const first = runJob(history, 'first.nc', 'G0 X1');
+    runJob(history, 'second.nc', 'G0 X2');
+    runJob(history, 'third.nc', 'G0 X1');
+    t.same(history.getRecords().map(record => record.name), ['second.nc', 'third.nc']);
+    t.equal(history.readContent(first.hash), 'G0 X1', 'the program is still referenced by another record');
+
+    runJob(history, 'fourth.nc', 'G0 X4');
+    t.same(history.getRecords().map(record => record.name), ['third.nc', 'fourth.nc']);
+    t.equal(history.readContent(first.hash), 'G0 X1');
+
+    runJob(history, 'fifth.nc', 'G0 X5');
+    t.same(history.getRecords().map(record => record.name), ['fourth.nc', 'fifth.nc']);
+    t.equal(history.readContent(first.hash), null, 'the program is no longer referenced');
+    t.end();
+});
+
+test('job history api', (t) => {
+    const dir = createTempDir();
+    settings.cncrc = path.join(dir, '.cncrc');
+    settings.jobs.dir = path.join(dir, 'gcode');
+
+    const part = runJob(jobHistory, 'part.nc', 'G0 X0');
+    const stopped = runJob(jobHistory, 'pocket.nc', 'G0 Y0', { outcome: JOB_OUTCOME_STOPPED });
+    t.ok(fs.existsSync(path.join(dir, '.cncjs-jobs.json')), 'stored next to the config file');
+
+    t.test('fetch', (t) => {
+        const res = createResponse();
+        jobs.fetch({ query: {} }, res);
+        t.same(res.data.pagination, { page: 1, pageLength: 10, totalRecords: 2 });
+        t.same(res.data.records.map(record => record.id), [stopped.id, part.id], 'the most recent jobs come first');
+
+        const filtered = createResponse();
+        jobs.fetch({ query: { outcome: JOB_OUTCOME_STOPPED } }, filtered);
+        t.same(filtered.data.records.map(record => record.id), [stopped.id]);
+        t.end();
+    });
+
+    t.test('read', (t) => {
+        const res = createResponse();
+        jobs.read({ params: { id: part.id } }, res);
+        t.equal(res.data.name, 'part.nc');
+
+        const notFound = createResponse();
+        jobs.read({ params: { id: 'unknown' } }, notFound);
+        t.equal(notFound.statusCode, 404);
+        t.end();
+    });
+
+    t.test('read the G-code program', (t) => {
+        const res = createResponse();
+        jobs.readGCode({ params: { id: part.id } }, res);
+        t.same(res.data, { id: part.id, name: 'part.nc', gcode: 'G0 X0' });
+        t.end();
+    });
+
+    t.test('delete', (t) => {
+        const res = createResponse();
+        jobs.__delete({ params: { id: part.id } }, res);
+        t.same(res.data, { id: part.id });
+        t.same(jobHistory.getRecords().map(record => record.id), [stopped.id]);
+
+        const notFound = createResponse();
+        jobs.__delete({ params: { id: part.id } }, notFound);
+        t.equal(notFound.statusCode, 404);
+        t.end();
+    });
+
+    t.end();
+});
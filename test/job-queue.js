@@ -0,0 +1,81 @@
+import { test } from 'tap';
+import JobQueue, {
+    JOB_QUEUE_STATE_IDLE,
+    JOB_QUEUE_STATE_RUNNING,
+    JOB_QUEUE_STATE_WAITING
+} from '../src/app/lib/job-queue';
+
+test('runs jobs in order', (t) => {
+    const queue = new JobQueue();
+    const started = [];
+    let ended = false;
+
+    queue.on('job', (job) => {
+        started.push(job.name);
+    });
+    queue.on('end', () => {
+        ended = true;
+    });
+
+    queue.add({ name: 'roughing.nc', gcode: 'G0 X0' });
+    queue.add({ name: 'finishing.nc', gcode: 'G0 X1' });
+    t.equal(queue.finish(), false, 'no running job');
+
+    t.equal(queue.start(), true);
+    t.equal(queue.state.state, JOB_QUEUE_STATE_RUNNING);
+    t.same(queue.toJSON().current, { id: queue.state.current.id, name: 'roughing.nc', size: 5, pause: false });
+    t.equal(queue.start(), false, 'already running');
+
+    t.equal(queue.finish(), true);
+    t.equal(queue.finish(), true);
+    t.equal(queue.finish(), false, 'the sender may emit the "end" event more than once');
+    t.same(started, ['roughing.nc', 'finishing.nc']);
+    t.equal(queue.state.state, JOB_QUEUE_STATE_IDLE);
+    t.equal(queue.state.completed, 2);
+    t.equal(ended, true);
+    t.end();
+});
+
+test('waits for confirmation before a job with pause', (t) => {
+    const queue = new JobQueue();
+    const started = [];
+
+    queue.on('job', (job) => {
+        started.push(job.name);
+    });
+
+    queue.add({ name: 'roughing.nc', gcode: 'G0 X0' });
+    queue.add({ name: 'finishing.nc', gcode: 'G0 X1', pause: true });
+    t.equal(queue.resume(), false, 'not waiting');
+
+    queue.start();
+    queue.finish();
+    t.equal(queue.state.state, JOB_QUEUE_STATE_WAITING);
+    t.equal(queue.isRunning(), false);
+    t.same(started, ['roughing.nc']);
+
+    t.equal(queue.resume(), true);
+    t.same(started, ['roughing.nc', 'finishing.nc']);
+    t.equal(queue.state.state, JOB_QUEUE_STATE_RUNNING);
+    t.end();
+});
+
+test('remove, clear and stop', (t) => {
+    const queue = new JobQueue();
+    const id1 = queue.add({ name: 'a.nc', gcode: 'G0 X0' });
+    const id2 = queue.add({ name: 'b.nc', gcode: 'G0 X1' });
+
+    t.equal(queue.remove('unknown'), false);
+    t.equal(queue.remove(id1), true);
+    t.same(queue.toJSON().jobs.map(job => job.id), [id2]);
+
+    queue.start();
+    queue.stop();
+    t.equal(queue.state.state, JOB_QUEUE_STATE_IDLE);
+    t.equal(queue.state.current, null);
+
+    queue.add({ name: 'c.nc', gcode: 'G0 X2' });
+    queue.clear();
+    t.same(queue.toJSON().jobs, []);
+    t.end();
+});
@@ -0,0 +1,53 @@
+import { test } from 'tap';
+import checkMachineEnvelope, { normalizeEnvelope } from '../src/app/lib/machine-envelope';
+
+test('normalizeEnvelope', (t) => {
+    t.equal(normalizeEnvelope(), null);
+    t.equal(normalizeEnvelope({ min: {}, max: {} }), null);
+    t.same(normalizeEnvelope({
+        min: { x: '-300', y: -200, z: 'abc' },
+        max: { x: 0, y: null }
+    }), {
+        min: { x: -300, y: -200 },
+        max: { x: 0 }
+    });
+    t.end();
+});
+
+test('checkMachineEnvelope', (t) => {
+    const envelope = {
+        min: { x: -300, y: -200, z: -80 },
+        max: { x: 0, y: 0 }
+    };
+    const bbox = {
+        min: { x: 0, y: 0, z: -5 },
+        max: { x: 100, y: 50, z: 10 }
+    };
+
+    { // Fits within the envelope
+        const offset = { x: -250, y: -100, z: -20 };
+        const { bbox: machineBBox, violations } = checkMachineEnvelope(bbox, offset, envelope);
+        t.same(machineBBox, {
+            min: { x: -250, y: -100, z: -25 },
+            max: { x: -150, y: -50, z: -10 }
+        });
+        t.same(violations, []);
+    }
+
+    { // Exceeds the envelope on the X and Z axes
+        const offset = { x: -50, y: -100, z: -78 };
+        const { violations } = checkMachineEnvelope(bbox, offset, envelope);
+        t.same(violations, [
+            { axis: 'x', min: -50, max: 50, limit: { min: -300, max: 0 } },
+            { axis: 'z', min: -83, max: -68, limit: { min: -80, max: undefined } }
+        ]);
+    }
+
+    { // Allows for rounding errors
+        const offset = { x: -100.0005, y: -50.0005, z: 0 };
+        const { violations } = checkMachineEnvelope(bbox, offset, envelope);
+        t.same(violations, []);
+    }
+
+    t.end();
+});
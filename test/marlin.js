@@ -0,0 +1,199 @@
+import { test } from 'tap';
+import Marlin, { computeChecksum, numberLine } from '../src/app/controllers/Marlin/Marlin';
+
+test('computeChecksum', (t) => {
+    t.equal(computeChecksum('N1 G0 X10'), 81);
+    t.equal(computeChecksum('N0 M110'), 35);
+    t.end();
+});
+
+test('numberLine', (t) => {
+    t.equal(numberLine(1, 'G0 X10'), 'N1 G0 X10*81');
+    t.equal(numberLine(3, 'T0'), 'N3 T0*57');
+    t.end();
+});
+
+test('MarlinLineParserResultStart', (t) => {
+    const marlin = new Marlin();
+    marlin.on('start', ({ raw }) => {
+        t.equal(raw, 'start');
+        t.equal(marlin.state.status.activeState, 'Idle');
+        t.end();
+    });
+
+    marlin.parse('start');
+});
+
+test('MarlinLineParserResultFirmware', (t) => {
+    const marlin = new Marlin();
+    marlin.on('firmware', ({ raw, ...firmware }) => {
+        t.same(firmware, {
+            name: 'Marlin',
+            version: '1.1.9',
+            protocolVersion: '1.0',
+            machineType: '3D Printer',
+            extruderCount: 1,
+            uuid: 'cede2a2f-41a2-4748-9b12-c55c62f367ff'
+        });
+        t.equal(marlin.state.firmware.name, 'Marlin');
+        t.equal(marlin.state.firmware.version, '1.1.9');
+        t.end();
+    });
+
+    const line = [
+        'FIRMWARE_NAME:Marlin 1.1.9 (Github)',
+        'SOURCE_CODE_URL:https://github.com/MarlinFirmware/Marlin',
+        'PROTOCOL_VERSION:1.0',
+        'MACHINE_TYPE:3D Printer',
+        'EXTRUDER_COUNT:1',
+        'UUID:cede2a2f-41a2-4748-9b12-c55c62f367ff'
+    ].join(' ');
+    marlin.parse(line);
+});
+
+test('MarlinLineParserResultOk', (t) => {
+    const marlin = new Marlin();
+    marlin.on('ok', ({ raw, ...payload }) => {
+        t.equal(raw, 'ok');
+        t.same(payload, {});
+        t.end();
+    });
+
+    marlin.parse('ok');
+});
+
+test('MarlinLineParserResultOk: temperatures (M105)', (t) => {
+    const marlin = new Marlin();
+    marlin.on('ok', ({ raw, ...payload }) => {
+        t.same(payload, {
+            heater: {
+                extruder: {
+                    deg: 190.5,
+                    degTarget: 200,
+                    power: 127
+                },
+                heatedBed: {
+                    deg: 59.8,
+                    degTarget: 60,
+                    power: 64
+                }
+            }
+        });
+        t.equal(marlin.state.heater.extruder.deg, 190.5);
+        t.equal(marlin.state.heater.heatedBed.degTarget, 60);
+        t.end();
+    });
+
+    marlin.parse('ok T:190.50 /200.00 B:59.80 /60.00 @:127 B@:64');
+});
+
+test('MarlinLineParserResultPosition (M114)', (t) => {
+    const marlin = new Marlin();
+    marlin.on('pos', ({ raw, ...payload }) => {
+        t.same(payload, {
+            pos: {
+                x: '10.00',
+                y: '-5.50',
+                z: '0.20'
+            }
+        });
+        t.same(marlin.getMachinePosition(), { x: '10.00', y: '-5.50', z: '0.20' });
+        t.same(marlin.getWorkPosition(), { x: '10.00', y: '-5.50', z: '0.20' });
+        t.end();
+    });
+
+    marlin.parse('X:10.00 Y:-5.50 Z:0.20 E:0.00 Count X:800 Y:-440 Z:80');
+});
+
+test('MarlinLineParserResultTemperature: auto report', (t) => {
+    const marlin = new Marlin();
+    marlin.on('temperature', ({ raw, ...payload }) => {
+        t.same(payload, {
+            heater: {
+                extruder: {
+                    deg: 20.3,
+                    degTarget: 0
+                },
+                heatedBed: {
+                    deg: 21,
+                    degTarget: 0
+                }
+            }
+        });
+        t.end();
+    });
+
+    marlin.parse('T:20.30 /0.00 B:21.00 /0.00');
+});
+
+test('MarlinLineParserResultError', (t) => {
+    const marlin = new Marlin();
+    marlin.on('error', ({ raw, ...payload }) => {
+        t.same(payload, {
+            message: 'checksum mismatch, Last Line: 5'
+        });
+        t.equal(marlin.isAlarm(), false);
+        t.end();
+    });
+
+    marlin.parse('Error:checksum mismatch, Last Line: 5');
+});
+
+test('MarlinLineParserResultError: printer halted', (t) => {
+    const marlin = new Marlin();
+    marlin.on('error', ({ raw, ...payload }) => {
+        t.same(payload, {
+            message: 'Printer halted. kill() called!'
+        });
+        t.equal(marlin.isAlarm(), true);
+        t.end();
+    });
+
+    marlin.parse('Error:Printer halted. kill() called!');
+});
+
+test('MarlinLineParserResultResend', (t) => {
+    const marlin = new Marlin();
+    marlin.on('resend', ({ raw, ...payload }) => {
+        t.equal(raw, 'Resend: 6');
+        t.same(payload, { line: 6 });
+        t.end();
+    });
+
+    marlin.parse('Resend: 6');
+});
+
+test('MarlinLineParserResultEcho', (t) => {
+    const marlin = new Marlin();
+    const messages = [];
+    marlin.on('echo', ({ raw, ...payload }) => {
+        messages.push(payload);
+        if (messages.length === 2) {
+            t.same(messages, [
+                { message: 'busy: processing', busy: 'processing' },
+                { message: 'Unknown command: "G99"' }
+            ]);
+            t.end();
+        }
+    });
+
+    marlin.parse('echo:busy: processing');
+    marlin.parse('echo:Unknown command: "G99"');
+});
+
+test('Marlin: update the state from the commands sent', (t) => {
+    const marlin = new Marlin();
+
+    marlin.updateFromCommand('M106 S127');
+    t.equal(marlin.state.fan.speed, 127);
+    marlin.updateFromCommand('M107');
+    t.equal(marlin.state.fan.speed, 0);
+    marlin.updateFromCommand('M220 S150');
+    t.equal(marlin.state.status.ovF, 150);
+    marlin.updateFromCommand('G20 G91 G1 X10 F300');
+    t.equal(marlin.state.parserstate.modal.units, 'G20');
+    t.equal(marlin.state.parserstate.modal.distance, 'G91');
+    t.equal(marlin.state.parserstate.modal.motion, 'G1');
+    t.equal(marlin.state.parserstate.feedrate, '300');
+    t.end();
+});
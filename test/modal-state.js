@@ -0,0 +1,84 @@
+import { test } from 'tap';
+import ModalState from '../src/app/lib/modal-state';
+
+test('modal state', (t) => {
+    const modalState = new ModalState();
+    [
+        'G20 G90 G55',
+        'M3 S12000',
+        'M8',
+        'G0 Z0.5',
+        'G0 X1 Y1',
+        'G1 Z-0.1 F10',
+        'G91 X1',
+        'G53 G0 Z0'
+    ].forEach(line => modalState.update(line));
+
+    t.same(modalState.state, {
+        motion: 'G0',
+        wcs: 'G55',
+        plane: 'G17',
+        units: 'G20',
+        distance: 'G91',
+        feedmode: 'G94',
+        spindle: 'M3',
+        coolant: {
+            mist: false,
+            flood: true
+        },
+        tool: 0,
+        feedrate: 10,
+        spindleSpeed: 12000
+    });
+    t.same(modalState.getPosition(), { x: 2, y: 1, z: -0.1 });
+    t.same(modalState.toGCode({ clearance: 12.7 }), [
+        'G20 G17 G55 G94 G90',
+        'G0 Z0.5',
+        'G0 X2 Y1',
+        'M3 S12000',
+        'M8',
+        'G1 Z-0.1 F10',
+        'G0',
+        'G91'
+    ]);
+    t.end();
+});
+
+test('retract in machine coordinates', (t) => {
+    const modalState = new ModalState();
+    [
+        'G21 G90',
+        'G0 Z-1',
+        'G1 Z-2 F100'
+    ].forEach(line => modalState.update(line));
+
+    t.throws(() => modalState.toGCode(), /retract height/, 'requires a retract height');
+    t.equal(modalState.toGCode({ clearance: 5, machineZ: -5 })[1], 'G53 G0 Z-5', 'prefers the retract height in machine coordinates');
+    t.equal(modalState.toGCode({ clearance: 5 })[1], 'G0 Z5');
+    t.same(modalState.toGCode({ machineZ: -5 }), [
+        'G21 G17 G54 G94 G90',
+        'G53 G0 Z-5',
+        'M5',
+        'M9',
+        'G1 Z-2 F100',
+        'G1'
+    ], 'leaves X and Y unchanged since they have never been programmed');
+    t.end();
+});
+
+test('position lost after G28', (t) => {
+    const modalState = new ModalState();
+    [
+        'G0 X10 Y10 Z5',
+        'G28',
+        'G91 G0 X1'
+    ].forEach(line => modalState.update(line));
+
+    t.same(modalState.getPosition(), { x: null, y: null, z: null });
+    t.throws(() => modalState.toGCode({ machineZ: 0 }), /unknown after G28\/G30/);
+
+    ['G90 G0 X1 Y2', 'G0 Z3'].forEach(line => modalState.update(line));
+    t.same(modalState.getPosition(), { x: 1, y: 2, z: 3 });
+    t.same(modalState.toGCode({ machineZ: 0 }).slice(1, 3), ['G53 G0 Z0', 'G0 X1 Y2']);
+    t.end();
+});
@@ -0,0 +1,67 @@
+import { test } from 'tap';
+import Reconnector from '../src/app/lib/reconnector';
+
+test('reconnect with backoff', (t) => {
+    const reconnector = new Reconnector({ gracePeriod: 1000, minDelay: 10, maxDelay: 40 });
+    const delays = [];
+    let retries = 0;
+
+    reconnector.on('attempt', ({ delay }) => {
+        delays.push(delay);
+    });
+    reconnector.on('reconnect', () => {
+        t.same(delays, [10, 20, 40, 40]);
+        t.equal(retries, 4);
+        t.notOk(reconnector.isActive());
+        t.end();
+    });
+
+    t.ok(reconnector.start((callback) => {
+        retries++;
+        callback((retries < 4) ? new Error('ENOENT') : null);
+    }));
+    t.ok(reconnector.isActive());
+    t.notOk(reconnector.start(() => {}), 'cannot start twice');
+});
+
+test('fail after the grace period', (t) => {
+    const reconnector = new Reconnector({ gracePeriod: 50, minDelay: 10, maxDelay: 20 });
+
+    reconnector.on('fail', () => {
+        t.ok(reconnector.isActive(), 'still active on the fail event');
+        setImmediate(() => {
+            t.notOk(reconnector.isActive());
+            t.end();
+        });
+    });
+
+    reconnector.start((callback) => {
+        callback(new Error('ENOENT'));
+    });
+});
+
+test('stop reconnecting', (t) => {
+    const reconnector = new Reconnector({ gracePeriod: 1000, minDelay: 10 });
+
+    reconnector.on('reconnect', () => {
+        t.fail('should not reconnect after stop');
+    });
+
+    reconnector.start((callback) => {
+        t.fail('should not retry after stop');
+    });
+    reconnector.stop();
+    t.notOk(reconnector.isActive());
+
+    setTimeout(() => {
+        t.end();
+    }, 50);
+});
+
+test('disable reconnection', (t) => {
+    const reconnector = new Reconnector({ gracePeriod: 0 });
+
+    t.notOk(reconnector.isEnabled());
+    t.notOk(reconnector.start(() => {}));
+    t.end();
+});
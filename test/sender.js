@@ -39,7 +39,9 @@ test('send-response streaming protocol', (t) => {
         startTime: sender.state.startTime,
         finishTime: sender.state.finishTime,
         elapsedTime: sender.state.elapsedTime,
-        remainingTime: sender.state.remainingTime
+        remainingTime: sender.state.remainingTime,
+        estimatedTime: 0,
+        startLine: 0
     });
 
     sender.on('data', () => {
@@ -59,7 +61,9 @@ test('send-response streaming protocol', (t) => {
             startTime: sender.state.startTime,
             finishTime: sender.state.finishTime,
             elapsedTime: sender.state.elapsedTime,
-            remainingTime: sender.state.remainingTime
+            remainingTime: sender.state.remainingTime,
+            estimatedTime: 0,
+            startLine: 0
         });
 
         sender.unload();
@@ -77,6 +81,14 @@ test('send-response streaming protocol', (t) => {
             finishTime: 0,
             elapsedTime: 0,
             remainingTime: 0,
+            estimatedTime: 0,
+            lineTimes: [],
+            startLine: 0,
+            preamble: [],
+            preambleSent: 0,
+            preambleReceived: 0,
+            hold: false,
+            holdReason: null,
             changed: true
         });
         t.same(sender.toJSON(), {
@@ -90,7 +102,9 @@ test('send-response streaming protocol', (t) => {
             startTime: 0,
             finishTime: 0,
             elapsedTime: 0,
-            remainingTime: 0
+            remainingTime: 0,
+            estimatedTime: 0,
+            startLine: 0
         });
 
         t.end();
@@ -161,7 +175,9 @@ test('character-counting streaming protocol', (t) => {
         startTime: sender.state.startTime,
         finishTime: sender.state.finishTime,
         elapsedTime: sender.state.elapsedTime,
-        remainingTime: sender.state.remainingTime
+        remainingTime: sender.state.remainingTime,
+        estimatedTime: 0,
+        startLine: 0
     });
 
     sender.on('data', () => {
@@ -181,7 +197,9 @@ test('character-counting streaming protocol', (t) => {
             startTime: sender.state.startTime,
             finishTime: sender.state.finishTime,
             elapsedTime: sender.state.elapsedTime,
-            remainingTime: sender.state.remainingTime
+            remainingTime: sender.state.remainingTime,
+            estimatedTime: 0,
+            startLine: 0
         });
 
         sender.unload();
@@ -199,6 +217,14 @@ test('character-counting streaming protocol', (t) => {
             finishTime: 0,
             elapsedTime: 0,
             remainingTime: 0,
+            estimatedTime: 0,
+            lineTimes: [],
+            startLine: 0,
+            preamble: [],
+            preambleSent: 0,
+            preambleReceived: 0,
+            hold: false,
+            holdReason: null,
             changed: true
         });
         t.same(sender.toJSON(), {
@@ -212,7 +238,9 @@ test('character-counting streaming protocol', (t) => {
             startTime: 0,
             finishTime: 0,
             elapsedTime: 0,
-            remainingTime: 0
+            remainingTime: 0,
+            estimatedTime: 0,
+            startLine: 0
         });
 
         t.end();
@@ -236,3 +264,117 @@ test('character-counting streaming protocol', (t) => {
         }
     }, 0);
 });
+
+test('start from an arbitrary line with a preamble', (t) => {
+    const sender = new Sender(SP_TYPE_SEND_RESPONSE);
+    const gcode = [
+        'G21 G90',
+        'G0 Z5',
+        'G0 X10 Y10',
+        'G1 Z-1 F100',
+        'G1 X20',
+        'G1 Y20'
+    ].join('\n');
+    const preamble = ['G21 G17 G54 G94 G90', 'G0 Z5'];
+
+    t.equal(sender.seek(2), false, 'Cannot seek without loading G-code');
+
+    sender.load('test.nc', gcode);
+    t.equal(sender.seek(6), false, 'Cannot seek beyond the last line');
+    t.equal(sender.seek(4, preamble), true);
+    t.equal(sender.state.sent, 4);
+    t.equal(sender.state.received, 4);
+    t.equal(sender.toJSON().startLine, 4);
+
+    const lines = [];
+    sender.on('data', (line) => {
+        lines.push(line.trim());
+        sender.ack();
+        sender.next();
+    });
+    sender.on('end', () => {
+        t.same(lines, preamble.concat(['G1 X20', 'G1 Y20']));
+        t.equal(sender.state.sent, 6);
+        t.equal(sender.state.received, 6);
+
+        sender.rewind();
+        t.equal(sender.state.startLine, 0);
+        t.same(sender.state.preamble, []);
+
+        t.end();
+    });
+
+    sender.next();
+});
+
+test('remaining time from the estimated time profile', (t) => {
+    const sender = new Sender(SP_TYPE_SEND_RESPONSE);
+    const gcode = [
+        'G21 G90',
+        'G1 X10 F600',
+        'G1 X20',
+        'G1 X30'
+    ].join('\n');
+
+    t.equal(sender.setTimeEstimate([0, 1000, 2000, 3000]), false, 'Cannot set the time estimate without loading G-code');
+
+    sender.load('test.nc', gcode);
+    t.equal(sender.setTimeEstimate([0, 1000]), false, 'The number of lines must match');
+    t.equal(sender.setTimeEstimate([0, 1000, 2000, 3000]), true);
+    t.equal(sender.toJSON().estimatedTime, 3000);
+
+    const remainingTimes = [];
+    sender.next();
+    remainingTimes.push(sender.state.remainingTime);
+    for (let i = 0; i < 4; ++i) {
+        sender.ack();
+        sender.next();
+        remainingTimes.push(sender.state.remainingTime);
+    }
+    t.same(remainingTimes, [3000, 3000, 2000, 1000, 0]);
+
+    t.end();
+});
+
+test('hold and unhold', (t) => {
+    const sender = new Sender(SP_TYPE_CHAR_COUNTING, { bufferSize: 128 });
+    const gcode = [
+        'G0 X10',
+        'T2 M6',
+        'G0 X20',
+        'G0 X30'
+    ].join('\n');
+    const lines = [];
+
+    t.equal(sender.hold(), false, 'Cannot hold without loading G-code');
+
+    sender.load('test.nc', gcode);
+    sender.on('data', (line) => {
+        line = line.trim();
+        lines.push(line);
+        if (line === 'T2 M6') {
+            sender.hold({ data: 'M6', tool: 2 });
+        }
+    });
+
+    sender.next();
+    t.same(lines, ['G0 X10', 'T2 M6'], 'Stop sending lines after the hold');
+    t.same(sender.state.holdReason, { data: 'M6', tool: 2 });
+
+    sender.ack();
+    sender.next();
+    sender.ack();
+    sender.next();
+    t.equal(sender.state.received, 2, 'Acknowledgements are processed while holding');
+    t.same(lines, ['G0 X10', 'T2 M6']);
+
+    t.equal(sender.unhold(), true);
+    t.equal(sender.unhold(), false);
+    sender.next();
+    t.same(lines, ['G0 X10', 'T2 M6', 'G0 X20', 'G0 X30']);
+
+    sender.hold();
+    sender.rewind();
+    t.equal(sender.state.hold, false, 'Rewinding will release the hold');
+    t.end();
+});
@@ -260,6 +260,37 @@ test('SmoothieLineParserResultParameters:PRB', (t) => {
     smoothie.parse('[PRB:0.000,0.000,1.492:1]');
 });
 
+test('SmoothieLineParserResultParameters: update the state with the $# output', (t) => {
+    const smoothie = new Smoothie();
+    const lines = [
+        '[G54:-120.0000,-80.5000,-10.0000]',
+        '[G55:0.0000,0.0000,0.0000]',
+        '[G59.1:0.0000,0.0000,0.0000]',
+        '[G92:0.0000,0.0000,0.0000]',
+        '[TLO:1.2500]'
+    ];
+
+    let state = smoothie.state;
+    lines.forEach(line => {
+        smoothie.parse(line);
+        t.notEqual(smoothie.state, state, 'a state change is emitted for ' + line);
+        state = smoothie.state;
+    });
+
+    t.same(smoothie.state.parameters.G54, { x: '-120.0000', y: '-80.5000', z: '-10.0000' });
+    t.same(smoothie.state.parameters.G55, { x: '0.0000', y: '0.0000', z: '0.0000' });
+    t.equal(smoothie.state.parameters.TLO, '1.2500');
+
+    // Reporting the same offsets again does not change the state
+    smoothie.parse('[G54:-120.0000,-80.5000,-10.0000]');
+    t.equal(smoothie.state, state);
+
+    smoothie.parse('[G54:-100.0000,-80.5000,-10.0000]');
+    t.notEqual(smoothie.state, state);
+    t.equal(smoothie.state.parameters.G54.x, '-100.0000');
+    t.end();
+});
+
 test('SmoothieLineParserResultVersion', (t) => {
     const smoothie = new Smoothie();
     smoothie.on('version', ({ raw, ...others }) => {
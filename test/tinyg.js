@@ -0,0 +1,35 @@
+import { test } from 'tap';
+import TinyG from '../src/app/controllers/TinyG/TinyG';
+
+test('TinyGParserResultReceiveReports: coordinate system offsets', (t) => {
+    const tinyg = new TinyG();
+    const reports = [];
+
+    tinyg.on('r', (r) => {
+        reports.push(r);
+    });
+
+    let state = tinyg.state;
+    tinyg.parse('{"r":{"g54":{"x":-120,"y":-80.5,"z":-10,"a":0,"b":0,"c":0}},"f":[1,0,9]}');
+    t.notEqual(tinyg.state, state, 'a state change is emitted');
+    t.same(tinyg.state.parameters.G54, { x: '-120', y: '-80.5', z: '-10', a: '0', b: '0', c: '0' });
+    t.equal(reports.length, 1);
+
+    state = tinyg.state;
+    tinyg.parse('{"r":{"g92":{"x":0,"y":0,"z":1.25,"a":0,"b":0,"c":0}},"f":[1,0,9]}');
+    t.notEqual(tinyg.state, state);
+    t.same(tinyg.state.parameters.G92, { x: '0', y: '0', z: '1.25', a: '0', b: '0', c: '0' });
+    t.same(tinyg.state.parameters.G54.x, '-120', 'the other offsets are kept');
+
+    // Reporting the same offsets again does not change the state
+    state = tinyg.state;
+    tinyg.parse('{"r":{"g54":{"x":-120,"y":-80.5,"z":-10,"a":0,"b":0,"c":0}},"f":[1,0,9]}');
+    t.equal(tinyg.state, state);
+
+    // Other reports do not change the offsets
+    tinyg.parse('{"r":{"fv":0.97,"fb":440.2},"f":[1,0,9]}');
+    t.equal(tinyg.state, state);
+    t.equal(tinyg.ident.fb, 440.2);
+    t.equal(tinyg.footer.statusCode, 0);
+    t.end();
+});
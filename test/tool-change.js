@@ -0,0 +1,74 @@
+import { test } from 'tap';
+import {
+    hasToolChange,
+    parseTool,
+    commentOutToolChange,
+    normalizeToolChangeOptions,
+    canProbeToolLength,
+    getToolChangeCommands,
+    getToolProbeCommands,
+    getToolLengthOffsetCommand,
+    TOOL_CHANGE_POLICY_IGNORE,
+    TOOL_CHANGE_POLICY_PROBE,
+    TOOL_LENGTH_OFFSET_TLO,
+    TOOL_LENGTH_OFFSET_WCS
+} from '../src/app/lib/tool-change';
+
+test('M6 detection', (t) => {
+    t.ok(hasToolChange('T2 M6'));
+    t.ok(hasToolChange('M06T2'));
+    t.notOk(hasToolChange('M60'));
+    t.notOk(hasToolChange('G0 X6'));
+    t.equal(parseTool('T2 M6'), 2);
+    t.equal(parseTool('M6'), null);
+    t.equal(commentOutToolChange('T2 M6'), 'T2 (M6)');
+    t.end();
+});
+
+test('normalizeToolChangeOptions', (t) => {
+    const defaults = normalizeToolChangeOptions();
+    t.equal(defaults.policy, TOOL_CHANGE_POLICY_IGNORE);
+    t.equal(defaults.offset, TOOL_LENGTH_OFFSET_TLO);
+    t.notOk(canProbeToolLength(defaults));
+
+    const options = normalizeToolChangeOptions({
+        policy: 'probe',
+        position: { x: '-10', y: -20, z: -5 },
+        probe: { x: -50, y: -60, z: -30, distance: 40, feedrate: 200 },
+        offset: 'wcs'
+    });
+    t.equal(options.policy, TOOL_CHANGE_POLICY_PROBE);
+    t.equal(options.offset, TOOL_LENGTH_OFFSET_WCS);
+    t.same(options.position, { x: -10, y: -20, z: -5 });
+    t.ok(canProbeToolLength(options));
+    t.end();
+});
+
+test('tool change commands', (t) => {
+    const options = normalizeToolChangeOptions({
+        policy: 'probe',
+        position: { x: -10, y: -20, z: -5 },
+        probe: { x: -50, y: -60, z: -30, distance: 40, feedrate: 200 }
+    });
+
+    t.same(getToolChangeCommands(options, { units: 'G21' }), [
+        'M5',
+        'G53 G0 Z-5',
+        'G53 G0 X-10 Y-20'
+    ]);
+    t.same(getToolProbeCommands(options, { units: 'G20', distance: 'G90' }), [
+        'M5',
+        'G53 G0 Z-0.1969',
+        'G53 G0 X-1.9685 Y-2.3622',
+        'G53 G0 Z-1.1811',
+        'G91 G38.2 Z-1.5748 F7.874',
+        'G90',
+        'G53 G0 Z-0.1969'
+    ]);
+
+    const reference = { z: -40 };
+    const result = { z: -42.5, offsetZ: -60 };
+    t.equal(getToolLengthOffsetCommand(options, { units: 'G21' }, reference, result), 'G43.1 Z-2.5');
+    t.equal(getToolLengthOffsetCommand({ ...options, offset: 'wcs' }, { units: 'G21', coordinate: 'G55' }, reference, result), 'G10 L2 P2 Z-62.5');
+    t.end();
+});
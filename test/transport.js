@@ -0,0 +1,90 @@
+import { test } from 'tap';
+import {
+    NetConnection,
+    parseAddress,
+    stripTelnetCommands
+} from '../src/app/lib/transport';
+
+// Telnet commands
+const IAC = 255;
+const SB = 250;
+const SE = 240;
+const WILL = 251;
+const DO = 253;
+const DONT = 254;
+const WONT = 252;
+
+test('parse the address of a connection', (t) => {
+    t.same(parseAddress('tcp://192.168.0.10:2000'), { type: 'tcp', host: '192.168.0.10', port: 2000 });
+    t.same(parseAddress('192.168.0.10:2000'), { type: 'tcp', host: '192.168.0.10', port: 2000 });
+    t.same(parseAddress('TELNET://smoothie.local:23/'), { type: 'telnet', host: 'smoothie.local', port: 23 });
+    t.same(parseAddress('telnet://[fe80::1]:23'), { type: 'telnet', host: 'fe80::1', port: 23 });
+    t.same(parseAddress('unix:///tmp/grbl.sock'), { type: 'unix', path: '/tmp/grbl.sock' });
+    t.same(parseAddress('unix:/tmp/grbl.sock'), { type: 'unix', path: '/tmp/grbl.sock' });
+    t.same(parseAddress('/dev/ttyUSB0'), { type: 'serial', path: '/dev/ttyUSB0' });
+    t.same(parseAddress('COM3'), { type: 'serial', path: 'COM3' });
+    t.end();
+});
+
+test('strip the telnet negotiation', (t) => {
+    const { data, replies, pending } = stripTelnetCommands(Buffer.from([
+        IAC, WILL, 1, // Echo
+        0x6f, 0x6b,
+        IAC, IAC, // Escaped 0xFF
+        IAC, DO, 31, // Window size
+        IAC, SB, 24, 1, IAC, IAC, IAC, SE, // Terminal type
+        0x0a
+    ]));
+
+    t.same(Array.from(data), [0x6f, 0x6b, IAC, 0x0a]);
+    t.same(Array.from(replies), [IAC, DONT, 1, IAC, WONT, 31], 'all the options are refused');
+    t.equal(pending.length, 0);
+    t.end();
+});
+
+test('strip the telnet negotiation across chunks', (t) => {
+    const chunks = [
+        [0x6f, IAC],
+        [WILL],
+        [1, 0x6b, IAC, SB, 24],
+        [1, IAC],
+        [SE, IAC],
+        [IAC, 0x0a]
+    ];
+    const bytes = [];
+    const replies = [];
+    let pending = Buffer.alloc(0);
+
+    chunks.forEach((chunk) => {
+        const result = stripTelnetCommands(Buffer.from(chunk), pending);
+        bytes.push(...result.data);
+        replies.push(...result.replies);
+        pending = result.pending;
+    });
+
+    t.same(bytes, [0x6f, 0x6b, IAC, 0x0a]);
+    t.same(replies, [IAC, DONT, 1]);
+    t.equal(pending.length, 0);
+    t.end();
+});
+
+test('split the received data into lines', (t) => {
+    const connection = new NetConnection({ type: 'tcp', host: 'localhost', port: 23 });
+    const lines = [];
+
+    connection.on('data', (line) => {
+        lines.push(line);
+    });
+
+    const text = Buffer.from('ok\n<Idle|MPos:0.000,0.000,0.000>\n[MSG:Température]\nok', 'utf8');
+    const at = text.indexOf('é') + 1; // Split the multibyte character
+
+    connection.receive(text.slice(0, 5));
+    connection.receive(text.slice(5, at));
+    connection.receive(text.slice(at));
+    t.same(lines, ['ok', '<Idle|MPos:0.000,0.000,0.000>', '[MSG:Température]'], 'the last line is not complete');
+
+    connection.receive(Buffer.from('\n'));
+    t.same(lines.slice(3), ['ok']);
+    t.end();
+});
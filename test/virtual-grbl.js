@@ -0,0 +1,152 @@
+import { test } from 'tap';
+import Grbl from '../src/app/controllers/Grbl/Grbl';
+import VirtualGrbl from '../src/app/controllers/Grbl/VirtualGrbl';
+
+const createDevice = (options) => {
+    const device = new VirtualGrbl('virtual-grbl', options);
+    const grbl = new Grbl();
+    device.on('data', (line) => {
+        grbl.parse(line);
+    });
+    return { device, grbl };
+};
+
+// Waits for the given number of 'ok' or 'error' responses.
+const waitForResponses = (grbl, count, callback) => {
+    const responses = [];
+    const listener = (type) => (res) => {
+        responses.push(type === 'ok' ? 'ok' : res.raw);
+        if (responses.length === count) {
+            grbl.removeListener('ok', onOk);
+            grbl.removeListener('error', onError);
+            callback(responses);
+        }
+    };
+    const onOk = listener('ok');
+    const onError = listener('error');
+    grbl.on('ok', onOk);
+    grbl.on('error', onError);
+};
+
+test('VirtualGrbl: startup message', (t) => {
+    const { device, grbl } = createDevice();
+
+    grbl.on('startup', ({ version }) => {
+        t.equal(version, '1.1f');
+        device.close(() => {
+            t.end();
+        });
+    });
+
+    device.open((err) => {
+        t.error(err);
+        t.equal(device.isOpen(), true);
+    });
+});
+
+test('VirtualGrbl: status report and parser state', (t) => {
+    const { device, grbl } = createDevice();
+
+    grbl.once('startup', () => {
+        device.write('G20 G91 M3 S1000\n$G\n?');
+    });
+
+    grbl.once('parserstate', ({ modal, spindle }) => {
+        t.equal(modal.units, 'G20');
+        t.equal(modal.distance, 'G91');
+        t.equal(modal.spindle, 'M3');
+        t.equal(spindle, '1000');
+    });
+
+    grbl.once('status', ({ activeState, mpos }) => {
+        t.equal(activeState, 'Idle');
+        t.same(mpos, { x: '0.000', y: '0.000', z: '0.000' });
+        device.close(() => {
+            t.end();
+        });
+    });
+
+    device.open();
+});
+
+test('VirtualGrbl: error codes', (t) => {
+    const { device, grbl } = createDevice();
+
+    grbl.once('startup', () => {
+        waitForResponses(grbl, 5, (responses) => {
+            t.same(responses, [
+                'error:20', // Unsupported command
+                'error:22', // Undefined feed rate
+                'error:25', // Repeated word
+                'error:3', // Invalid statement
+                'ok'
+            ]);
+            device.close(() => {
+                t.end();
+            });
+        });
+        device.write('G5\nG1 X1\nG0 X1 X2\n$999=1\nG0 X0\n');
+    });
+
+    device.open();
+});
+
+test('VirtualGrbl: linear motion', (t) => {
+    const { device, grbl } = createDevice();
+
+    grbl.once('startup', () => {
+        waitForResponses(grbl, 2, () => {
+            // G0 X2 at 500mm/min takes 240ms
+            setTimeout(() => {
+                grbl.once('status', ({ activeState, mpos }) => {
+                    t.equal(activeState, 'Idle');
+                    t.same(mpos, { x: '2.000', y: '0.000', z: '0.000' });
+                    device.close(() => {
+                        t.end();
+                    });
+                });
+                device.write('?');
+            }, 500);
+        });
+        device.write('G21 G90\nG0 X2\n');
+    });
+
+    device.open();
+});
+
+test('VirtualGrbl: probing', (t) => {
+    const { device, grbl } = createDevice({
+        probeSurface: (x, y) => -1
+    });
+
+    grbl.once('startup', () => {
+        device.write('G38.2 Z-5 F600\n');
+    });
+
+    grbl.once('parameters', ({ name, value }) => {
+        t.equal(name, 'PRB');
+        t.equal(value.result, 1);
+        t.ok(Math.abs(Number(value.z) + 1) < 0.01);
+        device.close(() => {
+            t.end();
+        });
+    });
+
+    device.open();
+});
+
+test('VirtualGrbl: soft limits', (t) => {
+    const { device, grbl } = createDevice();
+
+    grbl.once('startup', () => {
+        grbl.once('alarm', ({ message }) => {
+            t.equal(message, '2');
+            device.close(() => {
+                t.end();
+            });
+        });
+        device.write('$22=1\n$20=1\nG0 X10\n');
+    });
+
+    device.open();
+});
@@ -0,0 +1,46 @@
+import http from 'http';
+import { test } from 'tap';
+import { parseEndpoint, renderPayload } from '../src/app/lib/event-payload';
+import postWebhook from '../src/app/lib/webhook';
+
+test('renderPayload', (t) => {
+    const { url, template } = parseEndpoint([
+        'http://localhost:8080/hooks/cncjs',
+        '{"text": "{{event}}: {{name}} ({{progress}}%)", "missing": "{{missing}}"}'
+    ].join('\n'));
+    const context = { event: 'gcode:stop', name: 'a "quoted" name.nc', progress: 50 };
+
+    t.equal(url, 'http://localhost:8080/hooks/cncjs');
+    t.same(JSON.parse(renderPayload(template, context)), {
+        text: 'gcode:stop: a "quoted" name.nc (50%)',
+        missing: ''
+    });
+    t.same(JSON.parse(renderPayload('', context)), context, 'should render the context in JSON if no template is specified');
+    t.end();
+});
+
+test('postWebhook', (t) => {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            t.equal(req.method, 'POST');
+            t.equal(req.url, '/hooks/cncjs');
+            t.equal(req.headers['content-type'], 'application/json');
+            t.same(JSON.parse(body), { event: 'gcode:start' });
+            res.end();
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        postWebhook(`http://127.0.0.1:${port}/hooks/cncjs`, '{"event":"gcode:start"}', (err, statusCode) => {
+            t.equal(err, null);
+            t.equal(statusCode, 200);
+            server.close();
+            t.end();
+        });
+    });
+});